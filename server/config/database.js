@@ -5,9 +5,11 @@
 
 import sqlite3 from 'sqlite3'
 import { promisify } from 'util'
+import { AsyncLocalStorage } from 'async_hooks'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import fs from 'fs'
+import { rankSequence } from '../utils/ranking.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -21,6 +23,9 @@ if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true })
 }
 
+// Directory holding the database; uploaded files are stored alongside it
+export const DATA_DIR = dataDir
+
 // Create database connection
 const db = new sqlite3.Database(DB_PATH, (err) => {
   if (err) {
@@ -30,10 +35,250 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
   }
 })
 
+// Wait for the write lock instead of failing when another server instance holds it
+db.configure('busyTimeout', 5000)
+
 // Promisify database methods
-export const dbRun = promisify(db.run.bind(db))
-export const dbGet = promisify(db.get.bind(db))
-export const dbAll = promisify(db.all.bind(db))
+const runStatement = promisify(db.run.bind(db))
+const getRow = promisify(db.get.bind(db))
+const getRows = promisify(db.all.bind(db))
+
+const executeStatement = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) {
+        reject(err)
+      } else {
+        resolve({ lastID: this.lastID, changes: this.changes })
+      }
+    })
+  })
+}
+
+/*
+ * The single connection can only hold one transaction, and every statement sent on it while a
+ * transaction is open becomes part of it. So statements are kept apart from transactions:
+ * - transactions run one at a time (transactionQueue)
+ * - statements from outside a transaction wait until the open one has finished
+ * - a transaction starts only once the statements already running have finished
+ * Code running inside a transaction is recognised through AsyncLocalStorage.
+ */
+const transactionContext = new AsyncLocalStorage()
+
+// Settles when the last queued transaction has finished
+let transactionQueue = Promise.resolve()
+
+// Statements from outside a transaction that are running, and transactions waiting for them
+let runningStatements = 0
+let idleWaiters = []
+
+const isInTransaction = () => Boolean(transactionContext.getStore()?.open)
+
+/**
+ * Resolves once no statement from outside a transaction is running
+ */
+const whenStatementsIdle = () => {
+  if (runningStatements === 0) return Promise.resolve()
+  return new Promise(resolve => idleWaiters.push(resolve))
+}
+
+/**
+ * Wraps a statement function so that it never runs inside another request's transaction
+ */
+const outsideTransactions = (statement) => (...args) => {
+  if (isInTransaction()) return statement(...args)
+
+  return transactionQueue.then(async () => {
+    runningStatements++
+    try {
+      return await statement(...args)
+    } finally {
+      runningStatements--
+      if (runningStatements === 0) {
+        idleWaiters.forEach(resolve => resolve())
+        idleWaiters = []
+      }
+    }
+  })
+}
+
+export const dbRun = outsideTransactions(runStatement)
+export const dbGet = outsideTransactions(getRow)
+export const dbAll = outsideTransactions(getRows)
+
+/**
+ * Like dbRun, but resolves with the statement result
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+export const dbExecute = outsideTransactions(executeStatement)
+
+/**
+ * Add a column to an existing table if it is not there yet
+ * Lets databases created by older versions pick up new columns
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+const addColumnIfMissing = async (table, column, definition) => {
+  const columns = await dbAll(`PRAGMA table_info(${table})`)
+  if (!columns.some(c => c.name === column)) {
+    await dbRun(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`)
+  }
+}
+
+/**
+ * Run a unit of work inside a database transaction
+ * Transactions are queued so concurrent requests never nest BEGIN statements, and statements
+ * from other requests wait until the transaction has finished (see outsideTransactions).
+ * Calling it again from inside a transaction simply joins the open one.
+ * @param {Function} work - Async function performing the queries
+ * @returns {Promise<*>} Resolves with the value returned by work
+ */
+export const withTransaction = (work) => {
+  if (isInTransaction()) return work()
+
+  const run = transactionQueue.then(async () => {
+    await whenStatementsIdle()
+
+    const context = { open: true }
+    try {
+      return await transactionContext.run(context, async () => {
+        await runStatement('BEGIN IMMEDIATE TRANSACTION')
+        try {
+          const result = await work()
+          await runStatement('COMMIT')
+          return result
+        } catch (error) {
+          await runStatement('ROLLBACK')
+          throw error
+        }
+      })
+    } finally {
+      // Work the transaction left running afterwards no longer counts as inside it
+      context.open = false
+    }
+  })
+
+  // Keep the queue moving even if this transaction fails
+  transactionQueue = run.catch(() => {})
+  return run
+}
+
+/**
+ * Give tasks without a manual position one, per board column
+ * Keeps the previous newest-first order for tasks created before manual ordering existed
+ */
+const backfillTaskPositions = async () => {
+  const columns = await dbAll(
+    'SELECT DISTINCT board_id, status FROM tasks WHERE position IS NULL'
+  )
+
+  for (const { board_id: boardId, status } of columns) {
+    const tasks = await dbAll(
+      `SELECT id FROM tasks WHERE board_id = ? AND status = ?
+       ORDER BY position IS NULL, position, created_at DESC`,
+      [boardId, status]
+    )
+    const ranks = rankSequence(tasks.length)
+    for (let i = 0; i < tasks.length; i++) {
+      await dbRun('UPDATE tasks SET position = ? WHERE id = ?', [ranks[i], tasks[i].id])
+    }
+  }
+}
+
+/**
+ * Move comments stored in the tasks.comments JSON array into task_comments
+ * Older comments have no author, so they are attributed to the board owner.
+ */
+const migrateLegacyComments = async () => {
+  const tasks = await dbAll(
+    `SELECT t.id, t.board_id, t.comments, t.created_at, b.owner_id FROM tasks t
+     JOIN boards b ON b.id = t.board_id
+     WHERE t.comments IS NOT NULL AND t.comments NOT IN ('', '[]')`
+  )
+
+  for (const task of tasks) {
+    let comments = []
+    try {
+      comments = JSON.parse(task.comments)
+    } catch {
+      comments = []
+    }
+
+    for (const comment of Array.isArray(comments) ? comments : []) {
+      if (!comment || !comment.text) continue
+      // Store timestamps in SQLite's format so they sort with new comments
+      const createdAt = comment.createdAt && !isNaN(new Date(comment.createdAt))
+        ? new Date(comment.createdAt).toISOString().replace('T', ' ').slice(0, 19)
+        : task.created_at
+      await dbRun(
+        `INSERT OR IGNORE INTO task_comments (id, task_id, board_id, user_id, body, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          comment.id || `comment-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+          task.id, task.board_id, comment.userId || task.owner_id, comment.text,
+          createdAt, createdAt
+        ]
+      )
+    }
+
+    await dbRun(`UPDATE tasks SET comments = '[]' WHERE id = ?`, [task.id])
+  }
+}
+
+// Text indexed per task: title, description, live comments, subtask titles and custom field values
+// Unparseable JSON columns are indexed as empty.
+const TASK_SEARCH_DOCUMENT = `
+  SELECT t.id, t.board_id, t.title, COALESCE(t.description, ''),
+    COALESCE((SELECT group_concat(c.body, ' ') FROM task_comments c
+      WHERE c.task_id = t.id AND c.deleted_at IS NULL), ''),
+    COALESCE((SELECT group_concat(json_extract(value, '$.title'), ' ')
+      FROM json_each(CASE WHEN json_valid(t.subtasks) THEN t.subtasks ELSE '[]' END)), ''),
+    COALESCE((SELECT group_concat(value, ' ')
+      FROM json_each(CASE WHEN json_valid(t.custom_fields) THEN t.custom_fields ELSE '{}' END)), '')
+  FROM tasks t`
+
+/**
+ * Create the FTS5 full-text index used by GET /api/search
+ * Triggers keep it in step with every write to tasks and task_comments, whichever code path makes it.
+ * The index is rebuilt when it does not cover every task (new or restored databases).
+ */
+const createSearchIndex = async () => {
+  await dbRun(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS task_search USING fts5(
+      task_id UNINDEXED, board_id UNINDEXED, title, description, comments, subtasks, custom_fields,
+      tokenize = 'unicode61 remove_diacritics 2', prefix = '2 3'
+    )
+  `)
+
+  const reindex = (taskId) => `
+    DELETE FROM task_search WHERE task_id = ${taskId};
+    INSERT INTO task_search (task_id, board_id, title, description, comments, subtasks, custom_fields)
+    ${TASK_SEARCH_DOCUMENT} WHERE t.id = ${taskId};`
+
+  const triggers = {
+    task_search_insert: `AFTER INSERT ON tasks BEGIN ${reindex('NEW.id')} END`,
+    task_search_update: `AFTER UPDATE OF title, description, subtasks, custom_fields, board_id ON tasks
+      BEGIN ${reindex('NEW.id')} END`,
+    task_search_delete: 'AFTER DELETE ON tasks BEGIN DELETE FROM task_search WHERE task_id = OLD.id; END',
+    task_search_comment_insert: `AFTER INSERT ON task_comments BEGIN ${reindex('NEW.task_id')} END`,
+    task_search_comment_update: `AFTER UPDATE OF body, deleted_at ON task_comments BEGIN ${reindex('NEW.task_id')} END`,
+    task_search_comment_delete: `AFTER DELETE ON task_comments BEGIN ${reindex('OLD.task_id')} END`
+  }
+  for (const [name, definition] of Object.entries(triggers)) {
+    await dbRun(`CREATE TRIGGER IF NOT EXISTS ${name} ${definition}`)
+  }
+
+  const { indexed } = await dbGet('SELECT COUNT(*) AS indexed FROM task_search')
+  const { total } = await dbGet('SELECT COUNT(*) AS total FROM tasks')
+  if (indexed !== total) {
+    await dbRun('DELETE FROM task_search')
+    await dbRun(
+      `INSERT INTO task_search (task_id, board_id, title, description, comments, subtasks, custom_fields)
+       ${TASK_SEARCH_DOCUMENT}`
+    )
+  }
+}
 
 /**
  * Initialize database schema
@@ -62,6 +307,7 @@ export const initDatabase = async () => {
         owner_id TEXT NOT NULL,
         columns TEXT NOT NULL,
         archived INTEGER DEFAULT 0,
+        version INTEGER NOT NULL DEFAULT 1,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
@@ -100,6 +346,8 @@ export const initDatabase = async () => {
         subtasks TEXT,
         dependencies TEXT,
         comments TEXT,
+        position TEXT,
+        version INTEGER NOT NULL DEFAULT 1,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (board_id) REFERENCES boards(id) ON DELETE CASCADE,
@@ -207,14 +455,180 @@ export const initDatabase = async () => {
       )
     `)
 
+    // Task comments table (threaded via parent_id; soft-deleted while replies remain)
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS task_comments (
+        id TEXT PRIMARY KEY,
+        task_id TEXT NOT NULL,
+        board_id TEXT NOT NULL,
+        parent_id TEXT,
+        user_id TEXT NOT NULL,
+        body TEXT NOT NULL,
+        edited_at DATETIME,
+        deleted_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (board_id) REFERENCES boards(id) ON DELETE CASCADE,
+        FOREIGN KEY (parent_id) REFERENCES task_comments(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `)
+
+    // Previous versions of edited comments
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS task_comment_edits (
+        id TEXT PRIMARY KEY,
+        comment_id TEXT NOT NULL,
+        body TEXT NOT NULL,
+        edited_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (comment_id) REFERENCES task_comments(id) ON DELETE CASCADE
+      )
+    `)
+
+    // Task attachments table (file contents live on disk, see services/attachmentStorage.js)
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS task_attachments (
+        id TEXT PRIMARY KEY,
+        task_id TEXT NOT NULL,
+        board_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        filename TEXT NOT NULL,
+        stored_name TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (board_id) REFERENCES boards(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `)
+
+    // Undo/redo history of task changes (see services/operationLog.js)
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS task_operations (
+        id TEXT PRIMARY KEY,
+        group_id TEXT NOT NULL,
+        board_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        task_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        before_state TEXT,
+        after_state TEXT,
+        undone INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (board_id) REFERENCES boards(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `)
+
+    // Login sessions; each holds the hash of its current refresh token (see services/sessions.js)
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        refresh_token_hash TEXT NOT NULL,
+        previous_token_hash TEXT,
+        user_agent TEXT,
+        ip TEXT,
+        created_at DATETIME NOT NULL,
+        last_seen_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `)
+
+    // Single-use email verification and password reset tokens (see services/accountTokens.js)
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS account_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        token_hash TEXT NOT NULL,
+        created_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `)
+
+    // Personal access tokens for scripts; scopes and board_ids are JSON arrays (see services/accessTokens.js)
+    await dbRun(`
+      CREATE TABLE IF NOT EXISTS personal_access_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL,
+        token_hint TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        board_ids TEXT,
+        created_at DATETIME NOT NULL,
+        expires_at DATETIME,
+        last_used_at DATETIME,
+        last_used_ip TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `)
+
+    // Columns added after the initial schema (for existing databases)
+    await addColumnIfMissing('boards', 'version', 'INTEGER NOT NULL DEFAULT 1')
+    await addColumnIfMissing('tasks', 'version', 'INTEGER NOT NULL DEFAULT 1')
+    await addColumnIfMissing('tasks', 'position', 'TEXT')
+    await addColumnIfMissing('tasks', 'recurring_template_id', 'TEXT')
+    await addColumnIfMissing('tasks', 'recurrence_date', 'TEXT')
+    await addColumnIfMissing('tasks', 'labels', 'TEXT')
+    await addColumnIfMissing('users', 'calendar_token', 'TEXT')
+    await addColumnIfMissing('boards', 'deleted_at', 'DATETIME')
+    await addColumnIfMissing('boards', 'deleted_by', 'TEXT')
+    await addColumnIfMissing('tasks', 'deleted_at', 'DATETIME')
+    await addColumnIfMissing('tasks', 'deleted_by', 'TEXT')
+    await addColumnIfMissing('boards', 'archived_at', 'DATETIME')
+    await addColumnIfMissing('tasks', 'archived_at', 'DATETIME')
+    await addColumnIfMissing('tasks', 'archived_by', 'TEXT')
+    await addColumnIfMissing('saved_filters', 'query', 'TEXT')
+    await addColumnIfMissing('saved_filters', 'board_id', 'TEXT')
+    await addColumnIfMissing('saved_filters', 'shared', 'INTEGER NOT NULL DEFAULT 0')
+    await addColumnIfMissing('saved_filters', 'pinned', 'INTEGER NOT NULL DEFAULT 0')
+    await addColumnIfMissing('saved_filters', 'view_settings', 'TEXT')
+    await addColumnIfMissing('tasks', 'start_date', 'DATETIME')
+    await addColumnIfMissing('users', 'email_verified_at', 'DATETIME')
+    await addColumnIfMissing('users', 'totp_secret', 'TEXT')
+    await addColumnIfMissing('users', 'totp_enabled_at', 'DATETIME')
+    await addColumnIfMissing('users', 'totp_last_step', 'INTEGER')
+    await addColumnIfMissing('users', 'totp_recovery_codes', 'TEXT')
+    await addColumnIfMissing('boards', 'require_two_factor', 'INTEGER NOT NULL DEFAULT 0')
+    // Creator of an automation rule (rules always belong to a board, see routes/automations.js)
+    await addColumnIfMissing('automation_rules', 'user_id', 'TEXT')
+    // Creator of a recurring template, on whose behalf the scheduler creates tasks
+    await addColumnIfMissing('recurring_tasks', 'user_id', 'TEXT')
+    await backfillTaskPositions()
+    await migrateLegacyComments()
+    await createSearchIndex()
+
     // Create indexes for better performance
     await dbRun(`CREATE INDEX IF NOT EXISTS idx_tasks_board_id ON tasks(board_id)`)
     await dbRun(`CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status)`)
     await dbRun(`CREATE INDEX IF NOT EXISTS idx_tasks_assigned_to ON tasks(assigned_to)`)
+    await dbRun(`CREATE INDEX IF NOT EXISTS idx_tasks_position ON tasks(board_id, status, position)`)
     await dbRun(`CREATE INDEX IF NOT EXISTS idx_boards_owner_id ON boards(owner_id)`)
     await dbRun(`CREATE INDEX IF NOT EXISTS idx_activity_board_id ON activity_log(board_id)`)
     await dbRun(`CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id)`)
     await dbRun(`CREATE INDEX IF NOT EXISTS idx_notifications_read ON notifications(read)`)
+    await dbRun(`CREATE INDEX IF NOT EXISTS idx_task_comments_task_id ON task_comments(task_id, created_at)`)
+    await dbRun(`CREATE INDEX IF NOT EXISTS idx_task_comment_edits_comment_id ON task_comment_edits(comment_id)`)
+    await dbRun(`CREATE INDEX IF NOT EXISTS idx_task_attachments_task_id ON task_attachments(task_id)`)
+    await dbRun(`CREATE INDEX IF NOT EXISTS idx_task_operations_history ON task_operations(board_id, user_id, undone)`)
+    await dbRun(`CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at)`)
+    await dbRun(`CREATE INDEX IF NOT EXISTS idx_boards_deleted_at ON boards(deleted_at)`)
+    await dbRun(`CREATE INDEX IF NOT EXISTS idx_tasks_archived_at ON tasks(archived_at)`)
+    await dbRun(`CREATE INDEX IF NOT EXISTS idx_saved_filters_board ON saved_filters(board_id)`)
+    await dbRun(`CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)`)
+    await dbRun(`CREATE UNIQUE INDEX IF NOT EXISTS idx_account_tokens_hash ON account_tokens(token_hash)`)
+    await dbRun(`CREATE UNIQUE INDEX IF NOT EXISTS idx_personal_access_tokens_hash ON personal_access_tokens(token_hash)`)
+    // One task per recurring template and date, so occurrences are never generated twice
+    await dbRun(`CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_recurrence ON tasks(recurring_template_id, recurrence_date)`)
+    await dbRun(`CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token ON users(calendar_token)`)
 
     console.log('Database schema initialized successfully')
   } catch (error) {
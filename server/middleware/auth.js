@@ -1,39 +1,133 @@
 /**
  * Authentication Middleware
  * JWT token verification
+ * Access tokens are short-lived and belong to a login session (see services/sessions.js), so
+ * revoking the session signs them out right away. Scripts use personal access tokens instead
+ * (see services/accessTokens.js).
  */
 
 import jwt from 'jsonwebtoken'
+import { ACCESS_TOKEN_TTL, touchSession } from '../services/sessions.js'
+import {
+  isPersonalAccessToken, useAccessToken, findAccessRule, resolveRequestBoards, getTwoFactorBoardIds
+} from '../services/accessTokens.js'
+import { userRateLimit } from './rateLimit.js'
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production'
 
 /**
  * Verify JWT token and attach user to request
+ * Invalid, expired and revoked tokens get a 401, which tells the client to refresh its token.
+ * Requests are then counted against the user's rate limit.
  */
 export const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization']
-  const token = authHeader && authHeader.split(' ')[1] // Bearer TOKEN
+  // Bearer TOKEN, or ?access_token= for EventSource streams which cannot set headers
+  const token = (authHeader && authHeader.split(' ')[1]) ||
+    (req.headers.accept === 'text/event-stream' && req.query.access_token)
 
   if (!token) {
     return res.status(401).json({ error: 'Access token required' })
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  if (isPersonalAccessToken(token)) {
+    return authenticatePersonalAccessToken(token, req, res, next)
+  }
+
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
     if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' })
+      return res.status(401).json({ error: 'Invalid or expired token' })
+    }
+
+    try {
+      // Tokens issued before sessions existed have no session and must sign in again
+      if (!user.sid || !(await touchSession(user.sid, user.id))) {
+        return res.status(401).json({ error: 'Session has ended, please sign in again' })
+      }
+      req.user = user
+      userRateLimit(req, res, next)
+    } catch (error) {
+      next(error)
     }
-    req.user = user
-    next()
   })
 }
 
+/**
+ * Authenticate a request made with a personal access token
+ * The token must have the scope the endpoint needs and, if it is limited to some boards, the
+ * request must only touch those boards. Boards that require two-factor authentication are refused.
+ * req.user gets { id, email, accessToken: { id, scopes, boardIds } }.
+ */
+const authenticatePersonalAccessToken = async (token, req, res, next) => {
+  try {
+    const accessToken = await useAccessToken(token, req)
+    if (!accessToken) {
+      return res.status(401).json({ error: 'Invalid or expired token' })
+    }
+
+    const rule = findAccessRule(req)
+    if (!rule) {
+      return res.status(403).json({ error: 'Personal access tokens cannot be used for this endpoint' })
+    }
+    if (!accessToken.scopes.includes(rule.scope)) {
+      return res.status(403).json({ error: `This token needs the ${rule.scope} scope` })
+    }
+    const boardIds = await resolveRequestBoards(rule, req)
+    if (accessToken.boardIds) {
+      if (!boardIds || boardIds.some(id => !accessToken.boardIds.includes(id))) {
+        return res.status(403).json({ error: 'This token cannot access this board' })
+      }
+    }
+    if (boardIds && (await getTwoFactorBoardIds(boardIds)).length > 0) {
+      return res.status(403).json({ error: 'This board requires two-factor authentication; sign in to access it' })
+    }
+
+    req.user = {
+      id: accessToken.userId,
+      email: accessToken.email,
+      accessToken: { id: accessToken.id, scopes: accessToken.scopes, boardIds: accessToken.boardIds }
+    }
+    userRateLimit(req, res, next)
+  } catch (error) {
+    next(error)
+  }
+}
+
 /**
  * Generate JWT token
+ * @param {Object} user - { id, email }
+ * @param {string} sessionId - Login session the token belongs to
+ */
+export const generateToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user.id, email: user.email, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  )
+}
+
+/**
+ * Generate the short-lived token that links the two login steps of an account with
+ * two-factor authentication (see POST /api/auth/login/2fa)
+ * It has no session, so authenticateToken never accepts it.
  */
-export const generateToken = (user) => {
+export const generateTwoFactorChallenge = (user) => {
   return jwt.sign(
-    { id: user.id, email: user.email },
+    { id: user.id, purpose: 'two-factor' },
     JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: '5m' }
   )
 }
+
+/**
+ * Verify a two-factor login challenge
+ * @returns {Object|null} { id } of the user, or null if the challenge is invalid or expired
+ */
+export const verifyTwoFactorChallenge = (token) => {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET)
+    return payload.purpose === 'two-factor' ? payload : null
+  } catch {
+    return null
+  }
+}
@@ -21,6 +21,13 @@ export const errorHandler = (err, req, res, next) => {
     })
   }
 
+  // Upload errors (file too large, unexpected field, ...)
+  if (err.name === 'MulterError') {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      error: err.message
+    })
+  }
+
   // Default error
   res.status(err.status || 500).json({
     error: err.message || 'Internal server error'
@@ -0,0 +1,97 @@
+/**
+ * Rate Limiting Middleware
+ * Limits requests per IP address and per signed-in user. Responses carry RateLimit-Limit,
+ * RateLimit-Remaining and RateLimit-Reset headers; over the limit they get a 429 with Retry-After.
+ * Counters live in the rate limit store (see services/rateLimitStore.js).
+ */
+
+import { getRateLimitStore } from '../services/rateLimitStore.js'
+
+const readLimit = (name, fallback) => {
+  const value = parseInt(process.env[name], 10)
+  return Number.isNaN(value) ? fallback : value
+}
+
+// Length of a rate limit window (default: 1 minute)
+const WINDOW_MS = readLimit('RATE_LIMIT_WINDOW_MS', 60 * 1000)
+
+// Requests per window from one IP address, and from one user (0 turns a limit off)
+const IP_MAX = readLimit('RATE_LIMIT_IP_MAX', 600)
+const USER_MAX = readLimit('RATE_LIMIT_USER_MAX', 300)
+
+// Sign-in, sign-up and account link requests per IP address in 15 minutes
+const AUTH_WINDOW_MS = 15 * 60 * 1000
+const AUTH_MAX = readLimit('AUTH_RATE_LIMIT_MAX', 30)
+
+/**
+ * Human-readable wait, e.g. "40 seconds" or "15 minutes"
+ * @param {number} ms - Milliseconds to wait
+ * @returns {string}
+ */
+export const describeWait = (ms) => {
+  const seconds = Math.max(1, Math.ceil(ms / 1000))
+  if (seconds < 90) return `${seconds} second${seconds !== 1 ? 's' : ''}`
+  const minutes = Math.ceil(seconds / 60)
+  return `${minutes} minute${minutes !== 1 ? 's' : ''}`
+}
+
+/**
+ * Answers 429 Too Many Requests with a Retry-After header
+ * @param {Object} res - Express response
+ * @param {number} retryAfterMs - Milliseconds until the client may try again
+ * @param {string} [message] - Error message (the wait is appended)
+ */
+export const sendTooManyRequests = (res, retryAfterMs, message = 'Too many requests') => {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000))
+  res.set('Retry-After', String(retryAfter))
+  return res.status(429).json({ error: `${message}. Try again in ${describeWait(retryAfterMs)}.`, retryAfter })
+}
+
+/**
+ * Creates a rate limiting middleware
+ * @param {Object} options - { name, windowMs, max, key(req) } - key returns the bucket for a
+ *   request (null skips limiting); buckets of different limiters never mix thanks to name
+ * @returns {Function} Express middleware
+ */
+export const rateLimit = ({ name, windowMs, max, key }) => async (req, res, next) => {
+  const bucket = max > 0 ? key(req) : null
+  if (!bucket) return next()
+
+  try {
+    const { count, resetAt } = await getRateLimitStore().increment(`${name}:${bucket}`, windowMs)
+    const resetMs = Math.max(0, resetAt - Date.now())
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - count)),
+      'RateLimit-Reset': String(Math.ceil(resetMs / 1000))
+    })
+    if (count > max) {
+      return sendTooManyRequests(res, resetMs)
+    }
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Every API request, per IP address
+ */
+export const ipRateLimit = rateLimit({
+  name: 'ip', windowMs: WINDOW_MS, max: IP_MAX, key: (req) => req.ip
+})
+
+/**
+ * Every authenticated request, per user (runs from authenticateToken once the user is known)
+ */
+export const userRateLimit = rateLimit({
+  name: 'user', windowMs: WINDOW_MS, max: USER_MAX, key: (req) => req.user?.id
+})
+
+/**
+ * Endpoints that take passwords, codes or account link tokens, per IP address
+ */
+export const authRateLimit = rateLimit({
+  name: 'auth', windowMs: AUTH_WINDOW_MS, max: AUTH_MAX, key: (req) => req.ip
+})
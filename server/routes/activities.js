@@ -1,10 +1,12 @@
 /**
  * Activity Routes
  * Activity log endpoints
+ * The log of a board is readable by its owner and members. Personal access tokens never read the
+ * log of a board that requires two-factor authentication.
  */
 
 import express from 'express'
-import { dbAll } from '../config/database.js'
+import { dbAll, dbGet } from '../config/database.js'
 import { authenticateToken } from '../middleware/auth.js'
 
 const router = express.Router()
@@ -13,22 +15,36 @@ router.use(authenticateToken)
 
 /**
  * Get activities for a board
- * GET /api/activities?boardId=xxx
+ * GET /api/activities?boardId=xxx[&action=yyy]
+ * action narrows the log to one kind of entry (e.g. wip-limit-breached)
  */
 router.get('/', async (req, res, next) => {
   try {
-    const { boardId } = req.query
+    const { boardId, action } = req.query
 
     if (!boardId) {
       return res.status(400).json({ error: 'boardId query parameter is required' })
     }
 
+    const board = await dbGet(
+      'SELECT owner_id, require_two_factor FROM boards WHERE id = ? AND deleted_at IS NULL',
+      [boardId]
+    )
+    const hasAccess = board && (board.owner_id === req.user.id ||
+      await dbGet('SELECT 1 FROM board_sharing WHERE board_id = ? AND user_id = ?', [boardId, req.user.id]))
+    if (!hasAccess) {
+      return res.status(404).json({ error: 'Board not found' })
+    }
+    if (req.user.accessToken && board.require_two_factor) {
+      return res.status(403).json({ error: 'This board requires two-factor authentication; sign in to access it' })
+    }
+
     const activities = await dbAll(
       `SELECT * FROM activity_log 
-       WHERE board_id = ? 
+       WHERE board_id = ? ${action ? 'AND action = ?' : ''}
        ORDER BY created_at DESC 
        LIMIT 100`,
-      [boardId]
+      action ? [boardId, action] : [boardId]
     )
 
     res.json(activities.map(activity => ({
@@ -0,0 +1,266 @@
+/**
+ * Archive Routes
+ * Lists and searches archived boards and tasks, restores archived tasks and
+ * archives a board's finished tasks in bulk
+ *
+ * Archived boards are set with PUT /api/boards/:id (archived) and single tasks with the
+ * batch "archive" operation (POST /api/tasks/batch).
+ */
+
+import express from 'express'
+import { dbGet, dbRun, dbAll, withTransaction } from '../config/database.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { broadcast } from '../services/realtime.js'
+import { formatTask } from '../utils/taskFormat.js'
+import { positionAtTop } from '../utils/taskPositions.js'
+import { archiveTask } from '../utils/taskRows.js'
+import { recordOperation } from '../services/operationLog.js'
+
+const router = express.Router()
+
+// Statuses treated as "completed" (kept in sync with src/utils/taskDependencies.js)
+const COMPLETED_STATUSES = ['done', 'completed', 'closed']
+
+// Most archived tasks returned per page
+const PAGE_SIZE = 50
+
+// All routes require authentication
+router.use(authenticateToken)
+
+/**
+ * Loads a board and the user's access to it
+ * @returns {Promise<Object|null>} { board, canEdit } or null if the user cannot see the board
+ */
+const getBoardAccess = async (boardId, userId) => {
+  const board = await dbGet(
+    'SELECT id, name, owner_id, columns FROM boards WHERE id = ? AND deleted_at IS NULL',
+    [boardId]
+  )
+  if (!board) return null
+
+  const sharing = await dbGet(
+    'SELECT permission FROM board_sharing WHERE board_id = ? AND user_id = ?',
+    [boardId, userId]
+  )
+  if (board.owner_id !== userId && !sharing) return null
+
+  return {
+    board,
+    canEdit: board.owner_id === userId || ['editor', 'owner'].includes(sharing.permission)
+  }
+}
+
+/**
+ * Who archived an item and when, in the API shape
+ */
+const formatArchival = (row) => ({
+  archivedAt: row.archived_at,
+  archivedBy: row.archived_by ? { id: row.archived_by, name: row.archived_by_name || 'Unknown user' } : null
+})
+
+/**
+ * Search archived boards and tasks the user can see
+ * Matches name/title and description; tasks are paged with offset
+ * GET /api/archive?q=text&boardId=xxx&offset=0
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { q, boardId } = req.query
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0)
+    const pattern = q && q.trim() ? `%${q.trim()}%` : null
+
+    const visibleBoards = `(b.owner_id = ? OR b.id IN (SELECT board_id FROM board_sharing WHERE user_id = ?))`
+
+    const boards = boardId ? [] : await dbAll(
+      `SELECT b.id, b.name, b.description, b.owner_id, b.archived_at,
+       (SELECT COUNT(*) FROM tasks WHERE board_id = b.id AND deleted_at IS NULL AND archived_at IS NULL) AS task_count
+       FROM boards b
+       WHERE b.archived = 1 AND b.deleted_at IS NULL AND ${visibleBoards}
+       ${pattern ? 'AND (b.name LIKE ? OR b.description LIKE ?)' : ''}
+       ORDER BY b.archived_at DESC, b.updated_at DESC`,
+      [req.user.id, req.user.id, ...(pattern ? [pattern, pattern] : [])]
+    )
+
+    const params = [req.user.id, req.user.id]
+    let taskFilter = ''
+    if (boardId) {
+      taskFilter += ' AND t.board_id = ?'
+      params.push(boardId)
+    }
+    if (pattern) {
+      taskFilter += ' AND (t.title LIKE ? OR t.description LIKE ?)'
+      params.push(pattern, pattern)
+    }
+
+    // One extra row tells whether there is another page
+    const tasks = await dbAll(
+      `SELECT t.id, t.title, t.status, t.priority, t.board_id, b.name AS board_name,
+       t.archived_at, t.archived_by, u.name AS archived_by_name
+       FROM tasks t
+       INNER JOIN boards b ON b.id = t.board_id
+       LEFT JOIN users u ON u.id = t.archived_by
+       WHERE t.archived_at IS NOT NULL AND t.deleted_at IS NULL AND b.deleted_at IS NULL
+       AND ${visibleBoards}${taskFilter}
+       ORDER BY t.archived_at DESC, t.id
+       LIMIT ? OFFSET ?`,
+      [...params, PAGE_SIZE + 1, offset]
+    )
+
+    res.json({
+      boards: boards.map(board => ({
+        id: board.id,
+        name: board.name,
+        description: board.description,
+        isOwner: board.owner_id === req.user.id,
+        taskCount: board.task_count || 0,
+        archivedAt: board.archived_at
+      })),
+      tasks: tasks.slice(0, PAGE_SIZE).map(task => ({
+        id: task.id,
+        title: task.title,
+        status: task.status,
+        priority: task.priority,
+        boardId: task.board_id,
+        boardName: task.board_name,
+        ...formatArchival(task)
+      })),
+      hasMore: tasks.length > PAGE_SIZE
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Restore an archived task to the top of its column
+ * POST /api/archive/tasks/:id/restore
+ */
+router.post('/tasks/:id/restore', async (req, res, next) => {
+  try {
+    const task = await dbGet(
+      'SELECT * FROM tasks WHERE id = ? AND archived_at IS NOT NULL AND deleted_at IS NULL',
+      [req.params.id]
+    )
+    const access = task && await getBoardAccess(task.board_id, req.user.id)
+    if (!access) {
+      return res.status(404).json({ error: 'Task not found in archive' })
+    }
+    if (!access.canEdit) {
+      return res.status(403).json({ error: 'Permission denied' })
+    }
+
+    // The task's column may have been removed while it was archived
+    const columns = JSON.parse(access.board.columns || '[]')
+    const status = columns.length === 0 || columns.some(column => column.id === task.status)
+      ? task.status
+      : columns[0].id
+
+    await dbRun(
+      `UPDATE tasks SET archived_at = NULL, archived_by = NULL, status = ?, position = ?,
+       version = version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, await positionAtTop(task.board_id, status), task.id]
+    )
+
+    // Log activity
+    await dbRun(
+      `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        `activity-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        task.board_id, req.user.id, req.user.name || 'User',
+        'unarchived', 'task', task.id, task.title
+      ]
+    )
+
+    const formattedTask = await formatTask(await dbGet('SELECT * FROM tasks WHERE id = ?', [task.id]))
+    broadcast(task.board_id, 'task:created', { task: formattedTask }, req)
+
+    res.json(formattedTask)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Archive a board's finished tasks that have not changed for a number of days
+ * Without a status, every column named done/completed/closed is cleared.
+ * POST /api/archive/boards/:id/tasks
+ * Body: { olderThanDays, status }
+ */
+router.post('/boards/:id/tasks', async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const olderThanDays = Number(req.body.olderThanDays)
+    const { status } = req.body
+
+    if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+      return res.status(400).json({ error: 'olderThanDays must be a whole number of days' })
+    }
+
+    const access = await getBoardAccess(id, req.user.id)
+    if (!access) {
+      return res.status(404).json({ error: 'Board not found' })
+    }
+    if (!access.canEdit) {
+      return res.status(403).json({ error: 'Permission denied' })
+    }
+
+    const columns = JSON.parse(access.board.columns || '[]')
+    const statuses = status
+      ? [status]
+      : columns
+        .filter(column => [column.id, column.title].some(name => COMPLETED_STATUSES.includes((name || '').toLowerCase())))
+        .map(column => column.id)
+
+    if (statuses.length === 0) {
+      return res.status(400).json({ error: 'This board has no done column; pick the column to archive' })
+    }
+
+    // updated_at is stored as "YYYY-MM-DD HH:MM:SS" (UTC)
+    const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000)
+      .toISOString().replace('T', ' ').slice(0, 19)
+
+    const changes = []
+    await withTransaction(async () => {
+      const tasks = await dbAll(
+        `SELECT * FROM tasks
+         WHERE board_id = ? AND status IN (${statuses.map(() => '?').join(', ')})
+         AND deleted_at IS NULL AND archived_at IS NULL AND updated_at <= ?`,
+        [id, ...statuses, cutoff]
+      )
+      if (tasks.length === 0) return
+
+      for (const task of tasks) {
+        await archiveTask(task.id, req.user.id)
+        changes.push({ type: 'update', before: task, after: await dbGet('SELECT * FROM tasks WHERE id = ?', [task.id]) })
+      }
+
+      // One grouped activity entry for the whole clean-up
+      await dbRun(
+        `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name, metadata)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          `activity-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+          id, req.user.id, req.user.name || 'User',
+          'tasks-archived', 'board', id, access.board.name,
+          JSON.stringify({ count: tasks.length, taskIds: tasks.map(task => task.id), statuses, olderThanDays })
+        ]
+      )
+
+      // A single undo step brings them all back
+      await recordOperation({ boardId: id, userId: req.user.id, changes })
+    })
+
+    const taskIds = changes.map(change => change.after.id)
+    for (const taskId of taskIds) {
+      broadcast(id, 'task:archived', { taskId }, req)
+    }
+
+    res.json({ archived: taskIds.length, taskIds })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -0,0 +1,168 @@
+/**
+ * Attachment Routes
+ * File uploads on tasks, stored on local disk
+ * Mounted at /api/tasks/:taskId/attachments
+ */
+
+import express from 'express'
+import fs from 'fs'
+import { dbGet, dbRun, dbAll } from '../config/database.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { broadcast } from '../services/realtime.js'
+import { getActiveTask } from '../utils/taskRows.js'
+import {
+  uploadAttachment, getAttachmentPath, removeFile, formatAttachment, isImageType
+} from '../services/attachmentStorage.js'
+
+const router = express.Router({ mergeParams: true })
+
+router.use(authenticateToken)
+
+/**
+ * Loads the task and checks the user's board permission
+ * Sets req.task; viewers may read attachments, editors and owners may change them.
+ * @param {boolean} requireEdit - Whether edit permission is needed
+ */
+const loadTask = (requireEdit) => async (req, res, next) => {
+  try {
+    const task = await getActiveTask(req.params.taskId)
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' })
+    }
+
+    const board = await dbGet('SELECT owner_id FROM boards WHERE id = ?', [task.board_id])
+    const sharing = await dbGet(
+      'SELECT permission FROM board_sharing WHERE board_id = ? AND user_id = ?',
+      [task.board_id, req.user.id]
+    )
+
+    const isOwner = board.owner_id === req.user.id
+    const allowed = requireEdit
+      ? isOwner || (sharing && ['editor', 'owner'].includes(sharing.permission))
+      : isOwner || Boolean(sharing)
+
+    if (!allowed) {
+      return res.status(403).json({ error: requireEdit ? 'Permission denied' : 'Access denied' })
+    }
+
+    req.task = task
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get task attachments
+ * GET /api/tasks/:taskId/attachments
+ */
+router.get('/', loadTask(false), async (req, res, next) => {
+  try {
+    const rows = await dbAll(
+      'SELECT * FROM task_attachments WHERE task_id = ? ORDER BY created_at, id',
+      [req.task.id]
+    )
+
+    res.json(rows.map(formatAttachment))
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Upload an attachment
+ * POST /api/tasks/:taskId/attachments (multipart/form-data, field "file")
+ */
+router.post('/', loadTask(true), uploadAttachment, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded (use the "file" field)' })
+    }
+
+    const { task } = req
+    const id = req.attachmentId
+
+    await dbRun(
+      `INSERT INTO task_attachments (id, task_id, board_id, user_id, filename, stored_name, mime_type, size)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, task.id, task.board_id, req.user.id, req.file.originalname, req.file.filename, req.file.mimetype, req.file.size]
+    )
+
+    // Log activity
+    await dbRun(
+      `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        `activity-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        task.board_id, req.user.id, req.user.name || 'User',
+        'attached', 'task', task.id, task.title,
+        JSON.stringify({ filename: req.file.originalname })
+      ]
+    )
+
+    const attachment = formatAttachment(await dbGet('SELECT * FROM task_attachments WHERE id = ?', [id]))
+    broadcast(task.board_id, 'attachment:created', { taskId: task.id, attachment }, req)
+
+    res.status(201).json(attachment)
+  } catch (error) {
+    // Don't leave an orphaned file behind
+    if (req.file) await removeFile(req.file.path).catch(() => {})
+    next(error)
+  }
+})
+
+/**
+ * Download an attachment (images are served inline for previews)
+ * GET /api/tasks/:taskId/attachments/:attachmentId
+ */
+router.get('/:attachmentId', loadTask(false), async (req, res, next) => {
+  try {
+    const attachment = await dbGet(
+      'SELECT * FROM task_attachments WHERE id = ? AND task_id = ?',
+      [req.params.attachmentId, req.task.id]
+    )
+    const filePath = attachment && getAttachmentPath(attachment)
+
+    if (!attachment || !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Attachment not found' })
+    }
+
+    res.set('X-Content-Type-Options', 'nosniff')
+    res.type(attachment.mime_type)
+    if (isImageType(attachment.mime_type)) {
+      res.set('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`)
+      res.sendFile(filePath)
+    } else {
+      res.download(filePath, attachment.filename)
+    }
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Delete an attachment
+ * DELETE /api/tasks/:taskId/attachments/:attachmentId
+ */
+router.delete('/:attachmentId', loadTask(true), async (req, res, next) => {
+  try {
+    const attachment = await dbGet(
+      'SELECT * FROM task_attachments WHERE id = ? AND task_id = ?',
+      [req.params.attachmentId, req.task.id]
+    )
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' })
+    }
+
+    await dbRun('DELETE FROM task_attachments WHERE id = ?', [attachment.id])
+    await removeFile(getAttachmentPath(attachment))
+
+    broadcast(req.task.board_id, 'attachment:deleted', { taskId: req.task.id, attachmentId: attachment.id }, req)
+
+    res.json({ message: 'Attachment deleted successfully' })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -1,21 +1,66 @@
 /**
  * Authentication Routes
- * User registration and login
+ * User registration and login (with an optional two-factor step), token refresh and login
+ * sessions, email verification and password reset
  */
 
 import express from 'express'
 import bcrypt from 'bcryptjs'
 import { dbRun, dbGet } from '../config/database.js'
-import { generateToken } from '../middleware/auth.js'
+import {
+  authenticateToken, generateToken, generateTwoFactorChallenge, verifyTwoFactorChallenge
+} from '../middleware/auth.js'
+import {
+  createSession, rotateRefreshToken, listSessions, revokeSession, revokeUserSessions
+} from '../services/sessions.js'
+import {
+  TOKEN_TYPES, consumeAccountToken, sendVerificationEmail, sendPasswordResetEmail
+} from '../services/accountTokens.js'
+import { verifySecondFactor } from '../services/twoFactor.js'
+import { getLoginRetryAfter, recordLoginFailure, clearLoginFailures } from '../services/loginThrottle.js'
+import { authRateLimit, sendTooManyRequests } from '../middleware/rateLimit.js'
 import { body, validationResult } from 'express-validator'
 
 const router = express.Router()
 
+/**
+ * Starts a login session and issues its tokens
+ * @param {Object} user - { id, email }
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { token, refreshToken }
+ */
+const issueTokens = async (user, req) => {
+  const { sessionId, refreshToken } = await createSession(user.id, req)
+  return { token: generateToken(user, sessionId), refreshToken }
+}
+
+/**
+ * Email addresses are matched without regard to case or surrounding spaces, for lookups and for
+ * the login throttle alike
+ */
+const normalizeEmail = (email) => String(email).trim().toLowerCase()
+
+// Columns of a user needed for the login response
+const LOGIN_USER_COLUMNS = 'id, name, email, password_hash, avatar_color, email_verified_at, totp_enabled_at'
+
+/**
+ * User as returned by login
+ */
+const toAuthUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  avatarColor: user.avatar_color,
+  emailVerified: Boolean(user.email_verified_at),
+  twoFactorEnabled: Boolean(user.totp_enabled_at)
+})
+
 /**
  * Register new user
  * POST /api/auth/register
  */
 router.post('/register',
+  authRateLimit,
   [
     body('name').trim().notEmpty().withMessage('Name is required'),
     body('email').isEmail().withMessage('Valid email is required'),
@@ -31,7 +76,7 @@ router.post('/register',
       const { name, email, password } = req.body
 
       // Check if user already exists
-      const existingUser = await dbGet('SELECT id FROM users WHERE email = ?', [email])
+      const existingUser = await dbGet('SELECT id FROM users WHERE LOWER(email) = ?', [normalizeEmail(email)])
       if (existingUser) {
         return res.status(400).json({ error: 'User with this email already exists' })
       }
@@ -53,17 +98,26 @@ router.post('/register',
         [userId, name, email, passwordHash, avatarColor]
       )
 
-      // Generate token
-      const token = generateToken({ id: userId, email })
+      // Ask the user to confirm their address (signing up works even if the email cannot be sent)
+      try {
+        await sendVerificationEmail({ id: userId, name, email })
+      } catch (mailError) {
+        console.error('Failed to send verification email:', mailError)
+      }
+
+      // Start a session
+      const { token, refreshToken } = await issueTokens({ id: userId, email }, req)
 
       res.status(201).json({
         user: {
           id: userId,
           name,
           email,
-          avatarColor
+          avatarColor,
+          emailVerified: false
         },
-        token
+        token,
+        refreshToken
       })
     } catch (error) {
       next(error)
@@ -76,6 +130,7 @@ router.post('/register',
  * POST /api/auth/login
  */
 router.post('/login',
+  authRateLimit,
   [
     body('email').isEmail().withMessage('Valid email is required'),
     body('password').notEmpty().withMessage('Password is required')
@@ -89,33 +144,97 @@ router.post('/login',
 
       const { email, password } = req.body
 
+      // Repeated failures slow down and then lock further attempts (see services/loginThrottle.js)
+      const account = `email:${normalizeEmail(email)}`
+      const retryAfter = await getLoginRetryAfter(account, req.ip)
+      if (retryAfter > 0) {
+        return sendTooManyRequests(res, retryAfter, 'Too many failed sign-in attempts')
+      }
+
       // Find user
       const user = await dbGet(
-        'SELECT id, name, email, password_hash, avatar_color FROM users WHERE email = ?',
-        [email]
+        `SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE LOWER(email) = ?`,
+        [normalizeEmail(email)]
       )
 
       if (!user) {
+        await recordLoginFailure(account, req.ip)
         return res.status(401).json({ error: 'Invalid email or password' })
       }
 
       // Verify password
       const isValid = await bcrypt.compare(password, user.password_hash)
       if (!isValid) {
+        await recordLoginFailure(account, req.ip)
         return res.status(401).json({ error: 'Invalid email or password' })
       }
+      await clearLoginFailures(account)
+
+      // Accounts with two-factor authentication finish signing in with a code
+      if (user.totp_enabled_at) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user)
+        })
+      }
 
-      // Generate token
-      const token = generateToken({ id: user.id, email: user.email })
+      // Start a session
+      const { token, refreshToken } = await issueTokens(user, req)
 
       res.json({
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          avatarColor: user.avatar_color
-        },
-        token
+        user: toAuthUser(user),
+        token,
+        refreshToken
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * Second login step for accounts with two-factor authentication
+ * POST /api/auth/login/2fa
+ * Body: { challengeToken (from POST /login), code (authenticator app or recovery code) }
+ */
+router.post('/login/2fa',
+  authRateLimit,
+  [
+    body('challengeToken').isString().notEmpty().withMessage('Login challenge is required'),
+    body('code').isString().trim().notEmpty().withMessage('Code is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const challenge = verifyTwoFactorChallenge(req.body.challengeToken)
+      if (!challenge) {
+        return res.status(400).json({ error: 'Login expired, please sign in again' })
+      }
+
+      // Codes are short, so guessing them is throttled like passwords
+      const account = `2fa:${challenge.id}`
+      const retryAfter = await getLoginRetryAfter(account, req.ip)
+      if (retryAfter > 0) {
+        return sendTooManyRequests(res, retryAfter, 'Too many failed sign-in attempts')
+      }
+
+      const user = await dbGet(`SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE id = ?`, [challenge.id])
+      if (!user || !(await verifySecondFactor(user.id, req.body.code))) {
+        await recordLoginFailure(account, req.ip)
+        return res.status(400).json({ error: 'Invalid authentication code' })
+      }
+      await clearLoginFailures(account)
+
+      const { token, refreshToken } = await issueTokens(user, req)
+
+      res.json({
+        user: toAuthUser(user),
+        token,
+        refreshToken
       })
     } catch (error) {
       next(error)
@@ -123,4 +242,224 @@ router.post('/login',
   }
 )
 
+/**
+ * Verify an email address with the token from the verification email
+ * POST /api/auth/verify-email
+ */
+router.post('/verify-email',
+  authRateLimit,
+  [
+    body('token').isString().notEmpty().withMessage('Verification token is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const userId = await consumeAccountToken(req.body.token, TOKEN_TYPES.EMAIL_VERIFICATION)
+      if (!userId) {
+        return res.status(400).json({ error: 'This verification link is invalid or has expired' })
+      }
+
+      await dbRun(
+        'UPDATE users SET email_verified_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [new Date().toISOString(), userId]
+      )
+
+      res.json({ message: 'Email verified' })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * Send a new verification email to the current user
+ * POST /api/auth/resend-verification
+ */
+router.post('/resend-verification', authenticateToken, async (req, res, next) => {
+  try {
+    const user = await dbGet(
+      'SELECT id, name, email, email_verified_at FROM users WHERE id = ?',
+      [req.user.id]
+    )
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+    if (user.email_verified_at) {
+      return res.status(400).json({ error: 'Email is already verified' })
+    }
+
+    await sendVerificationEmail(user)
+    res.json({ message: 'Verification email sent' })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Email a password reset link
+ * POST /api/auth/forgot-password
+ * Answers the same, and as fast, whether or not the address has an account, so it cannot be used
+ * to find accounts: the reset email is sent after the response.
+ */
+router.post('/forgot-password',
+  authRateLimit,
+  [
+    body('email').isEmail().withMessage('Valid email is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const user = await dbGet(
+        'SELECT id, name, email FROM users WHERE LOWER(email) = ?',
+        [normalizeEmail(req.body.email)]
+      )
+      if (user) {
+        sendPasswordResetEmail(user).catch(mailError => {
+          console.error('Failed to send password reset email:', mailError)
+        })
+      }
+
+      res.json({ message: 'If an account exists for this email, we have sent a link to reset the password' })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * Choose a new password with the token from the reset email
+ * POST /api/auth/reset-password
+ * Signs out every session of the account.
+ */
+router.post('/reset-password',
+  authRateLimit,
+  [
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const userId = await consumeAccountToken(req.body.token, TOKEN_TYPES.PASSWORD_RESET)
+      if (!userId) {
+        return res.status(400).json({ error: 'This reset link is invalid or has expired' })
+      }
+
+      // The link arrived by email, which also confirms the address
+      const passwordHash = await bcrypt.hash(req.body.password, 10)
+      await dbRun(
+        `UPDATE users
+         SET password_hash = ?, email_verified_at = COALESCE(email_verified_at, ?), updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [passwordHash, new Date().toISOString(), userId]
+      )
+      await revokeUserSessions(userId)
+
+      res.json({ message: 'Password has been reset, please sign in' })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * Get a new access token
+ * POST /api/auth/refresh
+ * The refresh token is replaced too; the old one stops working.
+ */
+router.post('/refresh',
+  [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const rotated = await rotateRefreshToken(req.body.refreshToken, req)
+      if (!rotated) {
+        return res.status(401).json({ error: 'Session has ended, please sign in again' })
+      }
+
+      const { session, refreshToken } = rotated
+      res.json({
+        token: generateToken({ id: session.user_id, email: session.email }, session.id),
+        refreshToken
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * Logout (ends the current session)
+ * POST /api/auth/logout
+ */
+router.post('/logout', authenticateToken, async (req, res, next) => {
+  try {
+    await revokeSession(req.user.sid, req.user.id)
+    res.json({ message: 'Logged out' })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * List the user's active sessions
+ * GET /api/auth/sessions
+ */
+router.get('/sessions', authenticateToken, async (req, res, next) => {
+  try {
+    res.json(await listSessions(req.user.id, req.user.sid))
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Revoke all sessions except the current one
+ * DELETE /api/auth/sessions
+ * Query: includeCurrent=true also ends the current session
+ */
+router.delete('/sessions', authenticateToken, async (req, res, next) => {
+  try {
+    const keep = req.query.includeCurrent === 'true' ? null : req.user.sid
+    const revoked = await revokeUserSessions(req.user.id, keep)
+    res.json({ message: 'Sessions revoked', revoked })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Revoke one session
+ * DELETE /api/auth/sessions/:id
+ */
+router.delete('/sessions/:id', authenticateToken, async (req, res, next) => {
+  try {
+    const revoked = await revokeSession(req.params.id, req.user.id)
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' })
+    }
+    res.json({ message: 'Session revoked' })
+  } catch (error) {
+    next(error)
+  }
+})
+
 export default router
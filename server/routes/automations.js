@@ -1,30 +1,89 @@
 /**
  * Automation Routes
  * Automation rules management
+ * Every rule belongs to a board: anyone who can see the board can list its rules, and editors
+ * can create, change and delete them (rules change tasks on the board when they run).
  */
 
 import express from 'express'
 import { dbGet, dbRun, dbAll } from '../config/database.js'
 import { authenticateToken } from '../middleware/auth.js'
+import { getBoardMemberIds } from '../services/automationEngine.js'
 
 const router = express.Router()
 
 router.use(authenticateToken)
 
+/**
+ * Loads a board and the user's access to it
+ * @returns {Promise<Object|null>} { board, canEdit } or null if the user cannot see the board
+ */
+const getBoardAccess = async (boardId, userId) => {
+  const board = await dbGet('SELECT id, owner_id FROM boards WHERE id = ? AND deleted_at IS NULL', [boardId])
+  if (!board) return null
+
+  const sharing = await dbGet(
+    'SELECT permission FROM board_sharing WHERE board_id = ? AND user_id = ?',
+    [boardId, userId]
+  )
+  if (board.owner_id !== userId && !sharing) return null
+
+  return {
+    board,
+    canEdit: board.owner_id === userId || ['editor', 'owner'].includes(sharing.permission)
+  }
+}
+
+/**
+ * Loads a rule the user may change (rules without a board predate ownership and are read-only)
+ * @returns {Promise<Object>} { rule } or { status, error }
+ */
+const getEditableRule = async (ruleId, userId) => {
+  const rule = await dbGet('SELECT * FROM automation_rules WHERE id = ?', [ruleId])
+  const access = rule?.board_id ? await getBoardAccess(rule.board_id, userId) : null
+  if (!access) {
+    return { status: 404, error: 'Automation rule not found' }
+  }
+  if (!access.canEdit) {
+    return { status: 403, error: 'You do not have permission to change automations on this board' }
+  }
+  return { rule }
+}
+
+/**
+ * Checks that every assign-user action of a rule assigns a member of its board
+ * @returns {Promise<string|null>} Error message, or null if the actions are valid
+ */
+const validateAssignees = async (boardId, actions) => {
+  const assignees = (actions || [])
+    .filter(action => action.type === 'assign-user' && action.value)
+    .map(action => action.value)
+  if (assignees.length === 0) return null
+
+  const memberIds = await getBoardMemberIds(boardId)
+  return assignees.every(userId => memberIds.includes(userId))
+    ? null
+    : 'Automations can only assign tasks to members of the board'
+}
+
+/**
+ * Get the automation rules of a board
+ * GET /api/automations?boardId=xxx
+ */
 router.get('/', async (req, res, next) => {
   try {
     const { boardId } = req.query
-    let query = 'SELECT * FROM automation_rules WHERE 1=1'
-    const params = []
-
-    if (boardId) {
-      query += ' AND (board_id = ? OR board_id IS NULL)'
-      params.push(boardId)
+    if (!boardId) {
+      return res.status(400).json({ error: 'boardId query parameter is required' })
+    }
+    if (!(await getBoardAccess(boardId, req.user.id))) {
+      return res.status(404).json({ error: 'Board not found' })
     }
 
-    query += ' ORDER BY created_at DESC'
-
-    const rules = await dbAll(query, params)
+    const rules = await dbAll(
+      'SELECT * FROM automation_rules WHERE board_id = ? ORDER BY created_at DESC',
+      [boardId]
+    )
 
     res.json(rules.map(rule => ({
       ...rule,
@@ -37,16 +96,37 @@ router.get('/', async (req, res, next) => {
   }
 })
 
+/**
+ * Create an automation rule for a board the user can edit
+ * POST /api/automations
+ */
 router.post('/', async (req, res, next) => {
   try {
     const { name, enabled, boardId, trigger, conditions, actions } = req.body
+
+    if (!boardId) {
+      return res.status(400).json({ error: 'boardId is required' })
+    }
+    const access = await getBoardAccess(boardId, req.user.id)
+    if (!access) {
+      return res.status(404).json({ error: 'Board not found' })
+    }
+    if (!access.canEdit) {
+      return res.status(403).json({ error: 'You do not have permission to change automations on this board' })
+    }
+
+    const assigneeError = await validateAssignees(boardId, actions)
+    if (assigneeError) {
+      return res.status(400).json({ error: assigneeError })
+    }
+
     const id = `automation-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
 
     await dbRun(
-      `INSERT INTO automation_rules (id, board_id, name, enabled, trigger, conditions, actions)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO automation_rules (id, board_id, user_id, name, enabled, trigger, conditions, actions)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
       [
-        id, boardId || null, name, enabled ? 1 : 0, trigger,
+        id, boardId, req.user.id, name, enabled ? 1 : 0, trigger,
         JSON.stringify(conditions || []),
         JSON.stringify(actions || [])
       ]
@@ -65,11 +145,25 @@ router.post('/', async (req, res, next) => {
   }
 })
 
+/**
+ * Update an automation rule
+ * PUT /api/automations/:id
+ */
 router.put('/:id', async (req, res, next) => {
   try {
     const { id } = req.params
     const { name, enabled, trigger, conditions, actions } = req.body
 
+    const { rule: existingRule, status, error } = await getEditableRule(id, req.user.id)
+    if (error) {
+      return res.status(status).json({ error })
+    }
+
+    const assigneeError = await validateAssignees(existingRule.board_id, actions)
+    if (assigneeError) {
+      return res.status(400).json({ error: assigneeError })
+    }
+
     const updates = []
     const values = []
 
@@ -113,9 +207,19 @@ router.put('/:id', async (req, res, next) => {
   }
 })
 
+/**
+ * Delete an automation rule
+ * DELETE /api/automations/:id
+ */
 router.delete('/:id', async (req, res, next) => {
   try {
     const { id } = req.params
+
+    const { status, error } = await getEditableRule(id, req.user.id)
+    if (error) {
+      return res.status(status).json({ error })
+    }
+
     await dbRun('DELETE FROM automation_rules WHERE id = ?', [id])
     res.json({ message: 'Automation rule deleted' })
   } catch (error) {
@@ -4,9 +4,14 @@
  */
 
 import express from 'express'
-import { dbGet, dbRun, dbAll } from '../config/database.js'
+import { dbGet, dbRun, dbAll, dbExecute } from '../config/database.js'
 import { authenticateToken } from '../middleware/auth.js'
 import { body, validationResult } from 'express-validator'
+import { subscribe, broadcast, closeBoard, disconnectUser, disconnectAccessTokens } from '../services/realtime.js'
+import { getExpectedVersion, getConflictStatus, toEtag } from '../utils/concurrency.js'
+import { formatTask, formatTasks } from '../utils/taskFormat.js'
+import { removeTaskAttachments } from '../services/attachmentStorage.js'
+import { undoOperation, redoOperation, getHistoryState } from '../services/operationLog.js'
 
 const router = express.Router()
 
@@ -15,16 +20,19 @@ router.use(authenticateToken)
 
 /**
  * Get all boards accessible to user
- * GET /api/boards
+ * Archived boards are only included with archived=include
+ * GET /api/boards?archived=include
  */
 router.get('/', async (req, res, next) => {
   try {
+    const archivedFilter = req.query.archived === 'include' ? '' : 'AND b.archived = 0'
+
     // Get boards owned by user
     const ownedBoards = await dbAll(
       `SELECT b.*, 
-       (SELECT COUNT(*) FROM tasks WHERE board_id = b.id) as task_count
+       (SELECT COUNT(*) FROM tasks WHERE board_id = b.id AND deleted_at IS NULL AND archived_at IS NULL) as task_count
        FROM boards b 
-       WHERE b.owner_id = ? AND b.archived = 0
+       WHERE b.owner_id = ? ${archivedFilter} AND b.deleted_at IS NULL
        ORDER BY b.updated_at DESC`,
       [req.user.id]
     )
@@ -32,10 +40,10 @@ router.get('/', async (req, res, next) => {
     // Get boards shared with user
     const sharedBoards = await dbAll(
       `SELECT b.*, bs.permission,
-       (SELECT COUNT(*) FROM tasks WHERE board_id = b.id) as task_count
+       (SELECT COUNT(*) FROM tasks WHERE board_id = b.id AND deleted_at IS NULL AND archived_at IS NULL) as task_count
        FROM boards b
        INNER JOIN board_sharing bs ON b.id = bs.board_id
-       WHERE bs.user_id = ? AND b.archived = 0
+       WHERE bs.user_id = ? ${archivedFilter} AND b.deleted_at IS NULL
        ORDER BY b.updated_at DESC`,
       [req.user.id]
     )
@@ -49,9 +57,15 @@ router.get('/', async (req, res, next) => {
       }))
     }
 
+    // Personal access tokens limited to some boards only see those, and no token sees boards that
+    // require two-factor authentication
+    const allowedBoardIds = req.user.accessToken?.boardIds
+    const isAllowed = (board) => !req.user.accessToken ||
+      ((!allowedBoardIds || allowedBoardIds.includes(board.id)) && !board.require_two_factor)
+
     res.json({
-      owned: parseBoards(ownedBoards),
-      shared: parseBoards(sharedBoards)
+      owned: parseBoards(ownedBoards.filter(isAllowed)),
+      shared: parseBoards(sharedBoards.filter(isAllowed))
     })
   } catch (error) {
     next(error)
@@ -73,7 +87,7 @@ router.get('/:id', async (req, res, next) => {
             WHEN EXISTS (SELECT 1 FROM board_sharing WHERE board_id = b.id AND user_id = ?) THEN 'shared'
             ELSE NULL END as access_level
        FROM boards b
-       WHERE b.id = ?`,
+       WHERE b.id = ? AND b.deleted_at IS NULL`,
       [req.user.id, req.user.id, id]
     )
 
@@ -81,15 +95,15 @@ router.get('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'Board not found or access denied' })
     }
 
-    // Get tasks
+    // Get tasks (archived tasks are listed by the archive, see routes/archive.js)
     const tasks = await dbAll(
-      'SELECT * FROM tasks WHERE board_id = ? ORDER BY created_at DESC',
+      'SELECT * FROM tasks WHERE board_id = ? AND deleted_at IS NULL AND archived_at IS NULL ORDER BY position, created_at DESC',
       [id]
     )
 
     // Get sharing info
     const sharing = await dbAll(
-      `SELECT bs.*, u.name, u.email, u.avatar_color
+      `SELECT bs.*, u.name, u.email, u.avatar_color, u.totp_enabled_at IS NOT NULL AS two_factor_enabled
        FROM board_sharing bs
        INNER JOIN users u ON bs.user_id = u.id
        WHERE bs.board_id = ?`,
@@ -102,17 +116,13 @@ router.get('/:id', async (req, res, next) => {
       [id]
     )
 
+    res.set('ETag', toEtag(board.version))
     res.json({
       ...board,
       columns: JSON.parse(board.columns || '[]'),
-      tasks: tasks.map(task => ({
-        ...task,
-        subtasks: task.subtasks ? JSON.parse(task.subtasks) : [],
-        dependencies: task.dependencies ? JSON.parse(task.dependencies) : [],
-        comments: task.comments ? JSON.parse(task.comments) : [],
-        customFields: task.custom_fields ? JSON.parse(task.custom_fields) : {}
-      })),
+      tasks: await formatTasks(tasks),
       sharedUsers: sharing,
+      history: await getHistoryState(id, req.user.id),
       activities: activities.map(activity => ({
         ...activity,
         metadata: activity.metadata ? JSON.parse(activity.metadata) : {}
@@ -123,6 +133,140 @@ router.get('/:id', async (req, res, next) => {
   }
 })
 
+/**
+ * Subscribe to live board changes and presence (Server-Sent Events)
+ * GET /api/boards/:id/events?access_token=xxx
+ */
+router.get('/:id/events', async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const board = await dbGet('SELECT owner_id FROM boards WHERE id = ? AND deleted_at IS NULL', [id])
+    if (!board) {
+      return res.status(404).json({ error: 'Board not found' })
+    }
+
+    const hasAccess = board.owner_id === req.user.id ||
+      await dbGet('SELECT 1 FROM board_sharing WHERE board_id = ? AND user_id = ?', [id, req.user.id])
+
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    const user = await dbGet('SELECT id, name, avatar_color FROM users WHERE id = ?', [req.user.id])
+
+    subscribe(id, {
+      id: req.user.id,
+      name: user?.name || 'User',
+      avatarColor: user?.avatar_color || null
+    }, req, res)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Runs the user's next undo or redo step on a board
+ * Only editors and owners change tasks, so only they have a history.
+ * @param {string} direction - 'undo' or 'redo'
+ */
+const historyStep = (direction) => async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const board = await dbGet('SELECT owner_id FROM boards WHERE id = ? AND deleted_at IS NULL', [id])
+    if (!board) {
+      return res.status(404).json({ error: 'Board not found' })
+    }
+
+    const sharing = await dbGet(
+      'SELECT permission FROM board_sharing WHERE board_id = ? AND user_id = ?',
+      [id, req.user.id]
+    )
+
+    const canEdit = board.owner_id === req.user.id ||
+      (sharing && ['editor', 'owner'].includes(sharing.permission))
+
+    if (!canEdit) {
+      return res.status(403).json({ error: 'Permission denied' })
+    }
+
+    const isOwner = board.owner_id === req.user.id || sharing?.permission === 'owner'
+    const options = { isOwner, override: req.body?.overrideWip === true }
+    const result = direction === 'undo'
+      ? await undoOperation(id, req.user, options)
+      : await redoOperation(id, req.user, options)
+    const history = await getHistoryState(id, req.user.id)
+
+    if (result.outcome === 'empty') {
+      return res.status(404).json({ error: `Nothing to ${direction}`, ...history })
+    }
+
+    // A task would go back into a column at its hard WIP limit; the step is kept for a later try
+    if (result.outcome === 'blocked') {
+      return res.status(409).json({
+        error: result.wip.message, wipLimit: result.wip.breach, canOverride: isOwner, ...history
+      })
+    }
+
+    // Someone else changed a task of this step; it was dropped instead of overwriting their work
+    if (result.outcome === 'conflict') {
+      const titles = result.conflicts.map(conflict => `"${conflict.title}"`).join(', ')
+      return res.status(409).json({
+        error: `Cannot ${direction}: ${titles} was changed by another user since. The step was removed from your history.`,
+        conflicts: await Promise.all(result.conflicts.map(async conflict => ({
+          taskId: conflict.taskId,
+          current: conflict.current ? await formatTask(conflict.current) : null
+        }))),
+        ...history
+      })
+    }
+
+    const tasks = []
+    const deletedTaskIds = []
+    const archivedTaskIds = []
+    for (const change of result.changes) {
+      // Undoing a create removes the task; redoing a delete moves it back to the trash
+      if (!change.task || change.task.deleted_at) {
+        if (!change.task) await removeTaskAttachments(id, change.taskId)
+        broadcast(id, 'task:deleted', { taskId: change.taskId }, req)
+        deletedTaskIds.push(change.taskId)
+        continue
+      }
+
+      // Redoing an archive moves the task back to the archive
+      if (change.task.archived_at) {
+        broadcast(id, 'task:archived', { taskId: change.taskId }, req)
+        archivedTaskIds.push(change.taskId)
+        continue
+      }
+
+      const formattedTask = await formatTask(change.task)
+      const reappeared = !change.previous || change.previous.deleted_at || change.previous.archived_at
+      broadcast(id, reappeared ? 'task:created' : 'task:updated', { task: formattedTask }, req)
+      tasks.push(formattedTask)
+    }
+
+    res.json({ tasks, deletedTaskIds, archivedTaskIds, ...history })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Undo the user's last task change on the board
+ * POST /api/boards/:id/undo
+ * Body: { overrideWip }
+ */
+router.post('/:id/undo', historyStep('undo'))
+
+/**
+ * Redo the user's last undone task change on the board
+ * POST /api/boards/:id/redo
+ * Body: { overrideWip }
+ */
+router.post('/:id/redo', historyStep('redo'))
+
 /**
  * Create new board
  * POST /api/boards
@@ -167,7 +311,8 @@ router.post('/',
 router.put('/:id',
   [
     body('name').optional().trim().notEmpty(),
-    body('columns').optional().isArray()
+    body('columns').optional().isArray(),
+    body('requireTwoFactor').optional().isBoolean()
   ],
   async (req, res, next) => {
     try {
@@ -177,14 +322,23 @@ router.put('/:id',
       }
 
       const { id } = req.params
-      const { name, description, columns, archived } = req.body
+      const { name, description, columns, archived, requireTwoFactor } = req.body
 
       // Check ownership
-      const board = await dbGet('SELECT owner_id FROM boards WHERE id = ?', [id])
+      const board = await dbGet('SELECT * FROM boards WHERE id = ? AND deleted_at IS NULL', [id])
       if (!board || board.owner_id !== req.user.id) {
         return res.status(403).json({ error: 'Only board owner can update board' })
       }
 
+      // Reject writes based on a stale copy of the board
+      const expectedVersion = getExpectedVersion(req)
+      if (expectedVersion !== null && expectedVersion !== board.version) {
+        return res.status(getConflictStatus(req)).json({
+          error: 'Board was modified by another user',
+          current: { ...board, columns: JSON.parse(board.columns || '[]') }
+        })
+      }
+
       const updates = []
       const values = []
 
@@ -200,29 +354,81 @@ router.put('/:id',
         updates.push('columns = ?')
         values.push(JSON.stringify(columns))
       }
+      const archiveChanged = archived !== undefined && Boolean(archived) !== Boolean(board.archived)
       if (archived !== undefined) {
         updates.push('archived = ?')
         values.push(archived ? 1 : 0)
       }
+      if (archiveChanged) {
+        updates.push(archived ? 'archived_at = CURRENT_TIMESTAMP' : 'archived_at = NULL')
+      }
+      if (requireTwoFactor !== undefined) {
+        // Everyone on the board must already use 2FA, so nobody loses access unexpectedly
+        if (requireTwoFactor && !board.require_two_factor) {
+          const missing = await dbAll(
+            `SELECT u.name FROM users u
+             WHERE u.totp_enabled_at IS NULL
+               AND (u.id = ? OR u.id IN (SELECT user_id FROM board_sharing WHERE board_id = ?))
+             ORDER BY u.name`,
+            [board.owner_id, id]
+          )
+          if (missing.length > 0) {
+            return res.status(400).json({
+              error: `Everyone on the board needs two-factor authentication first (missing: ${missing.map(u => u.name).join(', ')})`
+            })
+          }
+        }
+        updates.push('require_two_factor = ?')
+        values.push(requireTwoFactor ? 1 : 0)
+      }
 
       if (updates.length === 0) {
         return res.status(400).json({ error: 'No fields to update' })
       }
 
+      updates.push('version = version + 1')
       updates.push('updated_at = CURRENT_TIMESTAMP')
-      values.push(id)
+      values.push(id, board.version)
 
-      await dbRun(
-        `UPDATE boards SET ${updates.join(', ')} WHERE id = ?`,
+      const result = await dbExecute(
+        `UPDATE boards SET ${updates.join(', ')} WHERE id = ? AND version = ?`,
         values
       )
 
-      const updatedBoard = await dbGet('SELECT * FROM boards WHERE id = ?', [id])
+      if (result.changes === 0) {
+        const currentBoard = await dbGet('SELECT * FROM boards WHERE id = ?', [id])
+        return res.status(getConflictStatus(req)).json({
+          error: 'Board was modified by another user',
+          current: { ...currentBoard, columns: JSON.parse(currentBoard.columns || '[]') }
+        })
+      }
 
-      res.json({
+      if (requireTwoFactor && !board.require_two_factor) {
+        disconnectAccessTokens(id)
+      }
+
+      if (archiveChanged) {
+        await dbRun(
+          `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            `activity-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            id, req.user.id, req.user.name || 'User',
+            archived ? 'archived' : 'unarchived', 'board', id, name || board.name
+          ]
+        )
+      }
+
+      const updatedBoard = await dbGet('SELECT * FROM boards WHERE id = ?', [id])
+      const formattedBoard = {
         ...updatedBoard,
         columns: JSON.parse(updatedBoard.columns)
-      })
+      }
+
+      broadcast(id, 'board:updated', { board: formattedBoard }, req)
+
+      res.set('ETag', toEtag(updatedBoard.version))
+      res.json(formattedBoard)
     } catch (error) {
       next(error)
     }
@@ -238,12 +444,31 @@ router.delete('/:id', async (req, res, next) => {
     const { id } = req.params
 
     // Check ownership
-    const board = await dbGet('SELECT owner_id FROM boards WHERE id = ?', [id])
+    const board = await dbGet('SELECT owner_id, name FROM boards WHERE id = ? AND deleted_at IS NULL', [id])
     if (!board || board.owner_id !== req.user.id) {
       return res.status(403).json({ error: 'Only board owner can delete board' })
     }
 
-    await dbRun('DELETE FROM boards WHERE id = ?', [id])
+    // Move the board to the trash; its tasks, sharing and settings stay as they are until it is purged
+    await dbRun(
+      'UPDATE boards SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE id = ?',
+      [req.user.id, id]
+    )
+
+    // Log activity
+    await dbRun(
+      `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        `activity-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        id, req.user.id, req.user.name || 'User',
+        'deleted', 'board', id, board.name
+      ]
+    )
+
+    // Tell viewers the board is gone, then drop their streams
+    broadcast(id, 'board:deleted', {}, req)
+    closeBoard(id)
 
     res.json({ message: 'Board deleted successfully' })
   } catch (error) {
@@ -271,17 +496,26 @@ router.post('/:id/share',
       const { userId, permission } = req.body
 
       // Check ownership
-      const board = await dbGet('SELECT owner_id FROM boards WHERE id = ?', [id])
+      const board = await dbGet(
+        'SELECT owner_id, require_two_factor FROM boards WHERE id = ? AND deleted_at IS NULL',
+        [id]
+      )
       if (!board || board.owner_id !== req.user.id) {
         return res.status(403).json({ error: 'Only board owner can share board' })
       }
 
       // Check if user exists
-      const user = await dbGet('SELECT id FROM users WHERE id = ?', [userId])
+      const user = await dbGet('SELECT id, name, totp_enabled_at FROM users WHERE id = ?', [userId])
       if (!user) {
         return res.status(404).json({ error: 'User not found' })
       }
 
+      if (board.require_two_factor && !user.totp_enabled_at) {
+        return res.status(400).json({
+          error: `${user.name} must enable two-factor authentication before joining this board`
+        })
+      }
+
       const shareId = `share-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
 
       await dbRun(
@@ -298,6 +532,8 @@ router.post('/:id/share',
         [id, userId]
       )
 
+      broadcast(id, 'sharing:updated', { userId, permission }, req)
+
       res.status(201).json(sharing)
     } catch (error) {
       next(error)
@@ -314,7 +550,7 @@ router.delete('/:id/share/:userId', async (req, res, next) => {
     const { id, userId } = req.params
 
     // Check ownership
-    const board = await dbGet('SELECT owner_id FROM boards WHERE id = ?', [id])
+    const board = await dbGet('SELECT owner_id FROM boards WHERE id = ? AND deleted_at IS NULL', [id])
     if (!board || board.owner_id !== req.user.id) {
       return res.status(403).json({ error: 'Only board owner can remove sharing' })
     }
@@ -324,6 +560,9 @@ router.delete('/:id/share/:userId', async (req, res, next) => {
       [id, userId]
     )
 
+    broadcast(id, 'sharing:updated', { userId, permission: null }, req)
+    disconnectUser(id, userId)
+
     res.json({ message: 'Sharing removed successfully' })
   } catch (error) {
     next(error)
@@ -0,0 +1,166 @@
+/**
+ * Calendar Routes
+ * iCalendar (.ics) subscription feed of task due dates
+ *
+ * The feed is read by calendar apps, which cannot send a JWT, so it is authenticated by a
+ * secret per-user token in the URL. Users can reset the token to revoke old links. The token skips
+ * the second factor, so boards that require two-factor authentication are left out of the feed.
+ */
+
+import express from 'express'
+import crypto from 'crypto'
+import { dbGet, dbRun, dbAll } from '../config/database.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { formatTasks } from '../utils/taskFormat.js'
+import { matchesSavedFilter } from '../utils/savedFilters.js'
+import { buildCalendar } from '../utils/icalendar.js'
+
+const router = express.Router()
+
+const generateFeedToken = () => crypto.randomBytes(24).toString('hex')
+
+/**
+ * Absolute feed URL for a token, based on the address the request came in on
+ */
+const getFeedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`
+
+/**
+ * Get the calendar feed of a user (no JWT; the token in the URL identifies the user)
+ * GET /api/calendar/feed/:token.ics?boardId=xxx&assignee=me|userId&filterId=xxx&type=event|todo
+ */
+router.get('/feed/:token.ics', async (req, res, next) => {
+  try {
+    const { boardId, assignee, filterId, type } = req.query
+
+    const user = await dbGet('SELECT id, name FROM users WHERE calendar_token = ?', [req.params.token])
+    if (!user) {
+      return res.status(404).json({ error: 'Calendar feed not found' })
+    }
+
+    // Boards the user owns or that are shared with them, except those requiring 2FA
+    const boards = await dbAll(
+      `SELECT id, name FROM boards
+       WHERE archived = 0 AND deleted_at IS NULL AND require_two_factor = 0
+         AND (owner_id = ? OR id IN (SELECT board_id FROM board_sharing WHERE user_id = ?))`,
+      [user.id, user.id]
+    )
+    const boardIds = boardId ? boards.filter(board => board.id === boardId).map(board => board.id) : boards.map(board => board.id)
+    if (boardId && boardIds.length === 0) {
+      return res.status(404).json({ error: 'Board not found' })
+    }
+
+    let savedFilter = null
+    if (filterId) {
+      // The user's own filters, or one shared on a board they can access
+      const filter = await dbGet(
+        `SELECT filter_data FROM saved_filters
+         WHERE id = ? AND (user_id = ? OR (shared = 1 AND board_id IN (${boards.map(() => '?').join(', ') || 'NULL'})))`,
+        [filterId, user.id, ...boards.map(board => board.id)]
+      )
+      if (!filter) {
+        return res.status(404).json({ error: 'Saved filter not found' })
+      }
+      savedFilter = JSON.parse(filter.filter_data || '{}')
+    }
+
+    let query = `SELECT * FROM tasks
+      WHERE due_date IS NOT NULL AND due_date != '' AND deleted_at IS NULL AND archived_at IS NULL
+      AND board_id IN (${boardIds.map(() => '?').join(', ') || 'NULL'})`
+    const params = [...boardIds]
+
+    if (assignee) {
+      query += ' AND assigned_to = ?'
+      params.push(assignee === 'me' ? user.id : assignee)
+    }
+
+    query += ' ORDER BY due_date'
+
+    let tasks = await formatTasks(await dbAll(query, params))
+    if (savedFilter) {
+      tasks = tasks.filter(task => matchesSavedFilter(task, savedFilter, user.id))
+    }
+
+    const boardNames = Object.fromEntries(boards.map(board => [board.id, board.name]))
+    const singleBoard = boardId ? boardNames[boardId] : null
+
+    const calendar = buildCalendar({
+      name: singleBoard ? `Kanban: ${singleBoard}` : `Kanban: ${user.name}`,
+      type: type === 'todo' ? 'todo' : 'event',
+      entries: tasks.map(task => ({
+        id: task.id,
+        title: task.title,
+        description: task.description,
+        dueDate: task.due_date,
+        status: task.status,
+        priority: task.priority,
+        category: task.category,
+        boardName: boardNames[task.board_id],
+        updatedAt: task.updated_at,
+        version: task.version
+      }))
+    })
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8')
+    res.set('Content-Disposition', 'inline; filename="kanban.ics"')
+    res.set('Cache-Control', 'private, max-age=300')
+    res.send(calendar)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Managing the feed token requires a logged in user
+router.use(authenticateToken)
+
+/**
+ * Get the current user's feed URL, creating the token on first use
+ * GET /api/calendar/token
+ */
+router.get('/token', async (req, res, next) => {
+  try {
+    const user = await dbGet('SELECT calendar_token FROM users WHERE id = ?', [req.user.id])
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    let token = user.calendar_token
+    if (!token) {
+      token = generateFeedToken()
+      await dbRun('UPDATE users SET calendar_token = ? WHERE id = ?', [token, req.user.id])
+    }
+
+    res.json({ token, url: getFeedUrl(req, token) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Replace the feed token; links using the old token stop working
+ * POST /api/calendar/token
+ */
+router.post('/token', async (req, res, next) => {
+  try {
+    const token = generateFeedToken()
+    await dbRun('UPDATE users SET calendar_token = ? WHERE id = ?', [token, req.user.id])
+
+    res.json({ token, url: getFeedUrl(req, token) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Turn the feed off
+ * DELETE /api/calendar/token
+ */
+router.delete('/token', async (req, res, next) => {
+  try {
+    await dbRun('UPDATE users SET calendar_token = NULL WHERE id = ?', [req.user.id])
+    res.json({ message: 'Calendar feed disabled' })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -0,0 +1,359 @@
+/**
+ * Comment Routes
+ * Threaded task comments with @mentions
+ * Mounted at /api/tasks/:taskId/comments
+ */
+
+import express from 'express'
+import { dbGet, dbRun, dbAll, withTransaction } from '../config/database.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { body, validationResult } from 'express-validator'
+import { broadcast } from '../services/realtime.js'
+import { formatComment, resolveMentions } from '../utils/comments.js'
+import { getActiveTask } from '../utils/taskRows.js'
+
+const router = express.Router({ mergeParams: true })
+
+const generateId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+
+const commentValidation = [
+  body('text').trim().notEmpty().withMessage('Comment text is required')
+    .isLength({ max: 5000 }).withMessage('Comment must be 5000 characters or less')
+]
+
+/**
+ * Loads a task with the current user's access to its board
+ * @returns {Promise<Object|null>} { task, board, canView, canEdit }, or null if the task doesn't exist
+ */
+const loadTaskAccess = async (taskId, userId) => {
+  const task = await getActiveTask(taskId)
+  if (!task) return null
+
+  const board = await dbGet('SELECT id, owner_id FROM boards WHERE id = ?', [task.board_id])
+  const sharing = await dbGet(
+    'SELECT permission FROM board_sharing WHERE board_id = ? AND user_id = ?',
+    [task.board_id, userId]
+  )
+
+  const isOwner = board.owner_id === userId
+  return {
+    task,
+    board,
+    canView: isOwner || Boolean(sharing),
+    canEdit: isOwner || (sharing && ['editor', 'owner'].includes(sharing.permission))
+  }
+}
+
+/**
+ * Loads one comment of a task in the API shape
+ */
+const loadComment = async (taskId, commentId) => {
+  const row = await dbGet(
+    `SELECT c.*, u.name AS author_name, u.avatar_color AS author_avatar_color
+     FROM task_comments c
+     LEFT JOIN users u ON u.id = c.user_id
+     WHERE c.id = ? AND c.task_id = ?`,
+    [commentId, taskId]
+  )
+  return row ? formatComment(row) : null
+}
+
+/**
+ * Creates one notification per recipient (never for the comment's author)
+ */
+const notifyUsers = async (userIds, authorId, { type, title, message, task, commentId }) => {
+  for (const userId of new Set(userIds)) {
+    if (userId === authorId) continue
+    await dbRun(
+      `INSERT INTO notifications (id, user_id, type, title, message, entity_id, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        generateId('notification'), userId, type, title, message, task.id,
+        JSON.stringify({ boardId: task.board_id, commentId })
+      ]
+    )
+  }
+}
+
+router.use(authenticateToken)
+
+/**
+ * Get the comments of a task (flat, oldest first; replies carry parentId)
+ * GET /api/tasks/:taskId/comments
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const access = await loadTaskAccess(req.params.taskId, req.user.id)
+    if (!access) {
+      return res.status(404).json({ error: 'Task not found' })
+    }
+    if (!access.canView) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    const rows = await dbAll(
+      `SELECT c.*, u.name AS author_name, u.avatar_color AS author_avatar_color
+       FROM task_comments c
+       LEFT JOIN users u ON u.id = c.user_id
+       WHERE c.task_id = ?
+       ORDER BY c.created_at, c.id`,
+      [req.params.taskId]
+    )
+
+    res.json(rows.map(formatComment))
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Add a comment or a reply
+ * POST /api/tasks/:taskId/comments
+ * Body: { text, parentId? }
+ */
+router.post('/', commentValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const { taskId } = req.params
+    const { text, parentId = null } = req.body
+
+    const access = await loadTaskAccess(taskId, req.user.id)
+    if (!access) {
+      return res.status(404).json({ error: 'Task not found' })
+    }
+    if (!access.canEdit) {
+      return res.status(403).json({ error: 'Permission denied' })
+    }
+
+    let parent = null
+    if (parentId) {
+      parent = await dbGet('SELECT * FROM task_comments WHERE id = ? AND task_id = ?', [parentId, taskId])
+      if (!parent) {
+        return res.status(400).json({ error: 'Parent comment not found on this task' })
+      }
+      if (parent.deleted_at) {
+        return res.status(400).json({ error: 'Cannot reply to a deleted comment' })
+      }
+    }
+
+    const { task, board } = access
+    const author = await dbGet('SELECT name FROM users WHERE id = ?', [req.user.id])
+    const authorName = author?.name || 'Someone'
+    const mentionedUserIds = await resolveMentions(board, text)
+    const commentId = generateId('comment')
+
+    await withTransaction(async () => {
+      await dbRun(
+        `INSERT INTO task_comments (id, task_id, board_id, parent_id, user_id, body)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [commentId, taskId, task.board_id, parentId, req.user.id, text]
+      )
+
+      await notifyUsers(mentionedUserIds, req.user.id, {
+        type: 'task_mentioned',
+        title: 'You were mentioned',
+        message: `${authorName} mentioned you on "${task.title}"`,
+        task,
+        commentId
+      })
+
+      // Reply authors hear about replies, unless the reply already mentions them
+      if (parent && !mentionedUserIds.includes(parent.user_id)) {
+        await notifyUsers([parent.user_id], req.user.id, {
+          type: 'comment_reply',
+          title: 'New reply to your comment',
+          message: `${authorName} replied to your comment on "${task.title}"`,
+          task,
+          commentId
+        })
+      }
+
+      // Log activity
+      await dbRun(
+        `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [generateId('activity'), task.board_id, req.user.id, authorName, 'commented', 'task', taskId, task.title]
+      )
+    })
+
+    const comment = await loadComment(taskId, commentId)
+    broadcast(task.board_id, 'comment:created', { taskId, comment }, req)
+
+    res.status(201).json(comment)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Edit a comment (its author, while they can edit the board); the previous text is kept in the
+ * edit history
+ * PUT /api/tasks/:taskId/comments/:commentId
+ * Body: { text }
+ */
+router.put('/:commentId', commentValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const { taskId, commentId } = req.params
+    const { text } = req.body
+
+    const access = await loadTaskAccess(taskId, req.user.id)
+    if (!access) {
+      return res.status(404).json({ error: 'Task not found' })
+    }
+    // Authors removed from the board or made viewers can no longer change their comments
+    if (!access.canEdit) {
+      return res.status(403).json({ error: 'Permission denied' })
+    }
+
+    const existing = await dbGet('SELECT * FROM task_comments WHERE id = ? AND task_id = ?', [commentId, taskId])
+    if (!existing || existing.deleted_at) {
+      return res.status(404).json({ error: 'Comment not found' })
+    }
+    if (existing.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the author can edit this comment' })
+    }
+
+    const { task, board } = access
+
+    if (text !== existing.body) {
+      // Only users mentioned for the first time in this edit are notified
+      const previouslyMentioned = await resolveMentions(board, existing.body)
+      const mentionedUserIds = (await resolveMentions(board, text))
+        .filter(userId => !previouslyMentioned.includes(userId))
+      const author = await dbGet('SELECT name FROM users WHERE id = ?', [req.user.id])
+
+      await withTransaction(async () => {
+        await dbRun(
+          'INSERT INTO task_comment_edits (id, comment_id, body) VALUES (?, ?, ?)',
+          [generateId('comment-edit'), commentId, existing.body]
+        )
+        await dbRun(
+          `UPDATE task_comments SET body = ?, edited_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [text, commentId]
+        )
+        await notifyUsers(mentionedUserIds, req.user.id, {
+          type: 'task_mentioned',
+          title: 'You were mentioned',
+          message: `${author?.name || 'Someone'} mentioned you on "${task.title}"`,
+          task,
+          commentId
+        })
+      })
+    }
+
+    const comment = await loadComment(taskId, commentId)
+    broadcast(task.board_id, 'comment:updated', { taskId, comment }, req)
+
+    res.json(comment)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Get the edit history of a comment, newest first
+ * GET /api/tasks/:taskId/comments/:commentId/history
+ */
+router.get('/:commentId/history', async (req, res, next) => {
+  try {
+    const { taskId, commentId } = req.params
+
+    const access = await loadTaskAccess(taskId, req.user.id)
+    if (!access) {
+      return res.status(404).json({ error: 'Task not found' })
+    }
+    if (!access.canView) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    const comment = await dbGet('SELECT id, deleted_at FROM task_comments WHERE id = ? AND task_id = ?', [commentId, taskId])
+    if (!comment || comment.deleted_at) {
+      return res.status(404).json({ error: 'Comment not found' })
+    }
+
+    const edits = await dbAll(
+      'SELECT body, edited_at FROM task_comment_edits WHERE comment_id = ? ORDER BY edited_at DESC, rowid DESC',
+      [commentId]
+    )
+
+    res.json(edits.map(edit => ({ text: edit.body, editedAt: edit.edited_at })))
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Delete a comment (its author, while they can edit the board)
+ * Comments with replies are blanked out instead, so the thread stays intact
+ * DELETE /api/tasks/:taskId/comments/:commentId
+ */
+router.delete('/:commentId', async (req, res, next) => {
+  try {
+    const { taskId, commentId } = req.params
+
+    const access = await loadTaskAccess(taskId, req.user.id)
+    if (!access) {
+      return res.status(404).json({ error: 'Task not found' })
+    }
+    if (!access.canEdit) {
+      return res.status(403).json({ error: 'Permission denied' })
+    }
+
+    const existing = await dbGet('SELECT * FROM task_comments WHERE id = ? AND task_id = ?', [commentId, taskId])
+    if (!existing || existing.deleted_at) {
+      return res.status(404).json({ error: 'Comment not found' })
+    }
+    if (existing.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the author can delete this comment' })
+    }
+
+    const removedIds = []
+    await withTransaction(async () => {
+      await dbRun('DELETE FROM task_comment_edits WHERE comment_id = ?', [commentId])
+
+      const reply = await dbGet('SELECT 1 FROM task_comments WHERE parent_id = ? LIMIT 1', [commentId])
+      if (reply) {
+        await dbRun(
+          `UPDATE task_comments SET body = '', deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [commentId]
+        )
+        return
+      }
+
+      await dbRun('DELETE FROM task_comments WHERE id = ?', [commentId])
+      removedIds.push(commentId)
+
+      // Blanked-out ancestors left without replies can go too
+      let parentId = existing.parent_id
+      while (parentId) {
+        const parent = await dbGet('SELECT id, parent_id, deleted_at FROM task_comments WHERE id = ?', [parentId])
+        const hasReplies = parent && await dbGet('SELECT 1 FROM task_comments WHERE parent_id = ? LIMIT 1', [parentId])
+        if (!parent || !parent.deleted_at || hasReplies) break
+        await dbRun('DELETE FROM task_comments WHERE id = ?', [parentId])
+        removedIds.push(parentId)
+        parentId = parent.parent_id
+      }
+    })
+
+    // A blanked-out comment is sent back so clients keep it as a placeholder
+    const comment = removedIds.length === 0 ? await loadComment(taskId, commentId) : null
+    broadcast(access.task.board_id, 'comment:deleted', { taskId, commentId, removedIds, comment }, req)
+
+    res.json({ message: 'Comment deleted successfully', removedIds, comment })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
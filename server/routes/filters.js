@@ -1,64 +1,238 @@
 /**
  * Saved Filters Routes
+ * A filter stores its criteria (filter_data) and, when it was typed, the query string
+ * it was parsed from (see src/utils/filterQuery.js)
+ *
+ * Filters are personal unless they are scoped to a board and shared with its members.
+ * Pinned filters appear as views in the board header; a view also stores its grouping
+ * and visible columns (view_settings). Access follows board_sharing:
+ * - any member can save personal filters and views on a board
+ * - editors and owners can share them with the board
+ * - a filter can be changed by its creator, and a shared one also by the board's owners
  */
 
 import express from 'express'
 import { dbGet, dbRun, dbAll } from '../config/database.js'
 import { authenticateToken } from '../middleware/auth.js'
+import { broadcast } from '../services/realtime.js'
 
 const router = express.Router()
 
+// What a view can group its cards by, besides select-type custom fields ("cf:<fieldId>")
+const GROUP_BY_OPTIONS = ['none', 'assignee', 'priority', 'category']
+
 router.use(authenticateToken)
 
+/**
+ * Loads a board and the user's access to it
+ * @returns {Promise<Object|null>} { board, canEdit } or null if the user cannot see the board
+ */
+const getBoardAccess = async (boardId, userId) => {
+  const board = await dbGet('SELECT id, owner_id FROM boards WHERE id = ? AND deleted_at IS NULL', [boardId])
+  if (!board) return null
+
+  const sharing = await dbGet(
+    'SELECT permission FROM board_sharing WHERE board_id = ? AND user_id = ?',
+    [boardId, userId]
+  )
+  if (board.owner_id !== userId && !sharing) return null
+
+  return {
+    board,
+    canEdit: board.owner_id === userId || ['editor', 'owner'].includes(sharing.permission)
+  }
+}
+
+/**
+ * Checks and normalizes a view's settings
+ * @returns {Object} { view } or { error }
+ */
+const parseViewSettings = (view) => {
+  if (view === null || view === undefined) return { view: null }
+  if (typeof view !== 'object' || Array.isArray(view)) return { error: 'view must be an object' }
+
+  const groupBy = view.groupBy || 'none'
+  if (!GROUP_BY_OPTIONS.includes(groupBy) && !/^cf:.+/.test(groupBy)) {
+    return { error: `groupBy must be one of ${GROUP_BY_OPTIONS.join(', ')} or cf:<fieldId>` }
+  }
+
+  const { visibleColumns = null } = view
+  if (visibleColumns !== null && (!Array.isArray(visibleColumns) || visibleColumns.some(id => typeof id !== 'string'))) {
+    return { error: 'visibleColumns must be a list of column IDs' }
+  }
+
+  return { view: { groupBy, visibleColumns } }
+}
+
+/**
+ * Converts a filter row to the API shape, with what the user may do with it
+ * Expects the created_by_name, board_owner_id and board_permission columns of FILTER_SELECT.
+ */
+const formatFilter = (filter, userId) => {
+  const { created_by_name: createdByName, board_owner_id: boardOwnerId, board_permission: boardPermission, ...row } = filter
+  const isMine = filter.user_id === userId
+  const managesBoard = boardOwnerId === userId || boardPermission === 'owner'
+  return {
+    ...row,
+    filterData: JSON.parse(filter.filter_data || '{}'),
+    boardId: filter.board_id,
+    shared: Boolean(filter.shared),
+    pinned: Boolean(filter.pinned),
+    view: filter.view_settings ? JSON.parse(filter.view_settings) : null,
+    createdBy: { id: filter.user_id, name: createdByName || 'Unknown user' },
+    isMine,
+    canEdit: isMine || (Boolean(filter.shared) && managesBoard)
+  }
+}
+
+// Filters with their creator and the requesting user's access to their board (user ID is the first parameter)
+const FILTER_SELECT = `SELECT f.*, u.name AS created_by_name, b.owner_id AS board_owner_id, bs.permission AS board_permission
+  FROM saved_filters f
+  LEFT JOIN users u ON u.id = f.user_id
+  LEFT JOIN boards b ON b.id = f.board_id
+  LEFT JOIN board_sharing bs ON bs.board_id = f.board_id AND bs.user_id = ?`
+
+/**
+ * Loads one filter the user can see
+ * @returns {Promise<Object|null>} Filter row, or null if it does not exist or is not visible
+ */
+const getVisibleFilter = async (id, userId) => {
+  const filter = await dbGet(`${FILTER_SELECT} WHERE f.id = ?`, [userId, id])
+  if (!filter) return null
+  if (!filter.board_id) return filter.user_id === userId ? filter : null
+
+  const access = await getBoardAccess(filter.board_id, userId)
+  if (!access) return null
+  return filter.user_id === userId || filter.shared ? filter : null
+}
+
+/**
+ * Tells the board's members that its shared filters changed
+ */
+const notifyBoard = (boardId, type, payload, req) => {
+  if (boardId) broadcast(boardId, type, payload, req)
+}
+
+/**
+ * Get the user's filters and the filters shared on boards they can access
+ * GET /api/filters?boardId=xxx (with a board: personal filters without a board and that board's filters)
+ */
 router.get('/', async (req, res, next) => {
   try {
+    const { boardId } = req.query
+    const params = [req.user.id, req.user.id, req.user.id, req.user.id]
+    let boardFilter = ''
+    if (boardId) {
+      boardFilter = 'AND (f.board_id IS NULL OR f.board_id = ?)'
+      params.push(boardId)
+    }
+
     const filters = await dbAll(
-      'SELECT * FROM saved_filters WHERE user_id = ? ORDER BY created_at DESC',
-      [req.user.id]
+      `${FILTER_SELECT}
+       WHERE ((f.board_id IS NULL AND f.user_id = ?)
+         OR (b.deleted_at IS NULL AND (b.owner_id = ? OR bs.user_id IS NOT NULL) AND (f.user_id = ? OR f.shared = 1)))
+       ${boardFilter}
+       ORDER BY f.created_at DESC`,
+      params
     )
 
-    res.json(filters.map(f => ({
-      ...f,
-      filterData: JSON.parse(f.filter_data || '{}')
-    })))
+    res.json(filters.map(filter => formatFilter(filter, req.user.id)))
   } catch (error) {
     next(error)
   }
 })
 
+/**
+ * Create a filter, optionally scoped to a board, shared and pinned as a view
+ * POST /api/filters
+ * Body: { name, description, filterData, query, boardId, shared, pinned, view: { groupBy, visibleColumns } }
+ */
 router.post('/', async (req, res, next) => {
   try {
-    const { name, description, filterData } = req.body
+    const { name, description, filterData, query, boardId } = req.body
+    const shared = Boolean(req.body.shared)
+    const pinned = Boolean(req.body.pinned)
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Filter name is required' })
+    }
+    if ((shared || pinned) && !boardId) {
+      return res.status(400).json({ error: 'Only filters on a board can be shared or pinned' })
+    }
+
+    const { view, error } = parseViewSettings(req.body.view)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    if (boardId) {
+      const access = await getBoardAccess(boardId, req.user.id)
+      if (!access) {
+        return res.status(404).json({ error: 'Board not found' })
+      }
+      if (shared && !access.canEdit) {
+        return res.status(403).json({ error: 'Only editors can share filters with the board' })
+      }
+    }
+
     const id = `filter-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
 
     await dbRun(
-      `INSERT INTO saved_filters (id, user_id, name, description, filter_data)
-       VALUES (?, ?, ?, ?, ?)`,
-      [id, req.user.id, name, description || null, JSON.stringify(filterData || {})]
+      `INSERT INTO saved_filters (id, user_id, name, description, filter_data, query, board_id, shared, pinned, view_settings)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id, req.user.id, name.trim(), description || null, JSON.stringify(filterData || {}), query || null,
+        boardId || null, shared ? 1 : 0, pinned ? 1 : 0, view ? JSON.stringify(view) : null
+      ]
     )
 
-    const filter = await dbGet('SELECT * FROM saved_filters WHERE id = ?', [id])
+    const filter = await dbGet(`${FILTER_SELECT} WHERE f.id = ?`, [req.user.id, id])
+    if (shared) notifyBoard(boardId, 'filter:updated', { filterId: id }, req)
 
-    res.status(201).json({
-      ...filter,
-      filterData: JSON.parse(filter.filter_data)
-    })
+    res.status(201).json(formatFilter(filter, req.user.id))
   } catch (error) {
     next(error)
   }
 })
 
+/**
+ * Update a filter
+ * PUT /api/filters/:id
+ * Body: any of { name, description, filterData, query, shared, pinned, view }
+ */
 router.put('/:id', async (req, res, next) => {
   try {
     const { id } = req.params
-    const { name, description, filterData } = req.body
+    const { name, description, filterData, query, shared, pinned } = req.body
+
+    const existing = await getVisibleFilter(id, req.user.id)
+    if (!existing) {
+      return res.status(404).json({ error: 'Filter not found' })
+    }
+    const current = formatFilter(existing, req.user.id)
+    if (!current.canEdit) {
+      return res.status(403).json({ error: 'Only the creator or the board owner can change this filter' })
+    }
+
+    if ((shared || pinned) && !existing.board_id) {
+      return res.status(400).json({ error: 'Only filters on a board can be shared or pinned' })
+    }
+    if (shared !== undefined && Boolean(shared) !== current.shared) {
+      const access = await getBoardAccess(existing.board_id, req.user.id)
+      if (!access.canEdit) {
+        return res.status(403).json({ error: 'Only editors can share filters with the board' })
+      }
+    }
 
     const updates = []
     const values = []
 
     if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return res.status(400).json({ error: 'Filter name is required' })
+      }
       updates.push('name = ?')
-      values.push(name)
+      values.push(name.trim())
     }
     if (description !== undefined) {
       updates.push('description = ?')
@@ -68,28 +242,63 @@ router.put('/:id', async (req, res, next) => {
       updates.push('filter_data = ?')
       values.push(JSON.stringify(filterData))
     }
+    if (query !== undefined) {
+      updates.push('query = ?')
+      values.push(query || null)
+    }
+    if (shared !== undefined) {
+      updates.push('shared = ?')
+      values.push(shared ? 1 : 0)
+    }
+    if (pinned !== undefined) {
+      updates.push('pinned = ?')
+      values.push(pinned ? 1 : 0)
+    }
+    if (req.body.view !== undefined) {
+      const { view, error } = parseViewSettings(req.body.view)
+      if (error) {
+        return res.status(400).json({ error })
+      }
+      updates.push('view_settings = ?')
+      values.push(view ? JSON.stringify(view) : null)
+    }
 
     if (updates.length > 0) {
       updates.push('updated_at = CURRENT_TIMESTAMP')
       values.push(id)
-      await dbRun(`UPDATE saved_filters SET ${updates.join(', ')} WHERE id = ? AND user_id = ?`, [...values, req.user.id])
+      await dbRun(`UPDATE saved_filters SET ${updates.join(', ')} WHERE id = ?`, values)
     }
 
-    const filter = await dbGet('SELECT * FROM saved_filters WHERE id = ? AND user_id = ?', [id, req.user.id])
+    const filter = await dbGet(`${FILTER_SELECT} WHERE f.id = ?`, [req.user.id, id])
+
+    // Members see shared views appear, change and disappear (when unshared)
+    if (current.shared || filter.shared) notifyBoard(filter.board_id, 'filter:updated', { filterId: id }, req)
 
-    res.json({
-      ...filter,
-      filterData: JSON.parse(filter.filter_data)
-    })
+    res.json(formatFilter(filter, req.user.id))
   } catch (error) {
     next(error)
   }
 })
 
+/**
+ * Delete a filter
+ * DELETE /api/filters/:id
+ */
 router.delete('/:id', async (req, res, next) => {
   try {
     const { id } = req.params
-    await dbRun('DELETE FROM saved_filters WHERE id = ? AND user_id = ?', [id, req.user.id])
+
+    const existing = await getVisibleFilter(id, req.user.id)
+    if (!existing) {
+      return res.status(404).json({ error: 'Filter not found' })
+    }
+    if (!formatFilter(existing, req.user.id).canEdit) {
+      return res.status(403).json({ error: 'Only the creator or the board owner can delete this filter' })
+    }
+
+    await dbRun('DELETE FROM saved_filters WHERE id = ?', [id])
+    if (existing.shared) notifyBoard(existing.board_id, 'filter:deleted', { filterId: id }, req)
+
     res.json({ message: 'Filter deleted' })
   } catch (error) {
     next(error)
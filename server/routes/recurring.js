@@ -1,77 +1,177 @@
 /**
  * Recurring Tasks Routes
+ * Every template belongs to a board: anyone who can see the board can list its templates, and
+ * editors can create, change and delete them. The scheduler creates the tasks on behalf of the
+ * template's creator (user_id), as long as they can still edit the board.
  */
 
 import express from 'express'
 import { dbGet, dbRun, dbAll } from '../config/database.js'
 import { authenticateToken } from '../middleware/auth.js'
+import { validateRecurrence, normalizeRecurrence } from '../utils/recurrence.js'
+import { isBoardColumn } from '../utils/wipLimits.js'
 
 const router = express.Router()
 
+/**
+ * Loads a board and the user's access to it
+ * @returns {Promise<Object|null>} { board, canEdit } or null if the user cannot see the board
+ */
+const getBoardAccess = async (boardId, userId) => {
+  const board = await dbGet('SELECT id, owner_id, columns FROM boards WHERE id = ? AND deleted_at IS NULL', [boardId])
+  if (!board) return null
+
+  const sharing = await dbGet(
+    'SELECT permission FROM board_sharing WHERE board_id = ? AND user_id = ?',
+    [boardId, userId]
+  )
+  if (board.owner_id !== userId && !sharing) return null
+
+  return {
+    board,
+    canEdit: board.owner_id === userId || ['editor', 'owner'].includes(sharing.permission)
+  }
+}
+
+/**
+ * Loads a template the user may change (templates without a board are read-only)
+ * @returns {Promise<Object>} { template, board } or { status, error }
+ */
+const getEditableTemplate = async (templateId, userId) => {
+  const template = await dbGet('SELECT * FROM recurring_tasks WHERE id = ?', [templateId])
+  const access = template?.board_id ? await getBoardAccess(template.board_id, userId) : null
+  if (!access) {
+    return { status: 404, error: 'Recurring task template not found' }
+  }
+  if (!access.canEdit) {
+    return { status: 403, error: 'You do not have permission to change recurring tasks on this board' }
+  }
+  return { template, board: access.board }
+}
+
+/**
+ * Checks the column generated tasks go into
+ * @returns {string|null} Error message, or null if the column exists
+ */
+const validateTemplateColumn = (board, taskTemplate) => {
+  if (taskTemplate?.status && !isBoardColumn(board, taskTemplate.status)) {
+    return `Unknown column "${taskTemplate.status}"`
+  }
+  return null
+}
+
+/**
+ * Converts a template row to the API shape
+ * last_generated and occurrence_count are kept up to date by services/recurringScheduler.js
+ */
+const formatTemplate = (template) => ({
+  ...template,
+  enabled: template.enabled === 1,
+  taskTemplate: JSON.parse(template.task_template || '{}'),
+  recurrence: JSON.parse(template.recurrence || '{}'),
+  lastGenerated: template.last_generated,
+  occurrenceCount: template.occurrence_count || 0
+})
+
 router.use(authenticateToken)
 
+/**
+ * Get the recurring templates of a board
+ * GET /api/recurring?boardId=xxx
+ */
 router.get('/', async (req, res, next) => {
   try {
     const { boardId } = req.query
-    let query = 'SELECT * FROM recurring_tasks WHERE 1=1'
-    const params = []
-
-    if (boardId) {
-      query += ' AND (board_id = ? OR board_id IS NULL)'
-      params.push(boardId)
+    if (!boardId) {
+      return res.status(400).json({ error: 'boardId query parameter is required' })
+    }
+    if (!(await getBoardAccess(boardId, req.user.id))) {
+      return res.status(404).json({ error: 'Board not found' })
     }
 
-    query += ' ORDER BY created_at DESC'
-
-    const templates = await dbAll(query, params)
+    const templates = await dbAll(
+      'SELECT * FROM recurring_tasks WHERE board_id = ? ORDER BY created_at DESC',
+      [boardId]
+    )
 
-    res.json(templates.map(t => ({
-      ...t,
-      enabled: t.enabled === 1,
-      taskTemplate: JSON.parse(t.task_template || '{}'),
-      recurrence: JSON.parse(t.recurrence || '{}')
-    })))
+    res.json(templates.map(formatTemplate))
   } catch (error) {
     next(error)
   }
 })
 
+/**
+ * Create a recurring template for a board the user can edit
+ * POST /api/recurring
+ */
 router.post('/', async (req, res, next) => {
   try {
     const { name, enabled, boardId, taskTemplate, recurrence } = req.body
+
+    if (!boardId) {
+      return res.status(400).json({ error: 'boardId is required' })
+    }
+    const access = await getBoardAccess(boardId, req.user.id)
+    if (!access) {
+      return res.status(404).json({ error: 'Board not found' })
+    }
+    if (!access.canEdit) {
+      return res.status(403).json({ error: 'You do not have permission to change recurring tasks on this board' })
+    }
+
+    const validationError = validateRecurrence(recurrence || {}) || validateTemplateColumn(access.board, taskTemplate)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
     const id = `recurring-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
 
     await dbRun(
-      `INSERT INTO recurring_tasks (id, board_id, name, enabled, task_template, recurrence)
-       VALUES (?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO recurring_tasks (id, board_id, user_id, name, enabled, task_template, recurrence)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
       [
-        id, boardId || null, name, enabled ? 1 : 0,
+        id, boardId, req.user.id, name, enabled ? 1 : 0,
         JSON.stringify(taskTemplate || {}),
-        JSON.stringify(recurrence || {})
+        JSON.stringify(normalizeRecurrence(recurrence))
       ]
     )
 
     const template = await dbGet('SELECT * FROM recurring_tasks WHERE id = ?', [id])
 
-    res.status(201).json({
-      ...template,
-      enabled: template.enabled === 1,
-      taskTemplate: JSON.parse(template.task_template),
-      recurrence: JSON.parse(template.recurrence)
-    })
+    res.status(201).json(formatTemplate(template))
   } catch (error) {
     next(error)
   }
 })
 
+/**
+ * Update a recurring template
+ * PUT /api/recurring/:id
+ * Templates saved before they had a creator are claimed by the editor who saves them.
+ */
 router.put('/:id', async (req, res, next) => {
   try {
     const { id } = req.params
     const { name, enabled, taskTemplate, recurrence } = req.body
 
+    const { status, error, template: existing, board } = await getEditableTemplate(id, req.user.id)
+    if (error) {
+      return res.status(status).json({ error })
+    }
+
+    const validationError = (recurrence !== undefined && validateRecurrence(recurrence)) ||
+      validateTemplateColumn(board, taskTemplate)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
     const updates = []
     const values = []
 
+    if (!existing.user_id) {
+      updates.push('user_id = ?')
+      values.push(req.user.id)
+    }
     if (name !== undefined) {
       updates.push('name = ?')
       values.push(name)
@@ -86,7 +186,7 @@ router.put('/:id', async (req, res, next) => {
     }
     if (recurrence !== undefined) {
       updates.push('recurrence = ?')
-      values.push(JSON.stringify(recurrence))
+      values.push(JSON.stringify(normalizeRecurrence(recurrence)))
     }
 
     if (updates.length > 0) {
@@ -97,20 +197,25 @@ router.put('/:id', async (req, res, next) => {
 
     const template = await dbGet('SELECT * FROM recurring_tasks WHERE id = ?', [id])
 
-    res.json({
-      ...template,
-      enabled: template.enabled === 1,
-      taskTemplate: JSON.parse(template.task_template),
-      recurrence: JSON.parse(template.recurrence)
-    })
+    res.json(formatTemplate(template))
   } catch (error) {
     next(error)
   }
 })
 
+/**
+ * Delete a recurring template
+ * DELETE /api/recurring/:id
+ */
 router.delete('/:id', async (req, res, next) => {
   try {
     const { id } = req.params
+
+    const { status, error } = await getEditableTemplate(id, req.user.id)
+    if (error) {
+      return res.status(status).json({ error })
+    }
+
     await dbRun('DELETE FROM recurring_tasks WHERE id = ?', [id])
     res.json({ message: 'Recurring task template deleted' })
   } catch (error) {
@@ -0,0 +1,96 @@
+/**
+ * Search Routes
+ * Full-text search over tasks of every board the user can access (SQLite FTS5, see config/database.js)
+ */
+
+import express from 'express'
+import { dbAll } from '../config/database.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { buildMatchQuery, toSegments, MATCH_START, MATCH_END } from '../utils/fullTextSearch.js'
+
+const router = express.Router()
+
+// Results returned when no limit is given, and the most a request may ask for
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 50
+
+// bm25() column weights: task_id, board_id, title, description, comments, subtasks, custom_fields
+const COLUMN_WEIGHTS = [0, 0, 10, 4, 2, 2, 1]
+
+// All routes require authentication
+router.use(authenticateToken)
+
+/**
+ * Search tasks by title, description, comments, subtasks and custom field values
+ * Best matches first; archived tasks are included and flagged. Trashed tasks and boards are not.
+ * GET /api/search?q=text&boardId=xxx&limit=20
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { q, boardId } = req.query
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+
+    const match = buildMatchQuery(q)
+    if (!match) {
+      return res.json({ query: q || '', results: [] })
+    }
+
+    const params = [MATCH_START, MATCH_END, MATCH_START, MATCH_END, match, req.user.id, req.user.id]
+    let boardFilter = ''
+    if (boardId) {
+      boardFilter = 'AND t.board_id = ?'
+      params.push(boardId)
+    }
+    // Personal access tokens never see boards that require two-factor authentication
+    if (req.user.accessToken) {
+      boardFilter += ' AND b.require_two_factor = 0'
+    }
+
+    const rows = await dbAll(
+      `SELECT t.id, t.title, t.status, t.priority, t.due_date, t.archived_at, t.board_id,
+       b.name AS board_name, b.columns AS board_columns,
+       highlight(task_search, 2, ?, ?) AS title_highlight,
+       snippet(task_search, -1, ?, ?, '…', 16) AS snippet,
+       bm25(task_search, ${COLUMN_WEIGHTS.join(', ')}) AS rank
+       FROM task_search
+       INNER JOIN tasks t ON t.id = task_search.task_id
+       INNER JOIN boards b ON b.id = t.board_id
+       WHERE task_search MATCH ?
+       AND t.deleted_at IS NULL AND b.deleted_at IS NULL
+       AND (b.owner_id = ? OR b.id IN (SELECT board_id FROM board_sharing WHERE user_id = ?))
+       ${boardFilter}
+       ORDER BY rank
+       LIMIT ?`,
+      [...params, limit]
+    )
+
+    res.json({
+      query: q,
+      results: rows.map(row => {
+        const column = JSON.parse(row.board_columns || '[]').find(c => c.id === row.status)
+        return {
+          taskId: row.id,
+          title: row.title,
+          titleSegments: toSegments(row.title_highlight),
+          snippet: toSegments(row.snippet),
+          status: row.status,
+          statusTitle: column ? column.title : row.status,
+          priority: row.priority,
+          dueDate: row.due_date,
+          archived: Boolean(row.archived_at),
+          boardId: row.board_id,
+          boardName: row.board_name,
+          score: -row.rank
+        }
+      })
+    })
+  } catch (error) {
+    // A query FTS5 still cannot parse is a bad request, not a server error
+    if (/fts5/i.test(error.message)) {
+      return res.status(400).json({ error: 'Invalid search query' })
+    }
+    next(error)
+  }
+})
+
+export default router
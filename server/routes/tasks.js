@@ -4,22 +4,121 @@
  */
 
 import express from 'express'
-import { dbGet, dbRun, dbAll } from '../config/database.js'
+import { dbGet, dbRun, dbAll, dbExecute, withTransaction } from '../config/database.js'
 import { authenticateToken } from '../middleware/auth.js'
 import { body, validationResult } from 'express-validator'
+import { runAutomations } from '../services/automationEngine.js'
+import { broadcast } from '../services/realtime.js'
+import { getExpectedVersion, getConflictStatus, toEtag } from '../utils/concurrency.js'
+import { positionAtTop, positionBetween } from '../utils/taskPositions.js'
+import { checkWipLimit, recordWipBreach, isBoardColumn } from '../utils/wipLimits.js'
+import { formatTask, formatTasks } from '../utils/taskFormat.js'
+import { getActiveTask, softDeleteTask, archiveTask } from '../utils/taskRows.js'
+import { recordOperation } from '../services/operationLog.js'
+import { isValidDate, isValidDateRange, getDayDelta, shiftDate, getSuccessorShifts } from '../utils/taskSchedule.js'
+import { validateDependencies, getTaskDependencies } from '../utils/taskDependencies.js'
 
 const router = express.Router()
 
+/**
+ * Adds the soft WIP limit warning (if any) to a task response
+ */
+const withWipWarning = (task, wip) => (
+  wip && wip.outcome === 'warned' ? { ...task, wipWarning: wip.message } : task
+)
+
+// Operations accepted by POST /api/tasks/batch
+const BATCH_OPERATIONS = ['move', 'set', 'assign', 'delete', 'archive', 'add-label']
+
+// Fields a batch "set" operation may change (client name -> column)
+const BATCH_SET_FIELDS = {
+  priority: 'priority',
+  category: 'category',
+  dueDate: 'due_date',
+  timeEstimate: 'time_estimate',
+  timeSpent: 'time_spent'
+}
+
+// Task priorities (the values of the task form's priority select)
+const TASK_PRIORITIES = ['low', 'medium', 'high']
+
+// Fields a reorder may change along with the position, when a card is dropped into another
+// swimlane (client name -> column)
+const REORDER_FIELDS = {
+  assignedTo: 'assigned_to',
+  priority: 'priority',
+  category: 'category',
+  customFields: 'custom_fields'
+}
+
+// Most task changes (operations x tasks) one batch request may make
+const MAX_BATCH_ITEMS = 500
+
+/**
+ * Checks the value a batch "set" operation writes to a field (null clears it)
+ * Due dates are also checked against each task's start date when the operation is applied.
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+const validateBatchValue = (field, value) => {
+  if (field === 'priority' && !TASK_PRIORITIES.includes(value)) {
+    return `priority must be one of ${TASK_PRIORITIES.join(', ')}`
+  }
+  if (field === 'category' && value !== null && typeof value !== 'string') {
+    return 'category must be a string or null'
+  }
+  if (field === 'dueDate' && !isValidDate(value)) {
+    return 'dueDate must be an ISO date or null'
+  }
+  if (['timeEstimate', 'timeSpent'].includes(field) && value !== null &&
+    !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+    return `${field} must be a number of hours (0 or more) or null`
+  }
+  return null
+}
+
+/**
+ * Checks the shape of one batch operation
+ * @param {Object} operation - { type, taskIds, ... }
+ * @returns {string|null} Error message, or null if the operation is valid
+ */
+const validateBatchOperation = (operation) => {
+  if (!operation || !BATCH_OPERATIONS.includes(operation.type)) {
+    return `type must be one of ${BATCH_OPERATIONS.join(', ')}`
+  }
+  if (!Array.isArray(operation.taskIds) || operation.taskIds.length === 0 ||
+    operation.taskIds.some(id => typeof id !== 'string')) {
+    return 'taskIds must be a non-empty array of task IDs'
+  }
+  if (operation.type === 'move' && !operation.status) {
+    return 'status is required'
+  }
+  if (operation.type === 'set') {
+    if (!BATCH_SET_FIELDS[operation.field]) {
+      return `field must be one of ${Object.keys(BATCH_SET_FIELDS).join(', ')}`
+    }
+    const message = validateBatchValue(operation.field, operation.value ?? null)
+    if (message) return message
+  }
+  if (operation.type === 'assign' && operation.userId !== null && typeof operation.userId !== 'string') {
+    return 'userId must be a user ID or null'
+  }
+  if (operation.type === 'add-label' && !(typeof operation.label === 'string' && operation.label.trim())) {
+    return 'label is required'
+  }
+  return null
+}
+
 // All routes require authentication
 router.use(authenticateToken)
 
 /**
  * Get all tasks for a board
- * GET /api/tasks?boardId=xxx
+ * Archived tasks are left out unless archived=include (all tasks) or archived=only is passed
+ * GET /api/tasks?boardId=xxx&archived=include|only
  */
 router.get('/', async (req, res, next) => {
   try {
-    const { boardId } = req.query
+    const { boardId, archived } = req.query
 
     if (!boardId) {
       return res.status(400).json({ error: 'boardId query parameter is required' })
@@ -27,7 +126,7 @@ router.get('/', async (req, res, next) => {
 
     // Check board access
     const board = await dbGet(
-      `SELECT owner_id FROM boards WHERE id = ?`,
+      `SELECT owner_id FROM boards WHERE id = ? AND deleted_at IS NULL`,
       [boardId]
     )
 
@@ -45,18 +144,18 @@ router.get('/', async (req, res, next) => {
       return res.status(403).json({ error: 'Access denied' })
     }
 
+    const archivedFilter = {
+      include: '',
+      only: 'AND archived_at IS NOT NULL'
+    }[archived] ?? 'AND archived_at IS NULL'
+
     const tasks = await dbAll(
-      'SELECT * FROM tasks WHERE board_id = ? ORDER BY created_at DESC',
+      `SELECT * FROM tasks WHERE board_id = ? AND deleted_at IS NULL ${archivedFilter}
+       ORDER BY position, created_at DESC`,
       [boardId]
     )
 
-    res.json(tasks.map(task => ({
-      ...task,
-      subtasks: task.subtasks ? JSON.parse(task.subtasks) : [],
-      dependencies: task.dependencies ? JSON.parse(task.dependencies) : [],
-      comments: task.comments ? JSON.parse(task.comments) : [],
-      customFields: task.custom_fields ? JSON.parse(task.custom_fields) : {}
-    })))
+    res.json(await formatTasks(tasks))
   } catch (error) {
     next(error)
   }
@@ -70,7 +169,7 @@ router.get('/:id', async (req, res, next) => {
   try {
     const { id } = req.params
 
-    const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [id])
+    const task = await getActiveTask(id)
 
     if (!task) {
       return res.status(404).json({ error: 'Task not found' })
@@ -85,13 +184,8 @@ router.get('/:id', async (req, res, next) => {
       return res.status(403).json({ error: 'Access denied' })
     }
 
-    res.json({
-      ...task,
-      subtasks: task.subtasks ? JSON.parse(task.subtasks) : [],
-      dependencies: task.dependencies ? JSON.parse(task.dependencies) : [],
-      comments: task.comments ? JSON.parse(task.comments) : [],
-      customFields: task.custom_fields ? JSON.parse(task.custom_fields) : {}
-    })
+    res.set('ETag', toEtag(task.version))
+    res.json(await formatTask(task))
   } catch (error) {
     next(error)
   }
@@ -115,12 +209,16 @@ router.post('/',
 
       const {
         boardId, title, description, status, priority, category,
-        dueDate, assignedTo, timeEstimate, timeSpent,
-        subtasks, dependencies, comments, customFields
+        startDate, dueDate, assignedTo, timeEstimate, timeSpent,
+        subtasks, dependencies, labels, customFields, overrideWip
       } = req.body
 
+      if (!isValidDateRange(startDate, dueDate)) {
+        return res.status(400).json({ error: 'Start date must be on or before the due date' })
+      }
+
       // Check board access and permission
-      const board = await dbGet('SELECT owner_id FROM boards WHERE id = ?', [boardId])
+      const board = await dbGet('SELECT id, owner_id, columns FROM boards WHERE id = ? AND deleted_at IS NULL', [boardId])
       if (!board) {
         return res.status(404).json({ error: 'Board not found' })
       }
@@ -137,51 +235,307 @@ router.post('/',
         return res.status(403).json({ error: 'Permission denied' })
       }
 
-      const taskId = `task-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+      let links = []
+      if (dependencies) {
+        const boardTasks = await dbAll('SELECT id, dependencies FROM tasks WHERE board_id = ? AND deleted_at IS NULL', [boardId])
+        const result = validateDependencies(null, dependencies, boardTasks)
+        if (result.error) {
+          return res.status(400).json({ error: result.error })
+        }
+        links = result.dependencies
+      }
 
-      await dbRun(
-        `INSERT INTO tasks (
-          id, board_id, title, description, status, priority, category,
-          due_date, assigned_to, time_estimate, time_spent,
-          subtasks, dependencies, comments, custom_fields
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          taskId, boardId, title, description || null, status || 'todo',
-          priority || 'medium', category || null, dueDate || null,
-          assignedTo || null, timeEstimate || null, timeSpent || null,
-          JSON.stringify(subtasks || []),
-          JSON.stringify(dependencies || []),
-          JSON.stringify(comments || []),
-          JSON.stringify(customFields || {})
-        ]
-      )
+      if (status !== undefined && !isBoardColumn(board, status)) {
+        return res.status(400).json({ error: `Unknown column "${status}"` })
+      }
 
-      // Log activity
-      await dbRun(
-        `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          `activity-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-          boardId, req.user.id, req.user.name || 'User',
-          'created', 'task', taskId, title
-        ]
-      )
+      const taskId = `task-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
 
-      const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [taskId])
+      // Enforce the column's WIP limit (board owners may override hard limits). The count and the
+      // insert share a transaction, so concurrent requests cannot both take the last free spot.
+      const isOwner = board.owner_id === req.user.id || sharing?.permission === 'owner'
+      const wip = await withTransaction(async () => {
+        const result = await checkWipLimit({ board, status: status || 'todo', isOwner, override: overrideWip === true })
+        if (!result.allowed) return result
+
+        // New cards go to the top of their column
+        const position = await positionAtTop(boardId, status || 'todo')
+
+        await dbRun(
+          `INSERT INTO tasks (
+            id, board_id, title, description, status, priority, category,
+            start_date, due_date, assigned_to, time_estimate, time_spent,
+            subtasks, dependencies, labels, comments, custom_fields, position
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            taskId, boardId, title, description || null, status || 'todo',
+            priority || 'medium', category || null, startDate || null, dueDate || null,
+            assignedTo || null, timeEstimate || null, timeSpent || null,
+            JSON.stringify(subtasks || []),
+            JSON.stringify(links),
+            JSON.stringify(labels || []),
+            '[]',
+            JSON.stringify(customFields || {}),
+            position
+          ]
+        )
+
+        // Log activity
+        await dbRun(
+          `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            `activity-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            boardId, req.user.id, req.user.name || 'User',
+            'created', 'task', taskId, title
+          ]
+        )
+
+        if (result.outcome) {
+          await recordWipBreach({ boardId, user: req.user, taskId, taskTitle: title, result })
+        }
+        return result
+      })
+      if (!wip.allowed) {
+        return res.status(409).json({ error: wip.message, wipLimit: wip.breach, canOverride: isOwner })
+      }
 
-      res.status(201).json({
-        ...task,
-        subtasks: task.subtasks ? JSON.parse(task.subtasks) : [],
-        dependencies: task.dependencies ? JSON.parse(task.dependencies) : [],
-        comments: task.comments ? JSON.parse(task.comments) : [],
-        customFields: task.custom_fields ? JSON.parse(task.custom_fields) : {}
+      const createdTask = await dbGet('SELECT * FROM tasks WHERE id = ?', [taskId])
+
+      // Run server-side automation rules
+      const automationChanges = []
+      const task = await runAutomations({ event: 'created', task: createdTask, user: req.user, history: automationChanges })
+      await recordOperation({
+        boardId,
+        userId: req.user.id,
+        changes: [{ type: 'create', before: null, after: task }, ...automationChanges]
       })
+
+      const formattedTask = await formatTask(task)
+      broadcast(boardId, 'task:created', { task: formattedTask }, req)
+
+      res.status(201).json(withWipWarning(formattedTask, wip))
     } catch (error) {
       next(error)
     }
   }
 )
 
+/**
+ * Apply bulk changes to many tasks
+ * POST /api/tasks/batch
+ * Body: { operations: [{ type, taskIds, ... }], overrideWip }
+ *   move      - { status }: move to a column (top of the column)
+ *   set       - { field, value }: set priority, category, dueDate, timeEstimate or timeSpent
+ *   assign    - { userId }: assign to a board member (null to unassign)
+ *   delete    - {}: move the tasks to the trash
+ *   archive   - {}: move the tasks to the archive
+ *   add-label - { label }: add a label
+ *
+ * Operations run in order inside one transaction. Tasks the user may not edit (or that a hard
+ * WIP limit keeps out of a column, that would get a due date before their start date, or whose
+ * board the assignee is not a member of) are skipped and reported in the per-item results; the
+ * rest are applied. Each board gets one grouped activity entry and a single undo step.
+ */
+router.post('/batch', async (req, res, next) => {
+  try {
+    const { operations, overrideWip } = req.body
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({ error: 'operations must be a non-empty array' })
+    }
+
+    for (const [index, operation] of operations.entries()) {
+      const message = validateBatchOperation(operation)
+      if (message) {
+        return res.status(400).json({ error: `Operation ${index}: ${message}` })
+      }
+    }
+
+    const itemCount = operations.reduce((sum, operation) => sum + operation.taskIds.length, 0)
+    if (itemCount > MAX_BATCH_ITEMS) {
+      return res.status(400).json({ error: `A batch may change at most ${MAX_BATCH_ITEMS} tasks` })
+    }
+
+    const results = []
+    const previousTasks = new Map() // task ID -> row before the batch, for changed tasks
+    const deletedTasks = new Map() // task ID -> deleted row
+    const archivedTaskIds = new Set()
+    const boardChanges = new Map() // board ID -> { board, taskIds, operations }
+
+    await withTransaction(async () => {
+      // Board permissions, loaded once per board
+      const access = new Map()
+      const getAccess = async (boardId) => {
+        if (!access.has(boardId)) {
+          const board = await dbGet('SELECT id, name, owner_id, columns FROM boards WHERE id = ?', [boardId])
+          const sharing = await dbGet(
+            'SELECT permission FROM board_sharing WHERE board_id = ? AND user_id = ?',
+            [boardId, req.user.id]
+          )
+          const members = await dbAll('SELECT user_id FROM board_sharing WHERE board_id = ?', [boardId])
+          access.set(boardId, {
+            board,
+            canEdit: board.owner_id === req.user.id || (sharing && ['editor', 'owner'].includes(sharing.permission)),
+            isOwner: board.owner_id === req.user.id || sharing?.permission === 'owner',
+            memberIds: [board.owner_id, ...members.map(member => member.user_id)]
+          })
+        }
+        return access.get(boardId)
+      }
+
+      for (const [index, operation] of operations.entries()) {
+        for (const taskId of operation.taskIds) {
+          const fail = (status, error) => results.push({ operation: index, taskId, ok: false, status, error })
+
+          // Re-read each time: earlier operations of the batch may have changed or deleted the task
+          const task = await getActiveTask(taskId)
+          if (!task) {
+            fail(404, 'Task not found')
+            continue
+          }
+
+          const { board, canEdit, isOwner, memberIds } = await getAccess(task.board_id)
+          if (!canEdit) {
+            fail(403, 'Permission denied')
+            continue
+          }
+
+          if (operation.type === 'move' && operation.status !== task.status) {
+            if (!isBoardColumn(board, operation.status)) {
+              fail(400, `Unknown column "${operation.status}"`)
+              continue
+            }
+            const wip = await checkWipLimit({ board, status: operation.status, isOwner, override: overrideWip === true })
+            if (!wip.allowed) {
+              fail(409, wip.message)
+              continue
+            }
+
+            await dbRun(
+              `UPDATE tasks SET status = ?, position = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+               WHERE id = ?`,
+              [operation.status, await positionAtTop(task.board_id, operation.status), taskId]
+            )
+
+            if (wip.outcome) {
+              await recordWipBreach({ boardId: task.board_id, user: req.user, taskId, taskTitle: task.title, result: wip })
+            }
+          } else if (operation.type === 'set' || operation.type === 'assign') {
+            if (operation.type === 'set' && operation.field === 'dueDate' &&
+              !isValidDateRange(task.start_date, operation.value ?? null)) {
+              fail(400, 'Start date must be on or before the due date')
+              continue
+            }
+            if (operation.type === 'assign' && operation.userId !== null && !memberIds.includes(operation.userId)) {
+              fail(400, 'User is not a member of this board')
+              continue
+            }
+
+            const column = operation.type === 'set' ? BATCH_SET_FIELDS[operation.field] : 'assigned_to'
+            const value = operation.type === 'set' ? operation.value : operation.userId
+            await dbRun(
+              `UPDATE tasks SET ${column} = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+              [value ?? null, taskId]
+            )
+          } else if (operation.type === 'add-label') {
+            const labels = task.labels ? JSON.parse(task.labels) : []
+            const label = operation.label.trim()
+            if (!labels.includes(label)) {
+              await dbRun(
+                'UPDATE tasks SET labels = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [JSON.stringify([...labels, label]), taskId]
+              )
+            }
+          } else if (operation.type === 'delete') {
+            await softDeleteTask(taskId, req.user.id)
+            deletedTasks.set(taskId, previousTasks.get(taskId) || task)
+          } else if (operation.type === 'archive') {
+            if (!task.archived_at) await archiveTask(taskId, req.user.id)
+            archivedTaskIds.add(taskId)
+          }
+
+          if (!previousTasks.has(taskId)) previousTasks.set(taskId, task)
+          results.push({ operation: index, taskId, ok: true })
+
+          if (!boardChanges.has(board.id)) {
+            boardChanges.set(board.id, { board, taskIds: new Set(), operations: new Set() })
+          }
+          boardChanges.get(board.id).taskIds.add(taskId)
+          boardChanges.get(board.id).operations.add(index)
+        }
+      }
+
+      // One grouped activity entry per board
+      for (const { board, taskIds, operations: applied } of boardChanges.values()) {
+        await dbRun(
+          `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name, metadata)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            `activity-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            board.id, req.user.id, req.user.name || 'User',
+            'bulk-updated', 'board', board.id, board.name,
+            JSON.stringify({
+              count: taskIds.size,
+              taskIds: [...taskIds],
+              operations: [...applied].map(index => {
+                const { type, status, field, value, userId, label } = operations[index]
+                return { type, status, field, value, userId, label }
+              })
+            })
+          ]
+        )
+      }
+    })
+
+    // Run server-side automation rules and notify other viewers
+    const tasks = []
+    const historyByBoard = new Map() // board ID -> undo step changes
+    for (const [taskId, previousTask] of previousTasks) {
+      if (!historyByBoard.has(previousTask.board_id)) historyByBoard.set(previousTask.board_id, [])
+      const history = historyByBoard.get(previousTask.board_id)
+
+      if (deletedTasks.has(taskId)) {
+        await runAutomations({ event: 'deleted', task: previousTask, user: req.user, history })
+        history.push({ type: 'delete', before: previousTask, after: await dbGet('SELECT * FROM tasks WHERE id = ?', [taskId]) })
+        broadcast(previousTask.board_id, 'task:deleted', { taskId }, req)
+        continue
+      }
+
+      const savedTask = await dbGet('SELECT * FROM tasks WHERE id = ?', [taskId])
+
+      // Archived tasks leave the board without firing automation rules
+      if (savedTask.archived_at) {
+        history.push({ type: 'update', before: previousTask, after: savedTask })
+        broadcast(previousTask.board_id, 'task:archived', { taskId }, req)
+        continue
+      }
+
+      const updatedTask = await runAutomations({ event: 'updated', task: savedTask, previousTask, user: req.user, history })
+      history.push({ type: updatedTask.status !== previousTask.status ? 'move' : 'update', before: previousTask, after: updatedTask })
+      const formattedTask = await formatTask(updatedTask)
+      broadcast(previousTask.board_id, 'task:updated', { task: formattedTask }, req)
+      tasks.push(formattedTask)
+    }
+
+    // The whole batch is a single undo step per board
+    for (const [boardId, changes] of historyByBoard) {
+      await recordOperation({ boardId, userId: req.user.id, changes })
+    }
+
+    res.json({
+      results,
+      succeeded: results.filter(result => result.ok).length,
+      failed: results.filter(result => !result.ok).length,
+      tasks,
+      deletedTaskIds: [...deletedTasks.keys()],
+      archivedTaskIds: [...archivedTaskIds]
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
 /**
  * Update task
  * PUT /api/tasks/:id
@@ -192,12 +546,12 @@ router.put('/:id', async (req, res, next) => {
     const updates = req.body
 
     // Get task and check access
-    const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [id])
+    const task = await getActiveTask(id)
     if (!task) {
       return res.status(404).json({ error: 'Task not found' })
     }
 
-    const board = await dbGet('SELECT owner_id FROM boards WHERE id = ?', [task.board_id])
+    const board = await dbGet('SELECT id, owner_id, columns FROM boards WHERE id = ?', [task.board_id])
     const sharing = await dbGet(
       'SELECT permission FROM board_sharing WHERE board_id = ? AND user_id = ?',
       [task.board_id, req.user.id]
@@ -210,6 +564,40 @@ router.put('/:id', async (req, res, next) => {
       return res.status(403).json({ error: 'Permission denied' })
     }
 
+    // Reject writes based on a stale copy of the task
+    const expectedVersion = getExpectedVersion(req)
+    if (expectedVersion !== null && expectedVersion !== task.version) {
+      return res.status(getConflictStatus(req)).json({
+        error: 'Task was modified by another user',
+        current: await formatTask(task)
+      })
+    }
+
+    const changesColumn = updates.status !== undefined && updates.status !== task.status
+    if (changesColumn && !isBoardColumn(board, updates.status)) {
+      return res.status(400).json({ error: `Unknown column "${updates.status}"` })
+    }
+
+    // Typed links are checked against the board's other tasks, including for cycles. Trashed tasks
+    // are included: clients send back every link on save, and links to them are kept.
+    if (updates.dependencies !== undefined) {
+      const boardTasks = await dbAll(
+        'SELECT id, dependencies, deleted_at FROM tasks WHERE board_id = ? AND id != ?',
+        [task.board_id, id]
+      )
+      const result = validateDependencies(id, updates.dependencies || [], boardTasks, getTaskDependencies(task))
+      if (result.error) {
+        return res.status(400).json({ error: result.error })
+      }
+      updates.dependencies = result.dependencies
+    }
+
+    const startDate = updates.startDate !== undefined ? updates.startDate : task.start_date
+    const dueDate = updates.dueDate !== undefined ? updates.dueDate : task.due_date
+    if (!isValidDateRange(startDate, dueDate)) {
+      return res.status(400).json({ error: 'Start date must be on or before the due date' })
+    }
+
     // Build update query
     const updateFields = []
     const values = []
@@ -220,19 +608,20 @@ router.put('/:id', async (req, res, next) => {
       status: 'status',
       priority: 'priority',
       category: 'category',
+      startDate: 'start_date',
       dueDate: 'due_date',
       assignedTo: 'assigned_to',
       timeEstimate: 'time_estimate',
       timeSpent: 'time_spent',
       subtasks: 'subtasks',
       dependencies: 'dependencies',
-      comments: 'comments',
+      labels: 'labels',
       customFields: 'custom_fields'
     }
 
     for (const [key, dbField] of Object.entries(fieldMap)) {
       if (updates[key] !== undefined) {
-        if (['subtasks', 'dependencies', 'comments', 'customFields'].includes(key)) {
+        if (['subtasks', 'dependencies', 'labels', 'customFields'].includes(key)) {
           updateFields.push(`${dbField} = ?`)
           values.push(JSON.stringify(updates[key]))
         } else {
@@ -246,34 +635,311 @@ router.put('/:id', async (req, res, next) => {
       return res.status(400).json({ error: 'No fields to update' })
     }
 
+    updateFields.push('version = version + 1')
     updateFields.push('updated_at = CURRENT_TIMESTAMP')
-    values.push(id)
 
-    await dbRun(
-      `UPDATE tasks SET ${updateFields.join(', ')} WHERE id = ?`,
-      values
-    )
+    // Enforce the target column's WIP limit when the task changes column. The count and the update
+    // share a transaction, so concurrent requests cannot both take the last free spot.
+    const isOwner = board.owner_id === req.user.id || sharing?.permission === 'owner'
+    const outcome = await withTransaction(async () => {
+      let wip = null
+      const positionValues = []
+      if (changesColumn) {
+        wip = await checkWipLimit({ board, status: updates.status, isOwner, override: updates.overrideWip === true })
+        if (!wip.allowed) return { wip }
+
+        // A card moved to another column lands at its top
+        positionValues.push(await positionAtTop(task.board_id, updates.status))
+      }
 
-    // Log activity
-    await dbRun(
-      `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        `activity-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-        task.board_id, req.user.id, req.user.name || 'User',
-        'updated', 'task', id, updates.title || task.title
+      // The version guard catches writes that slipped in since the task was read
+      const result = await dbExecute(
+        `UPDATE tasks SET ${[...updateFields, ...(changesColumn ? ['position = ?'] : [])].join(', ')}
+         WHERE id = ? AND version = ?`,
+        [...values, ...positionValues, id, task.version]
+      )
+      if (result.changes === 0) return { wip, conflict: true }
+
+      // Log activity
+      await dbRun(
+        `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          `activity-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+          task.board_id, req.user.id, req.user.name || 'User',
+          'updated', 'task', id, updates.title || task.title
+        ]
+      )
+
+      if (wip?.outcome) {
+        await recordWipBreach({ boardId: task.board_id, user: req.user, taskId: id, taskTitle: updates.title || task.title, result: wip })
+      }
+      return { wip }
+    })
+    const { wip } = outcome
+
+    if (wip && !wip.allowed) {
+      return res.status(409).json({ error: wip.message, wipLimit: wip.breach, canOverride: isOwner })
+    }
+    if (outcome.conflict) {
+      const currentTask = await dbGet('SELECT * FROM tasks WHERE id = ?', [id])
+      return res.status(getConflictStatus(req)).json({
+        error: 'Task was modified by another user',
+        current: currentTask ? await formatTask(currentTask) : null
+      })
+    }
+
+    const savedTask = await dbGet('SELECT * FROM tasks WHERE id = ?', [id])
+
+    // Run server-side automation rules
+    const automationChanges = []
+    const updatedTask = await runAutomations({
+      event: 'updated',
+      task: savedTask,
+      previousTask: task,
+      user: req.user,
+      history: automationChanges
+    })
+    await recordOperation({
+      boardId: task.board_id,
+      userId: req.user.id,
+      changes: [
+        { type: updatedTask.status !== task.status ? 'move' : 'update', before: task, after: updatedTask },
+        ...automationChanges
       ]
+    })
+
+    const formattedTask = await formatTask(updatedTask)
+    broadcast(task.board_id, 'task:updated', { task: formattedTask }, req)
+
+    res.set('ETag', toEtag(updatedTask.version))
+    res.json(withWipWarning(formattedTask, wip))
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Reschedule a task from the timeline
+ * POST /api/tasks/:id/reschedule
+ * Body: { startDate, dueDate } - ISO dates (null clears one)
+ *
+ * Tasks linked to this one by schedule links (FS, SS, FF, SF), directly or through other tasks,
+ * move by as many days as the end (FS, FF) or start (SS, SF) of their predecessor, so every lag is
+ * kept. All changes are one undo step.
+ */
+router.post('/:id/reschedule', async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { startDate = null, dueDate = null } = req.body
+
+    if (!isValidDate(startDate) || !isValidDate(dueDate)) {
+      return res.status(400).json({ error: 'startDate and dueDate must be ISO dates or null' })
+    }
+    if (!isValidDateRange(startDate, dueDate)) {
+      return res.status(400).json({ error: 'Start date must be on or before the due date' })
+    }
+
+    const task = await getActiveTask(id)
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' })
+    }
+
+    const board = await dbGet('SELECT id, owner_id FROM boards WHERE id = ?', [task.board_id])
+    const sharing = await dbGet(
+      'SELECT permission FROM board_sharing WHERE board_id = ? AND user_id = ?',
+      [task.board_id, req.user.id]
     )
 
-    const updatedTask = await dbGet('SELECT * FROM tasks WHERE id = ?', [id])
+    const canEdit = board.owner_id === req.user.id ||
+      (sharing && ['editor', 'owner'].includes(sharing.permission))
 
-    res.json({
-      ...updatedTask,
-      subtasks: updatedTask.subtasks ? JSON.parse(updatedTask.subtasks) : [],
-      dependencies: updatedTask.dependencies ? JSON.parse(updatedTask.dependencies) : [],
-      comments: updatedTask.comments ? JSON.parse(updatedTask.comments) : [],
-      customFields: updatedTask.custom_fields ? JSON.parse(updatedTask.custom_fields) : {}
+    if (!canEdit) {
+      return res.status(403).json({ error: 'Permission denied' })
+    }
+
+    // A task with a single date starts and ends on it
+    const startDelta = getDayDelta(task.start_date || task.due_date, startDate || dueDate)
+    const endDelta = getDayDelta(task.due_date || task.start_date, dueDate || startDate)
+
+    const boardTasks = await dbAll(
+      'SELECT * FROM tasks WHERE board_id = ? AND deleted_at IS NULL AND archived_at IS NULL',
+      [task.board_id]
+    )
+    const shifts = getSuccessorShifts(id, startDelta, endDelta, boardTasks)
+    const successors = boardTasks.filter(successor => shifts.has(successor.id) && (successor.start_date || successor.due_date))
+
+    await withTransaction(async () => {
+      await dbRun(
+        `UPDATE tasks SET start_date = ?, due_date = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [startDate, dueDate, id]
+      )
+
+      for (const successor of successors) {
+        await dbRun(
+          `UPDATE tasks SET start_date = ?, due_date = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [shiftDate(successor.start_date, shifts.get(successor.id)), shiftDate(successor.due_date, shifts.get(successor.id)), successor.id]
+        )
+      }
+
+      await dbRun(
+        `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name, metadata)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          `activity-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+          task.board_id, req.user.id, req.user.name || 'User',
+          'rescheduled', 'task', id, task.title,
+          JSON.stringify({ startDate, dueDate, shiftedTaskIds: successors.map(successor => successor.id) })
+        ]
+      )
+    })
+
+    // Run server-side automation rules and notify other viewers
+    const changes = []
+    const formattedTasks = []
+    for (const previousTask of [task, ...successors]) {
+      const savedTask = await dbGet('SELECT * FROM tasks WHERE id = ?', [previousTask.id])
+      const updatedTask = await runAutomations({ event: 'updated', task: savedTask, previousTask, user: req.user, history: changes })
+      changes.push({ type: 'update', before: previousTask, after: updatedTask })
+
+      const formattedTask = await formatTask(updatedTask)
+      broadcast(task.board_id, 'task:updated', { task: formattedTask }, req)
+      formattedTasks.push(formattedTask)
+    }
+    await recordOperation({ boardId: task.board_id, userId: req.user.id, changes })
+
+    const [updatedTask, ...shiftedTasks] = formattedTasks
+    res.json({ task: updatedTask, shiftedTasks })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Reorder task (manual ordering within and across columns)
+ * POST /api/tasks/:id/reorder
+ * Body: { status, prevTaskId, nextTaskId, fields } - the cards directly above and below the new
+ * spot, and the fields a drop into another swimlane changes (assignedTo, priority, category or
+ * customFields), saved with the move as one change and one undo step
+ */
+router.post('/:id/reorder', async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { prevTaskId = null, nextTaskId = null, overrideWip, fields = {} } = req.body
+
+    const task = await getActiveTask(id)
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' })
+    }
+
+    const board = await dbGet('SELECT id, owner_id, columns FROM boards WHERE id = ?', [task.board_id])
+    const sharing = await dbGet(
+      'SELECT permission FROM board_sharing WHERE board_id = ? AND user_id = ?',
+      [task.board_id, req.user.id]
+    )
+
+    const canEdit = board.owner_id === req.user.id ||
+      (sharing && ['editor', 'owner'].includes(sharing.permission))
+
+    if (!canEdit) {
+      return res.status(403).json({ error: 'Permission denied' })
+    }
+
+    if (prevTaskId === id || nextTaskId === id) {
+      return res.status(400).json({ error: 'A task cannot be its own neighbour' })
+    }
+
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      return res.status(400).json({ error: 'fields must be an object' })
+    }
+    const unknownField = Object.keys(fields).find(field => !REORDER_FIELDS[field])
+    if (unknownField) {
+      return res.status(400).json({ error: `Field "${unknownField}" cannot be changed by a reorder` })
+    }
+    const fieldColumns = Object.keys(fields).map(field => `${REORDER_FIELDS[field]} = ?`)
+    const fieldValues = Object.entries(fields).map(([field, value]) => (
+      field === 'customFields' ? JSON.stringify(value || {}) : value ?? null
+    ))
+
+    const status = req.body.status || task.status
+    if (status !== task.status && !isBoardColumn(board, status)) {
+      return res.status(400).json({ error: `Unknown column "${status}"` })
+    }
+
+    // Enforce the target column's WIP limit when the task changes column. The count and the update
+    // share a transaction, so concurrent requests cannot both take the last free spot.
+    const isOwner = board.owner_id === req.user.id || sharing?.permission === 'owner'
+    let wip = null
+    try {
+      wip = await withTransaction(async () => {
+        let result = null
+        if (status !== task.status) {
+          result = await checkWipLimit({ board, status, isOwner, override: overrideWip === true })
+          if (!result.allowed) return result
+        }
+
+        const position = await positionBetween(task.board_id, status, prevTaskId, nextTaskId)
+        await dbRun(
+          `UPDATE tasks SET ${['status = ?', 'position = ?', ...fieldColumns].join(', ')},
+           version = version + 1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [status, position, ...fieldValues, id]
+        )
+
+        // Log activity
+        await dbRun(
+          `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name, metadata)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            `activity-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            task.board_id, req.user.id, req.user.name || 'User',
+            status === task.status ? 'reordered' : 'moved', 'task', id, task.title,
+            JSON.stringify({
+              ...(status === task.status ? { column: status } : { from: task.status, to: status }),
+              ...(fieldColumns.length > 0 && { fields: Object.keys(fields) })
+            })
+          ]
+        )
+
+        if (result?.outcome) {
+          await recordWipBreach({ boardId: task.board_id, user: req.user, taskId: id, taskTitle: task.title, result })
+        }
+        return result
+      })
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message })
+      }
+      throw error
+    }
+    if (wip && !wip.allowed) {
+      return res.status(409).json({ error: wip.message, wipLimit: wip.breach, canOverride: isOwner })
+    }
+
+    const savedTask = await dbGet('SELECT * FROM tasks WHERE id = ?', [id])
+
+    // Run server-side automation rules (a column change is a task-moved event)
+    const automationChanges = []
+    const updatedTask = await runAutomations({
+      event: 'updated',
+      task: savedTask,
+      previousTask: task,
+      user: req.user,
+      history: automationChanges
     })
+    await recordOperation({
+      boardId: task.board_id,
+      userId: req.user.id,
+      changes: [{ type: 'move', before: task, after: updatedTask }, ...automationChanges]
+    })
+
+    const formattedTask = await formatTask(updatedTask)
+    broadcast(task.board_id, 'task:updated', { task: formattedTask }, req)
+
+    res.set('ETag', toEtag(updatedTask.version))
+    res.json(withWipWarning(formattedTask, wip))
   } catch (error) {
     next(error)
   }
@@ -287,12 +953,12 @@ router.delete('/:id', async (req, res, next) => {
   try {
     const { id } = req.params
 
-    const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [id])
+    const task = await getActiveTask(id)
     if (!task) {
       return res.status(404).json({ error: 'Task not found' })
     }
 
-    const board = await dbGet('SELECT owner_id FROM boards WHERE id = ?', [task.board_id])
+    const board = await dbGet('SELECT id, owner_id, columns FROM boards WHERE id = ?', [task.board_id])
     const sharing = await dbGet(
       'SELECT permission FROM board_sharing WHERE board_id = ? AND user_id = ?',
       [task.board_id, req.user.id]
@@ -305,7 +971,8 @@ router.delete('/:id', async (req, res, next) => {
       return res.status(403).json({ error: 'Permission denied' })
     }
 
-    await dbRun('DELETE FROM tasks WHERE id = ?', [id])
+    // Move the task to the trash (purged for good after the retention period)
+    await softDeleteTask(id, req.user.id)
 
     // Log activity
     await dbRun(
@@ -318,6 +985,17 @@ router.delete('/:id', async (req, res, next) => {
       ]
     )
 
+    // Run server-side automation rules
+    const automationChanges = []
+    await runAutomations({ event: 'deleted', task, user: req.user, history: automationChanges })
+    await recordOperation({
+      boardId: task.board_id,
+      userId: req.user.id,
+      changes: [{ type: 'delete', before: task, after: await dbGet('SELECT * FROM tasks WHERE id = ?', [id]) }, ...automationChanges]
+    })
+
+    broadcast(task.board_id, 'task:deleted', { taskId: id }, req)
+
     res.json({ message: 'Task deleted successfully' })
   } catch (error) {
     next(error)
@@ -0,0 +1,258 @@
+/**
+ * Trash Routes
+ * Lists, restores and permanently deletes boards and tasks that were deleted
+ */
+
+import express from 'express'
+import { dbGet, dbRun, dbAll, withTransaction } from '../config/database.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { broadcast } from '../services/realtime.js'
+import { formatTask } from '../utils/taskFormat.js'
+import { positionAtTop } from '../utils/taskPositions.js'
+import { checkWipLimit, recordWipBreach, isBoardColumn } from '../utils/wipLimits.js'
+import { TRASH_RETENTION_DAYS, getPurgeDate, purgeBoard, purgeTask } from '../services/trash.js'
+
+const router = express.Router()
+
+// All routes require authentication
+router.use(authenticateToken)
+
+/**
+ * Who deleted an item and when, in the API shape
+ */
+const formatDeletion = (row) => ({
+  deletedAt: row.deleted_at,
+  deletedBy: row.deleted_by ? { id: row.deleted_by, name: row.deleted_by_name || 'Unknown user' } : null,
+  purgeAt: getPurgeDate(row.deleted_at)
+})
+
+/**
+ * Loads a deleted task and checks that the user may edit its board
+ * @returns {Promise<Object>} { task, board, isOwner, error } where error is { status, message } if not allowed
+ */
+const loadDeletedTask = async (taskId, userId) => {
+  const task = await dbGet('SELECT * FROM tasks WHERE id = ? AND deleted_at IS NOT NULL', [taskId])
+  if (!task) {
+    return { error: { status: 404, message: 'Task not found in trash' } }
+  }
+
+  const board = await dbGet('SELECT id, name, owner_id, columns, deleted_at FROM boards WHERE id = ?', [task.board_id])
+  const sharing = await dbGet(
+    'SELECT permission FROM board_sharing WHERE board_id = ? AND user_id = ?',
+    [task.board_id, userId]
+  )
+
+  const canEdit = board.owner_id === userId ||
+    (sharing && ['editor', 'owner'].includes(sharing.permission))
+
+  if (!canEdit) {
+    return { error: { status: 403, message: 'Permission denied' } }
+  }
+
+  return { task, board, isOwner: board.owner_id === userId || sharing?.permission === 'owner' }
+}
+
+/**
+ * Get the user's trash: deleted boards they own and deleted tasks of boards they can edit
+ * GET /api/trash?boardId=xxx
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { boardId } = req.query
+
+    const boards = boardId ? [] : await dbAll(
+      `SELECT b.id, b.name, b.deleted_at, b.deleted_by, u.name AS deleted_by_name,
+       (SELECT COUNT(*) FROM tasks WHERE board_id = b.id AND deleted_at IS NULL) AS task_count
+       FROM boards b
+       LEFT JOIN users u ON u.id = b.deleted_by
+       WHERE b.deleted_at IS NOT NULL AND b.owner_id = ?
+       ORDER BY b.deleted_at DESC`,
+      [req.user.id]
+    )
+
+    // Tasks of a deleted board come back with the board, so they are not listed on their own
+    const tasks = await dbAll(
+      `SELECT t.id, t.title, t.status, t.board_id, b.name AS board_name,
+       t.deleted_at, t.deleted_by, u.name AS deleted_by_name
+       FROM tasks t
+       INNER JOIN boards b ON b.id = t.board_id
+       LEFT JOIN users u ON u.id = t.deleted_by
+       WHERE t.deleted_at IS NOT NULL AND b.deleted_at IS NULL
+       AND (b.owner_id = ? OR b.id IN (
+         SELECT board_id FROM board_sharing WHERE user_id = ? AND permission IN ('editor', 'owner')
+       ))
+       ${boardId ? 'AND t.board_id = ?' : ''}
+       ORDER BY t.deleted_at DESC`,
+      boardId ? [req.user.id, req.user.id, boardId] : [req.user.id, req.user.id]
+    )
+
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      boards: boards.map(board => ({
+        id: board.id,
+        name: board.name,
+        taskCount: board.task_count || 0,
+        ...formatDeletion(board)
+      })),
+      tasks: tasks.map(task => ({
+        id: task.id,
+        title: task.title,
+        status: task.status,
+        boardId: task.board_id,
+        boardName: task.board_name,
+        ...formatDeletion(task)
+      }))
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Restore a deleted task to the top of its column
+ * POST /api/trash/tasks/:id/restore
+ * Body: { overrideWip }
+ */
+router.post('/tasks/:id/restore', async (req, res, next) => {
+  try {
+    const { task, board, isOwner, error } = await loadDeletedTask(req.params.id, req.user.id)
+    if (error) {
+      return res.status(error.status).json({ error: error.message })
+    }
+
+    if (board.deleted_at) {
+      return res.status(409).json({ error: `Restore the board "${board.name}" first` })
+    }
+
+    // The task's column may have been removed while it was in the trash
+    const status = isBoardColumn(board, task.status) ? task.status : JSON.parse(board.columns)[0].id
+
+    // A restored task enters its column like a new one, so the column's WIP limit applies
+    const wip = await withTransaction(async () => {
+      const result = await checkWipLimit({ board, status, isOwner, override: req.body?.overrideWip === true })
+      if (!result.allowed) return result
+
+      await dbRun(
+        `UPDATE tasks SET deleted_at = NULL, deleted_by = NULL, status = ?, position = ?,
+         version = version + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [status, await positionAtTop(board.id, status), task.id]
+      )
+
+      // Log activity
+      await dbRun(
+        `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          `activity-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+          board.id, req.user.id, req.user.name || 'User',
+          'restored', 'task', task.id, task.title
+        ]
+      )
+
+      if (result.outcome) {
+        await recordWipBreach({ boardId: board.id, user: req.user, taskId: task.id, taskTitle: task.title, result })
+      }
+      return result
+    })
+    if (!wip.allowed) {
+      return res.status(409).json({ error: wip.message, wipLimit: wip.breach, canOverride: isOwner })
+    }
+
+    const formattedTask = await formatTask(await dbGet('SELECT * FROM tasks WHERE id = ?', [task.id]))
+    broadcast(board.id, 'task:created', { task: formattedTask }, req)
+
+    res.json(formattedTask)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Restore a deleted board with its tasks and sharing
+ * POST /api/trash/boards/:id/restore
+ */
+router.post('/boards/:id/restore', async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const board = await dbGet(
+      'SELECT * FROM boards WHERE id = ? AND owner_id = ? AND deleted_at IS NOT NULL',
+      [id, req.user.id]
+    )
+    if (!board) {
+      return res.status(404).json({ error: 'Board not found in trash' })
+    }
+
+    await dbRun(
+      `UPDATE boards SET deleted_at = NULL, deleted_by = NULL, version = version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [id]
+    )
+
+    // Log activity
+    await dbRun(
+      `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        `activity-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        id, req.user.id, req.user.name || 'User',
+        'restored', 'board', id, board.name
+      ]
+    )
+
+    const restoredBoard = await dbGet('SELECT * FROM boards WHERE id = ?', [id])
+
+    res.json({
+      ...restoredBoard,
+      columns: JSON.parse(restoredBoard.columns || '[]')
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Permanently delete a task from the trash
+ * DELETE /api/trash/tasks/:id
+ */
+router.delete('/tasks/:id', async (req, res, next) => {
+  try {
+    const { task, error } = await loadDeletedTask(req.params.id, req.user.id)
+    if (error) {
+      return res.status(error.status).json({ error: error.message })
+    }
+
+    await purgeTask(task)
+
+    res.json({ message: 'Task permanently deleted' })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Permanently delete a board from the trash
+ * DELETE /api/trash/boards/:id
+ */
+router.delete('/boards/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const board = await dbGet(
+      'SELECT id FROM boards WHERE id = ? AND owner_id = ? AND deleted_at IS NOT NULL',
+      [id, req.user.id]
+    )
+    if (!board) {
+      return res.status(404).json({ error: 'Board not found in trash' })
+    }
+
+    await purgeBoard(id)
+
+    res.json({ message: 'Board permanently deleted' })
+  } catch (error) {
+    next(error)
+  }
+})
+
+export default router
@@ -6,7 +6,17 @@
 import express from 'express'
 import bcrypt from 'bcryptjs'
 import { dbGet, dbRun, dbAll } from '../config/database.js'
-import { authenticateToken } from '../middleware/auth.js'
+import { authenticateToken, generateToken } from '../middleware/auth.js'
+import { createSession, revokeUserSessions } from '../services/sessions.js'
+import { sendVerificationEmail } from '../services/accountTokens.js'
+import {
+  getTwoFactorStatus, getBoardsRequiringTwoFactor, startTwoFactorSetup, enableTwoFactor,
+  verifySecondFactor, regenerateRecoveryCodes, disableTwoFactor
+} from '../services/twoFactor.js'
+import {
+  ACCESS_TOKEN_SCOPES, MAX_EXPIRY_DAYS, createAccessToken, listAccessTokens, deleteAccessToken
+} from '../services/accessTokens.js'
+import { authRateLimit } from '../middleware/rateLimit.js'
 import { body, validationResult } from 'express-validator'
 
 const router = express.Router()
@@ -36,7 +46,7 @@ router.get('/', async (req, res, next) => {
 router.get('/me', async (req, res, next) => {
   try {
     const user = await dbGet(
-      'SELECT id, name, email, avatar_color, created_at FROM users WHERE id = ?',
+      'SELECT id, name, email, avatar_color, email_verified_at, created_at FROM users WHERE id = ?',
       [req.user.id]
     )
 
@@ -70,6 +80,7 @@ router.put('/me',
       const { name, email, avatarColor } = req.body
       const updates = []
       const values = []
+      let emailChanged = false
 
       if (name !== undefined) {
         updates.push('name = ?')
@@ -77,12 +88,22 @@ router.put('/me',
       }
       if (email !== undefined) {
         // Check if email is already taken by another user
-        const existingUser = await dbGet('SELECT id FROM users WHERE email = ? AND id != ?', [email, req.user.id])
+        const existingUser = await dbGet(
+          'SELECT id FROM users WHERE LOWER(email) = ? AND id != ?',
+          [String(email).trim().toLowerCase(), req.user.id]
+        )
         if (existingUser) {
           return res.status(400).json({ error: 'Email already in use' })
         }
         updates.push('email = ?')
         values.push(email)
+
+        // A new address has to be verified again
+        const currentUser = await dbGet('SELECT email FROM users WHERE id = ?', [req.user.id])
+        if (currentUser && currentUser.email !== email) {
+          emailChanged = true
+          updates.push('email_verified_at = NULL')
+        }
       }
       if (avatarColor !== undefined) {
         updates.push('avatar_color = ?')
@@ -102,10 +123,18 @@ router.put('/me',
       )
 
       const updatedUser = await dbGet(
-        'SELECT id, name, email, avatar_color, created_at FROM users WHERE id = ?',
+        'SELECT id, name, email, avatar_color, email_verified_at, created_at FROM users WHERE id = ?',
         [req.user.id]
       )
 
+      if (emailChanged) {
+        try {
+          await sendVerificationEmail(updatedUser)
+        } catch (mailError) {
+          console.error('Failed to send verification email:', mailError)
+        }
+      }
+
       res.json(updatedUser)
     } catch (error) {
       next(error)
@@ -118,6 +147,7 @@ router.put('/me',
  * PUT /api/users/me/password
  */
 router.put('/me/password',
+  authRateLimit,
   [
     body('currentPassword').notEmpty().withMessage('Current password is required'),
     body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
@@ -144,7 +174,7 @@ router.put('/me/password',
       // Verify current password
       const isValid = await bcrypt.compare(currentPassword, user.password_hash)
       if (!isValid) {
-        return res.status(401).json({ error: 'Current password is incorrect' })
+        return res.status(400).json({ error: 'Current password is incorrect' })
       }
 
       // Hash new password
@@ -156,11 +186,234 @@ router.put('/me/password',
         [newPasswordHash, req.user.id]
       )
 
-      res.json({ message: 'Password updated successfully' })
+      // Sign out every session, then start a new one for this device
+      await revokeUserSessions(req.user.id)
+      const { sessionId, refreshToken } = await createSession(req.user.id, req)
+
+      res.json({
+        message: 'Password updated successfully',
+        token: generateToken(req.user, sessionId),
+        refreshToken
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * Get two-factor authentication status
+ * GET /api/users/me/2fa
+ */
+router.get('/me/2fa', async (req, res, next) => {
+  try {
+    res.json(await getTwoFactorStatus(req.user.id))
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Start setting up two-factor authentication
+ * POST /api/users/me/2fa/setup
+ * Returns the secret, its otpauth:// provisioning URI and a QR code of it for authenticator apps.
+ */
+router.post('/me/2fa/setup', async (req, res, next) => {
+  try {
+    const user = await dbGet('SELECT id, email, totp_enabled_at FROM users WHERE id = ?', [req.user.id])
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+    if (user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' })
+    }
+
+    res.json(await startTwoFactorSetup(user))
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Turn on two-factor authentication with a code from the app set up above
+ * POST /api/users/me/2fa/enable
+ * Returns the recovery codes, which are only shown this once. Other sessions are signed out.
+ */
+router.post('/me/2fa/enable',
+  authRateLimit,
+  [
+    body('code').isString().trim().notEmpty().withMessage('Code is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const recoveryCodes = await enableTwoFactor(req.user.id, req.body.code)
+      if (!recoveryCodes) {
+        return res.status(400).json({ error: 'Invalid code, check the time on your device and try again' })
+      }
+
+      // Sessions that signed in without the second factor end
+      await revokeUserSessions(req.user.id, req.user.sid)
+
+      res.json({ recoveryCodes })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * Replace the recovery codes
+ * POST /api/users/me/2fa/recovery-codes
+ */
+router.post('/me/2fa/recovery-codes',
+  authRateLimit,
+  [
+    body('code').isString().trim().notEmpty().withMessage('Code is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const isValid = await verifySecondFactor(req.user.id, req.body.code, { allowRecoveryCode: false })
+      if (!isValid) {
+        return res.status(400).json({ error: 'Invalid authentication code' })
+      }
+
+      res.json({ recoveryCodes: await regenerateRecoveryCodes(req.user.id) })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * Turn off two-factor authentication
+ * POST /api/users/me/2fa/disable
+ * Body: { password, code } - not possible while a board the user is on requires it
+ */
+router.post('/me/2fa/disable',
+  authRateLimit,
+  [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').isString().trim().notEmpty().withMessage('Code is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const user = await dbGet('SELECT password_hash FROM users WHERE id = ?', [req.user.id])
+      if (!user || !(await bcrypt.compare(req.body.password, user.password_hash))) {
+        return res.status(400).json({ error: 'Password is incorrect' })
+      }
+
+      const boards = await getBoardsRequiringTwoFactor(req.user.id)
+      if (boards.length > 0) {
+        return res.status(400).json({
+          error: `Two-factor authentication is required by ${boards.map(b => `"${b.name}"`).join(', ')}`
+        })
+      }
+
+      if (!(await verifySecondFactor(req.user.id, req.body.code))) {
+        return res.status(400).json({ error: 'Invalid authentication code' })
+      }
+
+      await disableTwoFactor(req.user.id)
+      res.json({ message: 'Two-factor authentication disabled' })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * Get the personal access tokens of the current user
+ * GET /api/users/me/tokens
+ * Also returns the scopes a token can have, with descriptions
+ */
+router.get('/me/tokens', async (req, res, next) => {
+  try {
+    res.json({ tokens: await listAccessTokens(req.user.id), scopes: ACCESS_TOKEN_SCOPES })
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Create a personal access token
+ * POST /api/users/me/tokens
+ * Body: { name, scopes, boardIds?, expiresInDays? } - boardIds null for all boards, expiresInDays
+ * null for a token that never expires. The token is only returned in this response.
+ */
+router.post('/me/tokens',
+  [
+    body('name').isString().trim().notEmpty().withMessage('Name is required')
+      .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+    body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').isIn(Object.keys(ACCESS_TOKEN_SCOPES))
+      .withMessage(`Scopes must be among ${Object.keys(ACCESS_TOKEN_SCOPES).join(', ')}`),
+    body('boardIds').optional({ nullable: true }).isArray({ min: 1 }).withMessage('boardIds must be a non-empty array or null'),
+    body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+      .withMessage(`expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`)
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { name, scopes, expiresInDays } = req.body
+      const boardIds = req.body.boardIds ? [...new Set(req.body.boardIds.map(String))] : null
+
+      if (boardIds) {
+        const boards = await dbAll(
+          `SELECT id FROM boards
+           WHERE id IN (${boardIds.map(() => '?').join(', ')}) AND deleted_at IS NULL
+             AND (owner_id = ? OR id IN (SELECT board_id FROM board_sharing WHERE user_id = ?))`,
+          [...boardIds, req.user.id, req.user.id]
+        )
+        if (boards.length !== boardIds.length) {
+          return res.status(400).json({ error: 'You can only limit a token to boards you have access to' })
+        }
+      }
+
+      const result = await createAccessToken(req.user.id, {
+        name,
+        scopes: [...new Set(scopes)],
+        boardIds,
+        expiresInDays: expiresInDays ? parseInt(expiresInDays, 10) : null
+      })
+      res.status(201).json(result)
     } catch (error) {
       next(error)
     }
   }
 )
 
+/**
+ * Delete a personal access token (it stops working right away)
+ * DELETE /api/users/me/tokens/:id
+ */
+router.delete('/me/tokens/:id', async (req, res, next) => {
+  try {
+    if (!(await deleteAccessToken(req.params.id, req.user.id))) {
+      return res.status(404).json({ error: 'Token not found' })
+    }
+    res.json({ message: 'Token deleted' })
+  } catch (error) {
+    next(error)
+  }
+})
+
 export default router
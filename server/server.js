@@ -8,19 +8,28 @@ import cors from 'cors'
 import dotenv from 'dotenv'
 import { initDatabase } from './config/database.js'
 import { errorHandler } from './middleware/errorHandler.js'
+import { ipRateLimit } from './middleware/rateLimit.js'
 import { logServerEnvironmentWarnings } from './utils/envValidation.js'
+import { startRecurringScheduler } from './services/recurringScheduler.js'
+import { startTrashPurge } from './services/trash.js'
 
 // Import routes
 import authRoutes from './routes/auth.js'
 import userRoutes from './routes/users.js'
 import boardRoutes from './routes/boards.js'
 import taskRoutes from './routes/tasks.js'
+import commentRoutes from './routes/comments.js'
+import attachmentRoutes from './routes/attachments.js'
 import activityRoutes from './routes/activities.js'
 import notificationRoutes from './routes/notifications.js'
 import automationRoutes from './routes/automations.js'
 import recurringRoutes from './routes/recurring.js'
 import filterRoutes from './routes/filters.js'
 import customFieldRoutes from './routes/customFields.js'
+import calendarRoutes from './routes/calendar.js'
+import trashRoutes from './routes/trash.js'
+import archiveRoutes from './routes/archive.js'
+import searchRoutes from './routes/search.js'
 
 // Load environment variables
 dotenv.config()
@@ -31,10 +40,19 @@ logServerEnvironmentWarnings()
 const app = express()
 const PORT = process.env.PORT || 3001
 
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 or "loopback") makes req.ip the client address,
+// which rate limiting is keyed by
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' || trustProxy)
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
-  credentials: true
+  credentials: true,
+  // Let the client read rate limit headers
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }))
 app.use(express.json())
 app.use(express.urlencoded({ extended: true }))
@@ -45,9 +63,12 @@ app.get('/health', (req, res) => {
 })
 
 // API Routes
+app.use('/api', ipRateLimit)
 app.use('/api/auth', authRoutes)
 app.use('/api/users', userRoutes)
 app.use('/api/boards', boardRoutes)
+app.use('/api/tasks/:taskId/comments', commentRoutes)
+app.use('/api/tasks/:taskId/attachments', attachmentRoutes)
 app.use('/api/tasks', taskRoutes)
 app.use('/api/activities', activityRoutes)
 app.use('/api/notifications', notificationRoutes)
@@ -55,6 +76,10 @@ app.use('/api/automations', automationRoutes)
 app.use('/api/recurring', recurringRoutes)
 app.use('/api/filters', filterRoutes)
 app.use('/api/custom-fields', customFieldRoutes)
+app.use('/api/calendar', calendarRoutes)
+app.use('/api/trash', trashRoutes)
+app.use('/api/archive', archiveRoutes)
+app.use('/api/search', searchRoutes)
 
 // Error handling middleware (must be last)
 app.use(errorHandler)
@@ -67,6 +92,16 @@ async function startServer() {
       console.log(`🚀 Server running on http://localhost:${PORT}`)
       console.log(`📊 API available at http://localhost:${PORT}/api`)
     })
+
+    // Generate recurring tasks in the background (RECURRING_INTERVAL_MS=0 disables it)
+    startRecurringScheduler(
+      process.env.RECURRING_INTERVAL_MS !== undefined ? parseInt(process.env.RECURRING_INTERVAL_MS, 10) : undefined
+    )
+
+    // Purge boards and tasks whose trash retention is over (TRASH_PURGE_INTERVAL_MS=0 disables it)
+    startTrashPurge(
+      process.env.TRASH_PURGE_INTERVAL_MS !== undefined ? parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) : undefined
+    )
   } catch (error) {
     console.error('Failed to start server:', error)
     process.exit(1)
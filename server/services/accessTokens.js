@@ -0,0 +1,258 @@
+/**
+ * Personal Access Tokens
+ * Long-lived tokens for scripts and CI, used as a Bearer token instead of a login JWT. Each token
+ * has scopes, may be limited to some boards and may expire. Only a hash is stored; the token itself
+ * is shown once when it is created.
+ *
+ * Tokens only work on the endpoints listed in ACCESS_RULES. Everything else (account settings,
+ * sessions, tokens themselves, notifications, trash...) needs a login. Tokens skip the second
+ * factor, so they never reach boards that require two-factor authentication.
+ */
+
+import crypto from 'crypto'
+import { dbAll, dbGet, dbRun, dbExecute } from '../config/database.js'
+import { disconnectAccessToken } from './realtime.js'
+
+// Every personal access token starts with this, which tells them apart from JWTs
+export const ACCESS_TOKEN_PREFIX = 'kbn_'
+
+export const ACCESS_TOKEN_SCOPES = {
+  'boards:read': 'Read boards and their event stream',
+  'boards:admin': 'Create, update, delete and share boards',
+  'tasks:read': 'Read tasks, comments, attachments and activity',
+  'tasks:write': 'Create, update and delete tasks, comments and attachments'
+}
+
+// A scope that can write can also read
+const IMPLIED_SCOPES = {
+  'boards:admin': ['boards:read'],
+  'tasks:write': ['tasks:read']
+}
+
+// Longest expiry that can be chosen, in days
+export const MAX_EXPIRY_DAYS = 365
+
+// How often last_used_at is updated while a token makes requests
+const LAST_USED_INTERVAL_MS = 60 * 1000
+
+/**
+ * SHA-256 hash of a token, as stored in the personal_access_tokens table
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+/**
+ * Boards of the tasks with the given IDs
+ * @returns {Promise<Array|null>} Board IDs, or null if a task does not exist
+ */
+const getTaskBoardIds = async (taskIds) => {
+  const ids = [...new Set(taskIds.filter(id => typeof id === 'string'))]
+  if (ids.length === 0) return null
+
+  const rows = await dbAll(
+    `SELECT id, board_id FROM tasks WHERE id IN (${ids.map(() => '?').join(', ')})`,
+    ids
+  )
+  return rows.length === ids.length ? [...new Set(rows.map(row => row.board_id))] : null
+}
+
+// Board IDs a request touches, taken from the URL, query or body
+const boardFromPath = (match) => [match[1]]
+const boardFromQuery = (match, req) => (req.query.boardId ? [String(req.query.boardId)] : null)
+const boardFromBody = (match, req) => (typeof req.body?.boardId === 'string' ? [req.body.boardId] : null)
+const boardOfTask = (match) => getTaskBoardIds([match[1]])
+const boardsOfBatch = (match, req) => {
+  const operations = Array.isArray(req.body?.operations) ? req.body.operations : []
+  return getTaskBoardIds(operations.flatMap(operation => operation?.taskIds || []))
+}
+// The board list is filtered by the route (see GET /api/boards)
+const boardList = () => []
+
+/**
+ * Endpoints personal access tokens may call: method, path, required scope, and how to find the
+ * boards the request touches (requests whose boards cannot be found are refused for tokens
+ * limited to some boards)
+ */
+const ACCESS_RULES = [
+  ['GET', /^\/api\/boards$/, 'boards:read', boardList],
+  ['POST', /^\/api\/boards$/, 'boards:admin', null],
+  ['GET', /^\/api\/boards\/([^/]+)(\/events)?$/, 'boards:read', boardFromPath],
+  ['POST', /^\/api\/boards\/([^/]+)\/(undo|redo)$/, 'tasks:write', boardFromPath],
+  ['PUT', /^\/api\/boards\/([^/]+)$/, 'boards:admin', boardFromPath],
+  ['DELETE', /^\/api\/boards\/([^/]+)$/, 'boards:admin', boardFromPath],
+  ['POST', /^\/api\/boards\/([^/]+)\/share$/, 'boards:admin', boardFromPath],
+  ['DELETE', /^\/api\/boards\/([^/]+)\/share\/[^/]+$/, 'boards:admin', boardFromPath],
+
+  ['GET', /^\/api\/tasks$/, 'tasks:read', boardFromQuery],
+  ['POST', /^\/api\/tasks$/, 'tasks:write', boardFromBody],
+  ['POST', /^\/api\/tasks\/batch$/, 'tasks:write', boardsOfBatch],
+  ['GET', /^\/api\/tasks\/([^/]+)$/, 'tasks:read', boardOfTask],
+  ['PUT', /^\/api\/tasks\/([^/]+)$/, 'tasks:write', boardOfTask],
+  ['DELETE', /^\/api\/tasks\/([^/]+)$/, 'tasks:write', boardOfTask],
+  ['POST', /^\/api\/tasks\/([^/]+)\/(reschedule|reorder)$/, 'tasks:write', boardOfTask],
+
+  ['GET', /^\/api\/tasks\/([^/]+)\/(comments|attachments)(\/.*)?$/, 'tasks:read', boardOfTask],
+  ['POST', /^\/api\/tasks\/([^/]+)\/(comments|attachments)$/, 'tasks:write', boardOfTask],
+  ['PUT', /^\/api\/tasks\/([^/]+)\/comments\/[^/]+$/, 'tasks:write', boardOfTask],
+  ['DELETE', /^\/api\/tasks\/([^/]+)\/(comments|attachments)\/[^/]+$/, 'tasks:write', boardOfTask],
+
+  ['GET', /^\/api\/activities$/, 'tasks:read', boardFromQuery],
+  ['GET', /^\/api\/search$/, 'tasks:read', boardFromQuery]
+]
+
+/**
+ * Whether a Bearer token is a personal access token (rather than a login JWT)
+ */
+export const isPersonalAccessToken = (token) => typeof token === 'string' && token.startsWith(ACCESS_TOKEN_PREFIX)
+
+/**
+ * Scopes a token effectively has, including the ones its scopes imply
+ * @param {Array} scopes - Scopes given to the token
+ * @returns {Array} Scopes
+ */
+export const expandScopes = (scopes) => [...new Set(scopes.flatMap(scope => [scope, ...(IMPLIED_SCOPES[scope] || [])]))]
+
+/**
+ * Finds the access rule for a request
+ * @param {Object} req - Express request
+ * @returns {Object|null} { scope, match, resolveBoards }, or null if tokens may not call the endpoint
+ */
+export const findAccessRule = (req) => {
+  const method = req.method === 'HEAD' ? 'GET' : req.method
+  const path = req.originalUrl.split('?')[0].replace(/\/+$/, '')
+
+  for (const [ruleMethod, pattern, scope, resolveBoards] of ACCESS_RULES) {
+    const match = ruleMethod === method && path.match(pattern)
+    if (match) return { scope, match, resolveBoards }
+  }
+  return null
+}
+
+/**
+ * Boards a request touches, for tokens limited to some boards
+ * @param {Object} rule - Result of findAccessRule
+ * @param {Object} req - Express request
+ * @returns {Promise<Array|null>} Board IDs, or null if they cannot be determined
+ */
+export const resolveRequestBoards = async (rule, req) => {
+  if (!rule.resolveBoards) return null
+  try {
+    return await rule.resolveBoards(rule.match.map(part => part && decodeURIComponent(part)), req)
+  } catch (error) {
+    if (error instanceof URIError) return null
+    throw error
+  }
+}
+
+/**
+ * Which of the given boards require two-factor authentication (out of reach for tokens)
+ * @param {Array} boardIds - Board IDs
+ * @returns {Promise<Array>} Board IDs
+ */
+export const getTwoFactorBoardIds = async (boardIds) => {
+  if (boardIds.length === 0) return []
+  const rows = await dbAll(
+    `SELECT id FROM boards WHERE require_two_factor = 1 AND id IN (${boardIds.map(() => '?').join(', ')})`,
+    boardIds
+  )
+  return rows.map(row => row.id)
+}
+
+/**
+ * Access token row as returned by the API (never includes the hash)
+ */
+const formatAccessToken = (row) => ({
+  id: row.id,
+  name: row.name,
+  hint: `${ACCESS_TOKEN_PREFIX}…${row.token_hint}`,
+  scopes: JSON.parse(row.scopes),
+  boardIds: row.board_ids ? JSON.parse(row.board_ids) : null,
+  createdAt: row.created_at,
+  expiresAt: row.expires_at,
+  lastUsedAt: row.last_used_at,
+  lastUsedIp: row.last_used_ip,
+  expired: Boolean(row.expires_at && row.expires_at <= new Date().toISOString())
+})
+
+/**
+ * Creates a personal access token
+ * @param {string} userId - Owner of the token
+ * @param {Object} options - { name, scopes, boardIds (null for all boards), expiresInDays (null for never) }
+ * @returns {Promise<Object>} { token, accessToken } - the token is only available now
+ */
+export const createAccessToken = async (userId, { name, scopes, boardIds = null, expiresInDays = null }) => {
+  const id = `pat-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+  const token = `${ACCESS_TOKEN_PREFIX}${crypto.randomBytes(20).toString('hex')}`
+  const now = new Date()
+  const expiresAt = expiresInDays
+    ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+    : null
+
+  await dbRun(
+    `INSERT INTO personal_access_tokens (id, user_id, name, token_hash, token_hint, scopes, board_ids, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      id, userId, name, hashToken(token), token.slice(-4), JSON.stringify(scopes),
+      boardIds ? JSON.stringify(boardIds) : null, now.toISOString(), expiresAt
+    ]
+  )
+
+  const accessToken = await dbGet('SELECT * FROM personal_access_tokens WHERE id = ?', [id])
+  return { token, accessToken: formatAccessToken(accessToken) }
+}
+
+/**
+ * Personal access tokens of a user, newest first (expired ones included)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+export const listAccessTokens = async (userId) => {
+  const rows = await dbAll(
+    'SELECT * FROM personal_access_tokens WHERE user_id = ? ORDER BY created_at DESC',
+    [userId]
+  )
+  return rows.map(formatAccessToken)
+}
+
+/**
+ * Deletes a personal access token of a user and closes its event streams
+ * @returns {Promise<boolean>} True if the token existed
+ */
+export const deleteAccessToken = async (tokenId, userId) => {
+  const result = await dbExecute('DELETE FROM personal_access_tokens WHERE id = ? AND user_id = ?', [tokenId, userId])
+  if (result.changes === 0) return false
+
+  disconnectAccessToken(tokenId)
+  return true
+}
+
+/**
+ * Looks up a personal access token presented by a request, and records that it was used
+ * @param {string} token - Token from the Authorization header
+ * @param {Object} req - Express request (the IP is recorded)
+ * @returns {Promise<Object|null>} { id, userId, email, scopes, boardIds }, or null if the token
+ *   does not exist or has expired
+ */
+export const useAccessToken = async (token, req) => {
+  const now = new Date()
+  const row = await dbGet(
+    `SELECT t.*, u.email FROM personal_access_tokens t JOIN users u ON u.id = t.user_id
+     WHERE t.token_hash = ? AND (t.expires_at IS NULL OR t.expires_at > ?)`,
+    [hashToken(token), now.toISOString()]
+  )
+  if (!row) return null
+
+  if (!row.last_used_at || now - new Date(row.last_used_at) > LAST_USED_INTERVAL_MS || row.last_used_ip !== req.ip) {
+    await dbRun(
+      'UPDATE personal_access_tokens SET last_used_at = ?, last_used_ip = ? WHERE id = ?',
+      [now.toISOString(), req.ip, row.id]
+    )
+  }
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    email: row.email,
+    scopes: expandScopes(JSON.parse(row.scopes)),
+    boardIds: row.board_ids ? JSON.parse(row.board_ids) : null
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Account Tokens
+ * Single-use, expiring tokens sent by email to verify an address or reset a forgotten password.
+ * Only a hash of each token is stored; asking for a new token cancels the unused ones of that kind.
+ */
+
+import crypto from 'crypto'
+import { dbGet, dbRun, dbExecute } from '../config/database.js'
+import { sendMail } from './mailer.js'
+
+export const TOKEN_TYPES = {
+  EMAIL_VERIFICATION: 'email_verification',
+  PASSWORD_RESET: 'password_reset'
+}
+
+// How long each kind of token can be used
+const TOKEN_TTL_MS = {
+  [TOKEN_TYPES.EMAIL_VERIFICATION]: 24 * 60 * 60 * 1000,
+  [TOKEN_TYPES.PASSWORD_RESET]: 60 * 60 * 1000
+}
+
+// Address of the web app, for the links in emails
+const APP_URL = (process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173').replace(/\/$/, '')
+
+/**
+ * SHA-256 hash of a token, as stored in the account_tokens table
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+/**
+ * Creates a token for a user, replacing the unused ones of the same kind
+ * @param {string} userId - User ID
+ * @param {string} type - One of TOKEN_TYPES
+ * @returns {Promise<string>} Token to send to the user
+ */
+export const createAccountToken = async (userId, type) => {
+  const token = crypto.randomBytes(32).toString('hex')
+  const now = new Date()
+
+  await dbRun(
+    'DELETE FROM account_tokens WHERE user_id = ? AND type = ? AND used_at IS NULL',
+    [userId, type]
+  )
+  await dbRun(
+    `INSERT INTO account_tokens (id, user_id, type, token_hash, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      `token-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`, userId, type, hashToken(token),
+      now.toISOString(), new Date(now.getTime() + TOKEN_TTL_MS[type]).toISOString()
+    ]
+  )
+
+  return token
+}
+
+/**
+ * Uses up a token
+ * @param {string} token - Token from the email link
+ * @param {string} type - Kind of token expected
+ * @returns {Promise<string|null>} ID of the user the token was for, or null if it is unknown,
+ *   expired or already used
+ */
+export const consumeAccountToken = async (token, type) => {
+  const row = await dbGet(
+    'SELECT id, user_id FROM account_tokens WHERE token_hash = ? AND type = ?',
+    [hashToken(String(token)), type]
+  )
+  if (!row) return null
+
+  // Mark it used only if nobody else did first, so a token works once
+  const now = new Date().toISOString()
+  const result = await dbExecute(
+    'UPDATE account_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL AND expires_at > ?',
+    [now, row.id, now]
+  )
+  return result.changes > 0 ? row.user_id : null
+}
+
+/**
+ * Emails a user a link to verify their address
+ * @param {Object} user - { id, name, email }
+ */
+export const sendVerificationEmail = async (user) => {
+  const token = await createAccountToken(user.id, TOKEN_TYPES.EMAIL_VERIFICATION)
+  const link = `${APP_URL}/?verify=${token}`
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\n` +
+      'The link is valid for 24 hours.'
+  })
+}
+
+/**
+ * Emails a user a link to choose a new password
+ * @param {Object} user - { id, name, email }
+ */
+export const sendPasswordResetEmail = async (user) => {
+  const token = await createAccountToken(user.id, TOKEN_TYPES.PASSWORD_RESET)
+  const link = `${APP_URL}/?reset=${token}`
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset the password of your account. To choose a new ` +
+      `password, open this link:\n${link}\n\nThe link is valid for 1 hour and can be used once. ` +
+      'If you did not ask for this, you can ignore this email.'
+  })
+}
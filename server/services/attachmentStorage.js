@@ -0,0 +1,142 @@
+/**
+ * Attachment Storage
+ * Stores task attachments on the local filesystem next to the SQLite database:
+ *   <data dir>/attachments/<boardId>/<taskId>/<attachmentId><ext>
+ */
+
+import fs from 'fs'
+import path from 'path'
+import multer from 'multer'
+import { DATA_DIR, dbAll, dbRun } from '../config/database.js'
+
+// Absolute, since res.sendFile() rejects relative paths (DB_PATH may be relative)
+export const ATTACHMENTS_DIR = path.resolve(DATA_DIR, 'attachments')
+
+// Upload limit in bytes (default 10 MB)
+export const MAX_ATTACHMENT_SIZE = parseInt(process.env.MAX_ATTACHMENT_SIZE, 10) || 10 * 1024 * 1024
+
+// Accepted file types: images, documents, logs and archives
+// (SVG is left out on purpose: it can carry scripts and is served from our origin)
+export const ALLOWED_MIME_TYPES = [
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+  'application/pdf',
+  'text/plain', 'text/markdown', 'text/csv', 'application/json',
+  'application/zip', 'application/x-zip-compressed',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+]
+
+// Images are shown inline (thumbnails); everything else is downloaded
+export const isImageType = (mimeType) => /^image\//.test(mimeType || '')
+
+/**
+ * Directory holding a task's files
+ */
+export const getTaskDir = (boardId, taskId) => path.join(ATTACHMENTS_DIR, boardId, taskId)
+
+/**
+ * Full path of a stored attachment
+ * @param {Object} attachment - task_attachments row
+ */
+export const getAttachmentPath = (attachment) => (
+  path.join(getTaskDir(attachment.board_id, attachment.task_id), attachment.stored_name)
+)
+
+const generateId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+
+/**
+ * Multer middleware accepting a single "file" field
+ * Expects req.task (the task being attached to) to be loaded and permission-checked first.
+ */
+export const uploadAttachment = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = getTaskDir(req.task.board_id, req.task.id)
+      fs.mkdir(dir, { recursive: true }, (err) => cb(err, dir))
+    },
+    filename: (req, file, cb) => {
+      const id = generateId('attachment')
+      // Only keep a short, safe extension from the client's file name
+      const ext = path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '').slice(0, 10)
+      req.attachmentId = id
+      cb(null, `${id}${ext}`)
+    }
+  }),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error(`File type ${file.mimetype || 'unknown'} is not allowed`)
+      error.status = 415
+      return cb(error)
+    }
+    cb(null, true)
+  }
+}).single('file')
+
+/**
+ * Removes a file, ignoring files that are already gone
+ */
+export const removeFile = async (filePath) => {
+  try {
+    await fs.promises.unlink(filePath)
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+}
+
+/**
+ * Deletes every attachment of a task (rows and files)
+ * @param {string} boardId - Board ID
+ * @param {string} taskId - Task ID
+ */
+export const removeTaskAttachments = async (boardId, taskId) => {
+  await dbRun('DELETE FROM task_attachments WHERE task_id = ?', [taskId])
+  await fs.promises.rm(getTaskDir(boardId, taskId), { recursive: true, force: true })
+}
+
+/**
+ * Deletes every attachment of a board (rows and files)
+ * @param {string} boardId - Board ID
+ */
+export const removeBoardAttachments = async (boardId) => {
+  await dbRun('DELETE FROM task_attachments WHERE board_id = ?', [boardId])
+  await fs.promises.rm(path.join(ATTACHMENTS_DIR, boardId), { recursive: true, force: true })
+}
+
+/**
+ * Converts an attachment row to the API shape
+ */
+export const formatAttachment = (row) => ({
+  id: row.id,
+  taskId: row.task_id,
+  userId: row.user_id,
+  filename: row.filename,
+  mimeType: row.mime_type,
+  size: row.size,
+  isImage: isImageType(row.mime_type),
+  url: `/api/tasks/${row.task_id}/attachments/${row.id}`,
+  createdAt: row.created_at
+})
+
+/**
+ * Loads the attachments of several tasks, oldest first
+ * @param {Array<string>} taskIds - Task IDs
+ * @returns {Promise<Object>} Map of task ID -> array of attachments
+ */
+export const loadAttachmentsByTask = async (taskIds) => {
+  const byTask = {}
+  taskIds.forEach(id => { byTask[id] = [] })
+  if (taskIds.length === 0) return byTask
+
+  const rows = await dbAll(
+    `SELECT * FROM task_attachments
+     WHERE task_id IN (${taskIds.map(() => '?').join(', ')})
+     ORDER BY created_at, id`,
+    taskIds
+  )
+
+  rows.forEach(row => byTask[row.task_id].push(formatAttachment(row)))
+  return byTask
+}
@@ -0,0 +1,328 @@
+/**
+ * Automation Engine
+ * Evaluates stored automation rules against task events on the server,
+ * so rules fire no matter which client or script changed the task
+ */
+
+import { dbAll, dbGet, dbRun, withTransaction } from '../config/database.js'
+import { positionAtTop } from '../utils/taskPositions.js'
+import { checkWipLimit, recordWipBreach, isBoardColumn } from '../utils/wipLimits.js'
+
+// Statuses treated as "completed" (kept in sync with src/utils/taskDependencies.js)
+const COMPLETED_STATUSES = ['done', 'completed', 'closed']
+
+// Task columns that automation actions are allowed to change
+const ACTION_FIELDS = {
+  'assign-user': 'assigned_to',
+  'set-priority': 'priority',
+  'set-category': 'category',
+  'set-status': 'status'
+}
+
+// Condition fields use the client's camelCase names
+const CONDITION_FIELDS = {
+  priority: 'priority',
+  category: 'category',
+  assignedTo: 'assigned_to'
+}
+
+const generateId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+
+const isCompleted = (status) => COMPLETED_STATUSES.includes((status || '').toLowerCase())
+
+/**
+ * Works out which triggers a task event fires
+ * @param {string} event - 'created', 'updated' or 'deleted'
+ * @param {Object} task - Task row after the change
+ * @param {Object|null} previousTask - Task row before the change
+ * @returns {Array} Trigger names matching AutomationRules.jsx
+ */
+export const getEventTriggers = (event, task, previousTask = null) => {
+  if (event === 'created') {
+    const triggers = ['task-created']
+    if (task.assigned_to) triggers.push('task-assigned')
+    return triggers
+  }
+
+  if (event === 'deleted') {
+    return ['task-deleted']
+  }
+
+  const triggers = ['task-updated']
+  if (previousTask && previousTask.status !== task.status) {
+    triggers.push('task-moved')
+    if (isCompleted(task.status) && !isCompleted(previousTask.status)) {
+      triggers.push('task-completed')
+    }
+  }
+  if (task.assigned_to && (!previousTask || previousTask.assigned_to !== task.assigned_to)) {
+    triggers.push('task-assigned')
+  }
+  return triggers
+}
+
+/**
+ * Checks whether a rule's conditions hold for a task
+ * Mirrors checkAutomationConditions in src/utils/automation.js
+ * @param {Object} rule - Parsed automation rule
+ * @param {Object} task - Task row (snake_case columns)
+ * @returns {boolean} True if every condition is met
+ */
+export const matchesConditions = (rule, task) => {
+  for (const condition of rule.conditions || []) {
+    const field = CONDITION_FIELDS[condition.field]
+
+    if (field) {
+      if (task[field] !== condition.value) return false
+      continue
+    }
+
+    if (condition.field === 'status') {
+      if (condition.operator === 'not-equals') {
+        if (task.status === condition.value) return false
+      } else if (task.status !== condition.value) {
+        return false
+      }
+      continue
+    }
+
+    if (condition.field === 'dueDate') {
+      if (!task.due_date) return false
+      const dueDate = new Date(task.due_date)
+      const now = new Date()
+
+      if (condition.operator === 'overdue' && dueDate >= now) return false
+      if (condition.operator === 'due-soon') {
+        const threeDaysFromNow = new Date()
+        threeDaysFromNow.setDate(threeDaysFromNow.getDate() + 3)
+        if (dueDate > threeDaysFromNow || dueDate < now) return false
+      }
+    }
+  }
+
+  return true
+}
+
+/**
+ * Loads enabled rules for a board that listen to any of the given triggers
+ * Only the board's own rules run: rules without a board (from before rules had an owner) never
+ * run, since they would change tasks on every user's boards.
+ */
+export const loadRules = async (boardId, triggers) => {
+  const placeholders = triggers.map(() => '?').join(', ')
+  const rules = await dbAll(
+    `SELECT * FROM automation_rules
+     WHERE enabled = 1 AND board_id = ? AND trigger IN (${placeholders})
+     ORDER BY created_at`,
+    [boardId, ...triggers]
+  )
+
+  return rules.map(rule => ({
+    ...rule,
+    conditions: JSON.parse(rule.conditions || '[]'),
+    actions: JSON.parse(rule.actions || '[]')
+  }))
+}
+
+/**
+ * Owner and members of a board
+ * @returns {Promise<Array>} User IDs
+ */
+export const getBoardMemberIds = async (boardId) => {
+  const rows = await dbAll(
+    `SELECT owner_id AS user_id FROM boards WHERE id = ?
+     UNION SELECT user_id FROM board_sharing WHERE board_id = ?`,
+    [boardId, boardId]
+  )
+  return rows.map(row => row.user_id)
+}
+
+/**
+ * Runs every matching rule for a task event and applies the actions in one transaction
+ * Field changes, created tasks, notifications and activity entries are committed together.
+ * Failures are logged and never fail the request that changed the task.
+ * Field changes are part of the returned row, so they land in the caller's undo entry for the
+ * task; tasks the rules create are added to `history`, the caller's undo step.
+ *
+ * @param {Object} params
+ * @param {string} params.event - 'created', 'updated' or 'deleted'
+ * @param {Object} params.task - Task row after the change (before it, for deletes)
+ * @param {Object|null} params.previousTask - Task row before an update
+ * @param {Object} params.user - Authenticated user who caused the event
+ * @param {Array} params.history - Changes of the caller's undo step (see recordOperation)
+ * @returns {Promise<Object|null>} Fresh task row after automations, or null for deletes
+ */
+export const runAutomations = async ({ event, task, previousTask = null, user, history = [] }) => {
+  try {
+    const triggers = getEventTriggers(event, task, previousTask)
+    const rules = await loadRules(task.board_id, triggers)
+    if (rules.length === 0) {
+      return event === 'deleted' ? null : task
+    }
+
+    // Evaluate rules against a working copy so later rules see earlier changes
+    const working = { ...task }
+    const changes = {}
+    let statusRuleId = null
+    const notifications = []
+    const newTasks = []
+    const firedRules = []
+
+    // Tasks are only assigned to, and notifications only go to, people on the board
+    const memberIds = await getBoardMemberIds(task.board_id)
+
+    for (const rule of rules) {
+      if (!matchesConditions(rule, working)) continue
+
+      const ruleChanges = {}
+      const blocked = []
+      for (const action of rule.actions) {
+        const field = ACTION_FIELDS[action.type]
+
+        if (field) {
+          // Field actions make no sense once the task is gone
+          if (event === 'deleted' || !action.value) continue
+          if (field === 'assigned_to' && !memberIds.includes(action.value)) {
+            blocked.push('Assignee is not a member of this board')
+            continue
+          }
+          working[field] = action.value
+          changes[field] = action.value
+          ruleChanges[field] = action.value
+          if (field === 'status') statusRuleId = rule.id
+        } else if (action.type === 'create-notification') {
+          const userId = action.userId || working.assigned_to
+          if (!userId) continue
+          notifications.push({
+            userId,
+            title: rule.name,
+            message: action.message || `Automation: ${rule.name} triggered`,
+            ruleId: rule.id
+          })
+        } else if (action.type === 'create-task') {
+          newTasks.push({
+            title: action.title || 'Auto-created task',
+            description: action.description || '',
+            priority: action.priority || 'medium',
+            status: action.status || 'todo',
+            assignedTo: action.assignedTo || working.assigned_to || null,
+            ruleId: rule.id
+          })
+        }
+      }
+
+      firedRules.push({ rule, changes: ruleChanges, blocked })
+    }
+
+    if (firedRules.length === 0) {
+      return event === 'deleted' ? null : task
+    }
+
+    const boardNotifications = notifications.filter(notification => memberIds.includes(notification.userId))
+
+    const board = await dbGet('SELECT id, owner_id, columns FROM boards WHERE id = ?', [task.board_id])
+    const firedRule = (ruleId) => firedRules.find(fired => fired.rule.id === ruleId)
+
+    /**
+     * Checks a column an action puts a task into, like the task routes do for people: unknown
+     * columns and full hard-limited columns are refused (rules cannot override), soft limits
+     * are recorded as breaches. Runs inside the transaction that writes the task.
+     * @returns {Promise<Object|null>} checkWipLimit result, or null if the action is refused
+     */
+    const checkColumn = async (ruleId, status, taskId, taskTitle) => {
+      const refuse = (message) => {
+        firedRule(ruleId).blocked.push(message)
+        return null
+      }
+      if (!isBoardColumn(board, status)) return refuse(`Unknown column "${status}"`)
+
+      const wip = await checkWipLimit({ board, status })
+      if (!wip.allowed) return refuse(wip.message)
+      if (wip.outcome) {
+        await recordWipBreach({ boardId: task.board_id, user, taskId, taskTitle, result: wip })
+      }
+      return wip
+    }
+
+    const createdTaskIds = []
+    await withTransaction(async () => {
+      if (changes.status !== undefined && changes.status !== task.status) {
+        if (await checkColumn(statusRuleId, changes.status, task.id, task.title)) {
+          // Moved cards land at the top of their new column
+          changes.position = await positionAtTop(task.board_id, changes.status)
+        } else {
+          delete changes.status
+          delete firedRule(statusRuleId).changes.status
+        }
+      }
+
+      // Apply accumulated field changes in a single update
+      const fields = Object.keys(changes)
+      if (fields.length > 0) {
+        await dbRun(
+          `UPDATE tasks SET ${fields.map(f => `${f} = ?`).join(', ')}, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [...fields.map(f => changes[f]), task.id]
+        )
+      }
+
+      for (const newTask of newTasks) {
+        const taskId = generateId('task')
+        if (!(await checkColumn(newTask.ruleId, newTask.status, taskId, newTask.title))) continue
+
+        await dbRun(
+          `INSERT INTO tasks (id, board_id, title, description, status, priority, assigned_to, subtasks, dependencies, comments, custom_fields, position)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            taskId, task.board_id, newTask.title, newTask.description,
+            newTask.status, newTask.priority, newTask.assignedTo,
+            '[]', '[]', '[]', '{}',
+            await positionAtTop(task.board_id, newTask.status)
+          ]
+        )
+        createdTaskIds.push(taskId)
+      }
+
+      for (const notification of boardNotifications) {
+        await dbRun(
+          `INSERT INTO notifications (id, user_id, type, title, message, entity_id, metadata)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            generateId('notification'), notification.userId, 'automation',
+            notification.title, notification.message, task.id,
+            JSON.stringify({ boardId: task.board_id, ruleId: notification.ruleId })
+          ]
+        )
+      }
+
+      // One activity entry per fired rule, attributed to the user who caused the event
+      // Actions refused by a column or membership check are listed under blocked
+      for (const { rule, changes: ruleChanges, blocked } of firedRules) {
+        await dbRun(
+          `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name, metadata)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            generateId('activity'), task.board_id, user.id, user.name || 'User',
+            'automation', 'task', task.id, task.title,
+            JSON.stringify({
+              ruleId: rule.id,
+              ruleName: rule.name,
+              trigger: rule.trigger,
+              changes: ruleChanges,
+              ...(blocked.length > 0 && { blocked })
+            })
+          ]
+        )
+      }
+    })
+
+    for (const taskId of createdTaskIds) {
+      history.push({ type: 'create', before: null, after: await dbGet('SELECT * FROM tasks WHERE id = ?', [taskId]) })
+    }
+
+    if (event === 'deleted') return null
+    return await dbGet('SELECT * FROM tasks WHERE id = ?', [task.id])
+  } catch (error) {
+    console.error('Automation engine error:', error)
+    return event === 'deleted' ? null : task
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Login Throttling
+ * Slows down password and two-factor guessing. After a few failed sign-ins for an account, each
+ * further attempt has to wait twice as long as the last (1s, 2s, 4s...); after
+ * LOGIN_LOCKOUT_ATTEMPTS failures the account is locked for LOGIN_LOCKOUT_MINUTES. An IP address
+ * with many failures across accounts is blocked the same way. A successful sign-in clears the
+ * account's failures. Counters live in the rate limit store (see services/rateLimitStore.js).
+ */
+
+import { getRateLimitStore } from './rateLimitStore.js'
+
+// Failures that do not slow down the next attempt
+const FREE_ATTEMPTS = 3
+
+// Failures that lock the account, and for how long
+const LOCKOUT_ATTEMPTS = parseInt(process.env.LOGIN_LOCKOUT_ATTEMPTS, 10) || 10
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000
+
+// How long failures are remembered, counted from the first one
+const FAILURE_WINDOW_MS = 60 * 60 * 1000
+
+// Failures from one IP address (any account) that block it until the window ends
+const IP_FAILURE_MAX = parseInt(process.env.LOGIN_IP_FAILURE_MAX, 10) || 50
+
+const failuresKey = (account) => `login-failures:${account}`
+const blockedKey = (account) => `login-blocked:${account}`
+const ipFailuresKey = (ip) => `login-failures-ip:${ip}`
+
+/**
+ * Wait before the next attempt after a number of failures
+ * @param {number} failures - Failed attempts so far
+ * @returns {number} Milliseconds (0 for no wait)
+ */
+export const getLoginDelay = (failures) => {
+  if (failures >= LOCKOUT_ATTEMPTS) return LOCKOUT_MS
+  if (failures < FREE_ATTEMPTS) return 0
+  return Math.min(1000 * 2 ** (failures - FREE_ATTEMPTS), LOCKOUT_MS)
+}
+
+/**
+ * How long a sign-in attempt has to wait
+ * @param {string} account - Account being signed in to (e.g. "email:<address>" or "2fa:<userId>")
+ * @param {string} ip - IP address of the request
+ * @returns {Promise<number>} Milliseconds until an attempt is allowed (0 if it is allowed now)
+ */
+export const getLoginRetryAfter = async (account, ip) => {
+  const store = getRateLimitStore()
+  const [blocked, ipFailures] = await Promise.all([store.get(blockedKey(account)), store.get(ipFailuresKey(ip))])
+  const now = Date.now()
+
+  const waits = [0]
+  if (blocked) waits.push(blocked.resetAt - now)
+  if (ipFailures && ipFailures.count >= IP_FAILURE_MAX) waits.push(ipFailures.resetAt - now)
+  return Math.max(...waits)
+}
+
+/**
+ * Records a failed sign-in attempt
+ * @param {string} account - Account being signed in to
+ * @param {string} ip - IP address of the request
+ * @returns {Promise<number>} Milliseconds the next attempt has to wait
+ */
+export const recordLoginFailure = async (account, ip) => {
+  const store = getRateLimitStore()
+  const [{ count }] = await Promise.all([
+    store.increment(failuresKey(account), FAILURE_WINDOW_MS),
+    store.increment(ipFailuresKey(ip), FAILURE_WINDOW_MS)
+  ])
+
+  const delay = getLoginDelay(count)
+  if (delay > 0) {
+    await store.reset(blockedKey(account))
+    await store.increment(blockedKey(account), delay)
+  }
+  return delay
+}
+
+/**
+ * Forgets the failed attempts of an account after a successful sign-in
+ * @param {string} account - Account signed in to
+ */
+export const clearLoginFailures = async (account) => {
+  const store = getRateLimitStore()
+  await Promise.all([store.reset(failuresKey(account)), store.reset(blockedKey(account))])
+}
@@ -0,0 +1,88 @@
+/**
+ * Mailer
+ * Sends account emails (verification, password reset) through a pluggable transport:
+ * - smtp     nodemailer over SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ * - file     writes each message as JSON to MAIL_DIR (local development and tests)
+ * - console  prints each message to the server log
+ * MAIL_TRANSPORT picks one; without it, smtp is used when SMTP_HOST is set and console otherwise.
+ * In production there is no console fallback: the messages carry sign-in links, which must not end
+ * up in the logs, so sending fails until SMTP_HOST or MAIL_TRANSPORT is set.
+ * setMailTransport plugs in any object with a send(message) method.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import nodemailer from 'nodemailer'
+import { DATA_DIR } from '../config/database.js'
+
+// Sender of account emails
+const MAIL_FROM = process.env.MAIL_FROM || 'Kanban <no-reply@localhost>'
+
+// Directory the file transport writes to
+export const MAIL_DIR = process.env.MAIL_DIR || path.join(DATA_DIR, 'mail')
+
+const transportFactories = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    })
+    return { send: (message) => transporter.sendMail(message) }
+  },
+
+  file: () => ({
+    send: async (message) => {
+      await fs.promises.mkdir(MAIL_DIR, { recursive: true })
+      const fileName = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}.json`
+      await fs.promises.writeFile(
+        path.join(MAIL_DIR, fileName),
+        JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+      )
+    }
+  }),
+
+  console: () => ({
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`)
+    }
+  })
+}
+
+let transport = null
+
+/**
+ * Transport named by the environment, created on first use
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')
+    if (!process.env.MAIL_TRANSPORT && name === 'console' && process.env.NODE_ENV === 'production') {
+      throw new Error('No mail transport configured (set SMTP_HOST or MAIL_TRANSPORT)')
+    }
+    const factory = transportFactories[name]
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (use ${Object.keys(transportFactories).join(', ')})`)
+    }
+    transport = factory()
+  }
+  return transport
+}
+
+/**
+ * Replaces the mail transport
+ * @param {Object|null} customTransport - { send(message) }, or null to go back to the configured one
+ */
+export const setMailTransport = (customTransport) => {
+  transport = customTransport
+}
+
+/**
+ * Sends an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+export const sendMail = async (message) => {
+  await getTransport().send({ from: MAIL_FROM, ...message })
+}
@@ -0,0 +1,253 @@
+/**
+ * Operation Log
+ * Server-side undo/redo history of task changes, kept per user and board
+ *
+ * Each change is stored with the task row before and after it. Undo writes the "before" row back
+ * (deleting created tasks and re-creating deleted ones), redo writes the "after" row. A step is
+ * only applied while the task still looks the way this user left it, so changes made by someone
+ * else in the meantime are never overwritten.
+ */
+
+import { dbAll, dbGet, dbRun, withTransaction } from '../config/database.js'
+import { deleteTaskRows } from '../utils/taskRows.js'
+import { checkWipLimit, recordWipBreach } from '../utils/wipLimits.js'
+
+// Undo steps kept per user and board
+export const MAX_HISTORY_STEPS = 50
+
+// Columns that are not part of a task's content: never written back or compared
+const FIXED_COLUMNS = ['id', 'board_id', 'version', 'created_at', 'updated_at']
+
+// Columns that may change under a step without counting as a conflict
+// (manual positions are re-spaced when a column is rebalanced)
+const IGNORED_COLUMNS = [...FIXED_COLUMNS, 'position']
+
+const generateId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+
+const parseState = (value) => (value ? JSON.parse(value) : null)
+
+/**
+ * Checks whether a task row still matches a recorded state
+ * @param {Object|null} current - Task row now (null if the task does not exist)
+ * @param {Object|null} expected - Recorded row (null if the task should not exist)
+ */
+const matchesState = (current, expected) => {
+  if (!current || !expected) return !current && !expected
+  return Object.keys(expected)
+    .filter(column => !IGNORED_COLUMNS.includes(column))
+    .every(column => current[column] === expected[column])
+}
+
+/**
+ * Whether writing a recorded state puts the task into a column it is not in now
+ * @param {Object|null} current - Task row now
+ * @param {Object|null} target - Row to restore
+ */
+const entersColumn = (current, target) => {
+  if (!target || target.deleted_at || target.archived_at) return false
+  return !current || Boolean(current.deleted_at || current.archived_at) || current.status !== target.status
+}
+
+/**
+ * Writes a recorded state to the tasks table
+ * @param {Object|null} current - Task row now
+ * @param {Object|null} target - Row to restore (null deletes the task)
+ * @param {string} taskId - Task ID
+ */
+const restoreState = async (current, target, taskId) => {
+  if (!target) {
+    await deleteTaskRows(taskId)
+    return
+  }
+
+  const columns = Object.keys(target).filter(column => !FIXED_COLUMNS.includes(column))
+
+  if (current) {
+    await dbRun(
+      `UPDATE tasks SET ${columns.map(column => `${column} = ?`).join(', ')}, version = version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...columns.map(column => target[column]), taskId]
+    )
+    return
+  }
+
+  // Re-create a deleted task under its old ID, with a version its old copies won't match
+  const insertColumns = ['id', 'board_id', 'created_at', ...columns, 'version']
+  await dbRun(
+    `INSERT INTO tasks (${insertColumns.join(', ')}) VALUES (${insertColumns.map(() => '?').join(', ')})`,
+    [target.id, target.board_id, target.created_at, ...columns.map(column => target[column]), (target.version || 1) + 1]
+  )
+}
+
+/**
+ * Records task changes as one undo step and clears the user's redo steps on the board
+ * @param {Object} params
+ * @param {string} params.boardId - Board ID
+ * @param {string} params.userId - User who made the changes
+ * @param {Array} params.changes - [{ type, before, after }] where type is 'create', 'update', 'move'
+ *   or 'delete' and before/after are task rows (null before a create and after a delete)
+ */
+export const recordOperation = async ({ boardId, userId, changes }) => {
+  if (changes.length === 0) return
+
+  await dbRun(
+    'DELETE FROM task_operations WHERE board_id = ? AND user_id = ? AND undone = 1',
+    [boardId, userId]
+  )
+
+  const groupId = generateId('step')
+  for (const { type, before, after } of changes) {
+    await dbRun(
+      `INSERT INTO task_operations (id, group_id, board_id, user_id, task_id, type, before_state, after_state)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        generateId('op'), groupId, boardId, userId, (after || before).id, type,
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null
+      ]
+    )
+  }
+
+  // Keep only the newest steps
+  await dbRun(
+    `DELETE FROM task_operations WHERE board_id = ? AND user_id = ? AND group_id NOT IN (
+       SELECT group_id FROM task_operations WHERE board_id = ? AND user_id = ?
+       GROUP BY group_id ORDER BY MAX(rowid) DESC LIMIT ?
+     )`,
+    [boardId, userId, boardId, userId, MAX_HISTORY_STEPS]
+  )
+}
+
+/**
+ * Whether the user has steps to undo and redo on a board
+ * @returns {Promise<Object>} { canUndo, canRedo }
+ */
+export const getHistoryState = async (boardId, userId) => {
+  const row = await dbGet(
+    `SELECT SUM(undone = 0) AS undoable, SUM(undone = 1) AS redoable
+     FROM task_operations WHERE board_id = ? AND user_id = ?`,
+    [boardId, userId]
+  )
+  return { canUndo: Boolean(row?.undoable), canRedo: Boolean(row?.redoable) }
+}
+
+/**
+ * Undoes or redoes the user's next step on a board in one transaction
+ * If any task of the step was changed by someone else since, nothing is applied and the step is
+ * dropped from the history, so the next undo continues with the step before it. If a hard WIP
+ * limit keeps a task out of its column, nothing is applied and the step stays in the history.
+ *
+ * @param {Object} params
+ * @param {string} params.boardId - Board ID
+ * @param {Object} params.user - Authenticated user
+ * @param {string} params.direction - 'undo' or 'redo'
+ * @param {boolean} params.isOwner - Whether the user owns the board (may override hard WIP limits)
+ * @param {boolean} params.override - Whether the request asked to override a hard WIP limit
+ * @returns {Promise<Object>} { outcome, changes, conflicts, wip } where outcome is 'applied',
+ *   'conflict', 'blocked' (wip is the checkWipLimit result) or 'empty'; changes are
+ *   [{ taskId, type, previous, task }] with task rows (null when absent)
+ */
+const applyStep = async (params) => {
+  try {
+    return await withTransaction(() => runStep(params))
+  } catch (error) {
+    if (error.wip) {
+      return { outcome: 'blocked', changes: [], conflicts: [], wip: error.wip }
+    }
+    throw error
+  }
+}
+
+/**
+ * Applies a step inside applyStep's transaction; a blocked WIP limit throws to roll it back
+ */
+const runStep = async ({ boardId, user, direction, isOwner = false, override = false }) => {
+  const undoing = direction === 'undo'
+
+  // Undo takes the newest done step, redo the most recently undone one
+  const step = await dbGet(
+    `SELECT group_id FROM task_operations WHERE board_id = ? AND user_id = ? AND undone = ?
+     ORDER BY rowid ${undoing ? 'DESC' : 'ASC'} LIMIT 1`,
+    [boardId, user.id, undoing ? 0 : 1]
+  )
+  if (!step) {
+    return { outcome: 'empty', changes: [], conflicts: [] }
+  }
+
+  const entries = await dbAll(
+    `SELECT * FROM task_operations WHERE group_id = ? ORDER BY rowid ${undoing ? 'DESC' : 'ASC'}`,
+    [step.group_id]
+  )
+
+  const planned = []
+  const conflicts = []
+  for (const entry of entries) {
+    const before = parseState(entry.before_state)
+    const after = parseState(entry.after_state)
+    const current = await dbGet('SELECT * FROM tasks WHERE id = ?', [entry.task_id])
+    const expected = undoing ? after : before
+
+    if (!matchesState(current, expected)) {
+      conflicts.push({ taskId: entry.task_id, title: (current || expected || before || after).title, current })
+    } else {
+      planned.push({ entry, current, target: undoing ? before : after })
+    }
+  }
+
+  if (conflicts.length > 0) {
+    await dbRun('DELETE FROM task_operations WHERE group_id = ?', [step.group_id])
+    return { outcome: 'conflict', changes: [], conflicts }
+  }
+
+  const board = await dbGet('SELECT id, columns FROM boards WHERE id = ?', [boardId])
+  const changes = []
+  for (const { entry, current, target } of planned) {
+    // Checked one task at a time, so tasks the step already put into a column count too
+    let wip = null
+    if (entersColumn(current, target)) {
+      wip = await checkWipLimit({ board, status: target.status, isOwner, override })
+      if (!wip.allowed) throw Object.assign(new Error(wip.message), { wip })
+    }
+
+    await restoreState(current, target, entry.task_id)
+
+    const title = (target || current).title
+    await dbRun(
+      `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        generateId('activity'), boardId, user.id, user.name || 'User',
+        undoing ? 'undid' : 'redid', 'task', entry.task_id, title,
+        JSON.stringify({ operation: entry.type })
+      ]
+    )
+    if (wip?.outcome) {
+      await recordWipBreach({ boardId, user, taskId: entry.task_id, taskTitle: title, result: wip })
+    }
+
+    changes.push({
+      taskId: entry.task_id,
+      type: entry.type,
+      previous: current,
+      task: target ? await dbGet('SELECT * FROM tasks WHERE id = ?', [entry.task_id]) : null
+    })
+  }
+
+  await dbRun('UPDATE task_operations SET undone = ? WHERE group_id = ?', [undoing ? 1 : 0, step.group_id])
+
+  return { outcome: 'applied', changes, conflicts: [] }
+}
+
+/**
+ * Undoes the user's last step on a board
+ * @param {Object} options - { isOwner, override } for hard WIP limits
+ * @see applyStep
+ */
+export const undoOperation = (boardId, user, options = {}) => applyStep({ ...options, boardId, user, direction: 'undo' })
+
+/**
+ * Redoes the user's last undone step on a board
+ * @param {Object} options - { isOwner, override } for hard WIP limits
+ * @see applyStep
+ */
+export const redoOperation = (boardId, user, options = {}) => applyStep({ ...options, boardId, user, direction: 'redo' })
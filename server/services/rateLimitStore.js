@@ -0,0 +1,71 @@
+/**
+ * Rate Limit Store
+ * Counters for rate limiting and login throttling. Each key counts hits in a fixed window that
+ * starts with its first hit. The default store keeps counters in memory, which is right for a
+ * single server process; setRateLimitStore plugs in a shared backend (e.g. Redis) for several.
+ *
+ * A store has three methods, which may return promises:
+ * - increment(key, windowMs) → { count, resetAt }  count hits, starting a window if none is open
+ * - get(key) → { count, resetAt } | null            current window, or null if it has ended
+ * - reset(key)                                     forget the key
+ * resetAt is in milliseconds since the epoch.
+ */
+
+// How often the memory store drops ended windows
+const SWEEP_INTERVAL_MS = 60 * 1000
+
+/**
+ * In-memory store
+ * @returns {Object} { increment, get, reset }
+ */
+export const createMemoryStore = () => {
+  const entries = new Map()
+
+  const sweep = () => {
+    const now = Date.now()
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key)
+    }
+  }
+  // Don't keep the process alive just for the sweep
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref()
+
+  const get = (key) => {
+    const entry = entries.get(key)
+    if (!entry || entry.resetAt <= Date.now()) return null
+    return { ...entry }
+  }
+
+  return {
+    increment: (key, windowMs) => {
+      const entry = get(key) || { count: 0, resetAt: Date.now() + windowMs }
+      entry.count++
+      entries.set(key, entry)
+      return { ...entry }
+    },
+    get,
+    reset: (key) => {
+      entries.delete(key)
+    }
+  }
+}
+
+let store = null
+
+/**
+ * Store in use, the memory store unless another was plugged in
+ */
+export const getRateLimitStore = () => {
+  if (!store) {
+    store = createMemoryStore()
+  }
+  return store
+}
+
+/**
+ * Replaces the rate limit store
+ * @param {Object|null} customStore - { increment, get, reset }, or null to go back to the memory store
+ */
+export const setRateLimitStore = (customStore) => {
+  store = customStore
+}
@@ -0,0 +1,194 @@
+/**
+ * Realtime Service
+ * Server-Sent Events channel that pushes board changes and presence to every viewer
+ */
+
+// Interval for keep-alive comments so proxies don't close idle streams
+const HEARTBEAT_INTERVAL = 25000
+
+// boardId -> Map(connectionId -> { res, user, sessionId, accessTokenId })
+const boardConnections = new Map()
+
+const generateId = () => `conn-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+
+/**
+ * Writes a single SSE message to a response
+ */
+const send = (res, type, data) => {
+  res.write(`event: ${type}\n`)
+  res.write(`data: ${JSON.stringify(data)}\n\n`)
+}
+
+/**
+ * Lists the distinct users currently viewing a board
+ * @param {string} boardId - Board ID
+ * @returns {Array} Users with id, name and avatarColor
+ */
+export const getBoardViewers = (boardId) => {
+  const connections = boardConnections.get(boardId)
+  if (!connections) return []
+
+  const viewers = new Map()
+  for (const { user } of connections.values()) {
+    viewers.set(user.id, user)
+  }
+  return [...viewers.values()]
+}
+
+/**
+ * Sends an event to every connection on a board
+ * @param {string} boardId - Board ID
+ * @param {string} type - Event type, e.g. 'task:updated'
+ * @param {Object} payload - Event payload
+ * @param {Object} [req] - Originating request; its user and X-Client-Id are attached
+ *   so clients can recognise (and skip) their own changes
+ */
+export const broadcast = (boardId, type, payload, req = null) => {
+  const connections = boardConnections.get(boardId)
+  if (!connections || connections.size === 0) return
+
+  const data = {
+    ...payload,
+    boardId,
+    actorId: req?.user?.id || null,
+    origin: req?.get('X-Client-Id') || null,
+    timestamp: new Date().toISOString()
+  }
+
+  for (const { res } of connections.values()) {
+    send(res, type, data)
+  }
+}
+
+/**
+ * Broadcasts the current viewer list for a board
+ */
+const broadcastPresence = (boardId) => {
+  broadcast(boardId, 'presence', { viewers: getBoardViewers(boardId) })
+}
+
+/**
+ * Registers a response as an event stream for a board
+ * Sets SSE headers, announces presence and cleans up when the client disconnects
+ * @param {string} boardId - Board ID
+ * @param {Object} user - Viewer with id, name and avatarColor
+ * @param {Object} req - Express request (req.user ties the stream to its login session or access token)
+ * @param {Object} res - Express response (kept open)
+ */
+export const subscribe = (boardId, user, req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+
+  const connectionId = generateId()
+  if (!boardConnections.has(boardId)) {
+    boardConnections.set(boardId, new Map())
+  }
+  boardConnections.get(boardId).set(connectionId, {
+    res,
+    user,
+    sessionId: req.user?.sid || null,
+    accessTokenId: req.user?.accessToken?.id || null
+  })
+
+  // Initial handshake, then tell everyone who is here
+  send(res, 'connected', { connectionId, boardId })
+  broadcastPresence(boardId)
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL)
+
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    const connections = boardConnections.get(boardId)
+    if (!connections) return
+
+    connections.delete(connectionId)
+    if (connections.size === 0) {
+      boardConnections.delete(boardId)
+    } else {
+      broadcastPresence(boardId)
+    }
+  })
+}
+
+/**
+ * Closes every stream for a board (used when the board is deleted)
+ * @param {string} boardId - Board ID
+ */
+export const closeBoard = (boardId) => {
+  const connections = boardConnections.get(boardId)
+  if (!connections) return
+
+  for (const { res } of connections.values()) {
+    res.end()
+  }
+  boardConnections.delete(boardId)
+}
+
+/**
+ * Closes the streams of a board that match a test, and updates presence for the rest
+ * @param {string} boardId - Board ID
+ * @param {Function} matches - (connection) => boolean
+ */
+const closeConnections = (boardId, matches) => {
+  const connections = boardConnections.get(boardId)
+  if (!connections) return
+
+  let closed = false
+  for (const [connectionId, connection] of connections) {
+    if (matches(connection)) {
+      connection.res.end()
+      connections.delete(connectionId)
+      closed = true
+    }
+  }
+  if (connections.size === 0) {
+    boardConnections.delete(boardId)
+  } else if (closed) {
+    broadcastPresence(boardId)
+  }
+}
+
+/**
+ * Closes a single user's streams for a board (used when sharing is revoked)
+ * @param {string} boardId - Board ID
+ * @param {string} userId - User ID
+ */
+export const disconnectUser = (boardId, userId) => {
+  closeConnections(boardId, connection => connection.user.id === userId)
+}
+
+/**
+ * Closes the streams of a board opened with personal access tokens (used when the board starts
+ * requiring two-factor authentication, which tokens skip)
+ * @param {string} boardId - Board ID
+ */
+export const disconnectAccessTokens = (boardId) => {
+  closeConnections(boardId, connection => connection.accessTokenId !== null)
+}
+
+/**
+ * Closes every stream opened by the given login sessions, on all boards (used when sessions are
+ * revoked, so a signed-out device stops receiving board changes)
+ * @param {Array} sessionIds - Session IDs
+ */
+export const disconnectSessions = (sessionIds) => {
+  if (sessionIds.length === 0) return
+  for (const boardId of [...boardConnections.keys()]) {
+    closeConnections(boardId, connection => sessionIds.includes(connection.sessionId))
+  }
+}
+
+/**
+ * Closes every stream opened with a personal access token, on all boards (used when the token is
+ * deleted)
+ * @param {string} accessTokenId - Access token ID
+ */
+export const disconnectAccessToken = (accessTokenId) => {
+  for (const boardId of [...boardConnections.keys()]) {
+    closeConnections(boardId, connection => connection.accessTokenId === accessTokenId)
+  }
+}
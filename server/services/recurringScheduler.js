@@ -0,0 +1,205 @@
+/**
+ * Recurring Task Scheduler
+ * Generates tasks from recurring templates on the server, so occurrences are created
+ * whether or not anyone has the app open, and missed ones are caught up after downtime.
+ *
+ * Generation is idempotent: each occurrence is stored with its template ID and date,
+ * and a unique index on the pair means a restart or a second server instance sharing
+ * the database can never create the same occurrence twice.
+ *
+ * Tasks are created on behalf of the template's creator, and only while they can still edit the
+ * template's board; templates without a creator (saved by older versions) wait until an editor
+ * saves them again (see routes/recurring.js).
+ *
+ * Occurrences go through the same column checks as tasks created by people: an occurrence for a
+ * column the board no longer has, or whose hard WIP limit is reached, is skipped (and logged).
+ */
+
+import { dbAll, dbGet, dbRun, dbExecute, withTransaction } from '../config/database.js'
+import { positionAtTop } from '../utils/taskPositions.js'
+import { checkWipLimit, recordWipBreach, isBoardColumn } from '../utils/wipLimits.js'
+import { formatTask } from '../utils/taskFormat.js'
+import { getUpcomingOccurrences, startOfDay, toDateKey, parseTimestamp } from '../utils/recurrence.js'
+import { broadcast } from './realtime.js'
+
+// How often templates are checked (default: every minute)
+const DEFAULT_INTERVAL_MS = 60 * 1000
+
+// Occurrences created per template in one run; a long catch-up continues on the next run
+const MAX_OCCURRENCES_PER_RUN = 100
+
+let timer = null
+let running = false
+
+const generateId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+
+/**
+ * Whether a user owns a board or is shared on it as an editor
+ */
+const canEditBoard = async (board, userId) => {
+  if (board.owner_id === userId) return true
+  const sharing = await dbGet(
+    'SELECT permission FROM board_sharing WHERE board_id = ? AND user_id = ?',
+    [board.id, userId]
+  )
+  return Boolean(sharing) && ['editor', 'owner'].includes(sharing.permission)
+}
+
+/**
+ * Creates the due occurrences of one template
+ * The template is re-read inside the transaction, so concurrent runs see each other's progress.
+ * @param {string} templateId - Recurring template ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { boardId, taskIds } of the tasks created
+ */
+export const generateDueOccurrences = async (templateId, now = new Date()) => {
+  return withTransaction(async () => {
+    const template = await dbGet('SELECT * FROM recurring_tasks WHERE id = ?', [templateId])
+    if (!template || !template.enabled || !template.board_id) {
+      return { boardId: null, taskIds: [] }
+    }
+
+    const board = await dbGet('SELECT id, owner_id, columns FROM boards WHERE id = ? AND deleted_at IS NULL', [template.board_id])
+    if (!board || !template.user_id || !(await canEditBoard(board, template.user_id))) {
+      return { boardId: null, taskIds: [] }
+    }
+
+    const taskTemplate = JSON.parse(template.task_template || '{}')
+    const recurrence = JSON.parse(template.recurrence || '{}')
+    const status = taskTemplate.status || 'todo'
+    const title = taskTemplate.title || template.name
+    const creator = await dbGet('SELECT id, name FROM users WHERE id = ?', [template.user_id])
+
+    // Due occurrences after the last generated one, up to today
+    let occurrenceCount = template.occurrence_count || 0
+    const dueDates = getUpcomingOccurrences(recurrence, {
+      createdAt: parseTimestamp(template.created_at),
+      lastGenerated: template.last_generated ? parseTimestamp(template.last_generated) : null,
+      occurrenceCount,
+      until: startOfDay(now),
+      limit: MAX_OCCURRENCES_PER_RUN
+    })
+    const taskIds = []
+
+    for (const date of dueDates) {
+      const dateKey = toDateKey(date)
+      const taskId = generateId('task')
+      occurrenceCount++
+
+      const wip = isBoardColumn(board, status) ? await checkWipLimit({ board, status }) : null
+      if (!wip?.allowed) {
+        console.warn(
+          `Recurring scheduler skipped ${dateKey} of template ${template.id}: ` +
+          (wip ? wip.message : `unknown column "${status}"`)
+        )
+        continue
+      }
+
+      // Ignored if this occurrence already exists (e.g. last_generated was lost)
+      const result = await dbExecute(
+        `INSERT OR IGNORE INTO tasks (
+          id, board_id, title, description, status, priority, category, due_date, assigned_to,
+          subtasks, dependencies, comments, custom_fields, position, recurring_template_id, recurrence_date
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          taskId, board.id, title, taskTemplate.description || null,
+          status, taskTemplate.priority || 'medium', taskTemplate.category || null,
+          dateKey, taskTemplate.assignedTo || null,
+          '[]', '[]', '[]', JSON.stringify(taskTemplate.customFields || {}),
+          await positionAtTop(board.id, status), template.id, dateKey
+        ]
+      )
+
+      if (result.changes > 0) {
+        taskIds.push(taskId)
+        if (wip.outcome) {
+          await recordWipBreach({ boardId: board.id, user: creator, taskId, taskTitle: title, result: wip })
+        }
+
+        // Log activity (attributed to the template's creator)
+        await dbRun(
+          `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name, metadata)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            generateId('activity'), board.id, template.user_id, 'Recurring task',
+            'created', 'task', taskId, title,
+            JSON.stringify({ recurringTemplateId: template.id, occurrence: dateKey })
+          ]
+        )
+      }
+    }
+
+    const lastGenerated = dueDates[dueDates.length - 1]
+    if (lastGenerated) {
+      await dbRun(
+        `UPDATE recurring_tasks SET last_generated = ?, occurrence_count = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [lastGenerated.toISOString(), occurrenceCount, template.id]
+      )
+    }
+
+    return { boardId: board.id, taskIds }
+  })
+}
+
+/**
+ * Checks every enabled template once and creates the occurrences that are due
+ * Failures are logged per template and retried on the next run.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of tasks created
+ */
+export const runRecurringScheduler = async (now = new Date()) => {
+  if (running) return 0
+  running = true
+
+  let created = 0
+  try {
+    const templates = await dbAll(
+      'SELECT id FROM recurring_tasks WHERE enabled = 1 AND board_id IS NOT NULL ORDER BY created_at'
+    )
+
+    for (const { id } of templates) {
+      try {
+        const { boardId, taskIds } = await generateDueOccurrences(id, now)
+        created += taskIds.length
+
+        // Tell open boards about the new cards
+        for (const taskId of taskIds) {
+          const task = await dbGet('SELECT * FROM tasks WHERE id = ?', [taskId])
+          if (task) broadcast(boardId, 'task:created', { task: await formatTask(task) })
+        }
+      } catch (error) {
+        console.error(`Recurring scheduler error (template ${id}):`, error)
+      }
+    }
+  } catch (error) {
+    console.error('Recurring scheduler error:', error)
+  } finally {
+    running = false
+  }
+
+  return created
+}
+
+/**
+ * Starts checking templates on an interval (and once right away, to catch up after downtime)
+ * @param {number} intervalMs - Milliseconds between runs; 0 disables the scheduler
+ */
+export const startRecurringScheduler = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  if (timer || !(intervalMs > 0)) return
+
+  runRecurringScheduler()
+  timer = setInterval(runRecurringScheduler, intervalMs)
+  // Don't keep the process alive just for the scheduler
+  timer.unref()
+}
+
+/**
+ * Stops the scheduler
+ */
+export const stopRecurringScheduler = () => {
+  if (timer) {
+    clearInterval(timer)
+    timer = null
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * Login Sessions
+ * Every login creates a session. Requests use short-lived access tokens (JWTs carrying the session
+ * ID, see middleware/auth.js); a long-lived refresh token gets new ones. Refresh tokens rotate:
+ * each refresh replaces the token, and presenting a replaced one revokes the session, since it
+ * means the token was copied. Refresh tokens are only stored as hashes.
+ */
+
+import crypto from 'crypto'
+import { dbAll, dbGet, dbRun, dbExecute } from '../config/database.js'
+import { disconnectSessions } from './realtime.js'
+
+// Lifetime of access tokens (jsonwebtoken expiresIn format, default: 15 minutes)
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m'
+
+// Days a session stays signed in without being used (default: 30)
+export const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS, 10) || 30
+
+// How often last_seen_at is updated while a session makes requests
+const LAST_SEEN_INTERVAL_MS = 60 * 1000
+
+/**
+ * SHA-256 hash of a refresh token, as stored in the sessions table
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+/**
+ * New refresh token for a session ("<sessionId>.<secret>", so a token leads to its session)
+ */
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`
+
+/**
+ * When a session used now expires
+ */
+const getExpiry = () => new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+
+/**
+ * Short description of the browser and system in a User-Agent header
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} e.g. "Chrome on macOS"
+ */
+export const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device'
+
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Firefox', /Firefox\//],
+    ['Chrome', /Chrome\//], ['Safari', /Safari\//]
+  ]
+  const systems = [
+    ['Windows', /Windows/], ['Android', /Android/], ['iOS', /iPhone|iPad/],
+    ['macOS', /Mac OS X|Macintosh/], ['Linux', /Linux/]
+  ]
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0]
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0]
+
+  if (browser && system) return `${browser} on ${system}`
+  return browser || system || userAgent.slice(0, 60)
+}
+
+/**
+ * Starts a session for a user signing in
+ * @param {string} userId - User ID
+ * @param {Object} req - Express request (device and IP are recorded)
+ * @returns {Promise<Object>} { sessionId, refreshToken }
+ */
+export const createSession = async (userId, req) => {
+  const sessionId = `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+  const refreshToken = generateRefreshToken(sessionId)
+  const now = new Date().toISOString()
+
+  await dbRun(
+    `INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip, created_at, last_seen_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [sessionId, userId, hashToken(refreshToken), req.get('user-agent') || null, req.ip, now, now, getExpiry()]
+  )
+
+  return { sessionId, refreshToken }
+}
+
+/**
+ * Exchanges a refresh token for a new one
+ * @param {string} refreshToken - Current refresh token of the session
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} { session, refreshToken }, or null if the token is not valid
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const sessionId = String(refreshToken).split('.')[0]
+  const session = await dbGet(
+    `SELECT s.*, u.email FROM sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.id = ? AND s.revoked_at IS NULL`,
+    [sessionId]
+  )
+  if (!session || session.expires_at <= new Date().toISOString()) return null
+
+  const tokenHash = hashToken(refreshToken)
+  if (tokenHash === session.previous_token_hash) {
+    // A replaced token was used again: someone else may hold a copy, so end the session
+    await revokeSession(sessionId, session.user_id)
+    return null
+  }
+
+  // Replace the token only if it is still the current one, so two refreshes cannot both succeed
+  const nextToken = generateRefreshToken(sessionId)
+  const result = await dbExecute(
+    `UPDATE sessions
+     SET refresh_token_hash = ?, previous_token_hash = ?, user_agent = ?, ip = ?, last_seen_at = ?, expires_at = ?
+     WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+    [
+      hashToken(nextToken), tokenHash, req.get('user-agent') || session.user_agent, req.ip,
+      new Date().toISOString(), getExpiry(), sessionId, tokenHash
+    ]
+  )
+  if (result.changes === 0) return null
+
+  return { session, refreshToken: nextToken }
+}
+
+/**
+ * Checks that a session has not been revoked or expired, and records that it was seen
+ * @param {string} sessionId - Session ID from the access token
+ * @param {string} userId - User ID from the access token
+ * @returns {Promise<boolean>} True if the session is active
+ */
+export const touchSession = async (sessionId, userId) => {
+  const now = new Date()
+  const session = await dbGet(
+    `SELECT last_seen_at FROM sessions
+     WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > ?`,
+    [sessionId, userId, now.toISOString()]
+  )
+  if (!session) return false
+
+  if (now - new Date(session.last_seen_at) > LAST_SEEN_INTERVAL_MS) {
+    await dbRun('UPDATE sessions SET last_seen_at = ? WHERE id = ?', [now.toISOString(), sessionId])
+  }
+  return true
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session making the request (flagged as current)
+ * @returns {Promise<Array>} [{ id, device, userAgent, ip, createdAt, lastSeenAt, expiresAt, current }]
+ */
+export const listSessions = async (userId, currentSessionId) => {
+  const sessions = await dbAll(
+    `SELECT id, user_agent, ip, created_at, last_seen_at, expires_at FROM sessions
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+     ORDER BY last_seen_at DESC`,
+    [userId, new Date().toISOString()]
+  )
+
+  return sessions.map(session => ({
+    id: session.id,
+    device: describeDevice(session.user_agent),
+    userAgent: session.user_agent,
+    ip: session.ip,
+    createdAt: session.created_at,
+    lastSeenAt: session.last_seen_at,
+    expiresAt: session.expires_at,
+    current: session.id === currentSessionId
+  }))
+}
+
+/**
+ * Revokes one session of a user and closes its event streams
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+export const revokeSession = async (sessionId, userId) => {
+  const result = await dbExecute(
+    'UPDATE sessions SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+    [new Date().toISOString(), sessionId, userId]
+  )
+  if (result.changes === 0) return false
+
+  disconnectSessions([sessionId])
+  return true
+}
+
+/**
+ * Revokes every session of a user and closes their event streams
+ * @param {string} userId - User ID
+ * @param {string} [exceptSessionId] - Session to keep signed in
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeUserSessions = async (userId, exceptSessionId = null) => {
+  const sessions = await dbAll(
+    'SELECT id FROM sessions WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?',
+    [userId, exceptSessionId]
+  )
+  if (sessions.length === 0) return 0
+
+  const sessionIds = sessions.map(session => session.id)
+  await dbRun(
+    `UPDATE sessions SET revoked_at = ? WHERE revoked_at IS NULL AND id IN (${sessionIds.map(() => '?').join(', ')})`,
+    [new Date().toISOString(), ...sessionIds]
+  )
+  disconnectSessions(sessionIds)
+  return sessionIds.length
+}
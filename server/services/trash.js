@@ -0,0 +1,138 @@
+/**
+ * Trash
+ * Deleted boards and tasks are only marked with deleted_at (see routes/boards.js and routes/tasks.js),
+ * so they can be restored with their comments, attachments, dependencies and sharing intact.
+ * A background job removes them for good once they have been in the trash for the retention period.
+ */
+
+import { dbAll, dbRun, withTransaction } from '../config/database.js'
+import { deleteTaskRows } from '../utils/taskRows.js'
+import { removeTaskAttachments, removeBoardAttachments } from './attachmentStorage.js'
+
+// Days deleted items stay in the trash before they are purged (default: 30)
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30
+
+// How often the purge job runs (default: every hour)
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000
+
+// Board-level data removed together with a purged board (every table with a board_id column;
+// add new ones here)
+const BOARD_TABLES = [
+  'board_sharing', 'activity_log', 'automation_rules', 'recurring_tasks', 'saved_filters',
+  'custom_fields', 'task_comments', 'task_attachments', 'task_operations'
+]
+
+let timer = null
+let running = false
+
+/**
+ * Parses a deleted_at value (SQLite CURRENT_TIMESTAMP, which is UTC without a zone marker)
+ */
+const parseDeletedAt = (value) => new Date(`${String(value).replace(' ', 'T')}Z`)
+
+/**
+ * When an item deleted at the given time will be purged
+ * @param {string} deletedAt - deleted_at column value
+ * @returns {string} ISO timestamp
+ */
+export const getPurgeDate = (deletedAt) => (
+  new Date(parseDeletedAt(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+)
+
+/**
+ * Permanently deletes a task with its comments and attachments
+ * @param {Object} task - Task row
+ */
+export const purgeTask = async (task) => {
+  await withTransaction(() => deleteTaskRows(task.id))
+  await removeTaskAttachments(task.board_id, task.id)
+}
+
+/**
+ * Permanently deletes a board with its tasks, sharing, activity and board-level settings
+ * @param {string} boardId - Board ID
+ */
+export const purgeBoard = async (boardId) => {
+  await withTransaction(async () => {
+    await dbRun(
+      'DELETE FROM task_comment_edits WHERE comment_id IN (SELECT id FROM task_comments WHERE board_id = ?)',
+      [boardId]
+    )
+    for (const table of BOARD_TABLES) {
+      await dbRun(`DELETE FROM ${table} WHERE board_id = ?`, [boardId])
+    }
+    await dbRun('DELETE FROM tasks WHERE board_id = ?', [boardId])
+    await dbRun('DELETE FROM boards WHERE id = ?', [boardId])
+  })
+  await removeBoardAttachments(boardId)
+}
+
+/**
+ * Purges every board and task that has been in the trash longer than the retention period
+ * Failures are logged per item and retried on the next run.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { boards, tasks } numbers purged
+ */
+export const purgeExpiredTrash = async (now = new Date()) => {
+  const purged = { boards: 0, tasks: 0 }
+  if (running) return purged
+  running = true
+
+  try {
+    // deleted_at is stored as "YYYY-MM-DD HH:MM:SS" (UTC)
+    const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+      .toISOString().replace('T', ' ').slice(0, 19)
+
+    const boards = await dbAll('SELECT id FROM boards WHERE deleted_at IS NOT NULL AND deleted_at < ?', [cutoff])
+    for (const { id } of boards) {
+      try {
+        await purgeBoard(id)
+        purged.boards++
+      } catch (error) {
+        console.error(`Trash purge error (board ${id}):`, error)
+      }
+    }
+
+    const tasks = await dbAll(
+      'SELECT id, board_id FROM tasks WHERE deleted_at IS NOT NULL AND deleted_at < ?',
+      [cutoff]
+    )
+    for (const task of tasks) {
+      try {
+        await purgeTask(task)
+        purged.tasks++
+      } catch (error) {
+        console.error(`Trash purge error (task ${task.id}):`, error)
+      }
+    }
+  } catch (error) {
+    console.error('Trash purge error:', error)
+  } finally {
+    running = false
+  }
+
+  return purged
+}
+
+/**
+ * Starts purging expired trash on an interval (and once right away)
+ * @param {number} intervalMs - Milliseconds between runs; 0 disables the job
+ */
+export const startTrashPurge = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  if (timer || !(intervalMs > 0)) return
+
+  purgeExpiredTrash()
+  timer = setInterval(purgeExpiredTrash, intervalMs)
+  // Don't keep the process alive just for the purge job
+  timer.unref()
+}
+
+/**
+ * Stops the purge job
+ */
+export const stopTrashPurge = () => {
+  if (timer) {
+    clearInterval(timer)
+    timer = null
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Two-Factor Authentication
+ * Optional TOTP second step at login (see utils/totp.js). Setting up stores a secret that only
+ * takes effect once the user confirms a code from their app; enabling also creates single-use
+ * recovery codes for a lost device. Board owners can require 2FA for everyone on a board.
+ */
+
+import crypto from 'crypto'
+import QRCode from 'qrcode'
+import { dbAll, dbGet, dbRun, dbExecute } from '../config/database.js'
+import { generateSecret, verifyCode, getProvisioningUri } from '../utils/totp.js'
+
+// Name shown for the account in authenticator apps
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Kanban'
+
+const RECOVERY_CODE_COUNT = 10
+
+/**
+ * SHA-256 hash of a recovery code (dashes and case are ignored)
+ */
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex')
+
+/**
+ * New recovery codes, e.g. "3f9a-07c2-b1d4"
+ * @returns {Array} Codes to show to the user once
+ */
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => (
+  crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-')
+))
+
+/**
+ * Stores new recovery codes for a user, replacing the old ones
+ * @returns {Promise<Array>} The new codes
+ */
+const replaceRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes()
+  await dbRun(
+    'UPDATE users SET totp_recovery_codes = ? WHERE id = ?',
+    [JSON.stringify(codes.map(hashRecoveryCode)), userId]
+  )
+  return codes
+}
+
+/**
+ * Boards that require two-factor authentication and that the user owns or is shared on
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} [{ id, name }]
+ */
+export const getBoardsRequiringTwoFactor = (userId) => dbAll(
+  `SELECT id, name FROM boards
+   WHERE require_two_factor = 1 AND deleted_at IS NULL
+     AND (owner_id = ? OR id IN (SELECT board_id FROM board_sharing WHERE user_id = ?))
+   ORDER BY name`,
+  [userId, userId]
+)
+
+/**
+ * Two-factor status of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { enabled, recoveryCodesRemaining, requiredBy }
+ */
+export const getTwoFactorStatus = async (userId) => {
+  const user = await dbGet('SELECT totp_enabled_at, totp_recovery_codes FROM users WHERE id = ?', [userId])
+  return {
+    enabled: Boolean(user?.totp_enabled_at),
+    recoveryCodesRemaining: user?.totp_enabled_at ? JSON.parse(user.totp_recovery_codes || '[]').length : 0,
+    requiredBy: await getBoardsRequiringTwoFactor(userId)
+  }
+}
+
+/**
+ * Starts setting up two-factor authentication with a new secret
+ * @param {Object} user - { id, email }
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } (qrCode is a PNG data URL)
+ */
+export const startTwoFactorSetup = async (user) => {
+  const secret = generateSecret()
+  await dbRun('UPDATE users SET totp_secret = ? WHERE id = ? AND totp_enabled_at IS NULL', [secret, user.id])
+
+  const otpauthUrl = getProvisioningUri({ secret, account: user.email, issuer: TOTP_ISSUER })
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) }
+}
+
+/**
+ * Finishes setup once the user enters a code from their app
+ * @param {string} userId - User ID
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Array|null>} Recovery codes, or null if the code is wrong
+ */
+export const enableTwoFactor = async (userId, code) => {
+  const user = await dbGet('SELECT totp_secret FROM users WHERE id = ? AND totp_enabled_at IS NULL', [userId])
+  const step = user?.totp_secret ? verifyCode(user.totp_secret, code) : null
+  if (step === null) return null
+
+  await dbRun(
+    'UPDATE users SET totp_enabled_at = ?, totp_last_step = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [new Date().toISOString(), step, userId]
+  )
+  return replaceRecoveryCodes(userId)
+}
+
+/**
+ * Checks the second factor of a user: a code from their app or an unused recovery code
+ * Accepted codes are used up (an app code cannot be entered twice).
+ * @param {string} userId - User ID
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - { allowRecoveryCode } (default true)
+ * @returns {Promise<boolean>} True if the code is valid
+ */
+export const verifySecondFactor = async (userId, code, { allowRecoveryCode = true } = {}) => {
+  const user = await dbGet(
+    'SELECT totp_secret, totp_last_step, totp_recovery_codes FROM users WHERE id = ? AND totp_enabled_at IS NOT NULL',
+    [userId]
+  )
+  if (!user || !code) return false
+
+  const step = verifyCode(user.totp_secret, code, user.totp_last_step)
+  if (step !== null) {
+    // Only the first request with this code gets to move the last step forward
+    const result = await dbExecute(
+      'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+      [step, userId, step]
+    )
+    return result.changes > 0
+  }
+
+  if (!allowRecoveryCode) return false
+  const hashes = JSON.parse(user.totp_recovery_codes || '[]')
+  const hash = hashRecoveryCode(code)
+  if (!hashes.includes(hash)) return false
+
+  const result = await dbExecute(
+    'UPDATE users SET totp_recovery_codes = ? WHERE id = ? AND totp_recovery_codes = ?',
+    [JSON.stringify(hashes.filter(h => h !== hash)), userId, user.totp_recovery_codes]
+  )
+  return result.changes > 0
+}
+
+/**
+ * Replaces the recovery codes of a user with two-factor authentication
+ * @returns {Promise<Array>} The new codes
+ */
+export const regenerateRecoveryCodes = (userId) => replaceRecoveryCodes(userId)
+
+/**
+ * Turns two-factor authentication off
+ * @param {string} userId - User ID
+ */
+export const disableTwoFactor = (userId) => dbRun(
+  `UPDATE users
+   SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, totp_recovery_codes = NULL,
+       updated_at = CURRENT_TIMESTAMP
+   WHERE id = ?`,
+  [userId]
+)
@@ -0,0 +1,172 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import { initDatabase, closeDatabase, createUser, createBoard, createTask, signIn, startApp } from './helpers.js'
+import { dbRun } from '../config/database.js'
+import { authenticateToken } from '../middleware/auth.js'
+import activityRoutes from '../routes/activities.js'
+import boardRoutes from '../routes/boards.js'
+import userRoutes from '../routes/users.js'
+import { createAccessToken, expandScopes } from '../services/accessTokens.js'
+
+let user, boardId, otherBoardId, app
+
+// Every /api request is authenticated and answers with the user it was authenticated as
+const echoRoutes = express.Router()
+echoRoutes.use(authenticateToken)
+echoRoutes.all('*', (req, res) => res.json(req.user))
+
+// Whether the server ends an event stream within a few seconds (the stream is cancelled otherwise)
+const streamEnds = async (reader) => {
+  let timedOut = false
+  const timer = setTimeout(() => {
+    timedOut = true
+    reader.cancel()
+  }, 5000)
+
+  let done = false
+  while (!done) ({ done } = await reader.read())
+  clearTimeout(timer)
+  return !timedOut
+}
+
+const tokenFor = async (scopes, options = {}) => {
+  const { token } = await createAccessToken(user.id, { name: 'Test', scopes, ...options })
+  return token
+}
+
+before(async () => {
+  await initDatabase()
+  user = await createUser('Tokens')
+  boardId = await createBoard(user.id)
+  otherBoardId = await createBoard(user.id)
+  app = await startApp({ '/api': echoRoutes })
+})
+
+after(async () => {
+  await app.close()
+  await closeDatabase()
+})
+
+describe('personal access tokens', () => {
+  test('authenticate as their owner', async () => {
+    const token = await tokenFor(['boards:read'])
+    const { status, body } = await app.request('GET', `/api/boards/${boardId}`, { token })
+    assert.equal(status, 200)
+    assert.equal(body.id, user.id)
+    assert.deepEqual(body.accessToken.scopes, ['boards:read'])
+  })
+
+  test('need the scope of the endpoint', async () => {
+    const token = await tokenFor(['boards:read'])
+    const { status, body } = await app.request('POST', '/api/tasks', { token, body: { boardId } })
+    assert.equal(status, 403)
+    assert.match(body.error, /tasks:write/)
+  })
+
+  test('write scopes imply the matching read scopes', async () => {
+    assert.deepEqual(expandScopes(['tasks:write', 'boards:admin']).sort(), [
+      'boards:admin', 'boards:read', 'tasks:read', 'tasks:write'
+    ])
+    const token = await tokenFor(['tasks:write'])
+    assert.equal((await app.request('GET', `/api/tasks?boardId=${boardId}`, { token })).status, 200)
+  })
+
+  test('limited to a board cannot reach other boards', async () => {
+    const token = await tokenFor(['tasks:write', 'boards:read'], { boardIds: [boardId] })
+    const taskId = await createTask(boardId)
+    const otherTaskId = await createTask(otherBoardId)
+
+    assert.equal((await app.request('GET', `/api/boards/${boardId}`, { token })).status, 200)
+    assert.equal((await app.request('PUT', `/api/tasks/${taskId}`, { token, body: {} })).status, 200)
+    assert.equal((await app.request('GET', `/api/boards/${otherBoardId}`, { token })).status, 403)
+    assert.equal((await app.request('PUT', `/api/tasks/${otherTaskId}`, { token, body: {} })).status, 403)
+    assert.equal((await app.request('GET', '/api/tasks/missing-task', { token })).status, 403)
+    assert.equal((await app.request('POST', '/api/tasks/batch', {
+      token, body: { operations: [{ taskIds: [taskId, otherTaskId] }] }
+    })).status, 403)
+  })
+
+  test('stop working when they expire', async () => {
+    const { token, accessToken } = await createAccessToken(user.id, {
+      name: 'Expiring', scopes: ['boards:read'], expiresInDays: 1
+    })
+    assert.equal((await app.request('GET', '/api/boards', { token })).status, 200)
+
+    await dbRun('UPDATE personal_access_tokens SET expires_at = ? WHERE id = ?', [
+      new Date(Date.now() - 1000).toISOString(), accessToken.id
+    ])
+    assert.equal((await app.request('GET', '/api/boards', { token })).status, 401)
+    assert.equal((await app.request('GET', '/api/boards', { token: 'kbn_unknown' })).status, 401)
+  })
+
+  test('cannot call endpoints that need a login', async () => {
+    const token = await tokenFor(['boards:admin', 'tasks:write'])
+    assert.equal((await app.request('GET', '/api/access-tokens', { token })).status, 403)
+    assert.equal((await app.request('GET', '/api/auth/sessions', { token })).status, 403)
+  })
+
+  test('cannot reach boards that require two-factor authentication', async () => {
+    const securedBoardId = await createBoard(user.id)
+    await dbRun('UPDATE boards SET require_two_factor = 1 WHERE id = ?', [securedBoardId])
+    const taskId = await createTask(securedBoardId)
+    const token = await tokenFor(['boards:read', 'tasks:write'])
+
+    assert.equal((await app.request('GET', `/api/boards/${securedBoardId}`, { token })).status, 403)
+    assert.equal((await app.request('GET', `/api/tasks/${taskId}`, { token })).status, 403)
+    assert.equal((await app.request('GET', `/api/tasks?boardId=${securedBoardId}`, { token })).status, 403)
+  })
+})
+
+describe('deleting a personal access token', () => {
+  test('closes its event streams', async () => {
+    const streamApp = await startApp({ '/api/boards': boardRoutes, '/api/users': userRoutes })
+    try {
+      const { token, accessToken } = await createAccessToken(user.id, { name: 'Stream', scopes: ['boards:read'] })
+      const response = await fetch(`${streamApp.baseUrl}/api/boards/${boardId}/events`, {
+        headers: { Accept: 'text/event-stream', Authorization: `Bearer ${token}` }
+      })
+      assert.equal(response.status, 200)
+      const reader = response.body.getReader()
+      await reader.read()
+
+      const { status } = await streamApp.request('DELETE', `/api/users/me/tokens/${accessToken.id}`, {
+        token: await signIn(user)
+      })
+      assert.equal(status, 200)
+
+      assert.ok(await streamEnds(reader))
+      assert.equal((await streamApp.request('GET', `/api/boards/${boardId}`, { token })).status, 401)
+    } finally {
+      await streamApp.close()
+    }
+  })
+})
+
+describe('activity log', () => {
+  test('is only readable on boards the caller can access, and not on 2FA boards with tokens', async () => {
+    const activityApp = await startApp({ '/api/activities': activityRoutes })
+    try {
+      const stranger = await createUser('Stranger')
+      const securedBoardId = await createBoard(user.id)
+      await dbRun('UPDATE boards SET require_two_factor = 1 WHERE id = ?', [securedBoardId])
+      const token = await tokenFor(['tasks:read'])
+
+      assert.equal((await activityApp.request('GET', `/api/activities?boardId=${boardId}`, { token })).status, 200)
+      assert.equal((await activityApp.request('GET', `/api/activities?boardId=${securedBoardId}`, { token })).status, 403)
+      assert.equal((await activityApp.request('GET', `/api/activities?boardId=${securedBoardId}`, {
+        token: await signIn(user)
+      })).status, 200)
+
+      const strangerToken = await createAccessToken(stranger.id, { name: 'Stranger', scopes: ['tasks:read'] })
+      assert.equal((await activityApp.request('GET', `/api/activities?boardId=${boardId}`, {
+        token: strangerToken.token
+      })).status, 404)
+      assert.equal((await activityApp.request('GET', `/api/activities?boardId=${boardId}`, {
+        token: await signIn(stranger)
+      })).status, 404)
+    } finally {
+      await activityApp.close()
+    }
+  })
+})
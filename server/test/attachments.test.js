@@ -0,0 +1,94 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import {
+  initDatabase, closeDatabase, createUser, createBoard, shareBoard, createTask, signIn, startApp
+} from './helpers.js'
+import { dbGet } from '../config/database.js'
+import attachmentRoutes from '../routes/attachments.js'
+import { getAttachmentPath, getTaskDir } from '../services/attachmentStorage.js'
+
+let owner, viewer, ownerToken, boardId, app
+
+const attachmentsPath = (taskId) => `/api/tasks/${taskId}/attachments`
+
+// Uploads a file as multipart/form-data, like the client does
+const upload = async (taskId, { name, type, content = 'file content' }, token = ownerToken) => {
+  const form = new FormData()
+  form.append('file', new Blob([content], { type }), name)
+  const response = await fetch(`${app.baseUrl}${attachmentsPath(taskId)}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: form
+  })
+  return { status: response.status, body: await response.json() }
+}
+
+const listTaskFiles = (taskId) => {
+  const dir = getTaskDir(boardId, taskId)
+  return fs.existsSync(dir) ? fs.readdirSync(dir) : []
+}
+
+before(async () => {
+  await initDatabase()
+  owner = await createUser('Owner')
+  viewer = await createUser('Viewer')
+  ownerToken = await signIn(owner)
+  boardId = await createBoard(owner.id)
+  await shareBoard(boardId, viewer.id, 'viewer')
+  app = await startApp({ '/api/tasks/:taskId/attachments': attachmentRoutes })
+})
+
+after(async () => {
+  await app.close()
+  await closeDatabase()
+})
+
+describe('attachments', () => {
+  test('accept allowed file types and serve them back', async () => {
+    const taskId = await createTask(boardId)
+    const { status, body } = await upload(taskId, { name: 'notes.txt', type: 'text/plain', content: 'hello' })
+    assert.equal(status, 201)
+    assert.equal(body.filename, 'notes.txt')
+
+    const response = await fetch(`${app.baseUrl}${attachmentsPath(taskId)}/${body.id}`, {
+      headers: { Authorization: `Bearer ${await signIn(viewer)}` }
+    })
+    assert.equal(response.status, 200)
+    assert.equal(response.headers.get('x-content-type-options'), 'nosniff')
+    assert.match(response.headers.get('content-disposition'), /^attachment/)
+    assert.equal(await response.text(), 'hello')
+  })
+
+  test('refuse file types outside the allowlist and keep nothing of them', async () => {
+    const taskId = await createTask(boardId)
+    const refused = [
+      { name: 'logo.svg', type: 'image/svg+xml' },
+      { name: 'page.html', type: 'text/html' },
+      { name: 'run.exe', type: 'application/octet-stream' }
+    ]
+
+    for (const file of refused) {
+      const { status, body } = await upload(taskId, file)
+      assert.equal(status, 415, file.name)
+      assert.match(body.error, /is not allowed/)
+    }
+    const { count } = await dbGet('SELECT COUNT(*) AS count FROM task_attachments WHERE task_id = ?', [taskId])
+    assert.equal(count, 0)
+    assert.deepEqual(listTaskFiles(taskId), [])
+  })
+
+  test('are only added and removed by editors', async () => {
+    const taskId = await createTask(boardId)
+    const viewerToken = await signIn(viewer)
+    assert.equal((await upload(taskId, { name: 'a.png', type: 'image/png' }, viewerToken)).status, 403)
+
+    const { body } = await upload(taskId, { name: 'a.png', type: 'image/png' })
+    const attachment = await dbGet('SELECT * FROM task_attachments WHERE id = ?', [body.id])
+    const deletePath = `${attachmentsPath(taskId)}/${body.id}`
+
+    assert.equal((await app.request('DELETE', deletePath, { token: viewerToken })).status, 403)
+    assert.equal((await app.request('DELETE', deletePath, { token: ownerToken })).status, 200)
+    assert.equal(fs.existsSync(getAttachmentPath(attachment)), false)
+  })
+})
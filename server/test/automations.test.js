@@ -0,0 +1,185 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  initDatabase, closeDatabase, createUser, createBoard, shareBoard, createTask, signIn, startApp
+} from './helpers.js'
+import { dbAll, dbGet, dbRun } from '../config/database.js'
+import automationRoutes from '../routes/automations.js'
+import boardRoutes from '../routes/boards.js'
+import taskRoutes from '../routes/tasks.js'
+import { runAutomations } from '../services/automationEngine.js'
+
+let owner, viewer, stranger, boardId, app
+
+const insertRule = async (ruleBoardId, actions, trigger = 'task-created') => {
+  const id = `automation-${Math.random().toString(36).slice(2)}`
+  await dbRun(
+    `INSERT INTO automation_rules (id, board_id, user_id, name, enabled, trigger, conditions, actions)
+     VALUES (?, ?, ?, ?, 1, ?, '[]', ?)`,
+    [id, ruleBoardId, owner.id, 'Rule', trigger, JSON.stringify(actions)]
+  )
+  return id
+}
+
+const getTask = (id) => dbGet('SELECT * FROM tasks WHERE id = ?', [id])
+
+before(async () => {
+  await initDatabase()
+  owner = await createUser('Owner')
+  viewer = await createUser('Viewer')
+  stranger = await createUser('Stranger')
+  boardId = await createBoard(owner.id)
+  await shareBoard(boardId, viewer.id, 'viewer')
+  app = await startApp({ '/api/automations': automationRoutes, '/api/boards': boardRoutes, '/api/tasks': taskRoutes })
+})
+
+after(async () => {
+  await app.close()
+  await closeDatabase()
+})
+
+describe('automation routes', () => {
+  const rule = () => ({ boardId, name: 'Rule', enabled: true, trigger: 'task-created', conditions: [], actions: [] })
+
+  test('editors create rules on their board, owned by them', async () => {
+    const { status, body } = await app.request('POST', '/api/automations', { token: await signIn(owner), body: rule() })
+    assert.equal(status, 201)
+    assert.equal(body.board_id, boardId)
+    assert.equal(body.user_id, owner.id)
+  })
+
+  test('a board is required', async () => {
+    const { status } = await app.request('POST', '/api/automations', {
+      token: await signIn(owner), body: { ...rule(), boardId: undefined }
+    })
+    assert.equal(status, 400)
+  })
+
+  test('viewers can list rules but not create them', async () => {
+    const token = await signIn(viewer)
+    assert.equal((await app.request('GET', `/api/automations?boardId=${boardId}`, { token })).status, 200)
+    assert.equal((await app.request('POST', '/api/automations', { token, body: rule() })).status, 403)
+  })
+
+  test('users without access to the board cannot see or change its rules', async () => {
+    const token = await signIn(stranger)
+    const ruleId = await insertRule(boardId, [])
+
+    assert.equal((await app.request('GET', `/api/automations?boardId=${boardId}`, { token })).status, 404)
+    assert.equal((await app.request('POST', '/api/automations', { token, body: rule() })).status, 404)
+    assert.equal((await app.request('PUT', `/api/automations/${ruleId}`, { token, body: { enabled: false } })).status, 404)
+    assert.equal((await app.request('DELETE', `/api/automations/${ruleId}`, { token })).status, 404)
+  })
+
+  test('rules can only assign tasks to board members', async () => {
+    const token = await signIn(owner)
+    const assign = (userId) => [{ type: 'assign-user', value: userId }]
+    const save = (method, path, body) => app.request(method, path, { token, body })
+
+    assert.equal((await save('POST', '/api/automations', { ...rule(), actions: assign(stranger.id) })).status, 400)
+    const { status, body } = await save('POST', '/api/automations', { ...rule(), actions: assign(viewer.id) })
+    assert.equal(status, 201)
+
+    assert.equal((await save('PUT', `/api/automations/${body.id}`, { actions: assign(stranger.id) })).status, 400)
+    const saved = await dbGet('SELECT actions FROM automation_rules WHERE id = ?', [body.id])
+    assert.deepEqual(JSON.parse(saved.actions), assign(viewer.id))
+  })
+
+  test('rules without a board cannot be changed', async () => {
+    const ruleId = await insertRule(null, [])
+    const { status } = await app.request('PUT', `/api/automations/${ruleId}`, { token: await signIn(owner), body: { enabled: false } })
+    assert.equal(status, 404)
+  })
+})
+
+describe('automation engine', () => {
+  test('only runs the rules of the task\'s board', async () => {
+    const otherBoardId = await createBoard(stranger.id)
+    await insertRule(otherBoardId, [{ type: 'set-priority', value: 'high' }])
+    await insertRule(null, [{ type: 'set-category', value: 'global' }])
+
+    const taskId = await createTask(boardId, { title: 'Scoped' })
+    const task = await runAutomations({ event: 'created', task: await getTask(taskId), user: owner })
+
+    assert.equal(task.priority, 'medium')
+    assert.equal(task.category, null)
+  })
+
+  test('only notifies members of the board', async () => {
+    const memberBoardId = await createBoard(owner.id)
+    await shareBoard(memberBoardId, viewer.id, 'viewer')
+    await insertRule(memberBoardId, [
+      { type: 'create-notification', userId: viewer.id, message: 'to a member' },
+      { type: 'create-notification', userId: stranger.id, message: 'to a stranger' }
+    ])
+
+    const taskId = await createTask(memberBoardId)
+    await runAutomations({ event: 'created', task: await getTask(taskId), user: owner })
+
+    const notifications = await dbAll('SELECT user_id FROM notifications WHERE entity_id = ?', [taskId])
+    assert.deepEqual(notifications.map(n => n.user_id), [viewer.id])
+  })
+
+  test('does not assign people who are no longer on the board', async () => {
+    const memberBoardId = await createBoard(owner.id)
+    await insertRule(memberBoardId, [{ type: 'assign-user', value: stranger.id }])
+
+    const taskId = await createTask(memberBoardId)
+    const task = await runAutomations({ event: 'created', task: await getTask(taskId), user: owner })
+    assert.equal(task.assigned_to, null)
+
+    const activity = await dbGet(
+      "SELECT metadata FROM activity_log WHERE entity_id = ? AND action = 'automation'",
+      [taskId]
+    )
+    assert.deepEqual(JSON.parse(activity.metadata).blocked, ['Assignee is not a member of this board'])
+  })
+
+  test('changes are undone with the change that triggered them', async () => {
+    const undoBoardId = await createBoard(owner.id)
+    await insertRule(undoBoardId, [
+      { type: 'set-priority', value: 'high' },
+      { type: 'create-task', title: 'Follow-up' }
+    ], 'task-updated')
+    const taskId = await createTask(undoBoardId)
+    const token = await signIn(owner)
+
+    const { status, body } = await app.request('PUT', `/api/tasks/${taskId}`, { token, body: { title: 'Renamed' } })
+    assert.equal(status, 200)
+    assert.equal(body.priority, 'high')
+    const followUp = await dbGet("SELECT id FROM tasks WHERE board_id = ? AND title = 'Follow-up'", [undoBoardId])
+    assert.ok(followUp)
+
+    assert.equal((await app.request('POST', `/api/boards/${undoBoardId}/undo`, { token })).status, 200)
+    const task = await getTask(taskId)
+    assert.equal(task.title, 'Test task')
+    assert.equal(task.priority, 'medium')
+    assert.equal(await getTask(followUp.id), undefined)
+  })
+
+  test('cannot move or create tasks past a hard WIP limit, or into unknown columns', async () => {
+    const limitedBoardId = await createBoard(owner.id, [
+      { id: 'todo', title: 'To Do' },
+      { id: 'doing', title: 'Doing', wipLimit: 1, wipMode: 'hard' }
+    ])
+    await createTask(limitedBoardId, { status: 'doing' })
+    await insertRule(limitedBoardId, [
+      { type: 'set-status', value: 'doing' },
+      { type: 'create-task', title: 'Follow-up', status: 'doing' },
+      { type: 'create-task', title: 'Lost', status: 'missing' }
+    ])
+
+    const taskId = await createTask(limitedBoardId)
+    const task = await runAutomations({ event: 'created', task: await getTask(taskId), user: owner })
+    assert.equal(task.status, 'todo')
+
+    const { count } = await dbGet('SELECT COUNT(*) AS count FROM tasks WHERE board_id = ?', [limitedBoardId])
+    assert.equal(count, 2)
+
+    const activity = await dbGet(
+      "SELECT metadata FROM activity_log WHERE entity_id = ? AND action = 'automation'",
+      [taskId]
+    )
+    assert.equal(JSON.parse(activity.metadata).blocked.length, 3)
+  })
+})
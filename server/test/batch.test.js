@@ -0,0 +1,112 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  initDatabase, closeDatabase, createUser, createBoard, shareBoard, createTask, signIn, startApp
+} from './helpers.js'
+import { dbGet } from '../config/database.js'
+import taskRoutes from '../routes/tasks.js'
+
+let owner, member, stranger, token, boardId, app
+
+const batch = (operations, options = {}) => app.request('POST', '/api/tasks/batch', {
+  token, body: { operations, ...options }
+})
+
+const getTask = (taskId) => dbGet('SELECT * FROM tasks WHERE id = ?', [taskId])
+
+before(async () => {
+  await initDatabase()
+  owner = await createUser('Owner')
+  member = await createUser('Member')
+  stranger = await createUser('Stranger')
+  token = await signIn(owner)
+  boardId = await createBoard(owner.id, [
+    { id: 'todo', title: 'To Do' },
+    { id: 'done', title: 'Done', wipLimit: 1, wipMode: 'hard' }
+  ])
+  await shareBoard(boardId, member.id, 'viewer')
+  app = await startApp({ '/api/tasks': taskRoutes })
+})
+
+after(async () => {
+  await app.close()
+  await closeDatabase()
+})
+
+describe('batch changes', () => {
+  test('apply what they can and report the rest', async () => {
+    const first = await createTask(boardId)
+    const second = await createTask(boardId)
+    const readOnly = await createTask(await createBoard(stranger.id))
+
+    const { status, body } = await batch([
+      { type: 'move', status: 'done', taskIds: [first, second] },
+      { type: 'set', field: 'priority', value: 'high', taskIds: [first, readOnly, 'missing-task'] }
+    ])
+    assert.equal(status, 200)
+    assert.equal(body.succeeded, 2)
+    assert.equal(body.failed, 3)
+    assert.deepEqual(body.results.filter(result => !result.ok).map(({ taskId, status }) => [taskId, status]), [
+      [second, 409], [readOnly, 403], ['missing-task', 404]
+    ])
+
+    assert.equal((await getTask(first)).status, 'done')
+    assert.equal((await getTask(first)).priority, 'high')
+    assert.equal((await getTask(second)).status, 'todo')
+    assert.notEqual((await getTask(readOnly)).priority, 'high')
+  })
+
+  test('reject invalid field values', async () => {
+    const taskId = await createTask(boardId)
+    const invalid = [
+      { field: 'priority', value: 'urgent' },
+      { field: 'priority', value: null },
+      { field: 'category', value: 42 },
+      { field: 'dueDate', value: 'someday' },
+      { field: 'timeEstimate', value: '3' },
+      { field: 'timeSpent', value: -1 }
+    ]
+
+    for (const operation of invalid) {
+      const { status, body } = await batch([{ type: 'set', ...operation, taskIds: [taskId] }])
+      assert.equal(status, 400, operation.field)
+      assert.match(body.error, /^Operation 0: /)
+    }
+    assert.equal((await getTask(taskId)).version, 1)
+
+    const { body } = await batch([
+      { type: 'set', field: 'timeEstimate', value: 2.5, taskIds: [taskId] },
+      { type: 'set', field: 'dueDate', value: '2024-03-01', taskIds: [taskId] },
+      { type: 'set', field: 'category', value: null, taskIds: [taskId] }
+    ])
+    assert.equal(body.succeeded, 3)
+    const task = await getTask(taskId)
+    assert.equal(task.time_estimate, 2.5)
+    assert.equal(task.due_date, '2024-03-01')
+  })
+
+  test('skip due dates before the start date', async () => {
+    const started = await createTask(boardId, { start_date: '2024-03-10' })
+    const unscheduled = await createTask(boardId)
+
+    const { body } = await batch([{ type: 'set', field: 'dueDate', value: '2024-03-01', taskIds: [started, unscheduled] }])
+    assert.deepEqual(body.results.map(({ taskId, status }) => [taskId, status]), [[started, 400], [unscheduled, undefined]])
+    assert.equal((await getTask(started)).due_date, null)
+    assert.equal((await getTask(unscheduled)).due_date, '2024-03-01')
+  })
+
+  test('only assign board members', async () => {
+    const taskId = await createTask(boardId)
+
+    const refused = await batch([{ type: 'assign', userId: stranger.id, taskIds: [taskId] }])
+    assert.equal(refused.body.results[0].status, 400)
+    assert.equal((await getTask(taskId)).assigned_to, null)
+
+    for (const userId of [member.id, owner.id]) {
+      const { body } = await batch([{ type: 'assign', userId, taskIds: [taskId] }])
+      assert.equal(body.succeeded, 1)
+      assert.equal((await getTask(taskId)).assigned_to, userId)
+    }
+    assert.equal((await batch([{ type: 'assign', userId: null, taskIds: [taskId] }])).body.succeeded, 1)
+  })
+})
@@ -0,0 +1,95 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  initDatabase, closeDatabase, createUser, createBoard, shareBoard, createTask, signIn, startApp
+} from './helpers.js'
+import { dbGet, dbRun } from '../config/database.js'
+import commentRoutes from '../routes/comments.js'
+
+let owner, editor, viewer, stranger, boardId, taskId, app
+
+const commentsPath = () => `/api/tasks/${taskId}/comments`
+
+const addComment = async (user, text = 'Looks good') => {
+  const { status, body } = await app.request('POST', commentsPath(), { token: await signIn(user), body: { text } })
+  assert.equal(status, 201)
+  return body
+}
+
+before(async () => {
+  await initDatabase()
+  owner = await createUser('Owner')
+  editor = await createUser('Editor')
+  viewer = await createUser('Viewer')
+  stranger = await createUser('Stranger')
+  boardId = await createBoard(owner.id)
+  await shareBoard(boardId, editor.id, 'editor')
+  await shareBoard(boardId, viewer.id, 'viewer')
+  taskId = await createTask(boardId)
+  app = await startApp({ '/api/tasks/:taskId/comments': commentRoutes })
+})
+
+after(async () => {
+  await app.close()
+  await closeDatabase()
+})
+
+describe('comment permissions', () => {
+  test('viewers can read comments but not add them', async () => {
+    await addComment(editor)
+    const token = await signIn(viewer)
+
+    const { status, body } = await app.request('GET', commentsPath(), { token })
+    assert.equal(status, 200)
+    assert.ok(body.length > 0)
+    assert.equal((await app.request('POST', commentsPath(), { token, body: { text: 'Hi' } })).status, 403)
+  })
+
+  test('users without access to the board cannot read comments', async () => {
+    assert.equal((await app.request('GET', commentsPath(), { token: await signIn(stranger) })).status, 403)
+  })
+
+  test('only the author edits or deletes a comment', async () => {
+    const comment = await addComment(editor)
+    const token = await signIn(owner)
+
+    assert.equal((await app.request('PUT', `${commentsPath()}/${comment.id}`, { token, body: { text: 'Mine now' } })).status, 403)
+    assert.equal((await app.request('DELETE', `${commentsPath()}/${comment.id}`, { token })).status, 403)
+
+    const edited = await app.request('PUT', `${commentsPath()}/${comment.id}`, {
+      token: await signIn(editor), body: { text: 'Edited' }
+    })
+    assert.equal(edited.status, 200)
+    assert.equal(edited.body.text, 'Edited')
+  })
+
+  test('authors who can no longer edit the board cannot change their comments', async () => {
+    const author = await createUser('Author')
+    await shareBoard(boardId, author.id, 'editor')
+    const comment = await addComment(author)
+    const token = await signIn(author)
+
+    await dbRun('UPDATE board_sharing SET permission = ? WHERE board_id = ? AND user_id = ?', ['viewer', boardId, author.id])
+    assert.equal((await app.request('PUT', `${commentsPath()}/${comment.id}`, { token, body: { text: 'Edited' } })).status, 403)
+    assert.equal((await app.request('DELETE', `${commentsPath()}/${comment.id}`, { token })).status, 403)
+
+    await dbRun('DELETE FROM board_sharing WHERE board_id = ? AND user_id = ?', [boardId, author.id])
+    assert.equal((await app.request('PUT', `${commentsPath()}/${comment.id}`, { token, body: { text: 'Edited' } })).status, 403)
+    assert.equal((await app.request('DELETE', `${commentsPath()}/${comment.id}`, { token })).status, 403)
+
+    const stored = await dbGet('SELECT body, deleted_at FROM task_comments WHERE id = ?', [comment.id])
+    assert.deepEqual(stored, { body: 'Looks good', deleted_at: null })
+  })
+
+  test('deleting a comment with replies keeps it as a placeholder', async () => {
+    const comment = await addComment(editor)
+    await app.request('POST', commentsPath(), {
+      token: await signIn(owner), body: { text: 'Reply', parentId: comment.id }
+    })
+
+    const { status, body } = await app.request('DELETE', `${commentsPath()}/${comment.id}`, { token: await signIn(editor) })
+    assert.equal(status, 200)
+    assert.deepEqual(body.removedIds, [])
+    assert.equal(body.comment.deleted, true)
+  })
+})
@@ -0,0 +1,87 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { initDatabase, closeDatabase, createUser, createBoard, createTask, signIn, startApp } from './helpers.js'
+import { dbGet } from '../config/database.js'
+import boardRoutes from '../routes/boards.js'
+import taskRoutes from '../routes/tasks.js'
+
+let owner, token, boardId, app
+
+// PUT with an If-Match header
+const putIfMatch = async (path, etag, body) => {
+  const response = await fetch(`${app.baseUrl}${path}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, 'If-Match': etag },
+    body: JSON.stringify(body)
+  })
+  return { status: response.status, headers: response.headers, body: await response.json() }
+}
+
+const getTask = (taskId) => dbGet('SELECT * FROM tasks WHERE id = ?', [taskId])
+
+before(async () => {
+  await initDatabase()
+  owner = await createUser('Owner')
+  token = await signIn(owner)
+  boardId = await createBoard(owner.id)
+  app = await startApp({ '/api/boards': boardRoutes, '/api/tasks': taskRoutes })
+})
+
+after(async () => {
+  await app.close()
+  await closeDatabase()
+})
+
+describe('task versions', () => {
+  test('are sent as ETags and move on with every update', async () => {
+    const taskId = await createTask(boardId)
+    const { headers } = await app.request('GET', `/api/tasks/${taskId}`, { token })
+    assert.equal(headers.get('etag'), '"1"')
+
+    const { status, headers: updatedHeaders, body } = await putIfMatch(`/api/tasks/${taskId}`, '"1"', { title: 'Mine' })
+    assert.equal(status, 200)
+    assert.equal(updatedHeaders.get('etag'), '"2"')
+    assert.equal(body.version, 2)
+  })
+
+  test('reject a stale If-Match with 412 and the current task', async () => {
+    const taskId = await createTask(boardId)
+    assert.equal((await app.request('PUT', `/api/tasks/${taskId}`, { token, body: { title: 'Theirs' } })).status, 200)
+
+    const { status, body } = await putIfMatch(`/api/tasks/${taskId}`, 'W/"1"', { title: 'Mine' })
+    assert.equal(status, 412)
+    assert.equal(body.current.title, 'Theirs')
+    assert.equal(body.current.version, 2)
+    assert.equal((await getTask(taskId)).title, 'Theirs')
+  })
+
+  test('reject a stale body version with 409', async () => {
+    const taskId = await createTask(boardId)
+    await app.request('PUT', `/api/tasks/${taskId}`, { token, body: { title: 'Theirs' } })
+
+    const { status, body } = await app.request('PUT', `/api/tasks/${taskId}`, { token, body: { title: 'Mine', version: 1 } })
+    assert.equal(status, 409)
+    assert.equal(body.current.title, 'Theirs')
+  })
+
+  test('are not checked without a version or with If-Match: *', async () => {
+    const taskId = await createTask(boardId)
+    await app.request('PUT', `/api/tasks/${taskId}`, { token, body: { title: 'Theirs' } })
+
+    assert.equal((await putIfMatch(`/api/tasks/${taskId}`, '*', { title: 'Mine' })).status, 200)
+    assert.equal((await app.request('PUT', `/api/tasks/${taskId}`, { token, body: { title: 'Last' } })).status, 200)
+    assert.equal((await getTask(taskId)).title, 'Last')
+  })
+})
+
+describe('board versions', () => {
+  test('reject a stale If-Match with 412', async () => {
+    const { headers } = await app.request('GET', `/api/boards/${boardId}`, { token })
+    const etag = headers.get('etag')
+    assert.equal((await putIfMatch(`/api/boards/${boardId}`, etag, { name: 'Renamed' })).status, 200)
+
+    const { status, body } = await putIfMatch(`/api/boards/${boardId}`, etag, { name: 'Stale' })
+    assert.equal(status, 412)
+    assert.equal(body.current.name, 'Renamed')
+  })
+})
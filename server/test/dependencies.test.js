@@ -0,0 +1,92 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { initDatabase, closeDatabase, createUser, createBoard, createTask, signIn, startApp } from './helpers.js'
+import { dbGet } from '../config/database.js'
+import taskRoutes from '../routes/tasks.js'
+import { purgeTask } from '../services/trash.js'
+
+let owner, token, boardId, app
+
+const link = (taskId, type = 'FS', lag = 0) => ({ taskId, type, lag })
+
+const saveLinks = (taskId, dependencies, fields = {}) => app.request('PUT', `/api/tasks/${taskId}`, {
+  token, body: { ...fields, dependencies }
+})
+
+before(async () => {
+  await initDatabase()
+  owner = await createUser('Owner')
+  token = await signIn(owner)
+  boardId = await createBoard(owner.id)
+  app = await startApp({ '/api/tasks': taskRoutes })
+})
+
+after(async () => {
+  await app.close()
+  await closeDatabase()
+})
+
+describe('task dependencies', () => {
+  test('are saved as typed links (plain IDs are finish-to-start)', async () => {
+    const first = await createTask(boardId)
+    const second = await createTask(boardId)
+    const third = await createTask(boardId)
+
+    const { status, body } = await saveLinks(third, [first, link(second, 'SS', 2)])
+    assert.equal(status, 200)
+    assert.deepEqual(body.dependencies, [link(first), link(second, 'SS', 2)])
+  })
+
+  test('reject unknown tasks, tasks on other boards and bad links', async () => {
+    const task = await createTask(boardId)
+    const otherBoardTask = await createTask(await createBoard(owner.id))
+    const other = await createTask(boardId)
+
+    assert.equal((await saveLinks(task, [link('missing-task')])).status, 400)
+    assert.equal((await saveLinks(task, [link(otherBoardTask)])).status, 400)
+    assert.equal((await saveLinks(task, [link(task)])).status, 400)
+    assert.equal((await saveLinks(task, [link(other, 'before')])).status, 400)
+    assert.equal((await saveLinks(task, [link(other, 'FS', 1000)])).status, 400)
+    assert.equal((await saveLinks(task, [link(other), link(other, 'SS')])).status, 400)
+  })
+
+  test('reject circular ordering links', async () => {
+    const a = await createTask(boardId)
+    const b = await createTask(boardId)
+    const c = await createTask(boardId)
+    assert.equal((await saveLinks(b, [link(a)])).status, 200)
+    assert.equal((await saveLinks(c, [link(b, 'blocks')])).status, 200)
+
+    const { status, body } = await saveLinks(a, [link(c)])
+    assert.equal(status, 400)
+    assert.match(body.error, /circular/)
+    assert.equal((await saveLinks(a, [link(c, 'relates-to')])).status, 200)
+  })
+
+  test('links to a trashed task do not block saving the linked task', async () => {
+    const trashed = await createTask(boardId)
+    const task = await createTask(boardId)
+    assert.equal((await saveLinks(task, [link(trashed)])).status, 200)
+    assert.equal((await app.request('DELETE', `/api/tasks/${trashed}`, { token })).status, 200)
+
+    // Clients send every link back on save
+    const { status, body } = await saveLinks(task, [link(trashed)], { title: 'Renamed' })
+    assert.equal(status, 200)
+    assert.deepEqual(body.dependencies, [link(trashed)])
+
+    // New links to it are refused
+    const other = await createTask(boardId)
+    assert.equal((await saveLinks(other, [link(trashed)])).status, 400)
+  })
+
+  test('links to a purged task are dropped on the next save', async () => {
+    const purged = await createTask(boardId)
+    const task = await createTask(boardId)
+    assert.equal((await saveLinks(task, [link(purged)])).status, 200)
+    await purgeTask(await dbGet('SELECT * FROM tasks WHERE id = ?', [purged]))
+
+    const { status, body } = await saveLinks(task, [link(purged)], { title: 'Renamed' })
+    assert.equal(status, 200)
+    assert.deepEqual(body.dependencies, [])
+  })
+})
@@ -0,0 +1,92 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseFilterQuery, matchesQuery } from '../../src/utils/filterQuery.js'
+
+const context = {
+  users: [{ id: 'user-1', name: 'Jane Doe', email: 'jane@example.com' }],
+  columns: [{ id: 'todo', title: 'To Do' }, { id: 'done', title: 'Done' }],
+  customFields: [{ id: 'field-1', name: 'Severity' }]
+}
+
+// Noon, so relative dates do not depend on the time the tests run
+const NOW = new Date(2024, 5, 10, 12)
+
+const parse = (text) => parseFilterQuery(text, context)
+
+const matches = (text, task) => {
+  const { filter, errors } = parse(text)
+  assert.deepEqual(errors, [])
+  return matchesQuery({ title: '', ...task }, filter, { currentUserId: 'user-1', now: NOW })
+}
+
+describe('filter query parsing', () => {
+  test('reads fields, words and quoted phrases', () => {
+    const { filter, errors } = parse('priority:high "login bug" crash')
+    assert.deepEqual(errors, [])
+    assert.deepEqual(filter.searchTerms, ['login bug', 'crash'])
+    assert.deepEqual(filter.conditions, [{ field: 'priority', op: 'is', values: ['high'], negate: false }])
+  })
+
+  test('resolves quoted names and value lists', () => {
+    const { filter } = parse('assignee:"Jane Doe",none status:"To Do"')
+    assert.deepEqual(filter.conditions.map(condition => condition.values), [['user-1', 'none'], ['todo']])
+  })
+
+  test('reports an unclosed quote', () => {
+    assert.equal(parse('"login bug').errors[0].message, 'Missing closing quote')
+    assert.equal(parse('assignee:"Jane').errors[0].message, 'Missing closing quote')
+  })
+
+  test('negates with a leading minus or !=', () => {
+    const { filter } = parse('-status:done priority!=low -draft')
+    assert.deepEqual(filter.conditions.map(condition => condition.negate), [true, true])
+    assert.deepEqual(filter.excludedTerms, ['draft'])
+    assert.equal(parse('-priority!=low').filter.conditions[0].negate, false)
+  })
+
+  test('reports unknown fields and values', () => {
+    const unknownField = parse('owner:me')
+    assert.equal(unknownField.errors[0].message, 'Unknown field "owner"')
+    assert.equal(unknownField.filter.conditions.length, 0)
+
+    assert.equal(parse('priority:urgent').errors[0].message, 'priority is high, medium or low')
+    assert.equal(parse('status:review').errors[0].message, 'No column "review"')
+    assert.equal(parse('cf.impact:3').errors[0].message, 'No custom field "impact"')
+    assert.equal(parse('priority>high').errors[0].message, 'priority cannot be compared with >')
+  })
+
+  test('reports malformed dates', () => {
+    for (const query of ['due:2024-13-45', 'due:tomorrow', 'due:7x']) {
+      assert.match(parse(query).errors[0].message, /^due is /, query)
+    }
+    assert.equal(parse('due<overdue').errors[0].message, '< needs a date or a number of days')
+    assert.deepEqual(parse('due:2024-12-31 due:<7d').errors, [])
+  })
+})
+
+describe('filter query matching', () => {
+  test('matches words in the title, description and comments', () => {
+    const task = { title: 'Login page', description: 'Broken', comments: [{ text: 'Crash on submit' }] }
+    assert.equal(matches('"login page" crash', task), true)
+    assert.equal(matches('login -broken', task), false)
+  })
+
+  test('matches negated conditions and "me"', () => {
+    assert.equal(matches('-status:done assignee:me', { status: 'todo', assignedTo: 'user-1' }), true)
+    assert.equal(matches('-status:done', { status: 'done' }), false)
+    assert.equal(matches('assignee:me', { assigned_to: 'user-2' }), false)
+  })
+
+  test('matches due dates relative to today', () => {
+    assert.equal(matches('due:overdue', { dueDate: '2024-06-09' }), true)
+    assert.equal(matches('due:7d', { dueDate: '2024-06-15' }), true)
+    assert.equal(matches('due:7d', { dueDate: '2024-06-20' }), false)
+    assert.equal(matches('due>2024-06-30', { due_date: '2024-07-01' }), true)
+    assert.equal(matches('due:none', {}), true)
+  })
+
+  test('compares custom fields as numbers', () => {
+    assert.equal(matches('cf.severity>=3', { customFields: { 'field-1': '10' } }), true)
+    assert.equal(matches('cf.severity>=3', { customFields: { 'field-1': 2 } }), false)
+  })
+})
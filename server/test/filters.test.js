@@ -0,0 +1,127 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  initDatabase, closeDatabase, createUser, createBoard, shareBoard, signIn, startApp
+} from './helpers.js'
+import { dbRun } from '../config/database.js'
+import filterRoutes from '../routes/filters.js'
+
+let owner, editor, viewer, outsider, tokens, boardId, app
+
+const saveFilter = (token, body) => app.request('POST', '/api/filters', {
+  token, body: { name: 'My filter', filterData: { priority: ['high'] }, ...body }
+})
+
+// Names of the filters a user sees on the board
+const listNames = async (token) => {
+  const { body } = await app.request('GET', `/api/filters?boardId=${boardId}`, { token })
+  return body.map(filter => filter.name).sort()
+}
+
+before(async () => {
+  await initDatabase()
+  owner = await createUser('Owner')
+  editor = await createUser('Editor')
+  viewer = await createUser('Viewer')
+  outsider = await createUser('Outsider')
+  tokens = {
+    owner: await signIn(owner),
+    editor: await signIn(editor),
+    viewer: await signIn(viewer),
+    outsider: await signIn(outsider)
+  }
+  app = await startApp({ '/api/filters': filterRoutes })
+})
+
+after(async () => {
+  await app.close()
+  await closeDatabase()
+})
+
+describe('saved filters', () => {
+  before(async () => {
+    boardId = await createBoard(owner.id)
+    await shareBoard(boardId, editor.id, 'editor')
+    await shareBoard(boardId, viewer.id, 'viewer')
+  })
+
+  test('are shared with the board members only when asked', async () => {
+    await saveFilter(tokens.editor, { name: 'Personal', boardId })
+    const { status, body } = await saveFilter(tokens.editor, { name: 'Team', boardId, shared: true, pinned: true })
+    assert.equal(status, 201)
+    assert.equal(body.shared, true)
+    assert.equal(body.createdBy.id, editor.id)
+
+    assert.deepEqual(await listNames(tokens.editor), ['Personal', 'Team'])
+    assert.deepEqual(await listNames(tokens.viewer), ['Team'])
+    assert.deepEqual(await listNames(tokens.owner), ['Team'])
+    assert.deepEqual(await listNames(tokens.outsider), [])
+  })
+
+  test('can only be shared by editors and owners', async () => {
+    const { status, body } = await saveFilter(tokens.viewer, { name: 'Viewer share', boardId, shared: true })
+    assert.equal(status, 403)
+    assert.equal(body.error, 'Only editors can share filters with the board')
+
+    const { body: personal } = await saveFilter(tokens.viewer, { name: 'Viewer view', boardId, pinned: true })
+    assert.equal(personal.pinned, true)
+    const shared = await app.request('PUT', `/api/filters/${personal.id}`, { token: tokens.viewer, body: { shared: true } })
+    assert.equal(shared.status, 403)
+
+    assert.equal((await saveFilter(tokens.outsider, { boardId })).status, 404)
+  })
+
+  test('need a board to be shared or pinned', async () => {
+    for (const body of [{ shared: true }, { pinned: true }]) {
+      const { status, body: error } = await saveFilter(tokens.owner, body)
+      assert.equal(status, 400)
+      assert.equal(error.error, 'Only filters on a board can be shared or pinned')
+    }
+  })
+
+  test('are changed by their creator or, when shared, the board owner', async () => {
+    const { body: filter } = await saveFilter(tokens.editor, { name: 'Shared', boardId, shared: true })
+    const rename = (token, name) => app.request('PUT', `/api/filters/${filter.id}`, { token, body: { name } })
+
+    const { body: seenByViewer } = await app.request('GET', `/api/filters?boardId=${boardId}`, { token: tokens.viewer })
+    assert.equal(seenByViewer.find(({ id }) => id === filter.id).canEdit, false)
+    assert.equal((await rename(tokens.viewer, 'Viewer')).status, 403)
+
+    assert.equal((await rename(tokens.editor, 'Editor')).status, 200)
+    assert.equal((await rename(tokens.owner, 'Owner')).body.name, 'Owner')
+
+    const { body: personal } = await saveFilter(tokens.editor, { name: 'Private', boardId })
+    const ownerDelete = await app.request('DELETE', `/api/filters/${personal.id}`, { token: tokens.owner })
+    assert.equal(ownerDelete.status, 404)
+    assert.equal((await app.request('DELETE', `/api/filters/${filter.id}`, { token: tokens.owner })).status, 200)
+  })
+
+  test('store and check view settings', async () => {
+    const view = { groupBy: 'assignee', visibleColumns: ['todo', 'done'] }
+    const { body } = await saveFilter(tokens.owner, { name: 'Board view', boardId, pinned: true, view })
+    assert.deepEqual(body.view, view)
+
+    const invalid = [{ groupBy: 'color' }, { visibleColumns: 'todo' }, ['assignee']]
+    for (const settings of invalid) {
+      const { status } = await app.request('PUT', `/api/filters/${body.id}`, { token: tokens.owner, body: { view: settings } })
+      assert.equal(status, 400, JSON.stringify(settings))
+    }
+
+    const { body: custom } = await app.request('PUT', `/api/filters/${body.id}`, {
+      token: tokens.owner, body: { view: { groupBy: 'cf:field-1' } }
+    })
+    assert.deepEqual(custom.view, { groupBy: 'cf:field-1', visibleColumns: null })
+  })
+
+  test('disappear for members who leave the board', async () => {
+    const otherBoardId = await createBoard(owner.id)
+    await shareBoard(otherBoardId, viewer.id, 'viewer')
+    const { body: filter } = await saveFilter(tokens.owner, { name: 'Leaving', boardId: otherBoardId, shared: true })
+    const { body: visible } = await app.request('GET', '/api/filters', { token: tokens.viewer })
+    assert.ok(visible.some(({ id }) => id === filter.id))
+
+    await dbRun('DELETE FROM board_sharing WHERE board_id = ? AND user_id = ?', [otherBoardId, viewer.id])
+    const { body: hidden } = await app.request('GET', '/api/filters', { token: tokens.viewer })
+    assert.equal(hidden.some(({ id }) => id === filter.id), false)
+  })
+})
@@ -0,0 +1,128 @@
+/**
+ * Test Helpers
+ * Database fixtures and a small HTTP harness: routers under test are mounted on their own
+ * Express app (listening on a free port) instead of starting server.js.
+ */
+
+import './setup.js'
+import express from 'express'
+import { dbRun, initDatabase, closeDatabase } from '../config/database.js'
+import { generateToken } from '../middleware/auth.js'
+import { errorHandler } from '../middleware/errorHandler.js'
+import { createSession } from '../services/sessions.js'
+
+export { initDatabase, closeDatabase }
+
+let counter = 0
+const generateId = (prefix) => `${prefix}-test-${++counter}`
+
+// Stands in for the Express request that services record the device and IP of
+export const fakeRequest = { ip: '127.0.0.1', get: () => 'node-test' }
+
+export const DEFAULT_COLUMNS = [
+  { id: 'todo', title: 'To Do' },
+  { id: 'in-progress', title: 'In Progress' },
+  { id: 'done', title: 'Done' }
+]
+
+/**
+ * Creates a user
+ * @param {string} name - Name (the email is derived from it)
+ * @returns {Promise<Object>} { id, name, email }
+ */
+export const createUser = async (name) => {
+  const user = { id: generateId('user'), name, email: `${name.toLowerCase()}-${counter}@example.com` }
+  await dbRun(
+    'INSERT INTO users (id, name, email, password_hash) VALUES (?, ?, ?, ?)',
+    [user.id, user.name, user.email, 'not-a-real-hash']
+  )
+  return user
+}
+
+/**
+ * Creates a board
+ * @param {string} ownerId - Owner's user ID
+ * @param {Array} [columns] - Board columns
+ * @returns {Promise<string>} Board ID
+ */
+export const createBoard = async (ownerId, columns = DEFAULT_COLUMNS) => {
+  const id = generateId('board')
+  await dbRun(
+    'INSERT INTO boards (id, name, owner_id, columns) VALUES (?, ?, ?, ?)',
+    [id, 'Test board', ownerId, JSON.stringify(columns)]
+  )
+  return id
+}
+
+/**
+ * Shares a board with a user
+ * @param {string} permission - 'viewer', 'editor' or 'owner'
+ */
+export const shareBoard = (boardId, userId, permission) => dbRun(
+  'INSERT INTO board_sharing (id, board_id, user_id, permission) VALUES (?, ?, ?, ?)',
+  [generateId('share'), boardId, userId, permission]
+)
+
+/**
+ * Creates a task
+ * @param {string} boardId - Board ID
+ * @param {Object} [fields] - Column values to override (snake_case)
+ * @returns {Promise<string>} Task ID
+ */
+export const createTask = async (boardId, fields = {}) => {
+  const row = { id: generateId('task'), board_id: boardId, title: 'Test task', status: 'todo', ...fields }
+  const columns = Object.keys(row)
+  await dbRun(
+    `INSERT INTO tasks (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => row[column])
+  )
+  return row.id
+}
+
+/**
+ * Signs a user in
+ * @returns {Promise<string>} Access token (JWT) of a new session
+ */
+export const signIn = async (user) => {
+  const { sessionId } = await createSession(user.id, fakeRequest)
+  return generateToken(user, sessionId)
+}
+
+/**
+ * Starts an app with the given routers
+ * @param {Object} routes - Mount path -> router
+ * @returns {Promise<Object>} { baseUrl, request(method, path, { token, body }), close() } - request
+ *   resolves to { status, headers, body }
+ */
+export const startApp = async (routes) => {
+  const app = express()
+  app.use(express.json())
+  for (const [mountPath, router] of Object.entries(routes)) {
+    app.use(mountPath, router)
+  }
+  app.use(errorHandler)
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening))
+  })
+  const baseUrl = `http://127.0.0.1:${server.address().port}`
+
+  const request = async (method, path, { token, body } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    })
+    const text = await response.text()
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null }
+  }
+
+  return {
+    baseUrl,
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  }
+}
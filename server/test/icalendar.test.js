@@ -0,0 +1,116 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  initDatabase, closeDatabase, createUser, createBoard, shareBoard, createTask, signIn, startApp
+} from './helpers.js'
+import { dbRun } from '../config/database.js'
+import calendarRoutes from '../routes/calendar.js'
+import { buildCalendar, foldLine } from '../utils/icalendar.js'
+
+let owner, token, app
+
+// Unfolded content lines of a calendar
+const getLines = (calendar) => calendar.replace(/\r\n /g, '').split('\r\n')
+
+const fetchFeed = async (feedToken) => {
+  const response = await fetch(`${app.baseUrl}/api/calendar/feed/${feedToken}.ics`)
+  return { status: response.status, headers: response.headers, text: await response.text() }
+}
+
+before(async () => {
+  await initDatabase()
+  owner = await createUser('Owner')
+  token = await signIn(owner)
+  app = await startApp({ '/api/calendar': calendarRoutes })
+})
+
+after(async () => {
+  await app.close()
+  await closeDatabase()
+})
+
+describe('iCalendar output', () => {
+  const entry = { id: 'task-1', title: 'Ship it', dueDate: '2024-01-31', status: 'todo', priority: 'high', version: 3 }
+
+  test('writes plain due dates as all-day events', () => {
+    const calendar = buildCalendar({ name: 'Kanban', entries: [entry] })
+    assert.ok(calendar.endsWith('END:VCALENDAR\r\n'))
+
+    const lines = getLines(calendar)
+    assert.deepEqual(lines.slice(0, 2), ['BEGIN:VCALENDAR', 'VERSION:2.0'])
+    for (const line of [
+      'UID:task-1@kanban-project-management', 'SUMMARY:Ship it', 'DTSTART;VALUE=DATE:20240131',
+      'DTEND;VALUE=DATE:20240201', 'PRIORITY:1', 'SEQUENCE:2'
+    ]) {
+      assert.ok(lines.includes(line), line)
+    }
+  })
+
+  test('writes due times in UTC and tasks as to-dos on request', () => {
+    const calendar = buildCalendar({
+      name: 'Kanban',
+      type: 'todo',
+      entries: [{ ...entry, dueDate: '2024-03-15T09:30:00Z', status: 'Done' }]
+    })
+    const lines = getLines(calendar)
+    assert.ok(lines.includes('BEGIN:VTODO'))
+    assert.ok(lines.includes('DUE:20240315T093000Z'))
+    assert.ok(lines.includes('STATUS:COMPLETED'))
+  })
+
+  test('leaves out tasks without a valid due date', () => {
+    const entries = [{ ...entry, dueDate: 'someday' }, { ...entry, dueDate: null }]
+    const calendar = buildCalendar({ name: 'Kanban', entries })
+    assert.equal(calendar.includes('BEGIN:VEVENT'), false)
+  })
+
+  test('escapes text and folds long lines without splitting characters', () => {
+    const calendar = buildCalendar({ name: 'Kanban', entries: [{ ...entry, title: 'a, b; c\\d\nnext' }] })
+    assert.ok(getLines(calendar).includes('SUMMARY:a\\, b\\; c\\\\d\\nnext'))
+
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`)
+    const parts = folded.split('\r\n ')
+    assert.ok(parts.length > 1)
+    assert.ok(parts.every(part => new TextEncoder().encode(part).length <= 75))
+    assert.equal(parts.join(''), `SUMMARY:${'é'.repeat(60)}`)
+  })
+})
+
+describe('calendar feed', () => {
+  test('lists due tasks of the user\'s boards, except boards that require 2FA', async () => {
+    const boardId = await createBoard(owner.id)
+    const sharedBoardId = await createBoard((await createUser('Sharer')).id)
+    await shareBoard(sharedBoardId, owner.id, 'viewer')
+    const securedBoardId = await createBoard(owner.id)
+    await dbRun('UPDATE boards SET require_two_factor = 1 WHERE id = ?', [securedBoardId])
+    const otherBoardId = await createBoard((await createUser('Other')).id)
+
+    const due = { due_date: '2024-05-01' }
+    const dueId = await createTask(boardId, due)
+    const sharedId = await createTask(sharedBoardId, due)
+    const undatedId = await createTask(boardId)
+    const securedId = await createTask(securedBoardId, due)
+    const otherId = await createTask(otherBoardId, due)
+    const trashedId = await createTask(boardId, { ...due, deleted_at: '2024-04-01 00:00:00' })
+
+    const { body } = await app.request('GET', '/api/calendar/token', { token })
+    const { status, headers, text } = await fetchFeed(body.token)
+    assert.equal(status, 200)
+    assert.match(headers.get('content-type'), /^text\/calendar/)
+
+    const uids = getLines(text).filter(line => line.startsWith('UID:'))
+    assert.deepEqual(uids.sort(), [dueId, sharedId].map(id => `UID:${id}@kanban-project-management`).sort())
+    for (const id of [undatedId, securedId, otherId, trashedId]) {
+      assert.equal(text.includes(id), false)
+    }
+  })
+
+  test('stops working when the token is replaced', async () => {
+    const { body: first } = await app.request('GET', '/api/calendar/token', { token })
+    const { body: second } = await app.request('POST', '/api/calendar/token', { token })
+
+    assert.equal((await fetchFeed(first.token)).status, 404)
+    assert.equal((await fetchFeed(second.token)).status, 200)
+    assert.ok(second.url.endsWith(`/api/calendar/feed/${second.token}.ics`))
+  })
+})
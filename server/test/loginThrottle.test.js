@@ -0,0 +1,107 @@
+import { test, describe, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import { startApp } from './helpers.js'
+import { getLoginDelay, getLoginRetryAfter, recordLoginFailure, clearLoginFailures } from '../services/loginThrottle.js'
+import { rateLimit, describeWait } from '../middleware/rateLimit.js'
+import { createMemoryStore, setRateLimitStore } from '../services/rateLimitStore.js'
+
+const MINUTE = 60 * 1000
+
+beforeEach(() => {
+  setRateLimitStore(createMemoryStore())
+})
+
+describe('login throttling', () => {
+  test('lets a few failures through, then doubles the wait up to a lockout', () => {
+    assert.deepEqual([0, 1, 2].map(getLoginDelay), [0, 0, 0])
+    assert.deepEqual([3, 4, 5, 9].map(getLoginDelay), [1000, 2000, 4000, 64000])
+    assert.equal(getLoginDelay(10), 15 * MINUTE)
+    assert.equal(getLoginDelay(25), 15 * MINUTE)
+  })
+
+  test('makes the account wait after repeated failures', async () => {
+    const account = 'email:someone@example.com'
+    for (let i = 0; i < 2; i++) {
+      assert.equal(await recordLoginFailure(account, '10.0.0.1'), 0)
+    }
+    assert.equal(await getLoginRetryAfter(account, '10.0.0.1'), 0)
+
+    assert.equal(await recordLoginFailure(account, '10.0.0.1'), 1000)
+    const wait = await getLoginRetryAfter(account, '10.0.0.2')
+    assert.ok(wait > 0 && wait <= 1000)
+    assert.equal(await getLoginRetryAfter('email:other@example.com', '10.0.0.1'), 0)
+  })
+
+  test('locks the account after too many failures', async () => {
+    const account = 'email:locked@example.com'
+    for (let i = 0; i < 10; i++) {
+      await recordLoginFailure(account, `10.0.1.${i}`)
+    }
+    assert.ok(await getLoginRetryAfter(account, '10.0.2.1') > 14 * MINUTE)
+  })
+
+  test('blocks an IP address that fails on many accounts', async () => {
+    for (let i = 0; i < 50; i++) {
+      await recordLoginFailure(`email:user-${i}@example.com`, '10.0.3.1')
+    }
+    assert.ok(await getLoginRetryAfter('email:fresh@example.com', '10.0.3.1') > 0)
+    assert.equal(await getLoginRetryAfter('email:fresh@example.com', '10.0.3.2'), 0)
+  })
+
+  test('forgets the failures after a successful sign-in', async () => {
+    const account = 'email:cleared@example.com'
+    for (let i = 0; i < 5; i++) {
+      await recordLoginFailure(account, '10.0.4.1')
+    }
+    await clearLoginFailures(account)
+
+    assert.equal(await getLoginRetryAfter(account, '10.0.4.1'), 0)
+    assert.equal(await recordLoginFailure(account, '10.0.4.1'), 0)
+  })
+})
+
+describe('rate limiting', () => {
+  test('answers 429 with Retry-After over the limit', async () => {
+    const limited = express.Router()
+    limited.use(rateLimit({ name: 'test', windowMs: MINUTE, max: 2, key: () => 'everyone' }))
+    limited.get('/', (req, res) => res.json({ ok: true }))
+    const app = await startApp({ '/limited': limited })
+
+    try {
+      const first = await app.request('GET', '/limited')
+      assert.equal(first.status, 200)
+      assert.equal(first.headers.get('ratelimit-limit'), '2')
+      assert.equal(first.headers.get('ratelimit-remaining'), '1')
+      assert.equal((await app.request('GET', '/limited')).status, 200)
+
+      const { status, headers, body } = await app.request('GET', '/limited')
+      assert.equal(status, 429)
+      assert.equal(headers.get('retry-after'), '60')
+      assert.equal(body.retryAfter, 60)
+      assert.match(body.error, /Try again in 60 seconds/)
+    } finally {
+      await app.close()
+    }
+  })
+
+  test('skips requests without a bucket', async () => {
+    const unlimited = express.Router()
+    unlimited.use(rateLimit({ name: 'test', windowMs: MINUTE, max: 1, key: () => null }))
+    unlimited.get('/', (req, res) => res.json({ ok: true }))
+    const app = await startApp({ '/unlimited': unlimited })
+
+    try {
+      assert.equal((await app.request('GET', '/unlimited')).status, 200)
+      assert.equal((await app.request('GET', '/unlimited')).status, 200)
+    } finally {
+      await app.close()
+    }
+  })
+
+  test('describes waits in seconds or minutes', () => {
+    assert.equal(describeWait(1), '1 second')
+    assert.equal(describeWait(40 * 1000), '40 seconds')
+    assert.equal(describeWait(15 * MINUTE), '15 minutes')
+  })
+})
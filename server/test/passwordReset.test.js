@@ -0,0 +1,106 @@
+import { test, describe, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { initDatabase, closeDatabase, createUser, startApp } from './helpers.js'
+import { dbGet, dbRun } from '../config/database.js'
+import authRoutes from '../routes/auth.js'
+import { setMailTransport } from '../services/mailer.js'
+import { createMemoryStore, setRateLimitStore } from '../services/rateLimitStore.js'
+
+let app
+let sentMail = []
+let onMail = null
+
+// Resolves with the next email the server sends
+const nextMail = () => new Promise(resolve => {
+  onMail = resolve
+})
+
+const requestReset = (email) => app.request('POST', '/api/auth/forgot-password', { body: { email } })
+
+const resetPassword = (token, password = 'new-password') => (
+  app.request('POST', '/api/auth/reset-password', { body: { token, password } })
+)
+
+const getResetToken = (mail) => mail.text.match(/\?reset=([0-9a-f]+)/)[1]
+
+before(async () => {
+  await initDatabase()
+  setMailTransport({
+    send: async (message) => {
+      sentMail.push(message)
+      onMail?.(message)
+    }
+  })
+  app = await startApp({ '/api/auth': authRoutes })
+})
+
+after(async () => {
+  setMailTransport(null)
+  await app.close()
+  await closeDatabase()
+})
+
+beforeEach(() => {
+  sentMail = []
+  setRateLimitStore(createMemoryStore())
+})
+
+describe('password reset', () => {
+  test('answers the same for unknown addresses, without sending anything', async () => {
+    const user = await createUser('Known')
+    const mail = nextMail()
+
+    const known = await requestReset(user.email)
+    const unknown = await requestReset('nobody@example.com')
+    assert.equal(known.status, 200)
+    assert.equal(unknown.status, 200)
+    assert.deepEqual(unknown.body, known.body)
+
+    assert.equal((await mail).to, user.email)
+    assert.equal(sentMail.length, 1)
+  })
+
+  test('matches the address without regard to case', async () => {
+    const user = await createUser('Cased')
+    const mail = nextMail()
+    await requestReset(user.email.toUpperCase())
+    assert.equal((await mail).to, user.email)
+  })
+
+  test('sets a new password once per link', async () => {
+    const user = await createUser('Reset')
+    const mail = nextMail()
+    await requestReset(user.email)
+    const token = getResetToken(await mail)
+
+    assert.equal((await resetPassword(token)).status, 200)
+    assert.equal((await resetPassword(token, 'another-password')).status, 400)
+
+    const login = await app.request('POST', '/api/auth/login', {
+      body: { email: user.email.toUpperCase(), password: 'new-password' }
+    })
+    assert.equal(login.status, 200)
+    assert.equal(login.body.user.id, user.id)
+  })
+
+  test('rejects expired and replaced links', async () => {
+    const user = await createUser('Expired')
+    let mail = nextMail()
+    await requestReset(user.email)
+    const replacedToken = getResetToken(await mail)
+
+    mail = nextMail()
+    await requestReset(user.email)
+    const expiredToken = getResetToken(await mail)
+    await dbRun(
+      "UPDATE account_tokens SET expires_at = ? WHERE user_id = ? AND type = 'password_reset'",
+      [new Date(Date.now() - 1000).toISOString(), user.id]
+    )
+
+    assert.equal((await resetPassword(replacedToken)).status, 400)
+    assert.equal((await resetPassword(expiredToken)).status, 400)
+    assert.equal((await resetPassword('not-a-token')).status, 400)
+    const { password_hash: passwordHash } = await dbGet('SELECT password_hash FROM users WHERE id = ?', [user.id])
+    assert.equal(passwordHash, 'not-a-real-hash')
+  })
+})
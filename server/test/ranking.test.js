@@ -0,0 +1,58 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import { rankBetween, rankSequence } from '../utils/ranking.js'
+
+describe('rankBetween', () => {
+  test('ranks between two neighbours', () => {
+    const rank = rankBetween('a', 'c')
+    assert.ok('a' < rank && rank < 'c')
+  })
+
+  test('ranks at the start and end of a column', () => {
+    assert.ok(rankBetween(null, 'a') < 'a')
+    assert.ok(rankBetween('z', null) > 'z')
+    assert.equal(typeof rankBetween(null, null), 'string')
+  })
+
+  test('finds room between adjacent ranks', () => {
+    const rank = rankBetween('a', 'b')
+    assert.ok('a' < rank && rank < 'b')
+  })
+
+  test('keeps finding room when a card is dropped into the same gap again and again', () => {
+    let upper = 'b'
+    for (let i = 0; i < 200; i++) {
+      const rank = rankBetween('a', upper)
+      assert.ok('a' < rank && rank < upper, `${rank} is not between a and ${upper}`)
+      assert.notEqual(rank.at(-1), '0')
+      upper = rank
+    }
+  })
+
+  test('refuses neighbours in the wrong order', () => {
+    assert.throws(() => rankBetween('c', 'a'))
+    assert.throws(() => rankBetween('a', 'a'))
+  })
+})
+
+describe('rankSequence', () => {
+  test('returns ascending ranks that never end in 0', () => {
+    for (const count of [1, 2, 35, 36, 1000]) {
+      const ranks = rankSequence(count)
+      assert.equal(ranks.length, count)
+      assert.equal(new Set(ranks).size, count)
+      ranks.forEach((rank, index) => {
+        assert.notEqual(rank.at(-1), '0')
+        if (index > 0) assert.ok(ranks[index - 1] < rank)
+      })
+    }
+  })
+
+  test('leaves room before, between and after the ranks', () => {
+    const ranks = rankSequence(10)
+    assert.ok(rankBetween(null, ranks[0]) < ranks[0])
+    assert.ok(rankBetween(ranks[9], null) > ranks[9])
+    const middle = rankBetween(ranks[4], ranks[5])
+    assert.ok(ranks[4] < middle && middle < ranks[5])
+  })
+})
@@ -0,0 +1,149 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  initDatabase, closeDatabase, createUser, createBoard, shareBoard, createTask, signIn, startApp
+} from './helpers.js'
+import boardRoutes from '../routes/boards.js'
+import taskRoutes from '../routes/tasks.js'
+import commentRoutes from '../routes/comments.js'
+
+let owner, editor, ownerToken, editorToken, app
+
+/**
+ * Opens a board's event stream
+ * @returns {Promise<Object>} { status, next(type), close() } - next resolves to the data of the next
+ *   event of that type (earlier events of other types are skipped) and fails after two seconds
+ */
+const openStream = async (boardId, token) => {
+  const response = await fetch(`${app.baseUrl}/api/boards/${boardId}/events`, {
+    headers: { Accept: 'text/event-stream', Authorization: `Bearer ${token}` }
+  })
+  if (response.status !== 200) {
+    await response.body.cancel()
+    return { status: response.status }
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+  const events = []
+  let buffer = ''
+
+  const readEvent = async () => {
+    while (events.length === 0) {
+      const { value, done } = await reader.read()
+      if (done) throw new Error('Stream ended')
+      buffer += value
+
+      let end
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const lines = buffer.slice(0, end).split('\n')
+        buffer = buffer.slice(end + 2)
+        const type = lines.find(line => line.startsWith('event: '))
+        const data = lines.find(line => line.startsWith('data: '))
+        if (type && data) events.push({ type: type.slice(7), data: JSON.parse(data.slice(6)) })
+      }
+    }
+    return events.shift()
+  }
+
+  const next = async (type) => {
+    let timer
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`No ${type} event`)), 2000)
+    })
+    try {
+      for (;;) {
+        const event = await Promise.race([readEvent(), timeout])
+        if (event.type === type) return event.data
+      }
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  return { status: response.status, next, close: () => reader.cancel() }
+}
+
+before(async () => {
+  await initDatabase()
+  owner = await createUser('Owner')
+  editor = await createUser('Editor')
+  ownerToken = await signIn(owner)
+  editorToken = await signIn(editor)
+  app = await startApp({
+    '/api/boards': boardRoutes,
+    '/api/tasks': taskRoutes,
+    '/api/tasks/:taskId/comments': commentRoutes
+  })
+})
+
+after(async () => {
+  await app.close()
+  await closeDatabase()
+})
+
+describe('board event streams', () => {
+  test('send changes to everyone viewing the board, with who made them', async () => {
+    const boardId = await createBoard(owner.id)
+    await shareBoard(boardId, editor.id, 'editor')
+    const taskId = await createTask(boardId)
+    const stream = await openStream(boardId, ownerToken)
+    try {
+      assert.equal((await stream.next('connected')).boardId, boardId)
+
+      const response = await fetch(`${app.baseUrl}/api/tasks/${taskId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${editorToken}`, 'X-Client-Id': 'tab-1' },
+        body: JSON.stringify({ title: 'Changed live' })
+      })
+      assert.equal(response.status, 200)
+
+      const updated = await stream.next('task:updated')
+      assert.equal(updated.task.title, 'Changed live')
+      assert.equal(updated.actorId, editor.id)
+      assert.equal(updated.origin, 'tab-1')
+
+      await app.request('POST', `/api/tasks/${taskId}/comments`, { token: editorToken, body: { text: 'Live comment' } })
+      assert.equal((await stream.next('comment:created')).comment.text, 'Live comment')
+    } finally {
+      await stream.close()
+    }
+  })
+
+  test('do not send changes of other boards', async () => {
+    const boardId = await createBoard(owner.id)
+    const otherTaskId = await createTask(await createBoard(owner.id))
+    const taskId = await createTask(boardId)
+    const stream = await openStream(boardId, ownerToken)
+    try {
+      await app.request('PUT', `/api/tasks/${otherTaskId}`, { token: ownerToken, body: { title: 'Elsewhere' } })
+      await app.request('PUT', `/api/tasks/${taskId}`, { token: ownerToken, body: { title: 'Here' } })
+      assert.equal((await stream.next('task:updated')).task.id, taskId)
+    } finally {
+      await stream.close()
+    }
+  })
+
+  test('keep everyone up to date on who is viewing', async () => {
+    const boardId = await createBoard(owner.id)
+    await shareBoard(boardId, editor.id, 'editor')
+    const ownerStream = await openStream(boardId, ownerToken)
+    try {
+      assert.deepEqual((await ownerStream.next('presence')).viewers.map(viewer => viewer.id), [owner.id])
+
+      const editorStream = await openStream(boardId, editorToken)
+      const { viewers } = await ownerStream.next('presence')
+      assert.deepEqual(viewers.map(viewer => viewer.id).sort(), [owner.id, editor.id].sort())
+
+      await editorStream.close()
+      assert.deepEqual((await ownerStream.next('presence')).viewers.map(viewer => viewer.id), [owner.id])
+    } finally {
+      await ownerStream.close()
+    }
+  })
+
+  test('are only opened by board members', async () => {
+    const boardId = await createBoard(owner.id)
+    assert.equal((await openStream(boardId, editorToken)).status, 403)
+    assert.equal((await openStream('board-missing', ownerToken)).status, 404)
+  })
+})
@@ -0,0 +1,93 @@
+import { test, describe } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseRRule, getOccurrences, parseDateKey } from '../utils/rrule.js'
+import {
+  recurrenceToRRule, getUpcomingOccurrences, validateRecurrence, normalizeRecurrence, toDateKey
+} from '../utils/recurrence.js'
+
+const keys = (days) => days.map(toDateKey)
+
+describe('parseRRule', () => {
+  test('parses a rule', () => {
+    const rule = parseRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;COUNT=4')
+    assert.equal(rule.freq, 'WEEKLY')
+    assert.equal(rule.interval, 2)
+    assert.equal(rule.count, 4)
+  })
+
+  test('rejects invalid and unsupported rules', () => {
+    assert.throws(() => parseRRule(''))
+    assert.throws(() => parseRRule('INTERVAL=2'))
+    assert.throws(() => parseRRule('FREQ=HOURLY'))
+    assert.throws(() => parseRRule('FREQ=DAILY;COUNT=2;UNTIL=20240101'))
+    assert.throws(() => parseRRule('FREQ=WEEKLY;BYMONTHDAY=1'))
+  })
+})
+
+describe('getOccurrences', () => {
+  const start = new Date(2024, 0, 1) // Monday
+
+  test('expands weekly rules on the given weekdays', () => {
+    const days = getOccurrences('FREQ=WEEKLY;BYDAY=MO,WE', start, { limit: 4 })
+    assert.deepEqual(keys(days), ['2024-01-01', '2024-01-03', '2024-01-08', '2024-01-10'])
+  })
+
+  test('takes the last day of shorter months with BYSETPOS=-1', () => {
+    const days = getOccurrences('FREQ=MONTHLY;BYMONTHDAY=28,29,30,31;BYSETPOS=-1', start, { limit: 3 })
+    assert.deepEqual(keys(days), ['2024-01-31', '2024-02-29', '2024-03-31'])
+  })
+
+  test('stops at COUNT and UNTIL', () => {
+    assert.equal(getOccurrences('FREQ=DAILY;COUNT=3', start, { limit: 10 }).length, 3)
+    assert.deepEqual(
+      keys(getOccurrences('FREQ=DAILY;UNTIL=20240103', start, { limit: 10 })),
+      ['2024-01-01', '2024-01-02', '2024-01-03']
+    )
+  })
+
+  test('skips EXDATEs given as date keys or iCalendar dates', () => {
+    const days = getOccurrences('FREQ=DAILY', start, { limit: 3, exdates: ['2024-01-02', '20240103'] })
+    assert.deepEqual(keys(days), ['2024-01-01', '2024-01-04', '2024-01-05'])
+  })
+})
+
+describe('recurring templates', () => {
+  test('translates the simple recurrence types to rules', () => {
+    assert.equal(recurrenceToRRule({ type: 'daily', interval: 3 }), 'FREQ=DAILY;INTERVAL=3')
+    assert.equal(recurrenceToRRule({ type: 'weekly', daysOfWeek: [1, 5] }), 'FREQ=WEEKLY;BYDAY=MO,FR')
+    assert.equal(recurrenceToRRule({ type: 'monthly', dayOfMonth: 15 }), 'FREQ=MONTHLY;BYMONTHDAY=15')
+  })
+
+  test('lists upcoming occurrences after the last generated one', () => {
+    const days = getUpcomingOccurrences(
+      { type: 'daily', startDate: '2024-01-01' },
+      { lastGenerated: new Date(2024, 0, 2), limit: 2 }
+    )
+    assert.deepEqual(keys(days), ['2024-01-03', '2024-01-04'])
+  })
+
+  test('stops after maxOccurrences', () => {
+    const days = getUpcomingOccurrences(
+      { type: 'daily', startDate: '2024-01-01', maxOccurrences: 3 },
+      { occurrenceCount: 2, limit: 5 }
+    )
+    assert.deepEqual(keys(days), ['2024-01-01'])
+  })
+
+  test('validates recurrences before they are saved', () => {
+    assert.equal(validateRecurrence({ type: 'daily' }), null)
+    assert.match(validateRecurrence({ type: 'hourly' }), /Unknown recurrence type/)
+    assert.ok(validateRecurrence({ type: 'custom', rrule: 'FREQ=SECONDLY' }))
+    assert.ok(validateRecurrence({ type: 'daily', startDate: '2024-02-30' }))
+    assert.ok(validateRecurrence({ type: 'daily', exdates: ['tomorrow'] }))
+    assert.equal(validateRecurrence({ type: 'daily', exdates: ['20240315'] }), null)
+  })
+
+  test('stores skipped dates as date keys', () => {
+    const recurrence = normalizeRecurrence({
+      type: 'daily', exdates: ['20240315', '2024-03-15', '20240316T090000Z']
+    })
+    assert.deepEqual(recurrence.exdates, ['2024-03-15', '2024-03-16'])
+    assert.ok(recurrence.exdates.every(parseDateKey))
+  })
+})
@@ -0,0 +1,151 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  initDatabase, closeDatabase, createUser, createBoard, shareBoard, signIn, startApp
+} from './helpers.js'
+import { dbAll, dbGet, dbRun } from '../config/database.js'
+import recurringRoutes from '../routes/recurring.js'
+import { generateDueOccurrences } from '../services/recurringScheduler.js'
+
+let owner, editor, viewer, stranger, boardId, app
+
+// Occurrences are due up to the day of `now`
+const NOW = new Date(2024, 0, 5, 12)
+const DAILY = { type: 'daily', interval: 1, startDate: '2024-01-01' }
+
+const insertTemplate = async (templateBoardId, userId, taskTemplate = {}) => {
+  const id = `recurring-${Math.random().toString(36).slice(2)}`
+  await dbRun(
+    `INSERT INTO recurring_tasks (id, board_id, user_id, name, enabled, task_template, recurrence)
+     VALUES (?, ?, ?, ?, 1, ?, ?)`,
+    [id, templateBoardId, userId, 'Standup', JSON.stringify({ title: 'Standup', ...taskTemplate }), JSON.stringify(DAILY)]
+  )
+  return id
+}
+
+const getOccurrenceDates = async (templateId) => {
+  const tasks = await dbAll(
+    'SELECT recurrence_date FROM tasks WHERE recurring_template_id = ? ORDER BY recurrence_date',
+    [templateId]
+  )
+  return tasks.map(task => task.recurrence_date)
+}
+
+before(async () => {
+  await initDatabase()
+  owner = await createUser('Owner')
+  editor = await createUser('Editor')
+  viewer = await createUser('Viewer')
+  stranger = await createUser('Stranger')
+  boardId = await createBoard(owner.id)
+  await shareBoard(boardId, editor.id, 'editor')
+  await shareBoard(boardId, viewer.id, 'viewer')
+  app = await startApp({ '/api/recurring': recurringRoutes })
+})
+
+after(async () => {
+  await app.close()
+  await closeDatabase()
+})
+
+describe('recurring template routes', () => {
+  const template = () => ({
+    boardId, name: 'Standup', enabled: true, taskTemplate: { title: 'Standup' }, recurrence: DAILY
+  })
+
+  test('editors create templates on their board, owned by them', async () => {
+    const { status, body } = await app.request('POST', '/api/recurring', { token: await signIn(editor), body: template() })
+    assert.equal(status, 201)
+    assert.equal(body.board_id, boardId)
+    assert.equal(body.user_id, editor.id)
+  })
+
+  test('a board and a known column are required', async () => {
+    const token = await signIn(owner)
+    assert.equal((await app.request('POST', '/api/recurring', { token, body: { ...template(), boardId: undefined } })).status, 400)
+    assert.equal((await app.request('POST', '/api/recurring', {
+      token, body: { ...template(), taskTemplate: { title: 'Lost', status: 'missing' } }
+    })).status, 400)
+  })
+
+  test('viewers can list templates but not create or change them', async () => {
+    const token = await signIn(viewer)
+    const templateId = await insertTemplate(boardId, owner.id)
+
+    assert.equal((await app.request('GET', `/api/recurring?boardId=${boardId}`, { token })).status, 200)
+    assert.equal((await app.request('POST', '/api/recurring', { token, body: template() })).status, 403)
+    assert.equal((await app.request('PUT', `/api/recurring/${templateId}`, { token, body: { enabled: false } })).status, 403)
+    assert.equal((await app.request('DELETE', `/api/recurring/${templateId}`, { token })).status, 403)
+  })
+
+  test('users without access to the board cannot see or change its templates', async () => {
+    const token = await signIn(stranger)
+    const templateId = await insertTemplate(boardId, owner.id)
+
+    assert.equal((await app.request('GET', `/api/recurring?boardId=${boardId}`, { token })).status, 404)
+    assert.equal((await app.request('POST', '/api/recurring', { token, body: template() })).status, 404)
+    assert.equal((await app.request('PUT', `/api/recurring/${templateId}`, { token, body: { enabled: false } })).status, 404)
+    assert.equal((await app.request('DELETE', `/api/recurring/${templateId}`, { token })).status, 404)
+    assert.ok(await dbGet('SELECT id FROM recurring_tasks WHERE id = ?', [templateId]))
+  })
+
+  test('templates without a creator are claimed by the editor who saves them', async () => {
+    const templateId = await insertTemplate(boardId, null)
+    const { status, body } = await app.request('PUT', `/api/recurring/${templateId}`, {
+      token: await signIn(editor), body: { name: 'Claimed' }
+    })
+    assert.equal(status, 200)
+    assert.equal(body.user_id, editor.id)
+  })
+})
+
+describe('recurring scheduler', () => {
+  test('creates each due occurrence once', async () => {
+    const templateId = await insertTemplate(boardId, owner.id)
+
+    const { taskIds } = await generateDueOccurrences(templateId, NOW)
+    assert.equal(taskIds.length, 5)
+    assert.deepEqual(await getOccurrenceDates(templateId), [
+      '2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05'
+    ])
+    assert.equal((await generateDueOccurrences(templateId, NOW)).taskIds.length, 0)
+
+    // Even with its progress lost, a template never creates an occurrence twice
+    await dbRun('UPDATE recurring_tasks SET last_generated = NULL, occurrence_count = 0 WHERE id = ?', [templateId])
+    assert.equal((await generateDueOccurrences(templateId, NOW)).taskIds.length, 0)
+    assert.equal((await getOccurrenceDates(templateId)).length, 5)
+  })
+
+  test('only creates tasks while the creator can edit the board', async () => {
+    const member = await createUser('Member')
+    const memberBoardId = await createBoard(owner.id)
+    await shareBoard(memberBoardId, member.id, 'viewer')
+
+    const strangerTemplateId = await insertTemplate(memberBoardId, stranger.id)
+    const viewerTemplateId = await insertTemplate(memberBoardId, member.id)
+    const legacyTemplateId = await insertTemplate(memberBoardId, null)
+
+    for (const templateId of [strangerTemplateId, viewerTemplateId, legacyTemplateId]) {
+      assert.equal((await generateDueOccurrences(templateId, NOW)).taskIds.length, 0)
+    }
+    const { count } = await dbGet('SELECT COUNT(*) AS count FROM tasks WHERE board_id = ?', [memberBoardId])
+    assert.equal(count, 0)
+  })
+
+  test('skips occurrences for unknown or full columns', async () => {
+    const limitedBoardId = await createBoard(owner.id, [
+      { id: 'todo', title: 'To Do', wipLimit: 2, wipMode: 'hard' },
+      { id: 'done', title: 'Done' }
+    ])
+    const limitedTemplateId = await insertTemplate(limitedBoardId, owner.id)
+    const lostTemplateId = await insertTemplate(limitedBoardId, owner.id, { status: 'missing' })
+
+    assert.equal((await generateDueOccurrences(limitedTemplateId, NOW)).taskIds.length, 2)
+    assert.equal((await generateDueOccurrences(lostTemplateId, NOW)).taskIds.length, 0)
+
+    const { count } = await dbGet('SELECT COUNT(*) AS count FROM tasks WHERE board_id = ?', [limitedBoardId])
+    assert.equal(count, 2)
+    const template = await dbGet('SELECT occurrence_count FROM recurring_tasks WHERE id = ?', [limitedTemplateId])
+    assert.equal(template.occurrence_count, 5)
+  })
+})
@@ -0,0 +1,103 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  initDatabase, closeDatabase, createUser, createBoard, shareBoard, createTask, signIn, startApp
+} from './helpers.js'
+import { dbGet } from '../config/database.js'
+import boardRoutes from '../routes/boards.js'
+import taskRoutes from '../routes/tasks.js'
+
+let owner, viewer, token, app
+
+const reschedule = (taskId, body, rescheduleToken = token) => (
+  app.request('POST', `/api/tasks/${taskId}/reschedule`, { token: rescheduleToken, body })
+)
+
+// A task linked to its predecessors ([taskId, type, lag]), with the given dates
+const createLinkedTask = (boardId, startDate, dueDate, links = []) => createTask(boardId, {
+  start_date: startDate,
+  due_date: dueDate,
+  dependencies: JSON.stringify(links.map(([taskId, type, lag = 0]) => ({ taskId, type, lag })))
+})
+
+// [start, due] days of a task
+const getDays = async (taskId) => {
+  const task = await dbGet('SELECT start_date, due_date FROM tasks WHERE id = ?', [taskId])
+  return [task.start_date, task.due_date].map(date => date && date.slice(0, 10))
+}
+
+before(async () => {
+  await initDatabase()
+  owner = await createUser('Owner')
+  viewer = await createUser('Viewer')
+  token = await signIn(owner)
+  app = await startApp({ '/api/boards': boardRoutes, '/api/tasks': taskRoutes })
+})
+
+after(async () => {
+  await app.close()
+  await closeDatabase()
+})
+
+describe('rescheduling', () => {
+  test('moves successors with the end or start of their predecessor', async () => {
+    const boardId = await createBoard(owner.id)
+    const taskId = await createLinkedTask(boardId, '2024-03-01', '2024-03-05')
+    const finishToStart = await createLinkedTask(boardId, '2024-03-08', '2024-03-10', [[taskId, 'FS', 2]])
+    const startToStart = await createLinkedTask(boardId, '2024-03-02', '2024-03-03', [[taskId, 'SS']])
+    const chained = await createLinkedTask(boardId, '2024-03-11', '2024-03-12', [[finishToStart, 'FS']])
+
+    // Start moves one day, end three
+    const { status, body } = await reschedule(taskId, { startDate: '2024-03-02', dueDate: '2024-03-08' })
+    assert.equal(status, 200)
+    assert.equal(body.task.id, taskId)
+    assert.deepEqual(body.shiftedTasks.map(task => task.id).sort(), [finishToStart, startToStart, chained].sort())
+
+    assert.deepEqual(await getDays(finishToStart), ['2024-03-11', '2024-03-13'])
+    assert.deepEqual(await getDays(startToStart), ['2024-03-03', '2024-03-04'])
+    assert.deepEqual(await getDays(chained), ['2024-03-14', '2024-03-15'])
+  })
+
+  test('leaves unscheduled, unrelated and trashed successors alone', async () => {
+    const boardId = await createBoard(owner.id)
+    const taskId = await createLinkedTask(boardId, '2024-04-01', '2024-04-02')
+    const undated = await createLinkedTask(boardId, null, null, [[taskId, 'FS']])
+    const related = await createLinkedTask(boardId, '2024-04-05', '2024-04-06', [[taskId, 'relates-to']])
+    const trashed = await createLinkedTask(boardId, '2024-04-05', '2024-04-06', [[taskId, 'FS']])
+    await app.request('DELETE', `/api/tasks/${trashed}`, { token })
+
+    const { body } = await reschedule(taskId, { startDate: '2024-04-03', dueDate: '2024-04-04' })
+    assert.deepEqual(body.shiftedTasks, [])
+    assert.deepEqual(await getDays(undated), [null, null])
+    assert.deepEqual(await getDays(related), ['2024-04-05', '2024-04-06'])
+    assert.deepEqual(await getDays(trashed), ['2024-04-05', '2024-04-06'])
+
+    assert.equal((await reschedule(trashed, { dueDate: '2024-05-01' })).status, 404)
+  })
+
+  test('is undone in one step', async () => {
+    const boardId = await createBoard(owner.id)
+    const taskId = await createLinkedTask(boardId, '2024-06-01', '2024-06-02')
+    const successor = await createLinkedTask(boardId, '2024-06-03', '2024-06-04', [[taskId, 'FS']])
+    await reschedule(taskId, { startDate: '2024-06-05', dueDate: '2024-06-06' })
+
+    const { status, body } = await app.request('POST', `/api/boards/${boardId}/undo`, { token })
+    assert.equal(status, 200)
+    assert.equal(body.canUndo, false)
+    assert.deepEqual(await getDays(taskId), ['2024-06-01', '2024-06-02'])
+    assert.deepEqual(await getDays(successor), ['2024-06-03', '2024-06-04'])
+  })
+
+  test('rejects bad dates and viewers', async () => {
+    const boardId = await createBoard(owner.id)
+    await shareBoard(boardId, viewer.id, 'viewer')
+    const taskId = await createLinkedTask(boardId, '2024-07-01', '2024-07-02')
+
+    const invalid = await reschedule(taskId, { startDate: 'soon' })
+    assert.equal(invalid.status, 400)
+    const reversed = await reschedule(taskId, { startDate: '2024-07-05', dueDate: '2024-07-01' })
+    assert.equal(reversed.body.error, 'Start date must be on or before the due date')
+    assert.equal((await reschedule(taskId, { dueDate: '2024-07-03' }, await signIn(viewer))).status, 403)
+    assert.deepEqual(await getDays(taskId), ['2024-07-01', '2024-07-02'])
+  })
+})
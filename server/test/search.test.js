@@ -0,0 +1,136 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  initDatabase, closeDatabase, createUser, createBoard, shareBoard, createTask, signIn, startApp
+} from './helpers.js'
+import { dbGet, dbRun } from '../config/database.js'
+import searchRoutes from '../routes/search.js'
+import taskRoutes from '../routes/tasks.js'
+import commentRoutes from '../routes/comments.js'
+import { buildMatchQuery, toSegments, MATCH_START, MATCH_END } from '../utils/fullTextSearch.js'
+
+let owner, token, boardId, app
+
+// Ids of the tasks found for a query
+const search = async (q, searchToken = token) => {
+  const { status, body } = await app.request('GET', `/api/search?q=${encodeURIComponent(q)}`, { token: searchToken })
+  assert.equal(status, 200)
+  return body.results.map(result => result.taskId)
+}
+
+before(async () => {
+  await initDatabase()
+  owner = await createUser('Owner')
+  token = await signIn(owner)
+  boardId = await createBoard(owner.id)
+  app = await startApp({
+    '/api/search': searchRoutes,
+    '/api/tasks': taskRoutes,
+    '/api/tasks/:taskId/comments': commentRoutes
+  })
+})
+
+after(async () => {
+  await app.close()
+  await closeDatabase()
+})
+
+describe('search queries', () => {
+  test('match words as prefixes and quoted text as phrases', () => {
+    assert.equal(buildMatchQuery('log bug'), '"log"* "bug"*')
+    assert.equal(buildMatchQuery('"login page"'), '"login page"')
+    assert.equal(buildMatchQuery('e-mail'), '"e mail"*')
+  })
+
+  test('exclude words and phrases with a leading minus', () => {
+    assert.equal(buildMatchQuery('login -draft -"old page"'), '("login"*) NOT ("draft"* OR "old page")')
+  })
+
+  test('have nothing to search for without included terms', () => {
+    for (const input of ['', '   ', '-draft', '"" ***']) {
+      assert.equal(buildMatchQuery(input), null, input)
+    }
+  })
+
+  test('split highlights into segments', () => {
+    assert.deepEqual(toSegments(`Fix ${MATCH_START}login${MATCH_END} page`), [
+      { text: 'Fix ', match: false }, { text: 'login', match: true }, { text: ' page', match: false }
+    ])
+  })
+})
+
+describe('search index', () => {
+  test('finds new tasks by title, description and subtasks', async () => {
+    const { body } = await app.request('POST', '/api/tasks', {
+      token,
+      body: {
+        boardId,
+        title: 'Quarterly zeppelin report',
+        description: 'Covers the marmalade budget',
+        subtasks: [{ id: 's1', title: 'Collect xylophone numbers', completed: false }]
+      }
+    })
+
+    for (const query of ['zepp', 'marmalade', 'xylophone', '"quarterly zeppelin"']) {
+      assert.deepEqual(await search(query), [body.id], query)
+    }
+  })
+
+  test('follows task edits', async () => {
+    const taskId = await createTask(boardId, { title: 'Walrus onboarding' })
+    assert.deepEqual(await search('walrus'), [taskId])
+
+    const { status } = await app.request('PUT', `/api/tasks/${taskId}`, {
+      token, body: { title: 'Penguin onboarding', description: 'Über café' }
+    })
+    assert.equal(status, 200)
+
+    assert.deepEqual(await search('walrus'), [])
+    assert.deepEqual(await search('penguin'), [taskId])
+    assert.deepEqual(await search('uber cafe'), [taskId])
+  })
+
+  test('follows comments being added, edited and deleted', async () => {
+    const taskId = await createTask(boardId, { title: 'Commented task' })
+    const commentsPath = `/api/tasks/${taskId}/comments`
+
+    const { body: comment } = await app.request('POST', commentsPath, { token, body: { text: 'Mention the narwhal' } })
+    assert.deepEqual(await search('narwhal'), [taskId])
+
+    await app.request('PUT', `${commentsPath}/${comment.id}`, { token, body: { text: 'Mention the okapi' } })
+    assert.deepEqual(await search('narwhal'), [])
+    assert.deepEqual(await search('okapi'), [taskId])
+
+    assert.equal((await app.request('DELETE', `${commentsPath}/${comment.id}`, { token })).status, 200)
+    assert.deepEqual(await search('okapi'), [])
+  })
+
+  test('leaves out trashed tasks and drops deleted ones', async () => {
+    const taskId = await createTask(boardId, { title: 'Trashed armadillo' })
+    assert.deepEqual(await search('armadillo'), [taskId])
+
+    await app.request('DELETE', `/api/tasks/${taskId}`, { token })
+    assert.deepEqual(await search('armadillo'), [])
+
+    await dbRun('DELETE FROM tasks WHERE id = ?', [taskId])
+    assert.equal(await dbGet('SELECT 1 FROM task_search WHERE task_id = ?', [taskId]), undefined)
+  })
+
+  test('only searches boards the user can access', async () => {
+    const other = await createUser('Other')
+    const otherToken = await signIn(other)
+    const taskId = await createTask(boardId, { title: 'Private flamingo' })
+    assert.deepEqual(await search('flamingo', otherToken), [])
+
+    await shareBoard(boardId, other.id, 'viewer')
+    assert.deepEqual(await search('flamingo', otherToken), [taskId])
+  })
+
+  test('applies exclusions and returns nothing for them alone', async () => {
+    const keptId = await createTask(boardId, { title: 'Tapir release' })
+    await createTask(boardId, { title: 'Tapir release draft' })
+
+    assert.deepEqual(await search('tapir -draft'), [keptId])
+    assert.deepEqual(await search('-draft'), [])
+  })
+})
@@ -0,0 +1,87 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { initDatabase, closeDatabase, createUser, fakeRequest } from './helpers.js'
+import {
+  createSession, rotateRefreshToken, touchSession, revokeSession, revokeUserSessions, listSessions
+} from '../services/sessions.js'
+
+let user
+
+before(async () => {
+  await initDatabase()
+  user = await createUser('Sessions')
+})
+
+after(async () => {
+  await closeDatabase()
+})
+
+describe('refresh tokens', () => {
+  test('rotate on every refresh', async () => {
+    const { sessionId, refreshToken } = await createSession(user.id, fakeRequest)
+
+    const first = await rotateRefreshToken(refreshToken, fakeRequest)
+    assert.equal(first.session.id, sessionId)
+    assert.notEqual(first.refreshToken, refreshToken)
+
+    const second = await rotateRefreshToken(first.refreshToken, fakeRequest)
+    assert.ok(second)
+    assert.notEqual(second.refreshToken, first.refreshToken)
+    assert.equal(await touchSession(sessionId, user.id), true)
+  })
+
+  test('reusing a replaced token revokes the session', async () => {
+    const { sessionId, refreshToken } = await createSession(user.id, fakeRequest)
+    const rotated = await rotateRefreshToken(refreshToken, fakeRequest)
+
+    assert.equal(await rotateRefreshToken(refreshToken, fakeRequest), null)
+    assert.equal(await touchSession(sessionId, user.id), false)
+    assert.equal(await rotateRefreshToken(rotated.refreshToken, fakeRequest), null)
+  })
+
+  test('only one of two concurrent refreshes succeeds', async () => {
+    const { refreshToken } = await createSession(user.id, fakeRequest)
+    const results = await Promise.all([
+      rotateRefreshToken(refreshToken, fakeRequest),
+      rotateRefreshToken(refreshToken, fakeRequest)
+    ])
+    assert.equal(results.filter(Boolean).length, 1)
+  })
+
+  test('unknown and malformed tokens are refused', async () => {
+    const { sessionId } = await createSession(user.id, fakeRequest)
+    assert.equal(await rotateRefreshToken(`${sessionId}.not-the-secret`, fakeRequest), null)
+    assert.equal(await rotateRefreshToken('garbage', fakeRequest), null)
+  })
+})
+
+describe('revoking sessions', () => {
+  test('a revoked session can no longer be used or refreshed', async () => {
+    const { sessionId, refreshToken } = await createSession(user.id, fakeRequest)
+
+    assert.equal(await revokeSession(sessionId, user.id), true)
+    assert.equal(await revokeSession(sessionId, user.id), false)
+    assert.equal(await touchSession(sessionId, user.id), false)
+    assert.equal(await rotateRefreshToken(refreshToken, fakeRequest), null)
+  })
+
+  test('only the owner can revoke a session', async () => {
+    const other = await createUser('Other')
+    const { sessionId } = await createSession(user.id, fakeRequest)
+
+    assert.equal(await revokeSession(sessionId, other.id), false)
+    assert.equal(await touchSession(sessionId, other.id), false)
+    assert.equal(await touchSession(sessionId, user.id), true)
+  })
+
+  test('signing out everywhere keeps the current session', async () => {
+    const owner = await createUser('Everywhere')
+    const current = await createSession(owner.id, fakeRequest)
+    await createSession(owner.id, fakeRequest)
+    await createSession(owner.id, fakeRequest)
+
+    assert.equal(await revokeUserSessions(owner.id, current.sessionId), 2)
+    const sessions = await listSessions(owner.id, current.sessionId)
+    assert.deepEqual(sessions.map(session => [session.id, session.current]), [[current.sessionId, true]])
+  })
+})
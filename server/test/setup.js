@@ -0,0 +1,20 @@
+/**
+ * Test Environment
+ * Imported first by every test file (through helpers.js), before config/database.js opens the
+ * database: each test file gets a fresh database in a temporary directory, removed on exit.
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kanban-test-'))
+
+process.env.DB_PATH = path.join(dir, 'kanban.db')
+process.env.JWT_SECRET = 'test-secret'
+process.env.MAIL_TRANSPORT = 'file'
+process.env.MAIL_DIR = path.join(dir, 'mail')
+
+process.on('exit', () => {
+  fs.rmSync(dir, { recursive: true, force: true })
+})
@@ -0,0 +1,101 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  initDatabase, closeDatabase, createUser, createBoard, shareBoard, createTask, signIn, startApp
+} from './helpers.js'
+import { dbAll, dbGet } from '../config/database.js'
+import boardRoutes from '../routes/boards.js'
+import taskRoutes from '../routes/tasks.js'
+
+let owner, member, token, boardId, app
+
+const reorder = (taskId, body) => app.request('POST', `/api/tasks/${taskId}/reorder`, { token, body })
+
+const getTask = (taskId) => dbGet('SELECT * FROM tasks WHERE id = ?', [taskId])
+
+before(async () => {
+  await initDatabase()
+  owner = await createUser('Owner')
+  member = await createUser('Member')
+  token = await signIn(owner)
+  boardId = await createBoard(owner.id, [
+    { id: 'todo', title: 'To Do' },
+    { id: 'doing', title: 'Doing', wipLimit: 1, wipMode: 'hard' },
+    { id: 'done', title: 'Done' }
+  ])
+  await shareBoard(boardId, member.id, 'editor')
+  app = await startApp({ '/api/boards': boardRoutes, '/api/tasks': taskRoutes })
+})
+
+after(async () => {
+  await app.close()
+  await closeDatabase()
+})
+
+describe('drops into another swimlane', () => {
+  test('change the lane\'s field with the move', async () => {
+    const taskId = await createTask(boardId, { priority: 'low' })
+    const { status, body } = await reorder(taskId, {
+      status: 'done', fields: { assignedTo: member.id, priority: 'high', customFields: { 'field-1': 'opt-2' } }
+    })
+    assert.equal(status, 200)
+    assert.equal(body.status, 'done')
+    assert.equal(body.assigned_to, member.id)
+    assert.equal(body.priority, 'high')
+
+    const task = await getTask(taskId)
+    assert.deepEqual(JSON.parse(task.custom_fields), { 'field-1': 'opt-2' })
+    assert.equal(task.version, 2)
+
+    const activities = await dbAll('SELECT * FROM activity_log WHERE entity_id = ?', [taskId])
+    assert.equal(activities.length, 1)
+    assert.equal(activities[0].action, 'moved')
+    assert.deepEqual(JSON.parse(activities[0].metadata).fields, ['assignedTo', 'priority', 'customFields'])
+  })
+
+  test('clear the field when dropped into the empty lane', async () => {
+    const taskId = await createTask(boardId, { assigned_to: member.id, category: 'Bug' })
+    assert.equal((await reorder(taskId, { fields: { assignedTo: null, category: null } })).status, 200)
+
+    const task = await getTask(taskId)
+    assert.equal(task.assigned_to, null)
+    assert.equal(task.category, null)
+    assert.equal(task.status, 'todo')
+  })
+
+  test('are undone in one step', async () => {
+    const taskId = await createTask(boardId, { priority: 'low' })
+    await reorder(taskId, { status: 'done', fields: { priority: 'high', category: 'Bug' } })
+
+    const { status } = await app.request('POST', `/api/boards/${boardId}/undo`, { token })
+    assert.equal(status, 200)
+    const task = await getTask(taskId)
+    assert.equal(task.status, 'todo')
+    assert.equal(task.priority, 'low')
+    assert.equal(task.category, null)
+  })
+
+  test('refuse fields a lane cannot change', async () => {
+    const taskId = await createTask(boardId)
+    for (const fields of [{ title: 'Renamed' }, ['priority'], 'high']) {
+      const { status } = await reorder(taskId, { status: 'done', fields })
+      assert.equal(status, 400, JSON.stringify(fields))
+    }
+    const task = await getTask(taskId)
+    assert.equal(task.status, 'todo')
+    assert.equal(task.version, 1)
+  })
+
+  test('change nothing when the column is full', async () => {
+    await createTask(boardId, { status: 'doing' })
+    const taskId = await createTask(boardId, { priority: 'low' })
+
+    const { status } = await app.request('POST', `/api/tasks/${taskId}/reorder`, {
+      token: await signIn(member), body: { status: 'doing', fields: { priority: 'high' } }
+    })
+    assert.equal(status, 409)
+    const task = await getTask(taskId)
+    assert.equal(task.status, 'todo')
+    assert.equal(task.priority, 'low')
+  })
+})
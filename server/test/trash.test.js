@@ -0,0 +1,132 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  initDatabase, closeDatabase, createUser, createBoard, shareBoard, createTask, signIn, startApp
+} from './helpers.js'
+import { dbGet, dbRun } from '../config/database.js'
+import taskRoutes from '../routes/tasks.js'
+import trashRoutes from '../routes/trash.js'
+import { purgeExpiredTrash } from '../services/trash.js'
+
+let owner, editor, viewer, ownerToken, editorToken, app
+
+const LIMITED_COLUMNS = [
+  { id: 'todo', title: 'To Do', wipLimit: 1, wipMode: 'hard' },
+  { id: 'done', title: 'Done' }
+]
+
+const trashTask = async (taskId, token = ownerToken) => {
+  assert.equal((await app.request('DELETE', `/api/tasks/${taskId}`, { token })).status, 200)
+}
+
+const restoreTask = (taskId, token = ownerToken, body = {}) => (
+  app.request('POST', `/api/trash/tasks/${taskId}/restore`, { token, body })
+)
+
+const getTask = (taskId) => dbGet('SELECT * FROM tasks WHERE id = ?', [taskId])
+
+before(async () => {
+  await initDatabase()
+  owner = await createUser('Owner')
+  editor = await createUser('Editor')
+  viewer = await createUser('Viewer')
+  ownerToken = await signIn(owner)
+  editorToken = await signIn(editor)
+  app = await startApp({ '/api/tasks': taskRoutes, '/api/trash': trashRoutes })
+})
+
+after(async () => {
+  await app.close()
+  await closeDatabase()
+})
+
+describe('trash', () => {
+  test('lists deleted tasks and restores them to the top of their column', async () => {
+    const boardId = await createBoard(owner.id)
+    const taskId = await createTask(boardId, { status: 'done', position: 'a0' })
+    await createTask(boardId, { status: 'done', position: 'a1' })
+    await trashTask(taskId)
+
+    const { body: trash } = await app.request('GET', `/api/trash?boardId=${boardId}`, { token: ownerToken })
+    assert.deepEqual(trash.tasks.map(task => task.id), [taskId])
+    assert.equal(trash.tasks[0].deletedBy.id, owner.id)
+
+    const { status, body } = await restoreTask(taskId)
+    assert.equal(status, 200)
+    assert.equal(body.status, 'done')
+    const task = await getTask(taskId)
+    assert.equal(task.deleted_at, null)
+    assert.ok(task.position < 'a0')
+  })
+
+  test('restores to the first column when the task\'s column was removed', async () => {
+    const boardId = await createBoard(owner.id)
+    const taskId = await createTask(boardId, { status: 'review' })
+    await trashTask(taskId)
+
+    const { status, body } = await restoreTask(taskId)
+    assert.equal(status, 200)
+    assert.equal(body.status, 'todo')
+  })
+
+  test('applies the column\'s WIP limit to restored tasks', async () => {
+    const boardId = await createBoard(owner.id, LIMITED_COLUMNS)
+    await shareBoard(boardId, editor.id, 'editor')
+    const trashedId = await createTask(boardId)
+    await trashTask(trashedId)
+    await createTask(boardId)
+
+    const { status, body } = await restoreTask(trashedId, editorToken, { overrideWip: true })
+    assert.equal(status, 409)
+    assert.equal(body.canOverride, false)
+    assert.equal(body.wipLimit.columnId, 'todo')
+    assert.ok((await getTask(trashedId)).deleted_at)
+
+    assert.equal((await restoreTask(trashedId, ownerToken, { overrideWip: true })).status, 200)
+    assert.equal((await getTask(trashedId)).deleted_at, null)
+  })
+
+  test('only editors restore or purge tasks, and not while the board is in the trash', async () => {
+    const boardId = await createBoard(owner.id)
+    await shareBoard(boardId, viewer.id, 'viewer')
+    const taskId = await createTask(boardId)
+    await trashTask(taskId)
+
+    const viewerToken = await signIn(viewer)
+    assert.equal((await restoreTask(taskId, viewerToken)).status, 403)
+    assert.equal((await app.request('DELETE', `/api/trash/tasks/${taskId}`, { token: viewerToken })).status, 403)
+
+    await dbRun('UPDATE boards SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?', [boardId])
+    assert.equal((await restoreTask(taskId)).status, 409)
+  })
+
+  test('permanently deletes a task', async () => {
+    const boardId = await createBoard(owner.id)
+    const taskId = await createTask(boardId)
+    await trashTask(taskId)
+
+    assert.equal((await app.request('DELETE', `/api/trash/tasks/${taskId}`, { token: ownerToken })).status, 200)
+    assert.equal(await getTask(taskId), undefined)
+    assert.equal((await restoreTask(taskId)).status, 404)
+  })
+
+  test('purges items once the retention period is over', async () => {
+    const boardId = await createBoard(owner.id)
+    const expiredId = await createTask(boardId)
+    const recentId = await createTask(boardId)
+    await trashTask(expiredId)
+    await trashTask(recentId)
+    await dbRun("UPDATE tasks SET deleted_at = datetime('now', '-31 days') WHERE id = ?", [expiredId])
+
+    const expiredBoardId = await createBoard(owner.id)
+    const expiredBoardTaskId = await createTask(expiredBoardId)
+    await dbRun("UPDATE boards SET deleted_at = datetime('now', '-31 days') WHERE id = ?", [expiredBoardId])
+
+    const purged = await purgeExpiredTrash()
+    assert.ok(purged.tasks >= 1 && purged.boards >= 1)
+    assert.equal(await getTask(expiredId), undefined)
+    assert.ok(await getTask(recentId))
+    assert.equal(await dbGet('SELECT id FROM boards WHERE id = ?', [expiredBoardId]), undefined)
+    assert.equal(await getTask(expiredBoardTaskId), undefined)
+  })
+})
@@ -0,0 +1,104 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { initDatabase, closeDatabase, createUser } from './helpers.js'
+import {
+  base32Encode, base32Decode, generateSecret, getTimeStep, generateCode, verifyCode
+} from '../utils/totp.js'
+import {
+  startTwoFactorSetup, enableTwoFactor, verifySecondFactor, regenerateRecoveryCodes, disableTwoFactor
+} from '../services/twoFactor.js'
+
+before(async () => {
+  await initDatabase()
+})
+
+after(async () => {
+  await closeDatabase()
+})
+
+describe('TOTP', () => {
+  // Test vector from RFC 6238 appendix B (SHA-1, T = 59 seconds)
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'))
+
+  test('matches the RFC 6238 test vector', () => {
+    assert.equal(rfcSecret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ')
+    assert.equal(getTimeStep(59 * 1000), 1)
+    assert.equal(generateCode(rfcSecret, 1), '287082')
+  })
+
+  test('base32 round-trips and ignores case, spaces and padding', () => {
+    const bytes = Buffer.from('two-factor')
+    assert.deepEqual(base32Decode(base32Encode(bytes)), bytes)
+    assert.deepEqual(base32Decode('gezd gnbv===='), base32Decode('GEZDGNBV'))
+    assert.throws(() => base32Decode('GEZ1'))
+  })
+
+  test('accepts codes one step around the current one', () => {
+    const secret = generateSecret()
+    const step = getTimeStep()
+
+    assert.ok(verifyCode(secret, generateCode(secret, step - 1)) !== null)
+    assert.ok(verifyCode(secret, generateCode(secret, step + 1)) !== null)
+    assert.equal(verifyCode(secret, generateCode(secret, step + 5)), null)
+    assert.equal(verifyCode(secret, 'abcdef'), null)
+  })
+
+  test('refuses the last used step and earlier ones', () => {
+    const secret = generateSecret()
+    const code = generateCode(secret, getTimeStep() + 1)
+    const step = verifyCode(secret, code)
+
+    assert.equal(verifyCode(secret, code, step), null)
+    assert.equal(verifyCode(secret, generateCode(secret, step - 1), step), null)
+  })
+})
+
+describe('two-factor authentication', () => {
+  const enable = async (user) => {
+    const { secret } = await startTwoFactorSetup(user)
+    const recoveryCodes = await enableTwoFactor(user.id, generateCode(secret))
+    return { secret, recoveryCodes }
+  }
+
+  test('is only enabled with a valid code from the app', async () => {
+    const user = await createUser('Setup')
+    const { secret, otpauthUrl } = await startTwoFactorSetup(user)
+    assert.ok(otpauthUrl.startsWith('otpauth://totp/'))
+
+    assert.equal(await enableTwoFactor(user.id, generateCode(secret, getTimeStep() + 5)), null)
+    assert.equal(await verifySecondFactor(user.id, generateCode(secret, getTimeStep() + 1)), false)
+
+    const recoveryCodes = await enableTwoFactor(user.id, generateCode(secret))
+    assert.equal(recoveryCodes.length, 10)
+  })
+
+  test('app codes cannot be used twice', async () => {
+    const user = await createUser('Replay')
+    const { secret } = await enable(user)
+    const code = generateCode(secret, getTimeStep() + 1)
+
+    assert.equal(await verifySecondFactor(user.id, generateCode(secret)), false)
+    assert.equal(await verifySecondFactor(user.id, code), true)
+    assert.equal(await verifySecondFactor(user.id, code), false)
+  })
+
+  test('recovery codes work once, and only where allowed', async () => {
+    const user = await createUser('Recovery')
+    const { recoveryCodes: [first, second] } = await enable(user)
+
+    assert.equal(await verifySecondFactor(user.id, first, { allowRecoveryCode: false }), false)
+    assert.equal(await verifySecondFactor(user.id, first.toUpperCase().replace(/-/g, '')), true)
+    assert.equal(await verifySecondFactor(user.id, first), false)
+
+    await regenerateRecoveryCodes(user.id)
+    assert.equal(await verifySecondFactor(user.id, second), false)
+  })
+
+  test('can be turned off', async () => {
+    const user = await createUser('Disable')
+    const { secret } = await enable(user)
+
+    await disableTwoFactor(user.id)
+    assert.equal(await verifySecondFactor(user.id, generateCode(secret, getTimeStep() + 1)), false)
+  })
+})
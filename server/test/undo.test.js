@@ -0,0 +1,108 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  initDatabase, closeDatabase, createUser, createBoard, shareBoard, createTask, signIn, startApp
+} from './helpers.js'
+import { dbGet } from '../config/database.js'
+import boardRoutes from '../routes/boards.js'
+import taskRoutes from '../routes/tasks.js'
+
+let owner, editor, ownerToken, editorToken, app
+
+const LIMITED_COLUMNS = [
+  { id: 'todo', title: 'To Do', wipLimit: 1, wipMode: 'hard' },
+  { id: 'done', title: 'Done' }
+]
+
+const moveTask = async (taskId, status, token) => {
+  const { status: responseStatus } = await app.request('POST', `/api/tasks/${taskId}/reorder`, { token, body: { status } })
+  assert.equal(responseStatus, 200)
+}
+
+const historyStep = (boardId, direction, token, body = {}) => (
+  app.request('POST', `/api/boards/${boardId}/${direction}`, { token, body })
+)
+
+const getTask = (taskId) => dbGet('SELECT * FROM tasks WHERE id = ?', [taskId])
+
+before(async () => {
+  await initDatabase()
+  owner = await createUser('Owner')
+  editor = await createUser('Editor')
+  ownerToken = await signIn(owner)
+  editorToken = await signIn(editor)
+  app = await startApp({ '/api/boards': boardRoutes, '/api/tasks': taskRoutes })
+})
+
+after(async () => {
+  await app.close()
+  await closeDatabase()
+})
+
+describe('undo and redo', () => {
+  test('revert and reapply the user\'s own changes', async () => {
+    const boardId = await createBoard(owner.id)
+    const taskId = await createTask(boardId)
+    await moveTask(taskId, 'done', ownerToken)
+
+    const undone = await historyStep(boardId, 'undo', ownerToken)
+    assert.equal(undone.status, 200)
+    assert.equal(undone.body.tasks[0].status, 'todo')
+    assert.equal(undone.body.canRedo, true)
+
+    const redone = await historyStep(boardId, 'redo', ownerToken)
+    assert.equal(redone.status, 200)
+    assert.equal((await getTask(taskId)).status, 'done')
+    assert.equal((await historyStep(boardId, 'redo', ownerToken)).status, 404)
+  })
+
+  test('drop a step whose task someone else changed since', async () => {
+    const boardId = await createBoard(owner.id)
+    await shareBoard(boardId, editor.id, 'editor')
+    const taskId = await createTask(boardId)
+    await moveTask(taskId, 'in-progress', ownerToken)
+    await moveTask(taskId, 'done', editorToken)
+
+    const { status, body } = await historyStep(boardId, 'undo', ownerToken)
+    assert.equal(status, 409)
+    assert.deepEqual(body.conflicts.map(conflict => conflict.taskId), [taskId])
+    assert.equal(body.conflicts[0].current.status, 'done')
+    assert.equal(body.canUndo, false)
+    assert.equal((await getTask(taskId)).status, 'done')
+  })
+
+  test('keep a step that a hard WIP limit blocks', async () => {
+    const boardId = await createBoard(owner.id, LIMITED_COLUMNS)
+    await shareBoard(boardId, editor.id, 'editor')
+    const taskId = await createTask(boardId)
+    await moveTask(taskId, 'done', editorToken)
+    const blockingId = await createTask(boardId)
+
+    const { status, body } = await historyStep(boardId, 'undo', editorToken, { overrideWip: true })
+    assert.equal(status, 409)
+    assert.equal(body.wipLimit.columnId, 'todo')
+    assert.equal(body.canOverride, false)
+    assert.equal(body.canUndo, true)
+    assert.equal((await getTask(taskId)).status, 'done')
+
+    // Once the column has room, the same step can be undone
+    await moveTask(blockingId, 'done', ownerToken)
+    assert.equal((await historyStep(boardId, 'undo', editorToken)).status, 200)
+    assert.equal((await getTask(taskId)).status, 'todo')
+  })
+
+  test('let board owners override the limit', async () => {
+    const boardId = await createBoard(owner.id, LIMITED_COLUMNS)
+    const taskId = await createTask(boardId)
+    await app.request('DELETE', `/api/tasks/${taskId}`, { token: ownerToken })
+    await createTask(boardId)
+
+    assert.equal((await historyStep(boardId, 'undo', ownerToken)).status, 409)
+    assert.ok((await getTask(taskId)).deleted_at)
+
+    const { status, body } = await historyStep(boardId, 'undo', ownerToken, { overrideWip: true })
+    assert.equal(status, 200)
+    assert.deepEqual(body.tasks.map(task => task.id), [taskId])
+    assert.equal((await getTask(taskId)).deleted_at, null)
+  })
+})
@@ -0,0 +1,91 @@
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  initDatabase, closeDatabase, createUser, createBoard, shareBoard, createTask, signIn, startApp
+} from './helpers.js'
+import { dbGet } from '../config/database.js'
+import taskRoutes from '../routes/tasks.js'
+
+let owner, editor, ownerToken, editorToken, app
+
+const LIMIT = 2
+
+const createLimitedBoard = async () => {
+  const boardId = await createBoard(owner.id, [
+    { id: 'todo', title: 'To Do' },
+    { id: 'doing', title: 'Doing', wipLimit: LIMIT, wipMode: 'hard' }
+  ])
+  await shareBoard(boardId, editor.id, 'editor')
+  return boardId
+}
+
+const countInColumn = async (boardId, status) => {
+  const { count } = await dbGet(
+    'SELECT COUNT(*) AS count FROM tasks WHERE board_id = ? AND status = ? AND deleted_at IS NULL',
+    [boardId, status]
+  )
+  return count
+}
+
+const countStatuses = (responses) => responses.reduce((counts, { status }) => {
+  counts[status] = (counts[status] || 0) + 1
+  return counts
+}, {})
+
+before(async () => {
+  await initDatabase()
+  owner = await createUser('Owner')
+  editor = await createUser('Editor')
+  ownerToken = await signIn(owner)
+  editorToken = await signIn(editor)
+  app = await startApp({ '/api/tasks': taskRoutes })
+})
+
+after(async () => {
+  await app.close()
+  await closeDatabase()
+})
+
+describe('hard WIP limits', () => {
+  test('let only as many concurrent creates into a column as it has room for', async () => {
+    const boardId = await createLimitedBoard()
+    await createTask(boardId, { status: 'doing' })
+
+    const responses = await Promise.all(Array.from({ length: 5 }, (_, i) => app.request('POST', '/api/tasks', {
+      token: editorToken, body: { boardId, title: `Task ${i}`, status: 'doing' }
+    })))
+
+    assert.deepEqual(countStatuses(responses), { 201: 1, 409: 4 })
+    assert.equal(await countInColumn(boardId, 'doing'), LIMIT)
+    const blocked = responses.find(response => response.status === 409)
+    assert.equal(blocked.body.wipLimit.columnId, 'doing')
+    assert.equal(blocked.body.canOverride, false)
+  })
+
+  test('let only as many concurrent moves into a column as it has room for', async () => {
+    const boardId = await createLimitedBoard()
+    const taskIds = []
+    for (let i = 0; i < 5; i++) taskIds.push(await createTask(boardId))
+
+    const responses = await Promise.all(taskIds.map(taskId => app.request('POST', `/api/tasks/${taskId}/reorder`, {
+      token: editorToken, body: { status: 'doing' }
+    })))
+
+    assert.deepEqual(countStatuses(responses), { 200: LIMIT, 409: 5 - LIMIT })
+    assert.equal(await countInColumn(boardId, 'doing'), LIMIT)
+    assert.equal(await countInColumn(boardId, 'todo'), 5 - LIMIT)
+  })
+
+  test('can be overridden by the board owner only', async () => {
+    const boardId = await createLimitedBoard()
+    await createTask(boardId, { status: 'doing' })
+    await createTask(boardId, { status: 'doing' })
+    const create = (token) => app.request('POST', '/api/tasks', {
+      token, body: { boardId, title: 'Extra', status: 'doing', overrideWip: true }
+    })
+
+    assert.equal((await create(editorToken)).status, 409)
+    assert.equal((await create(ownerToken)).status, 201)
+    assert.equal(await countInColumn(boardId, 'doing'), LIMIT + 1)
+  })
+})
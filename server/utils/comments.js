@@ -0,0 +1,99 @@
+/**
+ * Task Comment Helpers
+ * Loading, formatting and @mention resolution for threaded task comments
+ */
+
+import { dbAll } from '../config/database.js'
+
+// @handle at the start of the text or after whitespace; a handle may be a full email address
+const MENTION_PATTERN = /(^|\s)@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g
+
+/**
+ * Converts a comment row (joined with its author) to the API shape
+ * Deleted comments that still have replies keep their place in the thread without their text.
+ * @param {Object} row - task_comments row with author_name and author_avatar_color
+ * @returns {Object} Comment
+ */
+export const formatComment = (row) => ({
+  id: row.id,
+  taskId: row.task_id,
+  parentId: row.parent_id,
+  userId: row.user_id,
+  author: {
+    id: row.user_id,
+    name: row.author_name || 'Unknown User',
+    avatarColor: row.author_avatar_color || null
+  },
+  text: row.deleted_at ? '' : row.body,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  editedAt: row.edited_at,
+  deleted: Boolean(row.deleted_at)
+})
+
+/**
+ * Loads the comments of several tasks, oldest first
+ * @param {Array<string>} taskIds - Task IDs
+ * @returns {Promise<Object>} Map of task ID -> array of comments
+ */
+export const loadCommentsByTask = async (taskIds) => {
+  const byTask = {}
+  taskIds.forEach(id => { byTask[id] = [] })
+  if (taskIds.length === 0) return byTask
+
+  const rows = await dbAll(
+    `SELECT c.*, u.name AS author_name, u.avatar_color AS author_avatar_color
+     FROM task_comments c
+     LEFT JOIN users u ON u.id = c.user_id
+     WHERE c.task_id IN (${taskIds.map(() => '?').join(', ')})
+     ORDER BY c.created_at, c.id`,
+    taskIds
+  )
+
+  rows.forEach(row => byTask[row.task_id].push(formatComment(row)))
+  return byTask
+}
+
+/**
+ * Extracts @mention handles from comment text
+ * @param {string} text - Comment text
+ * @returns {Array<string>} Lower-cased handles
+ */
+export const parseMentions = (text) => {
+  const handles = new Set()
+  for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+    handles.add(match[2].replace(/[.]+$/, '').toLowerCase())
+  }
+  return [...handles]
+}
+
+/**
+ * Resolves @mentions in comment text to members of a board
+ * A handle matches a member's email, the part of the email before "@",
+ * or the member's name without spaces (e.g. @janedoe for "Jane Doe").
+ * @param {Object} board - Board row (id and owner_id)
+ * @param {string} text - Comment text
+ * @returns {Promise<Array<string>>} IDs of the mentioned users
+ */
+export const resolveMentions = async (board, text) => {
+  const handles = parseMentions(text)
+  if (handles.length === 0) return []
+
+  const members = await dbAll(
+    `SELECT id, name, email FROM users
+     WHERE id = ? OR id IN (SELECT user_id FROM board_sharing WHERE board_id = ?)`,
+    [board.owner_id, board.id]
+  )
+
+  return members
+    .filter(member => {
+      const email = (member.email || '').toLowerCase()
+      const candidates = [
+        email,
+        email.split('@')[0],
+        (member.name || '').toLowerCase().replace(/\s+/g, '')
+      ]
+      return handles.some(handle => candidates.includes(handle))
+    })
+    .map(member => member.id)
+}
@@ -0,0 +1,48 @@
+/**
+ * Optimistic Concurrency Helpers
+ * Version/ETag handling used to detect conflicting updates
+ */
+
+/**
+ * Reads the version in an If-Match header ("3" or W/"3")
+ * @returns {number|null} Version, or null if there is no usable header
+ */
+const getIfMatchVersion = (req) => {
+  const ifMatch = req.get('If-Match')
+  if (!ifMatch || ifMatch === '*') return null
+  const parsed = parseInt(ifMatch.replace(/^W\//, '').replace(/"/g, ''), 10)
+  return Number.isNaN(parsed) ? null : parsed
+}
+
+/**
+ * Reads the version a client based its changes on
+ * Accepts an If-Match header ("3" or W/"3") or a `version` field in the body
+ * @param {Object} req - Express request
+ * @returns {number|null} Expected version, or null if the client sent none
+ */
+export const getExpectedVersion = (req) => {
+  const ifMatchVersion = getIfMatchVersion(req)
+  if (ifMatchVersion !== null) return ifMatchVersion
+
+  if (req.body && req.body.version !== undefined && req.body.version !== null) {
+    const parsed = parseInt(req.body.version, 10)
+    if (!Number.isNaN(parsed)) return parsed
+  }
+
+  return null
+}
+
+/**
+ * Status for a write based on a stale version: 412 Precondition Failed when the version came in
+ * an If-Match header, 409 Conflict when it came in the body
+ * @param {Object} req - Express request
+ * @returns {number} HTTP status
+ */
+export const getConflictStatus = (req) => (getIfMatchVersion(req) !== null ? 412 : 409)
+
+/**
+ * Formats a row version as an ETag header value
+ * @param {number} version - Row version
+ * @returns {string} Strong ETag
+ */
+export const toEtag = (version) => `"${version}"`
@@ -29,6 +29,17 @@ export const validateServerEnvironment = () => {
     }
   }
 
+  // Account emails carry password reset and verification links: in production they must not fall
+  // back to the console transport, which prints them to the server log (see services/mailer.js)
+  if (process.env.NODE_ENV === 'production') {
+    if (!process.env.SMTP_HOST && !process.env.MAIL_TRANSPORT) {
+      missing.push('SMTP_HOST')
+    } else if (['console', 'file'].includes(process.env.MAIL_TRANSPORT)) {
+      const target = process.env.MAIL_TRANSPORT === 'console' ? 'the server log' : 'MAIL_DIR'
+      warnings.push(`MAIL_TRANSPORT=${process.env.MAIL_TRANSPORT} - account emails are not sent; their links are written to ${target}`)
+    }
+  }
+
   // DB_PATH is optional (has default)
   if (!required.DB_PATH) {
     warnings.push('DB_PATH not set - using default location')
@@ -0,0 +1,72 @@
+/**
+ * Full-Text Search Helpers
+ * Turns what users type into FTS5 queries and FTS5 highlights into plain text segments
+ * The index itself (task_search) is created in config/database.js.
+ */
+
+// Markers wrapped around matches by highlight() and snippet(); never present in user text
+export const MATCH_START = '\u0002'
+export const MATCH_END = '\u0003'
+
+/**
+ * Splits text into FTS5 terms (letters and digits only)
+ */
+const toTerms = (text) => text.match(/[\p{L}\p{N}]+/gu) || []
+
+/**
+ * Builds an FTS5 MATCH expression from a search box query
+ * Words match as prefixes ("log" finds "login"), "quoted text" matches as a phrase and -word
+ * excludes tasks containing the word. Every remaining term must match.
+ * @param {string} input - Query as typed
+ * @returns {string|null} MATCH expression, or null if the query has nothing to search for
+ */
+export const buildMatchQuery = (input) => {
+  const include = []
+  const exclude = []
+
+  const pattern = /(-?)"([^"]*)"?|(-?)([^\s"]+)/g
+  let match
+  while ((match = pattern.exec(input || '')) !== null) {
+    const [, phraseNegated, phrase, wordNegated, word] = match
+
+    if (phrase !== undefined) {
+      const terms = toTerms(phrase)
+      if (terms.length > 0) {
+        (phraseNegated ? exclude : include).push(`"${terms.join(' ')}"`)
+      }
+      continue
+    }
+
+    // "e-mail" or "v1.2" become phrases of their parts, the last one matched as a prefix
+    const terms = toTerms(word)
+    if (terms.length > 0) {
+      (wordNegated ? exclude : include).push(`"${terms.join(' ')}"*`)
+    }
+  }
+
+  // FTS5 cannot search for exclusions alone
+  if (include.length === 0) return null
+
+  const query = include.join(' ')
+  return exclude.length > 0 ? `(${query}) NOT (${exclude.join(' OR ')})` : query
+}
+
+/**
+ * Splits highlighted text into segments so clients can mark matches without rendering HTML
+ * @param {string} text - Output of highlight() or snippet() with MATCH_START/MATCH_END markers
+ * @returns {Array} [{ text, match }]
+ */
+export const toSegments = (text) => {
+  const segments = []
+  let match = false
+  for (const part of (text || '').split(new RegExp(`([${MATCH_START}${MATCH_END}])`))) {
+    if (part === MATCH_START) {
+      match = true
+    } else if (part === MATCH_END) {
+      match = false
+    } else if (part) {
+      segments.push({ text: part, match })
+    }
+  }
+  return segments
+}
@@ -0,0 +1,170 @@
+/**
+ * iCalendar Helpers
+ * Builds .ics calendars (RFC 5545) of task due dates as VEVENT or VTODO entries
+ * (the client imports this module too, see src/utils/exportImport.js, to build the same file for exports)
+ */
+
+const PRODUCT_ID = '-//Kanban Project Management//Task Due Dates//EN'
+
+// Task priorities as iCalendar PRIORITY values (1 = highest, 9 = lowest)
+const PRIORITY_VALUES = { high: 1, medium: 5, low: 9 }
+
+// Statuses treated as "completed" (kept in sync with src/utils/taskDependencies.js)
+const COMPLETED_STATUSES = ['done', 'completed', 'closed']
+
+const pad = (value) => String(value).padStart(2, '0')
+
+/**
+ * Escapes a TEXT value (backslashes, semicolons, commas and line breaks)
+ */
+export const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n')
+
+/**
+ * Folds a content line to 75 octets, continuing on lines that start with a space
+ * Multi-byte characters are never split.
+ */
+export const foldLine = (line) => {
+  const encoder = new TextEncoder()
+  const parts = []
+  let current = ''
+  let size = 0
+
+  for (const char of line) {
+    const charSize = encoder.encode(char).length
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? 75 : 74
+    if (size + charSize > limit) {
+      parts.push(current)
+      current = ''
+      size = 0
+    }
+    current += char
+    size += charSize
+  }
+  parts.push(current)
+
+  return parts.join('\r\n ')
+}
+
+/**
+ * Formats a date-time in UTC, e.g. 20240315T093000Z
+ */
+const formatDateTime = (date) => (
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+)
+
+/**
+ * Parses a timestamp; SQLite's CURRENT_TIMESTAMP ("YYYY-MM-DD HH:MM:SS") is UTC without a zone marker
+ */
+const parseTimestamp = (value) => {
+  if (!value) return null
+  const text = String(value)
+  const date = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text)
+    ? new Date(`${text.replace(' ', 'T')}Z`)
+    : new Date(text)
+  return isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * Reads a due date
+ * Plain dates ("2024-03-15", as set by the date picker) become all-day entries; anything with
+ * a time becomes a UTC date-time.
+ * @returns {Object|null} { allDay, value, end } with iCalendar-formatted values
+ */
+const parseDueDate = (dueDate) => {
+  const text = String(dueDate || '')
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text)
+
+  if (dateOnly) {
+    const [year, month, day] = [Number(dateOnly[1]), Number(dateOnly[2]), Number(dateOnly[3])]
+    const next = new Date(Date.UTC(year, month - 1, day + 1))
+    return {
+      allDay: true,
+      value: `${dateOnly[1]}${dateOnly[2]}${dateOnly[3]}`,
+      end: `${next.getUTCFullYear()}${pad(next.getUTCMonth() + 1)}${pad(next.getUTCDate())}`
+    }
+  }
+
+  const date = parseTimestamp(text)
+  if (!date) return null
+  return {
+    allDay: false,
+    value: formatDateTime(date),
+    end: formatDateTime(new Date(date.getTime() + 30 * 60 * 1000))
+  }
+}
+
+/**
+ * Builds the lines of one calendar entry
+ * @param {Object} entry - { id, title, description, dueDate, status, priority, category, boardName, url, updatedAt, version }
+ * @param {string} component - 'VEVENT' or 'VTODO'
+ * @param {string} stamp - DTSTAMP value
+ */
+const buildEntry = (entry, component, stamp) => {
+  const due = parseDueDate(entry.dueDate)
+  if (!due) return []
+
+  const dateParam = due.allDay ? ';VALUE=DATE' : ''
+  const completed = COMPLETED_STATUSES.includes((entry.status || '').toLowerCase())
+  const updated = parseTimestamp(entry.updatedAt)
+  const categories = [entry.boardName, entry.category].filter(Boolean).map(escapeText)
+
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:${entry.id}@kanban-project-management`,
+    `DTSTAMP:${stamp}`,
+    `SUMMARY:${escapeText(entry.title)}`
+  ]
+
+  if (component === 'VTODO') {
+    lines.push(`DUE${dateParam}:${due.value}`)
+    lines.push(`STATUS:${completed ? 'COMPLETED' : 'NEEDS-ACTION'}`)
+  } else {
+    lines.push(`DTSTART${dateParam}:${due.value}`)
+    lines.push(`DTEND${dateParam}:${due.end}`)
+    lines.push('TRANSP:TRANSPARENT')
+  }
+
+  if (entry.description) lines.push(`DESCRIPTION:${escapeText(entry.description)}`)
+  if (PRIORITY_VALUES[entry.priority]) lines.push(`PRIORITY:${PRIORITY_VALUES[entry.priority]}`)
+  if (categories.length > 0) lines.push(`CATEGORIES:${categories.join(',')}`)
+  if (entry.url) lines.push(`URL:${entry.url}`)
+  if (updated) lines.push(`LAST-MODIFIED:${formatDateTime(updated)}`)
+  if (entry.version) lines.push(`SEQUENCE:${Math.max(0, entry.version - 1)}`)
+  lines.push(`END:${component}`)
+
+  return lines
+}
+
+/**
+ * Builds an .ics calendar of task due dates
+ * Tasks without a (valid) due date are left out.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {Array} options.entries - Tasks as { id, title, description, dueDate, status, priority, category, boardName, url, updatedAt, version }
+ * @param {string} options.type - 'event' (VEVENT, shown by every calendar app) or 'todo' (VTODO)
+ * @returns {string} Calendar text with CRLF line endings
+ */
+export const buildCalendar = ({ name, entries = [], type = 'event' }) => {
+  const component = type === 'todo' ? 'VTODO' : 'VEVENT'
+  const stamp = formatDateTime(new Date())
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...entries.flatMap(entry => buildEntry(entry, component, stamp)),
+    'END:VCALENDAR'
+  ]
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`
+}
@@ -0,0 +1,66 @@
+/**
+ * Lexicographic Ranking Helpers
+ * Card positions are base-36 strings compared as text, so a card can be placed
+ * between two neighbours without renumbering the rest of the column. The client imports this
+ * module too (src/App.jsx), to reorder cards locally before the server confirms the new position.
+ */
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz'
+const BASE = DIGITS.length
+
+/**
+ * Generates a rank that sorts strictly between two ranks
+ * Generated ranks never end in '0', which keeps a gap available on both sides.
+ * @param {string|null} before - Rank of the previous card (null for the start of the column)
+ * @param {string|null} after - Rank of the next card (null for the end of the column)
+ * @returns {string} New rank
+ * @throws {Error} If before is not lower than after
+ */
+export const rankBetween = (before, after) => {
+  const lower = before || ''
+  let upper = after || null
+
+  if (upper !== null && lower >= upper) {
+    throw new Error(`Cannot rank between "${lower}" and "${upper}"`)
+  }
+
+  let rank = ''
+  for (let i = 0; ; i++) {
+    const lowDigit = i < lower.length ? DIGITS.indexOf(lower[i]) : 0
+    const highDigit = upper !== null && i < upper.length ? DIGITS.indexOf(upper[i]) : BASE
+
+    if (lowDigit === highDigit) {
+      rank += DIGITS[lowDigit]
+      continue
+    }
+
+    const mid = Math.floor((lowDigit + highDigit) / 2)
+    if (mid > lowDigit) {
+      return rank + DIGITS[mid]
+    }
+
+    // Digits are adjacent: keep the lower digit; from here on there is no upper bound
+    rank += DIGITS[lowDigit]
+    upper = null
+  }
+}
+
+/**
+ * Generates evenly spaced ranks for a whole column
+ * Used for backfilling and for rebalancing when neighbours collide.
+ * @param {number} count - Number of ranks needed
+ * @returns {Array<string>} Ascending ranks
+ */
+export const rankSequence = (count) => {
+  const width = Math.max(1, Math.ceil(Math.log(count + 1) / Math.log(BASE)) + 1)
+  const space = Math.pow(BASE, width)
+  const ranks = []
+
+  for (let k = 1; k <= count; k++) {
+    const value = Math.floor((k * space) / (count + 1))
+    // Trailing zeros are dropped; this keeps the order and the "never ends in 0" rule
+    ranks.push(value.toString(BASE).padStart(width, '0').replace(/0+$/, ''))
+  }
+
+  return ranks
+}
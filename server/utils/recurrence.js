@@ -0,0 +1,152 @@
+/**
+ * Recurrence Helpers
+ * Occurrence calculation for recurring task templates
+ * (kept in sync with src/utils/recurringTasks.js)
+ */
+
+import {
+  WEEKDAY_CODES, parseRRule, getOccurrences, parseDateKey, startOfDay, toDateKey
+} from './rrule.js'
+
+export { startOfDay, toDateKey }
+
+export const RECURRENCE_TYPES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  YEARLY: 'yearly',
+  CUSTOM: 'custom' // iCalendar RRULE in recurrence.rrule
+}
+
+/**
+ * Parses a stored timestamp
+ * SQLite's CURRENT_TIMESTAMP ("YYYY-MM-DD HH:MM:SS") is UTC without a zone marker.
+ * @param {string} value - SQLite timestamp or ISO string
+ * @returns {Date} Parsed date
+ */
+export const parseTimestamp = (value) => (
+  /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)
+    ? new Date(`${value.replace(' ', 'T')}Z`)
+    : new Date(value)
+)
+
+/**
+ * Converts a recurrence to an RRULE
+ * Custom recurrences carry their own rule; the simple types are translated.
+ * @param {Object} recurrence - Recurrence configuration
+ * @returns {string} RRULE text (empty for unknown types)
+ */
+export const recurrenceToRRule = (recurrence) => {
+  const interval = Math.max(1, parseInt(recurrence.interval, 10) || 1)
+  const intervalPart = interval > 1 ? `;INTERVAL=${interval}` : ''
+
+  switch (recurrence.type) {
+    case RECURRENCE_TYPES.DAILY:
+      return `FREQ=DAILY${intervalPart}`
+
+    case RECURRENCE_TYPES.WEEKLY: {
+      const days = (recurrence.daysOfWeek || []).map(day => WEEKDAY_CODES[Number(day)]).filter(Boolean)
+      return `FREQ=WEEKLY${intervalPart}${days.length > 0 ? `;BYDAY=${days.join(',')}` : ''}`
+    }
+
+    case RECURRENCE_TYPES.MONTHLY: {
+      const dayOfMonth = Math.min(parseInt(recurrence.dayOfMonth, 10) || 0, 31)
+      if (!dayOfMonth) return `FREQ=MONTHLY${intervalPart}`
+      if (dayOfMonth <= 28) return `FREQ=MONTHLY${intervalPart};BYMONTHDAY=${dayOfMonth}`
+
+      // Days past the 28th fall back to the last day of shorter months
+      const days = []
+      for (let day = 28; day <= dayOfMonth; day++) days.push(day)
+      return `FREQ=MONTHLY${intervalPart};BYMONTHDAY=${days.join(',')};BYSETPOS=-1`
+    }
+
+    case RECURRENCE_TYPES.YEARLY:
+      return `FREQ=YEARLY${intervalPart}`
+
+    case RECURRENCE_TYPES.CUSTOM:
+      return recurrence.rrule || ''
+
+    default:
+      return ''
+  }
+}
+
+/**
+ * First day of a series: the recurrence's start date, or the day the template was created
+ * @param {Object} recurrence - Recurrence configuration
+ * @param {Date} createdAt - When the template was created
+ * @returns {Date} Local midnight of the first day
+ */
+export const getRecurrenceStart = (recurrence, createdAt) => (
+  parseDateKey(recurrence.startDate) || startOfDay(createdAt)
+)
+
+/**
+ * Lists the next occurrences of a recurring template
+ * Without a start date the series begins the day after the template was created.
+ *
+ * @param {Object} recurrence - Recurrence configuration
+ * @param {Object} options
+ * @param {Date} options.createdAt - When the template was created
+ * @param {Date} options.lastGenerated - Last occurrence already generated, if any
+ * @param {number} options.occurrenceCount - Occurrences generated so far (for maxOccurrences)
+ * @param {Date} options.until - Only occurrences up to this day
+ * @param {number} options.limit - Maximum number of occurrences (default: 5)
+ * @returns {Array<Date>} Occurrence days in order
+ * @throws {Error} If a custom rule is invalid
+ */
+export const getUpcomingOccurrences = (recurrence, {
+  createdAt = new Date(), lastGenerated = null, occurrenceCount = 0, until = null, limit = 5
+} = {}) => {
+  const rrule = recurrenceToRRule(recurrence)
+  if (!rrule) return []
+
+  const start = getRecurrenceStart(recurrence, createdAt)
+  const dayBeforeStart = new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1)
+  // End dates are stored as ISO strings of the picked day
+  const endDate = recurrence.endDate ? parseDateKey(String(recurrence.endDate).slice(0, 10)) : null
+  const remaining = recurrence.maxOccurrences ? recurrence.maxOccurrences - occurrenceCount : limit
+
+  return getOccurrences(rrule, start, {
+    after: lastGenerated || (recurrence.startDate ? dayBeforeStart : start),
+    until: [endDate, until].filter(Boolean).sort((a, b) => a - b)[0] || null,
+    limit: Math.min(limit, remaining),
+    exdates: recurrence.exdates || []
+  })
+}
+
+/**
+ * Checks a recurrence before it is saved
+ * @param {Object} recurrence - Recurrence configuration
+ * @returns {string|null} Error message, or null if the recurrence is valid
+ */
+export const validateRecurrence = (recurrence) => {
+  if (!recurrence || !Object.values(RECURRENCE_TYPES).includes(recurrence.type)) {
+    return 'Unknown recurrence type'
+  }
+  if (recurrence.type === RECURRENCE_TYPES.CUSTOM) {
+    try {
+      parseRRule(recurrence.rrule)
+    } catch (error) {
+      return error.message
+    }
+  }
+  if (recurrence.startDate && !parseDateKey(recurrence.startDate)) {
+    return 'Start date must be a date like 2024-03-15'
+  }
+  if (recurrence.exdates && (!Array.isArray(recurrence.exdates) || !recurrence.exdates.every(parseDateKey))) {
+    return 'Skipped dates must be dates like 2024-03-15'
+  }
+  return null
+}
+
+/**
+ * Recurrence as it is saved: skipped dates given as iCalendar dates ("20240315") become date
+ * keys ("2024-03-15"), the form occurrences are compared with
+ * @param {Object} recurrence - Recurrence that passed validateRecurrence
+ * @returns {Object} Recurrence configuration
+ */
+export const normalizeRecurrence = (recurrence) => {
+  if (!recurrence.exdates) return recurrence
+  return { ...recurrence, exdates: [...new Set(recurrence.exdates.map(date => toDateKey(parseDateKey(date))))] }
+}
@@ -0,0 +1,486 @@
+/**
+ * RRULE Utility Functions
+ * Parses, expands and describes iCalendar recurrence rules (RFC 5545) for recurring tasks.
+ * Tasks recur on calendar days, so rules are evaluated on local dates and time parts are ignored.
+ * Plain ESM without dependencies: the client imports this module too (src/utils/recurringTasks.js),
+ * so previews match what the scheduler generates.
+ */
+
+export const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY']
+
+// Weekday codes, indexed like Date.getDay()
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+]
+const FREQUENCY_UNITS = {
+  DAILY: ['day', 'days'],
+  WEEKLY: ['week', 'weeks'],
+  MONTHLY: ['month', 'months'],
+  YEARLY: ['year', 'years']
+}
+
+// Periods in a row without a candidate day before a rule is treated as exhausted
+// (e.g. FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=30 never matches)
+const MAX_EMPTY_PERIODS = 1000
+
+const ruleError = (message) => new Error(`Invalid RRULE: ${message}`)
+
+/**
+ * Midnight (local time) of the given date
+ * @param {Date} date - Any date
+ * @returns {Date} New date at 00:00:00
+ */
+export const startOfDay = (date) => {
+  const day = new Date(date)
+  day.setHours(0, 0, 0, 0)
+  return day
+}
+
+/**
+ * Calendar date key of a day, e.g. "2024-03-15" (local time)
+ * @param {Date} date - Any date
+ * @returns {string} YYYY-MM-DD
+ */
+export const toDateKey = (date) => {
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+/**
+ * Parses a date key ("2024-03-15") or an iCalendar date ("20240315", "20240315T090000Z")
+ * Only the calendar date is used.
+ * @param {string} value - Date text
+ * @returns {Date|null} Local midnight of that day, or null if the text isn't a valid date
+ */
+export const parseDateKey = (value) => {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})(T\d{6}Z?)?$/.exec(String(value || '').trim())
+  if (!match) return null
+
+  const [year, month, day] = [Number(match[1]), Number(match[2]) - 1, Number(match[3])]
+  const date = new Date(year, month, day)
+  return date.getMonth() === month && date.getDate() === day ? date : null
+}
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days)
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate()
+
+/**
+ * Every day from start to end (inclusive)
+ */
+const daysBetween = (start, end) => {
+  const days = []
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    days.push(day)
+  }
+  return days
+}
+
+/**
+ * Parses a comma-separated list of non-zero integers
+ */
+const parseNumberList = (value, max, allowNegative, name) => {
+  return value.split(',').map(item => {
+    const number = Number(item)
+    if (!/^[+-]?\d+$/.test(item) || number === 0 || Math.abs(number) > max || (!allowNegative && number < 0)) {
+      throw ruleError(`${name} value "${item}" is out of range`)
+    }
+    return number
+  })
+}
+
+const parsePositive = (value, name) => {
+  const number = Number(value)
+  if (!/^\d+$/.test(value) || number < 1) {
+    throw ruleError(`${name} must be a positive number`)
+  }
+  return number
+}
+
+/**
+ * Parses one BYDAY entry, e.g. "TU", "2TU" or "-1FR"
+ */
+const parseWeekday = (value) => {
+  const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(value)
+  const ordinal = match && match[1] ? Number(match[1]) : null
+  if (!match || ordinal === 0 || Math.abs(ordinal) > 53) {
+    throw ruleError(`BYDAY value "${value}" is not valid`)
+  }
+  return { weekday: WEEKDAY_CODES.indexOf(match[2]), ordinal }
+}
+
+/**
+ * Parses an RRULE string
+ * Supports FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL, BYDAY (with ordinals),
+ * BYMONTHDAY (negative values count from the end of the month), BYMONTH, BYSETPOS and WKST.
+ *
+ * @param {string} text - Rule, with or without the "RRULE:" prefix
+ * @returns {Object} Parsed rule
+ * @throws {Error} If the rule is invalid or uses unsupported parts
+ */
+export const parseRRule = (text) => {
+  const source = String(text || '').trim().replace(/^RRULE:/i, '')
+  if (!source) {
+    throw ruleError('the rule is empty')
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    wkst: 1 // Monday
+  }
+
+  for (const part of source.split(';')) {
+    if (!part) continue
+
+    const [rawKey, rawValue = ''] = part.split('=')
+    const key = rawKey.trim().toUpperCase()
+    const value = rawValue.trim().toUpperCase()
+    if (!value) {
+      throw ruleError(`${key} needs a value`)
+    }
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          throw ruleError(`FREQ=${value} is not supported (use ${FREQUENCIES.join(', ')})`)
+        }
+        rule.freq = value
+        break
+
+      case 'INTERVAL':
+        rule.interval = parsePositive(value, 'INTERVAL')
+        break
+
+      case 'COUNT':
+        rule.count = parsePositive(value, 'COUNT')
+        break
+
+      case 'UNTIL':
+        rule.until = parseDateKey(value)
+        if (!rule.until) {
+          throw ruleError('UNTIL must be a date like 20241231')
+        }
+        break
+
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(parseWeekday)
+        break
+
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseNumberList(value, 31, true, 'BYMONTHDAY')
+        break
+
+      case 'BYMONTH':
+        rule.byMonth = parseNumberList(value, 12, false, 'BYMONTH')
+        break
+
+      case 'BYSETPOS':
+        rule.bySetPos = parseNumberList(value, 366, true, 'BYSETPOS')
+        break
+
+      case 'WKST':
+        if (!WEEKDAY_CODES.includes(value)) {
+          throw ruleError(`WKST value "${value}" is not valid`)
+        }
+        rule.wkst = WEEKDAY_CODES.indexOf(value)
+        break
+
+      default:
+        throw ruleError(`${key} is not supported`)
+    }
+  }
+
+  if (!rule.freq) {
+    throw ruleError('FREQ is required')
+  }
+  if (rule.count && rule.until) {
+    throw ruleError('COUNT and UNTIL cannot be used together')
+  }
+  if (rule.byDay.some(day => day.ordinal) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw ruleError('BYDAY positions like 2TU need FREQ=MONTHLY or FREQ=YEARLY')
+  }
+  if (rule.byMonthDay.length > 0 && rule.freq === 'WEEKLY') {
+    throw ruleError('BYMONTHDAY cannot be used with FREQ=WEEKLY')
+  }
+  if (rule.bySetPos.length > 0 && !rule.byDay.length && !rule.byMonthDay.length && !rule.byMonth.length) {
+    throw ruleError('BYSETPOS needs BYDAY, BYMONTHDAY or BYMONTH')
+  }
+
+  return rule
+}
+
+/**
+ * Converts a parsed rule back to RRULE text
+ * @param {Object} rule - Parsed rule
+ * @returns {string} e.g. "FREQ=MONTHLY;BYDAY=2TU"
+ */
+export const stringifyRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`]
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`)
+  if (rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`)
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`)
+  if (rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map(day => `${day.ordinal || ''}${WEEKDAY_CODES[day.weekday]}`).join(',')}`)
+  }
+  if (rule.bySetPos.length) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`)
+  if (rule.wkst !== 1) parts.push(`WKST=${WEEKDAY_CODES[rule.wkst]}`)
+  if (rule.count) parts.push(`COUNT=${rule.count}`)
+  if (rule.until) parts.push(`UNTIL=${toDateKey(rule.until).replace(/-/g, '')}`)
+  return parts.join(';')
+}
+
+/**
+ * Days of a month matching BYMONTHDAY (negative values count back from the last day)
+ */
+const resolveMonthDays = (year, month, byMonthDay) => {
+  const length = daysInMonth(year, month)
+  return byMonthDay
+    .map(value => (value > 0 ? value : length + value + 1))
+    .filter(day => day >= 1 && day <= length)
+    .map(day => new Date(year, month, day))
+}
+
+/**
+ * Picks BYDAY matches from a list of days; "2TU" is the second Tuesday in the list, "-1FR" the last Friday
+ */
+const expandByDay = (days, byDay) => {
+  const result = []
+  for (const { weekday, ordinal } of byDay) {
+    const matches = days.filter(day => day.getDay() === weekday)
+    if (!ordinal) {
+      result.push(...matches)
+    } else {
+      const match = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal]
+      if (match) result.push(match)
+    }
+  }
+  return result
+}
+
+const matchesWeekday = (rule, day) => rule.byDay.some(entry => entry.weekday === day.getDay())
+
+/**
+ * Candidate days of one month for MONTHLY rules (and YEARLY rules with BYMONTH)
+ */
+const monthCandidates = (rule, year, month, dtstart) => {
+  if (rule.byMonthDay.length) {
+    const days = resolveMonthDays(year, month, rule.byMonthDay)
+    // BYDAY only narrows BYMONTHDAY down (e.g. Friday the 13th)
+    return rule.byDay.length ? days.filter(day => matchesWeekday(rule, day)) : days
+  }
+
+  if (rule.byDay.length) {
+    const days = daysBetween(new Date(year, month, 1), new Date(year, month, daysInMonth(year, month)))
+    return expandByDay(days, rule.byDay)
+  }
+
+  // Same day of the month as the start; months without that day are skipped
+  return dtstart.getDate() <= daysInMonth(year, month) ? [new Date(year, month, dtstart.getDate())] : []
+}
+
+/**
+ * Candidate days of the n-th period (day, week, month or year) of a rule, before BYSETPOS
+ */
+const periodCandidates = (rule, dtstart, index) => {
+  const step = index * rule.interval
+  const inMonth = (day) => !rule.byMonth.length || rule.byMonth.includes(day.getMonth() + 1)
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = addDays(dtstart, step)
+      const matchesMonthDay = !rule.byMonthDay.length ||
+        resolveMonthDays(day.getFullYear(), day.getMonth(), rule.byMonthDay).some(d => d.getDate() === day.getDate())
+      const matches = inMonth(day) && matchesMonthDay && (!rule.byDay.length || matchesWeekday(rule, day))
+      return matches ? [day] : []
+    }
+
+    case 'WEEKLY': {
+      // Weeks start on WKST (Monday by default)
+      const weekStart = addDays(dtstart, 7 * step - ((dtstart.getDay() - rule.wkst + 7) % 7))
+      const weekdays = rule.byDay.length ? rule.byDay.map(day => day.weekday) : [dtstart.getDay()]
+      return daysBetween(weekStart, addDays(weekStart, 6))
+        .filter(day => weekdays.includes(day.getDay()) && inMonth(day))
+    }
+
+    case 'MONTHLY': {
+      const first = new Date(dtstart.getFullYear(), dtstart.getMonth() + step, 1)
+      return inMonth(first) ? monthCandidates(rule, first.getFullYear(), first.getMonth(), dtstart) : []
+    }
+
+    case 'YEARLY': {
+      const year = dtstart.getFullYear() + step
+
+      if (rule.byMonth.length) {
+        return rule.byMonth.flatMap(month => monthCandidates(rule, year, month - 1, dtstart))
+      }
+      if (rule.byDay.length) {
+        // Without BYMONTH, positions count through the whole year (20MO = 20th Monday of the year)
+        const days = expandByDay(daysBetween(new Date(year, 0, 1), new Date(year, 11, 31)), rule.byDay)
+        return rule.byMonthDay.length
+          ? days.filter(day => resolveMonthDays(year, day.getMonth(), rule.byMonthDay).some(d => d.getDate() === day.getDate()))
+          : days
+      }
+      if (rule.byMonthDay.length) {
+        return MONTH_NAMES.flatMap((name, month) => resolveMonthDays(year, month, rule.byMonthDay))
+      }
+
+      // Same date as the start; Feb 29 only recurs in leap years
+      const day = new Date(year, dtstart.getMonth(), dtstart.getDate())
+      return day.getMonth() === dtstart.getMonth() ? [day] : []
+    }
+
+    default:
+      return []
+  }
+}
+
+/**
+ * Sorts days and drops duplicates, then applies BYSETPOS
+ */
+const selectDays = (days, bySetPos) => {
+  const unique = [...new Map(days.map(day => [day.getTime(), day])).values()]
+    .sort((a, b) => a - b)
+  if (!bySetPos.length) return unique
+
+  const picked = bySetPos
+    .map(position => (position > 0 ? unique[position - 1] : unique[unique.length + position]))
+    .filter(Boolean)
+  return selectDays(picked, [])
+}
+
+/**
+ * Lists occurrences of a rule
+ * COUNT is counted from DTSTART and includes dates skipped by EXDATE, as in RFC 5545.
+ *
+ * @param {Object|string} rule - Parsed rule or RRULE text
+ * @param {Date} dtstart - First day of the series (DTSTART)
+ * @param {Object} options
+ * @param {Date} options.after - Only return days strictly after this one
+ * @param {Date} options.until - Stop after this day (on top of the rule's UNTIL)
+ * @param {number} options.limit - Maximum number of days to return (default: 10)
+ * @param {Array<string>} options.exdates - Days to skip (EXDATE), as YYYY-MM-DD keys or iCalendar dates
+ * @returns {Array<Date>} Occurrence days in order
+ */
+export const getOccurrences = (rule, dtstart, { after = null, until = null, limit = 10, exdates = [] } = {}) => {
+  const parsed = typeof rule === 'string' ? parseRRule(rule) : rule
+  const start = startOfDay(dtstart)
+  const afterDay = after ? startOfDay(after) : null
+  const endDay = [parsed.until, until].filter(Boolean).map(startOfDay).sort((a, b) => a - b)[0] || null
+  const skipped = new Set(exdates.map(parseDateKey).filter(Boolean).map(toDateKey))
+  const results = []
+
+  let counted = 0
+  let emptyPeriods = 0
+
+  for (let index = 0; results.length < limit; index++) {
+    const days = selectDays(periodCandidates(parsed, start, index), parsed.bySetPos)
+      .filter(day => day >= start)
+
+    if (days.length === 0) {
+      if (++emptyPeriods > MAX_EMPTY_PERIODS) break
+      continue
+    }
+    emptyPeriods = 0
+
+    for (const day of days) {
+      if (endDay && day > endDay) return results
+      if (parsed.count && ++counted > parsed.count) return results
+      if (skipped.has(toDateKey(day)) || (afterDay && day <= afterDay)) continue
+
+      results.push(day)
+      if (results.length >= limit) break
+    }
+  }
+
+  return results
+}
+
+/**
+ * Ordinal text for positions: 1 -> "1st", -1 -> "last", -2 -> "2nd to last"
+ */
+const formatOrdinal = (number) => {
+  if (number === -1) return 'last'
+  const value = Math.abs(number)
+  const suffix = value % 100 >= 11 && value % 100 <= 13
+    ? 'th'
+    : ({ 1: 'st', 2: 'nd', 3: 'rd' }[value % 10] || 'th')
+  return number > 0 ? `${value}${suffix}` : `${value}${suffix} to last`
+}
+
+/**
+ * Joins words as "a, b and c"
+ */
+const joinWords = (words) => (
+  words.length <= 1 ? words.join('') : `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}`
+)
+
+/**
+ * Names a set of weekdays, using "weekday" and "weekend day" where they fit
+ */
+const describeWeekdays = (weekdays) => {
+  const sorted = [...new Set(weekdays)].sort()
+  if (sorted.join() === '1,2,3,4,5') return 'weekday'
+  if (sorted.join() === '0,6') return 'weekend day'
+  return joinWords(sorted.map(weekday => WEEKDAY_NAMES[weekday]))
+}
+
+/**
+ * Describes a rule in plain English
+ * e.g. "Every month on the 2nd Tuesday", "Every 2 weeks on Monday and Friday, 10 times"
+ *
+ * @param {Object|string} rule - Parsed rule or RRULE text
+ * @returns {string} Human-readable description
+ */
+export const describeRRule = (rule) => {
+  const parsed = typeof rule === 'string' ? parseRRule(rule) : rule
+  const [unit, units] = FREQUENCY_UNITS[parsed.freq]
+  const parts = [parsed.interval === 1 ? `Every ${unit}` : `Every ${parsed.interval} ${units}`]
+
+  if (parsed.byMonth.length) {
+    parts.push(`in ${joinWords(parsed.byMonth.map(month => MONTH_NAMES[month - 1]))}`)
+  }
+
+  const monthDays = parsed.byMonthDay.map(day => (day === -1 ? 'last day' : `${formatOrdinal(day)}${day < 0 ? ' day' : ''}`))
+
+  if (parsed.bySetPos.length) {
+    const positions = joinWords(parsed.bySetPos.map(formatOrdinal))
+    if (parsed.byDay.length) {
+      parts.push(`on the ${positions} ${describeWeekdays(parsed.byDay.map(day => day.weekday))}`)
+    } else if (monthDays.length) {
+      parts.push(`on the ${positions} of the ${joinWords(monthDays)}`)
+    } else {
+      parts.push(`on the ${positions} day`)
+    }
+  } else {
+    if (parsed.byDay.some(day => day.ordinal)) {
+      parts.push(`on the ${joinWords(parsed.byDay.map(day => (
+        `${day.ordinal ? `${formatOrdinal(day.ordinal)} ` : ''}${WEEKDAY_NAMES[day.weekday]}`
+      )))}`)
+    } else if (parsed.byDay.length) {
+      parts.push(`on ${joinWords(parsed.byDay.map(day => WEEKDAY_NAMES[day.weekday]))}`)
+    }
+    if (monthDays.length) {
+      parts.push(`${parsed.byDay.length ? 'falling on the' : 'on the'} ${joinWords(monthDays)}`)
+    }
+  }
+
+  let description = parts.join(' ')
+  if (parsed.count) {
+    description += parsed.count === 1 ? ', once' : `, ${parsed.count} times`
+  }
+  if (parsed.until) {
+    description += `, until ${parsed.until.toLocaleDateString()}`
+  }
+  return description
+}
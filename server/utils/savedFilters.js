@@ -0,0 +1,183 @@
+/**
+ * Saved Filter Matching
+ * Evaluates saved filter criteria against task rows on the server
+ * (mirrors applyFilter in src/utils/advancedSearch.js and the query conditions of
+ * src/utils/filterQuery.js, without the sorting)
+ */
+
+// 7d, 2w, -1m: days, weeks or months from today
+const RELATIVE_DATE = /^([+-]?\d+)([dwm])$/
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/
+const DAYS_PER_UNIT = { d: 1, w: 7, m: 30 }
+
+const normalize = (text) => String(text ?? '').trim().toLowerCase()
+
+/**
+ * Days from today to a date (negative in the past), ignoring the time of day
+ */
+const daysFromToday = (value, now) => {
+  const text = String(value)
+  const date = ISO_DATE.test(text)
+    ? new Date(Number(text.slice(0, 4)), Number(text.slice(5, 7)) - 1, Number(text.slice(8, 10)))
+    : new Date(text)
+  if (isNaN(date)) return null
+  const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime()
+  return Math.round((startOfDay(date) - startOfDay(now)) / (24 * 60 * 60 * 1000))
+}
+
+/**
+ * Compares two values with an operator, as numbers when both are numeric
+ */
+const compare = (a, op, b) => {
+  const numeric = a !== '' && b !== '' && !isNaN(Number(a)) && !isNaN(Number(b))
+  const left = numeric ? Number(a) : normalize(a)
+  const right = numeric ? Number(b) : normalize(b)
+  switch (op) {
+    case '>': return left > right
+    case '>=': return left >= right
+    case '<': return left < right
+    case '<=': return left <= right
+    default: return left === right
+  }
+}
+
+/**
+ * Checks a due date against one due: value of a query condition
+ */
+const matchesDue = (dueDate, op, value, now) => {
+  if (value === 'none') return !dueDate
+  if (value === 'any') return Boolean(dueDate)
+  if (!dueDate) return false
+
+  const days = daysFromToday(dueDate, now)
+  if (days === null) return false
+  if (value === 'overdue') return days < 0
+  if (value === 'today') return days === 0
+
+  const relative = RELATIVE_DATE.exec(value)
+  const target = relative ? Number(relative[1]) * DAYS_PER_UNIT[relative[2]] : daysFromToday(value, now)
+  if (op === 'is' && relative) {
+    return target >= 0 ? days >= 0 && days <= target : days >= target && days <= 0
+  }
+  return compare(days, op === 'is' ? '=' : op, target)
+}
+
+/**
+ * Checks a task row against one condition of a typed query (see src/utils/filterQuery.js)
+ */
+const matchesCondition = (task, condition, userId, now) => {
+  const { field, op, values } = condition
+
+  const test = (value) => {
+    switch (field) {
+      case 'assignee':
+        if (value === 'none') return !task.assigned_to
+        return Boolean(task.assigned_to) && task.assigned_to === (value === 'me' ? userId : value)
+      case 'priority':
+        return task.priority === value
+      case 'status':
+        return normalize(task.status || 'todo') === value
+      case 'category':
+        return task.category === value
+      case 'label':
+        return (task.labels || []).some(label => normalize(label) === normalize(value))
+      case 'has':
+        switch (value) {
+          case 'due': return Boolean(task.due_date)
+          case 'assignee': return Boolean(task.assigned_to)
+          case 'description': return Boolean(task.description && task.description.trim())
+          default: return (task[value] || []).length > 0
+        }
+      case 'due':
+        return matchesDue(task.due_date, op, value, now)
+      case 'time': {
+        if (!task.time_estimate) return false
+        const progress = ((task.time_spent || 0) / task.time_estimate) * 100
+        if (value === 'on-track') return progress < 80
+        if (value === 'at-risk') return progress >= 80 && progress < 100
+        return progress >= 100
+      }
+      case 'cf': {
+        const customFields = task.customFields || {}
+        const fieldValue = customFields[condition.fieldId] ?? customFields[condition.name]
+        const empty = fieldValue === undefined || fieldValue === null || fieldValue === ''
+        if (normalize(value) === 'none' && op === 'is') return empty
+        if (empty) return false
+        if (Array.isArray(fieldValue)) return fieldValue.some(item => compare(item, op === 'is' ? '=' : op, value))
+        return compare(fieldValue, op === 'is' ? '=' : op, value)
+      }
+      default:
+        return true
+    }
+  }
+
+  const matches = (values || []).some(test)
+  return condition.negate ? !matches : matches
+}
+
+/**
+ * Checks whether a formatted task row matches a saved filter
+ * @param {Object} task - Task row with parsed JSON fields (see utils/taskFormat.js)
+ * @param {Object} filter - Saved filter data
+ * @param {string} userId - User that "assignee:me" in a saved query refers to
+ * @returns {boolean} True if the task passes every criterion
+ */
+export const matchesSavedFilter = (task, filter = {}, userId = null) => {
+  // Typed query: words and phrases, then field conditions
+  const searchTerms = filter.searchTerms || []
+  const excludedTerms = filter.excludedTerms || []
+  if (searchTerms.length > 0 || excludedTerms.length > 0) {
+    const text = [task.title, task.description, ...(task.comments || []).map(comment => comment.text)]
+      .filter(Boolean).join('\n').toLowerCase()
+    if (!searchTerms.every(term => text.includes(term))) return false
+    if (excludedTerms.some(term => text.includes(term))) return false
+  }
+
+  const now = new Date()
+  if (!(filter.conditions || []).every(condition => matchesCondition(task, condition, userId, now))) return false
+
+  // Text search
+  if (filter.searchQuery && filter.searchQuery.trim()) {
+    const query = filter.searchQuery.toLowerCase().trim()
+    const matches = (task.title || '').toLowerCase().includes(query) ||
+      (task.description || '').toLowerCase().includes(query) ||
+      (task.comments || []).some(comment => (comment.text || '').toLowerCase().includes(query))
+    if (!matches) return false
+  }
+
+  if (filter.category && filter.category !== 'all' && task.category !== filter.category) return false
+  if (filter.priority && filter.priority !== 'all' && task.priority !== filter.priority) return false
+  if (filter.status && filter.status !== 'all' &&
+    (task.status || 'todo').toLowerCase() !== filter.status.toLowerCase()) return false
+  if (filter.assignedTo && filter.assignedTo !== 'all' && task.assigned_to !== filter.assignedTo) return false
+
+  // Due date range
+  if (filter.dueDateRange) {
+    const { start, end } = filter.dueDateRange
+    if (!task.due_date) return false
+    const dueDate = new Date(task.due_date)
+    if (start && dueDate < new Date(start)) return false
+    if (end && dueDate > new Date(end)) return false
+  }
+
+  if (filter.hasSubtasks !== null && filter.hasSubtasks !== undefined &&
+    Boolean(filter.hasSubtasks) !== (task.subtasks || []).length > 0) return false
+  if (filter.hasDependencies !== null && filter.hasDependencies !== undefined &&
+    Boolean(filter.hasDependencies) !== (task.dependencies || []).length > 0) return false
+
+  // Time tracking status
+  if (filter.timeTrackingStatus && filter.timeTrackingStatus !== 'all') {
+    if (!task.time_estimate) return false
+    const progress = ((task.time_spent || 0) / task.time_estimate) * 100
+    if (filter.timeTrackingStatus === 'on-track' && progress >= 80) return false
+    if (filter.timeTrackingStatus === 'at-risk' && (progress < 80 || progress >= 100)) return false
+    if (filter.timeTrackingStatus === 'over-budget' && progress < 100) return false
+  }
+
+  // Custom fields
+  for (const [fieldId, value] of Object.entries(filter.customFields || {})) {
+    if (task.customFields?.[fieldId] !== value) return false
+  }
+
+  return true
+}
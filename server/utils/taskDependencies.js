@@ -0,0 +1,127 @@
+/**
+ * Task Dependency Helpers
+ * Typed links between tasks, stored in the dependencies column of the task that waits
+ * (mirrors src/utils/taskDependencies.js)
+ *
+ * A link is { taskId, type, lag } where taskId is the other task and type is one of:
+ * - blocks        taskId blocks this task: it must be completed first (no effect on dates)
+ * - FS, SS, FF, SF schedule links from taskId to this task (finish-to-start, start-to-start,
+ *                 finish-to-finish, start-to-finish) with a lag in days (negative for a lead)
+ * - relates-to    informational
+ * - duplicates    this task duplicates taskId
+ * Older tasks store plain task IDs, which are finish-to-start links without lag.
+ */
+
+export const DEPENDENCY_TYPES = ['blocks', 'FS', 'SS', 'FF', 'SF', 'relates-to', 'duplicates']
+
+// Links that order two tasks (checked for cycles)
+export const ORDERING_TYPES = ['blocks', 'FS', 'SS', 'FF', 'SF']
+
+// Links that tie the tasks' dates together (the timeline shifts successors along them)
+export const SCHEDULE_TYPES = ['FS', 'SS', 'FF', 'SF']
+
+// Largest lag or lead accepted, in days
+export const MAX_LAG_DAYS = 365
+
+/**
+ * Converts a stored link (plain ID or object) to { taskId, type, lag }
+ */
+export const normalizeDependency = (dependency) => {
+  if (typeof dependency === 'string') return { taskId: dependency, type: 'FS', lag: 0 }
+  const type = dependency.type || 'FS'
+  return { taskId: dependency.taskId, type, lag: SCHEDULE_TYPES.includes(type) ? dependency.lag || 0 : 0 }
+}
+
+/**
+ * Links of a task row or API task
+ * @param {Object} task - Task (dependencies as a JSON string or an array)
+ * @returns {Array} [{ taskId, type, lag }]
+ */
+export const getTaskDependencies = (task) => {
+  const stored = typeof task.dependencies === 'string' ? JSON.parse(task.dependencies) : task.dependencies
+  return (stored || []).map(normalizeDependency)
+}
+
+/**
+ * Recursively checks for circular dependencies (same walk as the client's validateDependency)
+ * @param {string} currentTaskId - Task being checked
+ * @param {string} targetTaskId - Task the chain must not lead back to
+ * @param {Map} predecessorsOf - Task ID -> IDs of the tasks ordered before it
+ * @param {Set} visited - Task IDs already checked, shared by the whole walk: a task that did not
+ *   lead back to the target once won't on another path either, so every task is checked once
+ * @returns {boolean} True if the chain leads back to the target
+ */
+const checkCircularDependency = (currentTaskId, targetTaskId, predecessorsOf, visited) => {
+  if (visited.has(currentTaskId)) return false
+  if (currentTaskId === targetTaskId) return true
+
+  visited.add(currentTaskId)
+  for (const predecessorId of predecessorsOf.get(currentTaskId) || []) {
+    if (checkCircularDependency(predecessorId, targetTaskId, predecessorsOf, visited)) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Checks and normalizes the links a task is saved with
+ * Links the task already had are kept when their task is in the trash (so it can be restored with
+ * its links intact) and dropped once it has been purged; new links must point to active tasks.
+ * @param {string|null} taskId - Task being saved (null for a new task)
+ * @param {*} dependencies - Links from the request body
+ * @param {Array} boardTasks - Rows ({ id, dependencies, deleted_at }) of the other tasks on the board,
+ *   trashed ones included
+ * @param {Array} [previousDependencies] - Links the task had before ({ taskId, type, lag })
+ * @returns {Object} { dependencies } with normalized links, or { error }
+ */
+export const validateDependencies = (taskId, dependencies, boardTasks, previousDependencies = []) => {
+  if (!Array.isArray(dependencies)) return { error: 'dependencies must be an array' }
+
+  const normalized = []
+  for (const dependency of dependencies) {
+    if (typeof dependency !== 'string' && (!dependency || typeof dependency !== 'object')) {
+      return { error: 'Each dependency must be a task ID or { taskId, type, lag }' }
+    }
+    const link = normalizeDependency(dependency)
+
+    if (typeof link.taskId !== 'string' || !link.taskId) {
+      return { error: 'Each dependency needs a taskId' }
+    }
+    if (!DEPENDENCY_TYPES.includes(link.type)) {
+      return { error: `Dependency type must be one of ${DEPENDENCY_TYPES.join(', ')}` }
+    }
+    if (!Number.isInteger(link.lag) || Math.abs(link.lag) > MAX_LAG_DAYS) {
+      return { error: `Lag must be a whole number of days between -${MAX_LAG_DAYS} and ${MAX_LAG_DAYS}` }
+    }
+    if (link.taskId === taskId) {
+      return { error: 'A task cannot depend on itself' }
+    }
+
+    const target = boardTasks.find(task => task.id === link.taskId)
+    const isExisting = previousDependencies.some(previous => previous.taskId === link.taskId)
+    if (!target && isExisting) continue
+    if (!target || (target.deleted_at && !isExisting)) {
+      return { error: 'Dependency task not found on this board' }
+    }
+    if (normalized.some(existing => existing.taskId === link.taskId)) {
+      return { error: 'A task can only be linked to another task once' }
+    }
+    normalized.push(link)
+  }
+
+  // Ordering links must not lead back to this task (trashed tasks are left out of the walk)
+  if (taskId) {
+    const predecessorsOf = new Map(boardTasks.filter(task => !task.deleted_at).map(task => [
+      task.id,
+      getTaskDependencies(task).filter(link => ORDERING_TYPES.includes(link.type)).map(link => link.taskId)
+    ]))
+    for (const link of normalized.filter(link => ORDERING_TYPES.includes(link.type))) {
+      if (checkCircularDependency(link.taskId, taskId, predecessorsOf, new Set())) {
+        return { error: 'This would create a circular dependency' }
+      }
+    }
+  }
+
+  return { dependencies: normalized }
+}
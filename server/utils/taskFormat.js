@@ -0,0 +1,40 @@
+/**
+ * Task Formatting
+ * Converts task rows to the API shape shared by the task, board and scheduler code
+ */
+
+import { loadCommentsByTask } from './comments.js'
+import { loadAttachmentsByTask } from '../services/attachmentStorage.js'
+import { getTaskDependencies } from './taskDependencies.js'
+
+/**
+ * Parse JSON columns of a task row for API responses
+ * Comments and attachments come from their own tables (see routes/comments.js and routes/attachments.js)
+ */
+const formatTaskRow = (task, { comments = [], attachments = [] } = {}) => ({
+  ...task,
+  subtasks: task.subtasks ? JSON.parse(task.subtasks) : [],
+  dependencies: getTaskDependencies(task),
+  labels: task.labels ? JSON.parse(task.labels) : [],
+  comments,
+  attachments,
+  customFields: task.custom_fields ? JSON.parse(task.custom_fields) : {}
+})
+
+/**
+ * Formats task rows together with their comments and attachments
+ */
+export const formatTasks = async (tasks) => {
+  const taskIds = tasks.map(task => task.id)
+  const commentsByTask = await loadCommentsByTask(taskIds)
+  const attachmentsByTask = await loadAttachmentsByTask(taskIds)
+  return tasks.map(task => formatTaskRow(task, {
+    comments: commentsByTask[task.id],
+    attachments: attachmentsByTask[task.id]
+  }))
+}
+
+/**
+ * Formats a single task row together with its comments and attachments
+ */
+export const formatTask = async (task) => (await formatTasks([task]))[0]
@@ -0,0 +1,91 @@
+/**
+ * Task Position Helpers
+ * Manual card ordering within a board column
+ */
+
+import { dbAll, dbGet, dbRun } from '../config/database.js'
+import { rankBetween, rankSequence } from './ranking.js'
+
+// Ranks longer than this trigger a rebalance of the column
+const MAX_RANK_LENGTH = 32
+
+/**
+ * Re-spaces every card in a column evenly, keeping the current order
+ * @param {string} boardId - Board ID
+ * @param {string} status - Column ID
+ */
+export const rebalanceColumn = async (boardId, status) => {
+  const tasks = await dbAll(
+    'SELECT id FROM tasks WHERE board_id = ? AND status = ? AND deleted_at IS NULL AND archived_at IS NULL ORDER BY position, created_at DESC, id',
+    [boardId, status]
+  )
+  const ranks = rankSequence(tasks.length)
+  for (let i = 0; i < tasks.length; i++) {
+    await dbRun('UPDATE tasks SET position = ? WHERE id = ?', [ranks[i], tasks[i].id])
+  }
+}
+
+/**
+ * Loads a neighbour task, which must sit in the given column
+ */
+const loadNeighbour = async (taskId, boardId, status) => {
+  if (!taskId) return null
+  const task = await dbGet(
+    'SELECT id, position FROM tasks WHERE id = ? AND board_id = ? AND status = ? AND deleted_at IS NULL AND archived_at IS NULL',
+    [taskId, boardId, status]
+  )
+  if (!task) {
+    const error = new Error('Neighbour task not found in the target column')
+    error.status = 400
+    throw error
+  }
+  return task
+}
+
+/**
+ * Computes a position between two neighbouring tasks of a column
+ * Rebalances the column first if the neighbours collide or ranks grow too long.
+ * @param {string} boardId - Board ID
+ * @param {string} status - Column ID
+ * @param {string|null} prevTaskId - Task directly above the new position (null for the top)
+ * @param {string|null} nextTaskId - Task directly below the new position (null for the bottom)
+ * @returns {Promise<string>} Position rank
+ */
+export const positionBetween = async (boardId, status, prevTaskId, nextTaskId) => {
+  const compute = async () => {
+    const prev = await loadNeighbour(prevTaskId, boardId, status)
+    const next = await loadNeighbour(nextTaskId, boardId, status)
+    return rankBetween(prev?.position || null, next?.position || null)
+  }
+
+  let rank
+  try {
+    rank = await compute()
+  } catch (error) {
+    if (error.status) throw error
+    // Neighbours share a rank (e.g. two simultaneous moves): spread the column out and retry
+    await rebalanceColumn(boardId, status)
+    return compute()
+  }
+
+  if (rank.length > MAX_RANK_LENGTH) {
+    await rebalanceColumn(boardId, status)
+    rank = await compute()
+  }
+
+  return rank
+}
+
+/**
+ * Computes a position at the top of a column (where new and moved cards land)
+ * @param {string} boardId - Board ID
+ * @param {string} status - Column ID
+ * @returns {Promise<string>} Position rank
+ */
+export const positionAtTop = async (boardId, status) => {
+  const first = await dbGet(
+    'SELECT id FROM tasks WHERE board_id = ? AND status = ? AND deleted_at IS NULL AND archived_at IS NULL ORDER BY position LIMIT 1',
+    [boardId, status]
+  )
+  return positionBetween(boardId, status, null, first ? first.id : null)
+}
@@ -0,0 +1,55 @@
+/**
+ * Task Row Helpers
+ * Low-level task reads and writes shared by the task routes, the undo/redo history, the trash and the archive
+ */
+
+import { dbGet, dbRun } from '../config/database.js'
+
+/**
+ * Loads a task unless it, or its board, is in the trash
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object|undefined>} Task row
+ */
+export const getActiveTask = (taskId) => dbGet(
+  `SELECT * FROM tasks WHERE id = ? AND deleted_at IS NULL
+   AND board_id IN (SELECT id FROM boards WHERE deleted_at IS NULL)`,
+  [taskId]
+)
+
+/**
+ * Moves a task to the trash
+ * Comments, attachments and other tasks' dependencies on it are kept, so a restore brings it back intact.
+ * @param {string} taskId - Task ID
+ * @param {string} userId - User deleting the task
+ */
+export const softDeleteTask = (taskId, userId) => dbRun(
+  `UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+   WHERE id = ?`,
+  [userId, taskId]
+)
+
+/**
+ * Archives a task: it leaves the board (and WIP counts) but stays searchable in the archive
+ * @param {string} taskId - Task ID
+ * @param {string} userId - User archiving the task
+ */
+export const archiveTask = (taskId, userId) => dbRun(
+  `UPDATE tasks SET archived_at = CURRENT_TIMESTAMP, archived_by = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+   WHERE id = ?`,
+  [userId, taskId]
+)
+
+/**
+ * Deletes a task with its comments and attachment rows for good
+ * Attachment files are removed separately (removeTaskAttachments), outside any transaction.
+ * @param {string} taskId - Task ID
+ */
+export const deleteTaskRows = async (taskId) => {
+  await dbRun('DELETE FROM tasks WHERE id = ?', [taskId])
+  await dbRun(
+    'DELETE FROM task_comment_edits WHERE comment_id IN (SELECT id FROM task_comments WHERE task_id = ?)',
+    [taskId]
+  )
+  await dbRun('DELETE FROM task_comments WHERE task_id = ?', [taskId])
+  await dbRun('DELETE FROM task_attachments WHERE task_id = ?', [taskId])
+}
@@ -0,0 +1,84 @@
+/**
+ * Task Schedule Helpers
+ * Date arithmetic for rescheduling tasks on the timeline (see POST /api/tasks/:id/reschedule)
+ * Dates are stored as ISO strings at midnight UTC (the date picked in the task form), so days
+ * are counted and shifted in UTC.
+ */
+
+import { getTaskDependencies, SCHEDULE_TYPES } from './taskDependencies.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Checks that a value is a usable date (null means "no date")
+ * @param {string|null} value - ISO date string
+ * @returns {boolean} True if the value is null or a valid date
+ */
+export const isValidDate = (value) => value === null || (typeof value === 'string' && !Number.isNaN(Date.parse(value)))
+
+/**
+ * Checks that a start date is not after a due date (either may be missing)
+ * @returns {boolean} True if the range is valid
+ */
+export const isValidDateRange = (startDate, dueDate) => (
+  !startDate || !dueDate || Date.parse(startDate) <= Date.parse(dueDate)
+)
+
+/**
+ * Whole days between two dates
+ * @returns {number} Days from `from` to `to` (0 if either is missing)
+ */
+export const getDayDelta = (from, to) => {
+  if (!from || !to) return 0
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS)
+}
+
+/**
+ * Moves a date by a number of days
+ * @param {string|null} value - ISO date string
+ * @param {number} days - Days to add (negative to move earlier)
+ * @returns {string|null} Shifted ISO date string, or null if there was no date
+ */
+export const shiftDate = (value, days) => {
+  if (!value) return value
+  const date = new Date(value)
+  date.setUTCDate(date.getUTCDate() + days)
+  return date.toISOString()
+}
+
+/**
+ * Works out how far each successor of a rescheduled task moves
+ * A successor moves with the end of its predecessor for FS and FF links and with its start for
+ * SS and SF links, so the link's lag is kept; the shift carries on to the successor's successors.
+ * Each task moves once, by the shift of the nearest predecessor that moved.
+ * @param {string} taskId - Rescheduled task ID
+ * @param {number} startDelta - Days its start moved
+ * @param {number} endDelta - Days its end moved
+ * @param {Array} tasks - Tasks of the board
+ * @returns {Map} Successor task ID -> days to move (only tasks that move)
+ */
+export const getSuccessorShifts = (taskId, startDelta, endDelta, tasks) => {
+  const linksOf = new Map(tasks.map(task => [
+    task.id,
+    getTaskDependencies(task).filter(link => SCHEDULE_TYPES.includes(link.type))
+  ]))
+  const shifts = new Map()
+  const queue = [{ id: taskId, startDelta, endDelta }]
+
+  while (queue.length > 0) {
+    const current = queue.shift()
+    for (const task of tasks) {
+      if (task.id === taskId || shifts.has(task.id)) continue
+      const link = linksOf.get(task.id).find(l => l.taskId === current.id)
+      if (!link) continue
+
+      const delta = ['SS', 'SF'].includes(link.type) ? current.startDelta : current.endDelta
+      if (delta !== 0) {
+        shifts.set(task.id, delta)
+        queue.push({ id: task.id, startDelta: delta, endDelta: delta })
+      }
+    }
+  }
+
+  return shifts
+}
@@ -0,0 +1,126 @@
+/**
+ * TOTP (RFC 6238)
+ * Time-based one-time passwords as shown by authenticator apps: HMAC-SHA1 over 30 second steps,
+ * 6 digits, secrets in base32. Codes one step before or after the current one are accepted to
+ * allow for clock drift.
+ */
+
+import crypto from 'crypto'
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const STEP_SECONDS = 30
+const DIGITS = 6
+// Steps before and after the current one that are still accepted
+const DRIFT_STEPS = 1
+
+/**
+ * Encodes bytes as base32 (RFC 4648, without padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0
+  let value = 0
+  let output = ''
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+  return output
+}
+
+/**
+ * Decodes a base32 string (case, spaces and padding are ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+export const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '')
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) throw new Error('Invalid base32 character')
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+/**
+ * New random secret (160 bits, as recommended by RFC 4226)
+ * @returns {string} Base32 secret
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20))
+
+/**
+ * Time step of a moment
+ * @param {number} [time] - Milliseconds since the epoch (default: now)
+ * @returns {number} Step number
+ */
+export const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS)
+
+/**
+ * Code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded code
+ */
+export const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 15
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0')
+}
+
+/**
+ * Checks a code against a secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [lastUsedStep] - Step of the last accepted code; it and earlier steps are refused
+ *   so a code cannot be used twice
+ * @returns {number|null} Step the code belongs to, or null if it does not match
+ */
+export const verifyCode = (secret, code, lastUsedStep = null) => {
+  const normalized = String(code).replace(/\s/g, '')
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null
+
+  const current = getTimeStep()
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue
+    const expected = generateCode(secret, step)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step
+  }
+  return null
+}
+
+/**
+ * Provisioning URI for authenticator apps (usually shown as a QR code)
+ * @param {Object} options - { secret, account, issuer }
+ * @returns {string} otpauth:// URI
+ */
+export const getProvisioningUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`)
+  const params = new URLSearchParams({
+    secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS)
+  })
+  return `otpauth://totp/${label}?${params}`
+}
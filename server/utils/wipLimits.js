@@ -0,0 +1,101 @@
+/**
+ * WIP Limit Helpers
+ * Enforces per-column work-in-progress limits stored in the board's columns JSON
+ * Columns look like { id, title, wipLimit, wipMode } where wipMode is 'soft' (warn, the default)
+ * or 'hard' (block unless the board owner overrides)
+ * Callers run checkWipLimit and the write that adds the task to the column in one transaction,
+ * so two requests cannot both take the last free spot.
+ */
+
+import { dbGet, dbRun } from '../config/database.js'
+
+/**
+ * Finds a board column by ID
+ * @param {Object} board - Board row (columns as a JSON string)
+ * @param {string} status - Column ID
+ * @returns {Object|null} Column object
+ */
+export const getBoardColumn = (board, status) => {
+  const columns = board.columns ? JSON.parse(board.columns) : []
+  return columns.find(column => column.id === status) || null
+}
+
+/**
+ * Whether a status is one of the board's columns
+ * Boards without any columns (from very old versions) accept every status.
+ * @param {Object} board - Board row (columns as a JSON string)
+ * @param {string} status - Column ID
+ * @returns {boolean}
+ */
+export const isBoardColumn = (board, status) => {
+  const columns = board.columns ? JSON.parse(board.columns) : []
+  return columns.length === 0 || columns.some(column => column.id === status)
+}
+
+/**
+ * Checks whether one more task may enter a column
+ * @param {Object} params
+ * @param {Object} params.board - Board row
+ * @param {string} params.status - Column the task is entering
+ * @param {boolean} params.isOwner - Whether the user owns the board (may override hard limits)
+ * @param {boolean} params.override - Whether the request asked to override a hard limit
+ * @returns {Promise<Object>} { allowed, outcome, breach, message }
+ *   outcome is null (within limit), 'warned', 'overridden' or 'blocked'
+ */
+export const checkWipLimit = async ({ board, status, isOwner = false, override = false }) => {
+  const column = getBoardColumn(board, status)
+  if (!column || !column.wipLimit) {
+    return { allowed: true, outcome: null, breach: null, message: null }
+  }
+
+  const { count } = await dbGet(
+    'SELECT COUNT(*) AS count FROM tasks WHERE board_id = ? AND status = ? AND deleted_at IS NULL AND archived_at IS NULL',
+    [board.id, status]
+  )
+
+  if (count < column.wipLimit) {
+    return { allowed: true, outcome: null, breach: null, message: null }
+  }
+
+  const mode = column.wipMode === 'hard' ? 'hard' : 'soft'
+  const breach = {
+    columnId: column.id,
+    columnTitle: column.title,
+    limit: column.wipLimit,
+    count: count + 1,
+    mode
+  }
+
+  let outcome = 'warned'
+  if (mode === 'hard') {
+    outcome = isOwner && override ? 'overridden' : 'blocked'
+  }
+
+  const message = outcome === 'blocked'
+    ? `WIP limit reached for "${column.title}" (${count}/${column.wipLimit})`
+    : `WIP limit exceeded for "${column.title}" (${count + 1}/${column.wipLimit})`
+
+  return { allowed: outcome !== 'blocked', outcome, breach, message }
+}
+
+/**
+ * Records a WIP limit breach in the activity log
+ * @param {Object} params
+ * @param {string} params.boardId - Board ID
+ * @param {Object} params.user - User who moved or created the task
+ * @param {string} params.taskId - Task that entered the column
+ * @param {string} params.taskTitle - Task title
+ * @param {Object} params.result - Result of checkWipLimit ('warned' or 'overridden')
+ */
+export const recordWipBreach = async ({ boardId, user, taskId, taskTitle, result }) => {
+  await dbRun(
+    `INSERT INTO activity_log (id, board_id, user_id, user_name, action, entity_type, entity_id, entity_name, metadata)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      `activity-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      boardId, user.id, user.name || 'User',
+      'wip-limit-breached', 'task', taskId, taskTitle,
+      JSON.stringify({ ...result.breach, outcome: result.outcome })
+    ]
+  )
+}
@@ -17,11 +17,16 @@ import NotificationsPanel from './components/NotificationsPanel'
 import NotificationButton from './components/NotificationButton'
 import BoardSharing from './components/BoardSharing'
 import CalendarView from './components/CalendarView'
+import TimelineView from './components/TimelineView'
 import AnalyticsDashboard from './components/AnalyticsDashboard'
 import AutomationRules from './components/AutomationRules'
 import RecurringTasks from './components/RecurringTasks'
 import AdvancedSearch from './components/AdvancedSearch'
 import CustomFields from './components/CustomFields'
+import Trash from './components/Trash'
+import ArchivePanel from './components/ArchivePanel'
+import SearchPalette from './components/SearchPalette'
+import BoardViews from './components/BoardViews'
 import LoadingSpinner from './components/LoadingSpinner'
 import LoadingSkeleton from './components/LoadingSkeleton'
 import { generateId } from './utils/storage'
@@ -29,13 +34,16 @@ import { initialTasks } from './data/initialTasks'
 import { defaultTemplate } from './utils/boardTemplates'
 import { createBoardFromTemplate } from './utils/boardUtils'
 import { getTheme, applyTheme } from './utils/theme'
-import { createHistoryManager } from './utils/undoRedo'
+import { rankBetween } from '../server/utils/ranking.js'
+import { canMoveTask } from './utils/taskDependencies'
+import { upsertComment, applyCommentDeletion } from './utils/comments'
+import { getAccountLink, clearAccountLink } from './utils/accountLinks'
 import { getCurrentUser, setCurrentUser, authAPI } from './services/api'
 import api from './services/api'
 import { getUserBoardPermission, PERMISSIONS } from './utils/boardPermissions'
-import { processAutomations } from './utils/automation'
 // Phase 8: Recurring tasks generation handled by backend
 import { applyFilter } from './utils/advancedSearch'
+import { DEFAULT_VIEW_SETTINGS, getGroupByOptions, getVisibleColumns, getFilterCriteria } from './utils/boardViews'
 import { logEnvironmentWarnings } from './utils/envValidation'
 
 /**
@@ -55,6 +63,7 @@ function App() {
   const [isFormOpen, setIsFormOpen] = useState(false)
   const [isBoardFormOpen, setIsBoardFormOpen] = useState(false)
   const [editingTask, setEditingTask] = useState(null)
+  const [taskConflict, setTaskConflict] = useState(null) // { mine, theirs } after a 409 on save
 
   // State for search and filters
   const [searchQuery, setSearchQuery] = useState('')
@@ -70,29 +79,41 @@ function App() {
 
   // Phase 5: State for collaboration features
   const [currentUser, setCurrentUser] = useState(null)
+  // Verification or password reset link from an email (see utils/accountLinks.js)
+  const [accountLink, setAccountLink] = useState(() => getAccountLink())
   const [isActivityLogOpen, setIsActivityLogOpen] = useState(false)
   const [isNotificationsOpen, setIsNotificationsOpen] = useState(false)
   const [isBoardSharingOpen, setIsBoardSharingOpen] = useState(false)
   const [boardActivities, setBoardActivities] = useState([])
+  const [boardViewers, setBoardViewers] = useState([])
+  const [liveUpdatedTaskIds, setLiveUpdatedTaskIds] = useState([])
   
   // Phase 6: State for view switching
-  const [currentView, setCurrentView] = useState('kanban') // 'kanban', 'calendar', 'analytics'
+  const [currentView, setCurrentView] = useState('kanban') // 'kanban', 'calendar', 'timeline', 'analytics'
   
   // Phase 7: State for automation and advanced features
   const [isAutomationOpen, setIsAutomationOpen] = useState(false)
   const [isRecurringTasksOpen, setIsRecurringTasksOpen] = useState(false)
   const [isAdvancedSearchOpen, setIsAdvancedSearchOpen] = useState(false)
   const [isCustomFieldsOpen, setIsCustomFieldsOpen] = useState(false)
+  const [isTrashOpen, setIsTrashOpen] = useState(false)
+  const [isArchiveOpen, setIsArchiveOpen] = useState(false)
+  const [isSearchPaletteOpen, setIsSearchPaletteOpen] = useState(false)
+  // Task picked in the search palette, opened once its board has loaded
+  const [pendingTaskId, setPendingTaskId] = useState(null)
   const [activeFilter, setActiveFilter] = useState(null)
+  // Views pinned to the current board, the selected one and the layout it sets
+  const [boardViews, setBoardViews] = useState([])
+  const [activeViewId, setActiveViewId] = useState(null)
+  const [viewSettings, setViewSettings] = useState(DEFAULT_VIEW_SETTINGS)
+  // Custom field definitions of the current board (swimlanes can group by select fields)
+  const [boardCustomFields, setBoardCustomFields] = useState([])
 
   // Phase 8: Loading and error states
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   const [allUsers, setAllUsers] = useState([])
 
-  // Undo/Redo history manager
-  const historyManager = useRef(createHistoryManager(50))
-
   // Get current board object
   const currentBoard = useMemo(() => {
     return boards.find(board => board.id === currentBoardId) || null
@@ -137,6 +158,20 @@ function App() {
     }
   }, [])
 
+  /**
+   * Return to the login screen when the session ends elsewhere
+   * (revoked from another device, or the refresh token expired)
+   */
+  useEffect(() => {
+    const handleSessionEnded = () => {
+      setCurrentUser(null)
+      setBoards([])
+      setCurrentBoardId(null)
+    }
+    window.addEventListener('auth:logout', handleSessionEnded)
+    return () => window.removeEventListener('auth:logout', handleSessionEnded)
+  }, [])
+
   /**
    * Load all users when current user changes
    */
@@ -159,12 +194,12 @@ function App() {
     setLoading(true)
     setError(null)
 
-    api.boards.getAll()
+    api.boards.getAll({ includeArchived: true })
       .then(response => {
-        // Combine owned and shared boards
+        // Combine owned and shared boards (archived ones are listed separately by BoardSwitcher)
         const allBoards = [
-          ...(response.owned || []).map(b => ({ ...b, ownerId: b.owner_id })),
-          ...(response.shared || []).map(b => ({ ...b, ownerId: b.owner_id }))
+          ...(response.owned || []).map(b => ({ ...b, ownerId: b.owner_id, isArchived: Boolean(b.archived) })),
+          ...(response.shared || []).map(b => ({ ...b, ownerId: b.owner_id, isArchived: Boolean(b.archived) }))
         ]
 
         if (allBoards.length === 0) {
@@ -216,11 +251,11 @@ function App() {
             .finally(() => setLoading(false))
         } else {
           setBoards(allBoards)
-          // Set current board to first board or saved one
+          // Set current board to the saved one or the first active board
           const savedBoardId = localStorage.getItem('current_board_id')
           const boardId = savedBoardId && allBoards.find(b => b.id === savedBoardId)
             ? savedBoardId
-            : allBoards[0].id
+            : (allBoards.find(b => !b.isArchived) || allBoards[0]).id
           setCurrentBoardId(boardId)
           localStorage.setItem('current_board_id', boardId)
           
@@ -248,6 +283,7 @@ function App() {
       const transformedBoard = {
         ...board,
         ownerId: board.owner_id || board.ownerId,
+        isArchived: Boolean(board.archived),
         sharedUsers: board.shared_users || board.sharedUsers || []
       }
       setBoards(prev => prev.map(b => b.id === boardId ? transformedBoard : b))
@@ -286,16 +322,19 @@ function App() {
         name: updatedBoard.name,
         description: updatedBoard.description,
         columns: updatedBoard.columns,
-        archived: updatedBoard.archived || false
+        archived: updatedBoard.archived || false,
+        version: board.version
       }
       
       const savedBoard = await api.boards.update(boardId, apiData)
       
       // Transform snake_case to camelCase for frontend compatibility
       const transformedBoard = {
+        ...board,
         ...savedBoard,
         ownerId: savedBoard.owner_id || savedBoard.ownerId,
-        sharedUsers: savedBoard.shared_users || savedBoard.sharedUsers || []
+        isArchived: Boolean(savedBoard.archived),
+        sharedUsers: board.sharedUsers || []
       }
       
       // Update local state
@@ -303,6 +342,12 @@ function App() {
         b.id === boardId ? transformedBoard : b
       ))
     } catch (error) {
+      if (error.status === 409) {
+        // Board changed elsewhere: load the latest version instead of overwriting it
+        setError('This board was changed by someone else. The latest version has been loaded.')
+        await loadBoardData(boardId)
+        return
+      }
       console.error('Failed to update board:', error)
       setError('Failed to update board')
       // Revert local state on error
@@ -336,6 +381,66 @@ function App() {
   const handleCloseForm = () => {
     setIsFormOpen(false)
     setEditingTask(null)
+    setTaskConflict(null)
+  }
+
+  /**
+   * Replaces a task in the current board's local state
+   * @param {Object} updatedTask - Task returned by the API
+   */
+  const replaceTaskInBoard = (updatedTask) => {
+    setBoards(prevBoards => prevBoards.map(board => {
+      if (board.id === currentBoardId) {
+        return {
+          ...board,
+          tasks: (board.tasks || []).map(t => t.id === updatedTask.id ? updatedTask : t)
+        }
+      }
+      return board
+    }))
+  }
+
+  /**
+   * Applies a change to one of a task's lists (comments, attachments) in local state
+   * Used by the task form and by live events
+   * @param {string} taskId - Task the items belong to
+   * @param {string} field - Task field holding the list
+   * @param {Function} updater - Receives the current list, returns the new list
+   */
+  const updateTaskItems = (taskId, field, updater) => {
+    setBoards(prevBoards => prevBoards.map(board => ({
+      ...board,
+      tasks: (board.tasks || []).map(t => (
+        t.id === taskId ? { ...t, [field]: updater(t[field] || []) } : t
+      ))
+    })))
+  }
+
+  const handleCommentsChange = (taskId, updater) => updateTaskItems(taskId, 'comments', updater)
+  const handleAttachmentsChange = (taskId, updater) => updateTaskItems(taskId, 'attachments', updater)
+
+  /**
+   * Sends a task request that may be limited by a column's WIP limit
+   * Board owners stopped by a hard limit are asked whether to override it;
+   * soft limit warnings are shown in the error banner
+   * @param {Function} request - Called with extra body fields ({} or { overrideWip: true })
+   * @returns {Promise<Object>} Saved task
+   */
+  const saveWithWipLimit = async (request) => {
+    let savedTask
+    try {
+      savedTask = await request({})
+    } catch (error) {
+      const canOverride = error.status === 409 && error.data?.wipLimit && error.data.canOverride
+      if (!canOverride || !window.confirm(`${error.message}. Override the limit and continue?`)) {
+        throw error
+      }
+      savedTask = await request({ overrideWip: true })
+    }
+
+    const { wipWarning, ...task } = savedTask
+    if (wipWarning) setError(wipWarning)
+    return task
   }
 
   /**
@@ -357,30 +462,27 @@ function App() {
       }
 
       if (editingTask) {
-        // Update existing task via API
-        const updatedTask = await api.tasks.update(editingTask.id, taskData)
+        // Update existing task via API, sending the version it was edited from
+        const updatedTask = await saveWithWipLimit(extra => api.tasks.update(editingTask.id, {
+          ...taskData,
+          version: taskData.version ?? editingTask.version,
+          ...extra
+        }))
         
         // Update local board state
-        setBoards(prevBoards => prevBoards.map(board => {
-          if (board.id === currentBoardId) {
-            return {
-              ...board,
-              tasks: (board.tasks || []).map(t => t.id === editingTask.id ? updatedTask : t)
-            }
-          }
-          return board
-        }))
+        replaceTaskInBoard(updatedTask)
 
         // Check if assignment changed and create notification
         if (formData.assignedTo && formData.assignedTo !== editingTask.assignedTo) {
           // Notification is created by backend
         }
       } else {
-        // Create new task via API
-        const newTask = await api.tasks.create({
+        // Create new task via API (automation rules run on the server)
+        const newTask = await saveWithWipLimit(extra => api.tasks.create({
           boardId: currentBoardId,
-          ...taskData
-        })
+          ...taskData,
+          ...extra
+        }))
 
         // Update local board state
         setBoards(prevBoards => prevBoards.map(board => {
@@ -392,20 +494,20 @@ function App() {
           }
           return board
         }))
-
-        // Phase 7: Process automations (client-side for now)
-        // Note: In production, automations should run on backend
-        const automationResult = processAutomations('task-created', { task: newTask }, currentBoardId)
-        if (automationResult.updatedTask && automationResult.updatedTask.id !== newTask.id) {
-          // Update task if automation changed it
-          await api.tasks.update(newTask.id, automationResult.updatedTask)
-        }
       }
 
       // Reload board data to get latest activities
       await loadBoardData(currentBoardId)
       handleCloseForm()
     } catch (error) {
+      if (error.status === 409 && error.data?.current) {
+        // Someone else saved this task first: show both versions for merging
+        const currentTask = error.data.current
+        replaceTaskInBoard(currentTask)
+        setEditingTask(currentTask)
+        setTaskConflict({ mine: formData, theirs: currentTask })
+        return
+      }
       console.error('Failed to save task:', error)
       setError('Failed to save task: ' + error.message)
     } finally {
@@ -413,6 +515,17 @@ function App() {
     }
   }
 
+  /**
+   * Resolves a save conflict from the task form
+   * @param {Object|null} resolvedData - Merged task data, or null to keep the server version
+   */
+  const handleResolveConflict = (resolvedData) => {
+    setTaskConflict(null)
+    if (resolvedData) {
+      handleSubmitTask(resolvedData)
+    }
+  }
+
   /**
    * Deletes a task by ID
    * Phase 8: Use API for deletion
@@ -424,7 +537,7 @@ function App() {
     const task = currentBoard.tasks?.find(t => t.id === taskId)
     if (!task) return
     
-    if (window.confirm('Are you sure you want to delete this task?')) {
+    if (window.confirm('Move this task to the trash?')) {
       setLoading(true)
       try {
         await api.tasks.delete(taskId)
@@ -451,6 +564,21 @@ function App() {
     }
   }
 
+  /**
+   * Checks that a task moving to a completed column has no unfinished blockers
+   * Shows which tasks still block it otherwise
+   * @param {Object} task - Task being moved
+   * @param {string} newStatus - Column it is moving to
+   * @returns {boolean} True if the move may go ahead
+   */
+  const checkBlockers = (task, newStatus) => {
+    const { canMove, blockingTasks } = canMoveTask(task, newStatus, currentBoard.tasks || [])
+    if (!canMove) {
+      setError(`"${task.title}" is blocked by: ${blockingTasks.map(t => t.title).join(', ')}`)
+    }
+    return canMove
+  }
+
   /**
    * Moves a task to a different column (changes status)
    * @param {string} taskId - ID of the task being moved
@@ -459,28 +587,18 @@ function App() {
   /**
    * Handles task movement between columns
    * Phase 8: Use API for task updates
+   * @param {Object} fieldUpdates - Fields changed by dropping the card into another swimlane
    */
-  const handleTaskMove = async (taskId, newStatus) => {
+  const handleTaskMove = async (taskId, newStatus, fieldUpdates = {}) => {
     if (!currentBoard || !currentUser) return
 
     const task = currentBoard.tasks?.find(t => t.id === taskId)
     if (!task) return
+    if (!checkBlockers(task, newStatus)) return
 
     try {
-      // Update task status via API
-      const updatedTask = await api.tasks.update(taskId, { status: newStatus })
-
-      // Phase 7: Process automations (client-side for now)
-      const automationResult = processAutomations('task-moved', {
-        task: updatedTask,
-        oldStatus: task.status,
-        newStatus
-      }, currentBoardId)
-
-      // If automation changed the task, update again
-      if (automationResult.updatedTask && automationResult.updatedTask.id === taskId) {
-        await api.tasks.update(taskId, automationResult.updatedTask)
-      }
+      // Update task status via API (the response already reflects automation rules)
+      const updatedTask = await saveWithWipLimit(extra => api.tasks.update(taskId, { status: newStatus, ...fieldUpdates, ...extra }))
 
       // Update local state
       setBoards(prevBoards => prevBoards.map(board => {
@@ -501,6 +619,85 @@ function App() {
     }
   }
 
+  /**
+   * Handles manual reordering (within a column or into another one)
+   * Updates the order locally first so the card doesn't jump back while saving
+   * @param {string} taskId - ID of the moved task
+   * @param {string} newStatus - Column the task was dropped in
+   * @param {string|null} prevTaskId - Task now directly above it
+   * @param {string|null} nextTaskId - Task now directly below it
+   * @param {Object} fieldUpdates - Fields changed by dropping the card into another swimlane
+   */
+  const handleTaskReorder = async (taskId, newStatus, prevTaskId, nextTaskId, fieldUpdates = {}) => {
+    if (!currentBoard || !currentUser) return
+
+    const boardTasks = currentBoard.tasks || []
+    const task = boardTasks.find(t => t.id === taskId)
+    if (task && task.status !== newStatus && !checkBlockers(task, newStatus)) return
+    const prev = boardTasks.find(t => t.id === prevTaskId)
+    const next = boardTasks.find(t => t.id === nextTaskId)
+
+    try {
+      const position = rankBetween(prev?.position || null, next?.position || null)
+      setBoards(prevBoards => prevBoards.map(board => {
+        if (board.id === currentBoardId) {
+          return {
+            ...board,
+            tasks: (board.tasks || []).map(t => t.id === taskId ? { ...t, ...fieldUpdates, status: newStatus, position } : t)
+          }
+        }
+        return board
+      }))
+    } catch (error) {
+      // Neighbours out of sync locally; the server response below fixes the order
+    }
+
+    try {
+      // The lane fields are saved with the move, as one change
+      const updatedTask = await saveWithWipLimit(extra => (
+        api.tasks.reorder(taskId, { status: newStatus, prevTaskId, nextTaskId, fields: fieldUpdates, ...extra })
+      ))
+      replaceTaskInBoard(updatedTask)
+
+      // Reload board data to get latest activities (and any rebalanced positions)
+      await loadBoardData(currentBoardId)
+    } catch (error) {
+      console.error('Failed to reorder task:', error)
+      setError('Failed to reorder task: ' + error.message)
+      await loadBoardData(currentBoardId)
+    }
+  }
+
+  /**
+   * Handles rescheduling from the timeline
+   * The server moves the tasks depending on this one by the same number of days
+   * @param {string} taskId - ID of the rescheduled task
+   * @param {Object} dates - New { startDate, dueDate }
+   */
+  const handleTaskReschedule = async (taskId, dates) => {
+    if (!currentBoard || !currentUser) return
+
+    try {
+      const { task, shiftedTasks } = await api.tasks.reschedule(taskId, dates)
+      const changed = new Map([task, ...shiftedTasks].map(t => [t.id, t]))
+      setBoards(prevBoards => prevBoards.map(board => {
+        if (board.id === currentBoardId) {
+          return {
+            ...board,
+            tasks: (board.tasks || []).map(t => changed.get(t.id) || t)
+          }
+        }
+        return board
+      }))
+
+      // Reload board data to get latest activities
+      await loadBoardData(currentBoardId)
+    } catch (error) {
+      console.error('Failed to reschedule task:', error)
+      setError('Failed to reschedule task: ' + error.message)
+    }
+  }
+
   /**
    * Handles board switching
    * @param {string} boardId - ID of the board to switch to
@@ -553,6 +750,7 @@ function App() {
   const handleArchiveBoard = (boardId) => {
     updateBoard(boardId, (board) => ({
       ...board,
+      archived: !board.isArchived,
       isArchived: !board.isArchived
     }))
     
@@ -566,10 +764,18 @@ function App() {
   }
 
   /**
-   * Handles board deletion
+   * Handles board deletion (the board goes to the trash and can be restored from there)
    * @param {string} boardId - ID of the board to delete
    */
-  const handleDeleteBoard = (boardId) => {
+  const handleDeleteBoard = async (boardId) => {
+    try {
+      await api.boards.delete(boardId)
+    } catch (error) {
+      console.error('Failed to delete board:', error)
+      setError('Failed to delete board: ' + error.message)
+      return
+    }
+
     setBoards(prevBoards => {
       const updated = prevBoards.filter(board => board.id !== boardId)
       
@@ -582,35 +788,108 @@ function App() {
         }
       }
       
-      // Update history
-      setTimeout(() => {
-        historyManager.current.push(updated)
-      }, 0)
-      
       return updated
     })
   }
 
   /**
-   * Phase 4: Undo last action
+   * Adds a board restored from the trash back to the board list
+   * @param {Object} board - Restored board
+   */
+  const handleBoardRestored = (board) => {
+    setBoards(prevBoards => [
+      ...prevBoards.filter(b => b.id !== board.id),
+      { ...board, ownerId: board.owner_id, activities: [], sharedUsers: [] }
+    ])
+  }
+
+  /**
+   * Marks a board unarchived from the archive panel as active again
+   * @param {Object} board - Saved board
+   */
+  const handleBoardUnarchived = (board) => {
+    setBoards(prevBoards => {
+      const existing = prevBoards.find(b => b.id === board.id)
+      const updated = {
+        ...existing,
+        ...board,
+        ownerId: board.owner_id,
+        isArchived: false,
+        sharedUsers: existing?.sharedUsers || []
+      }
+      return existing
+        ? prevBoards.map(b => b.id === board.id ? updated : b)
+        : [...prevBoards, { ...updated, activities: [] }]
+    })
+  }
+
+  /**
+   * Removes tasks archived in bulk from the open board
+   * @param {Array} taskIds - Archived task IDs
    */
-  const handleUndo = () => {
-    const previousState = historyManager.current.undo()
-    if (previousState) {
-      setBoards(previousState)
+  const handleTasksArchived = (taskIds) => {
+    setBoards(prevBoards => prevBoards.map(board => (
+      board.id === currentBoardId
+        ? { ...board, tasks: (board.tasks || []).filter(t => !taskIds.includes(t.id)) }
+        : board
+    )))
+    setSelectedTasks(prev => prev.filter(id => !taskIds.includes(id)))
+  }
+
+  /**
+   * Shows a task restored from the trash or the archive if its board is open
+   * @param {Object} task - Restored task
+   */
+  const handleTaskRestored = async (task) => {
+    if (task.board_id === currentBoardId) {
+      await loadBoardData(currentBoardId)
     }
   }
 
   /**
-   * Phase 4: Redo last undone action
+   * Phase 4: Runs a server-side undo or redo step and applies the tasks it changed
+   * The server refuses steps whose tasks another user has changed since (409).
+   * @param {string} direction - 'undo' or 'redo'
    */
-  const handleRedo = () => {
-    const nextState = historyManager.current.redo()
-    if (nextState) {
-      setBoards(nextState)
+  const runHistoryStep = async (direction) => {
+    if (!currentBoard || !currentUser) return
+
+    try {
+      const { tasks, deletedTaskIds, archivedTaskIds = [] } = await api.boards[direction](currentBoardId)
+      const removedTaskIds = [...deletedTaskIds, ...archivedTaskIds]
+
+      setBoards(prevBoards => prevBoards.map(board => {
+        if (board.id !== currentBoardId) return board
+        const remaining = (board.tasks || []).filter(t => !removedTaskIds.includes(t.id))
+        const restored = tasks.filter(task => !remaining.some(t => t.id === task.id))
+        return {
+          ...board,
+          tasks: [...restored, ...remaining.map(t => tasks.find(changed => changed.id === t.id) || t)]
+        }
+      }))
+
+      // Reload board data to get latest activities and positions
+      await loadBoardData(currentBoardId)
+    } catch (error) {
+      // Nothing left to undo or redo
+      if (error.status === 404) return
+
+      console.error(`Failed to ${direction}:`, error)
+      setError(error.message)
+      await loadBoardData(currentBoardId)
     }
   }
 
+  /**
+   * Phase 4: Undo last action
+   */
+  const handleUndo = () => runHistoryStep('undo')
+
+  /**
+   * Phase 4: Redo last undone action
+   */
+  const handleRedo = () => runHistoryStep('redo')
+
   /**
    * Phase 4: Toggle task selection for bulk operations
    */
@@ -630,60 +909,68 @@ function App() {
   }
 
   /**
-   * Phase 4: Bulk delete tasks
+   * Phase 4: Applies bulk operations through the batch API
+   * Tasks the server skipped (no permission, hard WIP limit) are reported and left as they were
+   * @param {Array} operations - Batch operations ({ type, taskIds, ... })
    */
-  const handleBulkDelete = (taskIds) => {
+  const runBulkOperations = async (operations) => {
     if (!currentBoard) return
-    updateBoard(currentBoardId, (board) => ({
-      ...board,
-      tasks: (board.tasks || []).filter(task => !taskIds.includes(task.id))
-    }))
+
+    try {
+      const { results, failed, tasks, deletedTaskIds, archivedTaskIds = [] } = await api.tasks.batch(operations)
+      const removedTaskIds = [...deletedTaskIds, ...archivedTaskIds]
+
+      setBoards(prevBoards => prevBoards.map(board => {
+        if (board.id !== currentBoardId) return board
+        return {
+          ...board,
+          tasks: (board.tasks || [])
+            .filter(t => !removedTaskIds.includes(t.id))
+            .map(t => tasks.find(updated => updated.id === t.id) || t)
+        }
+      }))
+
+      if (failed > 0) {
+        const firstError = results.find(result => !result.ok).error
+        setError(`${failed} of ${results.length} changes could not be applied: ${firstError}`)
+      }
+
+      // Reload board data to get latest activities and positions
+      await loadBoardData(currentBoardId)
+    } catch (error) {
+      console.error('Failed to apply bulk action:', error)
+      setError('Failed to apply bulk action: ' + error.message)
+    }
   }
 
+  /**
+   * Phase 4: Bulk delete tasks
+   */
+  const handleBulkDelete = (taskIds) => runBulkOperations([{ type: 'delete', taskIds }])
+
+  /**
+   * Phase 4: Bulk archive tasks
+   */
+  const handleBulkArchive = (taskIds) => runBulkOperations([{ type: 'archive', taskIds }])
+
   /**
    * Phase 4: Bulk move tasks to column
    */
-  const handleBulkMove = (taskIds, columnId) => {
-    if (!currentBoard) return
-    updateBoard(currentBoardId, (board) => ({
-      ...board,
-      tasks: (board.tasks || []).map(task =>
-        taskIds.includes(task.id)
-          ? { ...task, status: columnId, updatedAt: new Date().toISOString() }
-          : task
-      )
-    }))
-  }
+  const handleBulkMove = (taskIds, columnId) => runBulkOperations([{ type: 'move', taskIds, status: columnId }])
 
   /**
    * Phase 4: Bulk change priority
    */
-  const handleBulkPriority = (taskIds, priority) => {
-    if (!currentBoard) return
-    updateBoard(currentBoardId, (board) => ({
-      ...board,
-      tasks: (board.tasks || []).map(task =>
-        taskIds.includes(task.id)
-          ? { ...task, priority, updatedAt: new Date().toISOString() }
-          : task
-      )
-    }))
-  }
+  const handleBulkPriority = (taskIds, priority) => (
+    runBulkOperations([{ type: 'set', taskIds, field: 'priority', value: priority }])
+  )
 
   /**
    * Phase 4: Bulk change category
    */
-  const handleBulkCategory = (taskIds, category) => {
-    if (!currentBoard) return
-    updateBoard(currentBoardId, (board) => ({
-      ...board,
-      tasks: (board.tasks || []).map(task =>
-        taskIds.includes(task.id)
-          ? { ...task, category, updatedAt: new Date().toISOString() }
-          : task
-      )
-    }))
-  }
+  const handleBulkCategory = (taskIds, category) => (
+    runBulkOperations([{ type: 'set', taskIds, field: 'category', value: category }])
+  )
 
   /**
    * Phase 4: Handle import boards
@@ -693,12 +980,21 @@ function App() {
   }
 
   /**
-   * Phase 4: Focus search input
+   * Opens a task found in the search palette, switching to its board first
+   * Archived tasks are not on the board, so the archive is opened instead.
+   * @param {Object} result - Search result
    */
-  const handleFocusSearch = () => {
-    if (searchInputRef.current) {
-      searchInputRef.current.focus()
+  const handleSearchResultSelect = (result) => {
+    if (result.archived) {
+      setIsArchiveOpen(true)
+      return
+    }
+
+    if (result.boardId !== currentBoardId) {
+      handleBoardChange(result.boardId)
     }
+    setCurrentView('kanban')
+    setPendingTaskId(result.taskId)
   }
 
   /**
@@ -723,6 +1019,27 @@ function App() {
     localStorage.removeItem('current_board_id')
   }
 
+  /**
+   * Leaves the email verification / password reset screen
+   * A password reset signs out every session, including this one.
+   */
+  const handleAccountLinkDone = (type) => {
+    clearAccountLink()
+    setAccountLink(null)
+    if (!currentUser) return
+
+    if (type === 'reset') {
+      handleLogout()
+    } else {
+      api.users.getCurrent()
+        .then(user => {
+          setCurrentUser(user)
+          setCurrentUser(user) // Update stored user
+        })
+        .catch(err => console.error('Failed to reload user:', err))
+    }
+  }
+
   /**
    * Phase 5: Handles user profile update
    * Phase 8: Use API for user updates
@@ -765,6 +1082,170 @@ function App() {
     }
   }, [currentBoardId, currentUser])
 
+  /**
+   * Loads the views pinned to the current board (the user's own and shared ones)
+   */
+  const loadBoardViews = async () => {
+    if (!currentBoardId) return
+    try {
+      const filters = await api.filters.getAll({ boardId: currentBoardId })
+      const views = filters
+        .filter(filter => filter.boardId === currentBoardId && filter.pinned)
+        .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''))
+      setBoardViews(views)
+    } catch (err) {
+      console.error('Failed to load board views:', err)
+    }
+  }
+
+  // Each board starts unfiltered with its own views
+  useEffect(() => {
+    setActiveViewId(null)
+    setActiveFilter(null)
+    setViewSettings(DEFAULT_VIEW_SETTINGS)
+    setBoardViews([])
+    setBoardCustomFields([])
+    if (currentBoardId && currentUser) {
+      loadBoardViews()
+      api.customFields.getAll(currentBoardId)
+        .then(fields => setBoardCustomFields(fields))
+        .catch(err => console.error('Failed to load custom fields:', err))
+    }
+  }, [currentBoardId, currentUser?.id])
+
+  /**
+   * Selects a board view, applying its filter, sort and layout
+   * @param {Object|null} view - Pinned view, or null to show all tasks
+   */
+  const handleSelectView = (view) => {
+    if (!view) {
+      setActiveViewId(null)
+      setActiveFilter(null)
+      setViewSettings(DEFAULT_VIEW_SETTINGS)
+      return
+    }
+    setActiveViewId(view.id)
+    setActiveFilter(getFilterCriteria(view))
+    setViewSettings({ ...DEFAULT_VIEW_SETTINGS, ...view.view })
+  }
+
+  // Keep the selected view in step with edits to it; one that was deleted or unshared falls back to all tasks
+  useEffect(() => {
+    if (!activeViewId) return
+    handleSelectView(boardViews.find(view => view.id === activeViewId) || null)
+  }, [boardViews])
+
+  /**
+   * Briefly highlights a card that another user changed
+   * @param {string} taskId - ID of the changed task
+   */
+  const flashLiveUpdate = (taskId) => {
+    setLiveUpdatedTaskIds(prev => [...prev.filter(id => id !== taskId), taskId])
+    setTimeout(() => {
+      setLiveUpdatedTaskIds(prev => prev.filter(id => id !== taskId))
+    }, 2000)
+  }
+
+  /**
+   * Subscribe to realtime changes for the current board
+   * Applies other users' task, board and sharing changes and tracks who is viewing
+   */
+  useEffect(() => {
+    if (!currentBoardId || !currentUser) return
+
+    const unsubscribe = api.boards.subscribe(currentBoardId, (type, data) => {
+      switch (type) {
+        case 'presence':
+          setBoardViewers(data.viewers || [])
+          break
+
+        case 'task:created':
+        case 'task:updated':
+          setBoards(prevBoards => prevBoards.map(board => {
+            if (board.id !== data.boardId) return board
+            const boardTasks = board.tasks || []
+            const exists = boardTasks.some(t => t.id === data.task.id)
+            return {
+              ...board,
+              tasks: exists
+                ? boardTasks.map(t => t.id === data.task.id ? data.task : t)
+                : [...boardTasks, data.task]
+            }
+          }))
+          flashLiveUpdate(data.task.id)
+          break
+
+        case 'task:deleted':
+        case 'task:archived':
+          setBoards(prevBoards => prevBoards.map(board =>
+            board.id === data.boardId
+              ? { ...board, tasks: (board.tasks || []).filter(t => t.id !== data.taskId) }
+              : board
+          ))
+          setSelectedTasks(prev => prev.filter(id => id !== data.taskId))
+          break
+
+        case 'board:updated':
+          setBoards(prevBoards => prevBoards.map(board =>
+            board.id === data.boardId
+              ? { ...board, ...data.board, ownerId: data.board.owner_id, isArchived: Boolean(data.board.archived), tasks: board.tasks }
+              : board
+          ))
+          break
+
+        case 'board:deleted':
+          setBoards(prevBoards => prevBoards.filter(board => board.id !== data.boardId))
+          setCurrentBoardId(null)
+          setError('This board was deleted by its owner')
+          break
+
+        case 'comment:created':
+        case 'comment:updated':
+          handleCommentsChange(data.taskId, comments => upsertComment(comments, data.comment))
+          break
+
+        case 'comment:deleted':
+          handleCommentsChange(data.taskId, comments => applyCommentDeletion(comments, data))
+          break
+
+        case 'attachment:created':
+          handleAttachmentsChange(data.taskId, attachments => [
+            ...attachments.filter(a => a.id !== data.attachment.id),
+            data.attachment
+          ])
+          break
+
+        case 'attachment:deleted':
+          handleAttachmentsChange(data.taskId, attachments => attachments.filter(a => a.id !== data.attachmentId))
+          break
+
+        case 'filter:updated':
+        case 'filter:deleted':
+          loadBoardViews()
+          break
+
+        case 'sharing:updated':
+          if (data.userId === currentUser.id && !data.permission) {
+            // Access to this board was revoked
+            setBoards(prevBoards => prevBoards.filter(board => board.id !== data.boardId))
+            setCurrentBoardId(null)
+            setError('You no longer have access to this board')
+          } else {
+            loadBoardData(data.boardId)
+          }
+          break
+
+        default:
+          break
+      }
+    })
+
+    return () => {
+      unsubscribe()
+      setBoardViewers([])
+    }
+  }, [currentBoardId, currentUser?.id])
+
   /**
    * Phase 5: Get user's permission for current board
    */
@@ -781,6 +1262,35 @@ function App() {
     return userBoardPermission === PERMISSIONS.OWNER || userBoardPermission === PERMISSIONS.EDITOR
   }, [userBoardPermission])
 
+  /**
+   * People on the current board (owner first), one swimlane each when grouping by assignee
+   */
+  const boardMembers = useMemo(() => {
+    if (!currentBoard) return []
+    const ownerId = currentBoard.ownerId || currentBoard.owner_id
+    const owner = allUsers.find(u => u.id === ownerId)
+    const shared = (currentBoard.sharedUsers || [])
+      .map(su => ({ id: su.userId || su.user_id, name: su.name }))
+      .filter(member => member.id !== ownerId)
+    return [
+      ...(ownerId ? [{ id: ownerId, name: owner?.name || (ownerId === currentUser?.id ? currentUser.name : null) || 'Board owner' }] : []),
+      ...shared
+    ]
+  }, [currentBoard, allUsers, currentUser])
+
+  /**
+   * Opens the task picked in the search palette once it is on the loaded board
+   */
+  useEffect(() => {
+    if (!pendingTaskId) return
+    const task = tasks.find(t => t.id === pendingTaskId)
+    if (!task) return
+
+    setPendingTaskId(null)
+    flashLiveUpdate(task.id)
+    if (canEdit) handleEditTask(task)
+  }, [pendingTaskId, tasks, canEdit])
+
   /**
    * Filters and sorts tasks based on current search, filter, and sort settings
    */
@@ -789,7 +1299,7 @@ function App() {
     
     // Phase 7: If active filter is set, use advanced search filter
     if (activeFilter) {
-      return applyFilter(tasks, activeFilter)
+      return applyFilter(tasks, activeFilter, { currentUserId: currentUser?.id })
     }
     
     let filtered = [...tasks]
@@ -831,6 +1341,13 @@ function App() {
         
         case 'created':
           return new Date(b.createdAt) - new Date(a.createdAt)
+
+        case 'manual':
+          // Positions are lexicographic ranks, so plain string comparison keeps the order
+          if (!a.position && !b.position) return 0
+          if (!a.position) return 1
+          if (!b.position) return -1
+          return a.position < b.position ? -1 : a.position > b.position ? 1 : 0
         
         default:
           return 0
@@ -838,11 +1355,18 @@ function App() {
     })
 
     return filtered
-  }, [tasks, searchQuery, selectedCategory, selectedPriority, sortBy])
+  }, [tasks, activeFilter, currentUser?.id, searchQuery, selectedCategory, selectedPriority, sortBy])
 
   // Phase 5: Show login form if user is not logged in
-  if (!currentUser) {
-    return <LoginForm onLogin={handleLogin} />
+  // Links from account emails are handled on the login screens, even when signed in
+  if (!currentUser || accountLink) {
+    return (
+      <LoginForm
+        onLogin={handleLogin}
+        accountLink={accountLink}
+        onAccountLinkDone={handleAccountLinkDone}
+      />
+    )
   }
 
   // Show loading state
@@ -946,6 +1470,7 @@ function App() {
             onBoardChange={handleBoardChange}
             onCreateBoard={() => setIsBoardFormOpen(true)}
             onArchiveBoard={handleArchiveBoard}
+            onOpenArchive={() => setIsArchiveOpen(true)}
             onDeleteBoard={handleDeleteBoard}
           />
         </div>
@@ -992,6 +1517,30 @@ function App() {
           >
             📥
           </button>
+          <button
+            className="btn-icon"
+            onClick={() => setIsSearchPaletteOpen(true)}
+            title="Search all boards (Ctrl+K)"
+            aria-label="Search all boards"
+          >
+            🔍
+          </button>
+          <button
+            className="btn-icon"
+            onClick={() => setIsArchiveOpen(true)}
+            title="Archive"
+            aria-label="Archive"
+          >
+            📦
+          </button>
+          <button
+            className="btn-icon"
+            onClick={() => setIsTrashOpen(true)}
+            title="Trash"
+            aria-label="Trash"
+          >
+            🗑️
+          </button>
           {/* Phase 7: Advanced features buttons */}
           {canEdit && (
             <>
@@ -1057,12 +1606,25 @@ function App() {
         >
           📅 Calendar
         </button>
+        <button
+          className={`view-btn ${currentView === 'timeline' ? 'active' : ''}`}
+          onClick={() => setCurrentView('timeline')}
+        >
+          🗓️ Timeline
+        </button>
         <button
           className={`view-btn ${currentView === 'analytics' ? 'active' : ''}`}
           onClick={() => setCurrentView('analytics')}
         >
           📊 Analytics
         </button>
+        <BoardViews
+          views={boardViews}
+          activeViewId={activeViewId}
+          activeFilter={activeFilter}
+          onSelectView={handleSelectView}
+          onManageViews={() => setIsAdvancedSearchOpen(true)}
+        />
       </div>
 
       {/* Search and filter bar (only show for kanban view) */}
@@ -1078,6 +1640,9 @@ function App() {
             sortBy={sortBy}
             onSortChange={setSortBy}
             searchInputRef={searchInputRef}
+            groupBy={viewSettings.groupBy}
+            onGroupByChange={groupBy => setViewSettings(prev => ({ ...prev, groupBy }))}
+            groupByOptions={getGroupByOptions(boardCustomFields)}
           />
         </div>
       )}
@@ -1087,6 +1652,7 @@ function App() {
         <BulkActions
           selectedTasks={selectedTasks}
           onBulkDelete={handleBulkDelete}
+          onBulkArchive={handleBulkArchive}
           onBulkMove={handleBulkMove}
           onBulkPriority={handleBulkPriority}
           onBulkCategory={handleBulkCategory}
@@ -1103,8 +1669,10 @@ function App() {
             <div className="board-container">
               <KanbanBoard
                 tasks={filteredAndSortedTasks}
-                columns={currentBoard.columns}
+                columns={currentBoard.columns && getVisibleColumns(currentBoard.columns, viewSettings.visibleColumns)}
                 onTaskMove={handleTaskMove}
+                onTaskReorder={handleTaskReorder}
+                manualOrder={sortBy === 'manual'}
                 onEdit={canEdit ? handleEditTask : null}
                 onDelete={canEdit ? handleDeleteTask : null}
                 selectedTasks={selectedTasks}
@@ -1112,6 +1680,11 @@ function App() {
                 users={allUsers}
                 currentUser={currentUser}
                 canEdit={canEdit}
+                viewers={boardViewers}
+                liveUpdatedTaskIds={liveUpdatedTaskIds}
+                groupBy={viewSettings.groupBy}
+                members={boardMembers}
+                customFields={boardCustomFields}
               />
             </div>
 
@@ -1131,11 +1704,22 @@ function App() {
           </div>
         )}
         
+        {currentView === 'timeline' && (
+          <div className="timeline-container">
+            <TimelineView
+              tasks={tasks}
+              onReschedule={canEdit ? handleTaskReschedule : null}
+              onTaskClick={canEdit ? handleEditTask : null}
+            />
+          </div>
+        )}
+
         {currentView === 'analytics' && (
           <div className="analytics-container">
             <AnalyticsDashboard
               tasks={tasks}
               boards={boards}
+              boardId={currentBoardId}
             />
           </div>
         )}
@@ -1151,6 +1735,13 @@ function App() {
         currentUser={currentUser}
         allTasks={tasks}
         boardId={currentBoardId}
+        conflict={taskConflict}
+        onResolveConflict={handleResolveConflict}
+        comments={editingTask ? currentBoard?.tasks?.find(t => t.id === editingTask.id)?.comments : []}
+        onCommentsChange={handleCommentsChange}
+        attachments={editingTask ? currentBoard?.tasks?.find(t => t.id === editingTask.id)?.attachments : []}
+        onAttachmentsChange={handleAttachmentsChange}
+        canEdit={canEdit}
       />
 
       {/* Board form modal */}
@@ -1183,6 +1774,33 @@ function App() {
         onClose={() => setIsActivityLogOpen(false)}
       />
 
+      {/* Global search (Ctrl/Cmd + K) */}
+      <SearchPalette
+        isOpen={isSearchPaletteOpen}
+        onClose={() => setIsSearchPaletteOpen(false)}
+        currentBoardId={currentBoardId}
+        onSelect={handleSearchResultSelect}
+      />
+
+      {/* Archive: archived boards and tasks */}
+      <ArchivePanel
+        isOpen={isArchiveOpen}
+        onClose={() => setIsArchiveOpen(false)}
+        currentBoard={currentBoard}
+        canEdit={canEdit}
+        onBoardUnarchived={handleBoardUnarchived}
+        onTaskRestored={handleTaskRestored}
+        onTasksArchived={handleTasksArchived}
+      />
+
+      {/* Trash: deleted boards and tasks */}
+      <Trash
+        isOpen={isTrashOpen}
+        onClose={() => setIsTrashOpen(false)}
+        onBoardRestored={handleBoardRestored}
+        onTaskRestored={handleTaskRestored}
+      />
+
       {/* Phase 5: Notifications panel */}
       <NotificationsPanel
         userId={currentUser?.id}
@@ -1223,11 +1841,11 @@ function App() {
       {/* Phase 7: Advanced Search modal */}
       <AdvancedSearch
         isOpen={isAdvancedSearchOpen}
-        onClose={() => {
-          setIsAdvancedSearchOpen(false)
-          setActiveFilter(null) // Clear filter when closing
-        }}
+        onClose={() => setIsAdvancedSearchOpen(false)}
         onApplyFilter={(filter, filteredTasks) => {
+          // An ad-hoc filter replaces the selected view
+          setActiveViewId(null)
+          setViewSettings(DEFAULT_VIEW_SETTINGS)
           setActiveFilter(filter)
           // Update search/filter state to match applied filter
           if (filter.searchQuery) setSearchQuery(filter.searchQuery)
@@ -1237,6 +1855,11 @@ function App() {
         }}
         tasks={tasks}
         users={allUsers}
+        currentUserId={currentUser?.id}
+        boardId={currentBoardId}
+        columns={currentBoard?.columns || []}
+        canEdit={canEdit}
+        onFiltersChange={loadBoardViews}
       />
 
       {/* Phase 7: Custom Fields modal */}
@@ -1250,15 +1873,18 @@ function App() {
       <KeyboardShortcuts
         shortcuts={{
           onCreateTask: canEdit ? handleCreateTask : null,
-          onSearch: handleFocusSearch,
-          onUndo: handleUndo,
-          onRedo: handleRedo,
+          onSearch: () => setIsSearchPaletteOpen(true),
+          onUndo: canEdit ? handleUndo : null,
+          onRedo: canEdit ? handleRedo : null,
           onCloseModal: () => {
             if (isFormOpen) handleCloseForm()
             if (isBoardFormOpen) setIsBoardFormOpen(false)
             if (isExportImportOpen) setIsExportImportOpen(false)
             if (isPrintViewOpen) setIsPrintViewOpen(false)
             if (isActivityLogOpen) setIsActivityLogOpen(false)
+            if (isTrashOpen) setIsTrashOpen(false)
+            if (isArchiveOpen) setIsArchiveOpen(false)
+            if (isSearchPaletteOpen) setIsSearchPaletteOpen(false)
             if (isNotificationsOpen) setIsNotificationsOpen(false)
             if (isBoardSharingOpen) setIsBoardSharingOpen(false)
             if (isAutomationOpen) setIsAutomationOpen(false)
@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react'
+import api from '../services/api'
+import { formatActivityTime } from '../utils/activityLog'
+
+const EXPIRY_OPTIONS = [
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' }
+]
+
+const EMPTY_FORM = { name: '', scopes: [], boardIds: [], expiresInDays: '30' }
+
+/**
+ * AccessTokens Component
+ * Lists, creates and deletes the personal access tokens scripts use instead of a password
+ *
+ * @param {Function} onClose - Callback to return to the profile menu
+ */
+const AccessTokens = ({ onClose }) => {
+  const [tokens, setTokens] = useState([])
+  const [scopes, setScopes] = useState({})
+  const [boards, setBoards] = useState([])
+  const [isCreating, setIsCreating] = useState(false)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [newToken, setNewToken] = useState(null) // shown once after creating
+  const [copied, setCopied] = useState(false)
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [tokenData, boardData] = await Promise.all([api.users.accessTokens.getAll(), api.boards.getAll()])
+        setTokens(tokenData.tokens)
+        setScopes(tokenData.scopes)
+        setBoards([...boardData.owned, ...boardData.shared])
+      } catch (err) {
+        console.error('Failed to load access tokens:', err)
+        setError(err.message)
+      } finally {
+        setLoading(false)
+      }
+    }
+    load()
+  }, [])
+
+  const boardName = (boardId) => boards.find(board => board.id === boardId)?.name || 'Deleted board'
+
+  /**
+   * Adds or removes a value in one of the list fields of the form
+   */
+  const toggleFormValue = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value) ? prev[field].filter(v => v !== value) : [...prev[field], value]
+    }))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setError(null)
+    try {
+      const response = await api.users.accessTokens.create({
+        name: form.name.trim(),
+        scopes: form.scopes,
+        boardIds: form.boardIds.length > 0 ? form.boardIds : null,
+        expiresInDays: form.expiresInDays ? parseInt(form.expiresInDays, 10) : null
+      })
+      setTokens(prev => [response.accessToken, ...prev])
+      setNewToken(response.token)
+      setCopied(false)
+      setIsCreating(false)
+      setForm(EMPTY_FORM)
+    } catch (err) {
+      console.error('Failed to create access token:', err)
+      setError(err.message)
+    }
+  }
+
+  const handleDelete = async (token) => {
+    if (!window.confirm(`Delete "${token.name}"? Scripts using it will stop working.`)) return
+    try {
+      await api.users.accessTokens.delete(token.id)
+      setTokens(prev => prev.filter(t => t.id !== token.id))
+    } catch (err) {
+      console.error('Failed to delete access token:', err)
+      alert('Failed to delete token: ' + err.message)
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken)
+      setCopied(true)
+    } catch (err) {
+      setError('Could not copy the token; select it and copy it manually')
+    }
+  }
+
+  /**
+   * Expiry line of a token
+   */
+  const describeExpiry = (token) => {
+    if (token.expired) return 'Expired'
+    if (!token.expiresAt) return 'Never expires'
+    return `Expires ${new Date(token.expiresAt).toLocaleDateString()}`
+  }
+
+  return (
+    <div className="access-tokens">
+      <h4>Personal access tokens</h4>
+      {error && <p className="active-sessions-error">{error}</p>}
+
+      {newToken && (
+        <div className="access-token-new">
+          <p className="two-factor-hint">Copy this token now. It will not be shown again.</p>
+          <code className="access-token-value">{newToken}</code>
+          <div className="user-profile-actions">
+            <button className="btn-edit-profile" onClick={handleCopy}>{copied ? 'Copied' : 'Copy'}</button>
+            <button className="btn-cancel" onClick={() => setNewToken(null)}>Done</button>
+          </div>
+        </div>
+      )}
+
+      {isCreating ? (
+        <form className="user-profile-edit access-token-form" onSubmit={handleCreate}>
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Name, e.g. CI deploy script"
+            maxLength={100}
+          />
+
+          <fieldset>
+            <legend>Scopes</legend>
+            {Object.entries(scopes).map(([scope, description]) => (
+              <label key={scope} className="access-token-option" title={description}>
+                <input
+                  type="checkbox"
+                  checked={form.scopes.includes(scope)}
+                  onChange={() => toggleFormValue('scopes', scope)}
+                />
+                <span>{scope}</span>
+              </label>
+            ))}
+          </fieldset>
+
+          <fieldset>
+            <legend>Boards (none selected: all boards)</legend>
+            {boards.map(board => (
+              <label key={board.id} className="access-token-option">
+                <input
+                  type="checkbox"
+                  checked={form.boardIds.includes(board.id)}
+                  onChange={() => toggleFormValue('boardIds', board.id)}
+                />
+                <span>{board.name}</span>
+              </label>
+            ))}
+          </fieldset>
+
+          <label className="access-token-expiry">
+            Expires after
+            <select
+              value={form.expiresInDays}
+              onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+            >
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.label} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <div className="user-profile-actions">
+            <button type="submit" className="btn-save" disabled={!form.name.trim() || form.scopes.length === 0}>
+              Create token
+            </button>
+            <button type="button" className="btn-cancel" onClick={() => setIsCreating(false)}>Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <>
+          {loading && <p className="active-sessions-empty">Loading...</p>}
+          {!loading && tokens.length === 0 && <p className="active-sessions-empty">No tokens yet.</p>}
+
+          <ul className="active-sessions-list">
+            {tokens.map(token => (
+              <li key={token.id} className="active-session">
+                <div className="active-session-info">
+                  <span className="active-session-device">
+                    {token.name} <code className="access-token-hint">{token.hint}</code>
+                  </span>
+                  <span className="active-session-meta">
+                    {token.scopes.join(', ')} · {token.boardIds ? token.boardIds.map(boardName).join(', ') : 'All boards'}
+                  </span>
+                  <span className={`active-session-meta ${token.expired ? 'access-token-expired' : ''}`}>
+                    {describeExpiry(token)} · {token.lastUsedAt ? `Last used ${formatActivityTime(token.lastUsedAt)}` : 'Never used'}
+                  </span>
+                </div>
+                <button className="active-session-revoke" onClick={() => handleDelete(token)}>
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="user-profile-actions">
+            <button className="btn-edit-profile" onClick={() => setIsCreating(true)} disabled={loading}>
+              New token
+            </button>
+            <button className="btn-cancel" onClick={onClose}>
+              Back
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default AccessTokens
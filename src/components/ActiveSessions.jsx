@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react'
+import { authAPI } from '../services/api'
+import { formatActivityTime } from '../utils/activityLog'
+
+/**
+ * ActiveSessions Component
+ * Lists the devices signed in to the current account and signs them out
+ *
+ * @param {Function} onClose - Callback to return to the profile menu
+ * @param {Function} onLogout - Callback when the current session is signed out
+ */
+const ActiveSessions = ({ onClose, onLogout }) => {
+  const [sessions, setSessions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  /**
+   * Loads the active sessions
+   */
+  const loadSessions = async () => {
+    try {
+      setSessions(await authAPI.getSessions())
+      setError(null)
+    } catch (err) {
+      console.error('Failed to load sessions:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadSessions()
+  }, [])
+
+  /**
+   * Signs out one session (signing out this one logs out)
+   */
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      onLogout()
+      return
+    }
+    try {
+      await authAPI.revokeSession(session.id)
+      setSessions(prev => prev.filter(s => s.id !== session.id))
+    } catch (err) {
+      console.error('Failed to revoke session:', err)
+      alert('Failed to sign out session: ' + err.message)
+    }
+  }
+
+  /**
+   * Signs out every other session
+   */
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out all other devices?')) return
+    try {
+      await authAPI.revokeOtherSessions()
+      setSessions(prev => prev.filter(s => s.current))
+    } catch (err) {
+      console.error('Failed to revoke sessions:', err)
+      alert('Failed to sign out other devices: ' + err.message)
+    }
+  }
+
+  return (
+    <div className="active-sessions">
+      <h4>Active sessions</h4>
+
+      {loading && <p className="active-sessions-empty">Loading...</p>}
+      {error && <p className="active-sessions-error">{error}</p>}
+
+      <ul className="active-sessions-list">
+        {sessions.map(session => (
+          <li key={session.id} className="active-session">
+            <div className="active-session-info">
+              <span className="active-session-device" title={session.userAgent || ''}>
+                {session.device}
+                {session.current && <span className="active-session-current">This device</span>}
+              </span>
+              <span className="active-session-meta">
+                {session.ip || 'Unknown IP'} · {session.current ? 'Active now' : `Last seen ${formatActivityTime(session.lastSeenAt)}`}
+              </span>
+            </div>
+            <button
+              className="active-session-revoke"
+              onClick={() => handleRevoke(session)}
+              title={session.current ? 'Log out' : 'Sign out this device'}
+            >
+              Sign out
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="user-profile-actions">
+        {sessions.some(s => !s.current) && (
+          <button className="btn-logout" onClick={handleRevokeOthers}>
+            Sign out all other devices
+          </button>
+        )}
+        <button className="btn-cancel" onClick={onClose}>
+          Back
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ActiveSessions
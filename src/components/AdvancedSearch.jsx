@@ -1,23 +1,43 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo } from 'react'
 import api from '../services/api'
 import {
   applyFilter,
   validateSavedFilter
 } from '../utils/advancedSearch'
+import { parseFilterQuery } from '../utils/filterQuery'
+import FilterQueryInput from './FilterQueryInput'
 import { CATEGORIES } from '../utils/categories'
+import { DEFAULT_VIEW_SETTINGS, getGroupByOptions, getFilterCriteria } from '../utils/boardViews'
 import { formatDateForInput } from '../utils/dateUtils'
 
 /**
  * AdvancedSearch Component
  * Advanced search with saved filters
+ * Filters can be kept to one board, shared with its members and pinned as board views.
  * 
  * @param {boolean} isOpen - Whether the modal is visible
  * @param {Function} onClose - Callback to close the modal
  * @param {Function} onApplyFilter - Callback when a filter is applied
  * @param {Array} tasks - Array of all tasks
  * @param {Array} users - Array of all users
+ * @param {string} currentUserId - User that "assignee:me" refers to
+ * @param {string} boardId - Board whose custom fields queries can use
+ * @param {Array} columns - Columns of the board, for status: values
+ * @param {boolean} canEdit - Whether the user may share filters with the board
+ * @param {Function} onFiltersChange - Called after filters are saved or deleted
  */
-const AdvancedSearch = ({ isOpen, onClose, onApplyFilter, tasks = [], users = [] }) => {
+const AdvancedSearch = ({
+  isOpen,
+  onClose,
+  onApplyFilter,
+  tasks = [],
+  users = [],
+  currentUserId,
+  boardId,
+  columns = [],
+  canEdit = false,
+  onFiltersChange
+}) => {
   const [savedFilters, setSavedFilters] = useState([])
   const [isEditing, setIsEditing] = useState(false)
   const [editingFilter, setEditingFilter] = useState(null)
@@ -36,25 +56,62 @@ const AdvancedSearch = ({ isOpen, onClose, onApplyFilter, tasks = [], users = []
     sortBy: 'priority',
     sortOrder: 'desc'
   })
+  const [query, setQuery] = useState('')
+  // Where the filter is available and, for views, how the board is laid out
+  const [viewOptions, setViewOptions] = useState({ onBoard: false, shared: false, pinned: false, ...DEFAULT_VIEW_SETTINGS })
+  const [customFields, setCustomFields] = useState([])
   const [errors, setErrors] = useState({})
   const [previewCount, setPreviewCount] = useState(0)
 
   // Load saved filters on mount
   useEffect(() => {
     if (isOpen) {
-      api.filters.getAll()
+      api.filters.getAll({ boardId })
         .then(filters => setSavedFilters(filters))
         .catch(err => console.error('Failed to load filters:', err))
     }
-  }, [isOpen])
+  }, [isOpen, boardId])
+
+  /**
+   * Reloads the filter list and lets the board refresh its views
+   */
+  const reloadFilters = async () => {
+    setSavedFilters(await api.filters.getAll({ boardId }))
+    if (onFiltersChange) onFiltersChange()
+  }
+
+  // Custom fields that cf.<name> in a query can refer to
+  useEffect(() => {
+    if (isOpen && boardId) {
+      api.customFields.getAll(boardId)
+        .then(fields => setCustomFields(fields))
+        .catch(err => console.error('Failed to load custom fields:', err))
+    }
+  }, [isOpen, boardId])
+
+  // Names the query resolves and autocompletes against
+  const queryContext = useMemo(() => ({
+    users,
+    columns,
+    customFields,
+    labels: [...new Set(tasks.flatMap(task => task.labels || []))].sort()
+  }), [users, columns, customFields, tasks])
+
+  const parsedQuery = useMemo(() => parseFilterQuery(query, queryContext), [query, queryContext])
+
+  // The form's criteria combined with the typed query (whose sort wins when it has one)
+  const currentFilter = useMemo(
+    () => ({ ...filterData, ...parsedQuery.filter }),
+    [filterData, parsedQuery]
+  )
 
   // Update preview count when filter changes
   useEffect(() => {
     if (isOpen) {
-      const filtered = applyFilter(tasks, filterData)
+      const filtered = applyFilter(tasks, currentFilter, { currentUserId })
       setPreviewCount(filtered.length)
     }
-  }, [filterData, tasks, isOpen])
+  }, [currentFilter, tasks, isOpen, currentUserId])
 
   // Handle form input changes
   const handleChange = (e) => {
@@ -88,26 +145,52 @@ const AdvancedSearch = ({ isOpen, onClose, onApplyFilter, tasks = [], users = []
       setErrors({ form: validation.errors.join(', ') })
       return
     }
+    if (parsedQuery.errors.length > 0) {
+      setErrors({ form: 'Fix the errors in the query before saving' })
+      return
+    }
 
     try {
+      const onBoard = Boolean(boardId) && viewOptions.onBoard
+      const saved = {
+        name: filterData.name,
+        description: filterData.description,
+        filterData: currentFilter,
+        query: parsedQuery.filter.query,
+        shared: onBoard && viewOptions.shared,
+        pinned: onBoard && viewOptions.pinned,
+        view: onBoard && viewOptions.pinned
+          ? { groupBy: viewOptions.groupBy, visibleColumns: viewOptions.visibleColumns }
+          : null
+      }
       if (editingFilter) {
-        await api.filters.update(editingFilter.id, { filterData })
+        await api.filters.update(editingFilter.id, saved)
       } else {
-        await api.filters.create({ name: filterData.name, description: filterData.description, filterData })
+        await api.filters.create({ ...saved, boardId: onBoard ? boardId : null })
       }
-      // Reload filters
-      const loadedFilters = await api.filters.getAll()
-      setSavedFilters(loadedFilters)
+      await reloadFilters()
       handleReset()
     } catch (error) {
       setErrors({ form: error.message || 'Failed to save filter' })
     }
   }
 
-  // Apply a saved filter
+  /**
+   * Criteria of a saved filter as returned by the API ({ name, filterData, query, ... })
+   * Saved queries are parsed again so they pick up renamed columns and custom fields.
+   */
+  const getSavedCriteria = (saved) => {
+    const criteria = getFilterCriteria(saved)
+    if (!saved.query) return criteria
+
+    const { filter, errors: queryErrors } = parseFilterQuery(saved.query, queryContext)
+    return queryErrors.length > 0 ? criteria : { ...criteria, ...filter }
+  }
+
+  // Apply a filter (the current criteria, or saved criteria)
   const handleApplyFilter = (filter) => {
     if (onApplyFilter) {
-      const filtered = applyFilter(tasks, filter)
+      const filtered = applyFilter(tasks, filter, { currentUserId })
       onApplyFilter(filter, filtered)
     }
     onClose()
@@ -118,8 +201,7 @@ const AdvancedSearch = ({ isOpen, onClose, onApplyFilter, tasks = [], users = []
     if (window.confirm('Are you sure you want to delete this saved filter?')) {
       try {
         await api.filters.delete(filterId)
-        const loadedFilters = await api.filters.getAll()
-        setSavedFilters(loadedFilters)
+        await reloadFilters()
       } catch (error) {
         alert('Failed to delete filter: ' + error.message)
       }
@@ -127,7 +209,8 @@ const AdvancedSearch = ({ isOpen, onClose, onApplyFilter, tasks = [], users = []
   }
 
   // Load a filter for editing
-  const handleEditFilter = (filter) => {
+  const handleEditFilter = (saved) => {
+    const filter = getFilterCriteria(saved)
     setFilterData({
       name: filter.name,
       description: filter.description || '',
@@ -143,7 +226,15 @@ const AdvancedSearch = ({ isOpen, onClose, onApplyFilter, tasks = [], users = []
       sortBy: filter.sortBy || 'priority',
       sortOrder: filter.sortOrder || 'desc'
     })
-    setEditingFilter(filter)
+    setQuery(saved.query || '')
+    setViewOptions({
+      onBoard: Boolean(saved.boardId),
+      shared: saved.shared,
+      pinned: saved.pinned,
+      ...DEFAULT_VIEW_SETTINGS,
+      ...saved.view
+    })
+    setEditingFilter(saved)
     setIsEditing(true)
   }
 
@@ -164,6 +255,8 @@ const AdvancedSearch = ({ isOpen, onClose, onApplyFilter, tasks = [], users = []
       sortBy: 'priority',
       sortOrder: 'desc'
     })
+    setQuery('')
+    setViewOptions({ onBoard: false, shared: false, pinned: false, ...DEFAULT_VIEW_SETTINGS })
     setEditingFilter(null)
     setIsEditing(false)
     setErrors({})
@@ -171,7 +264,11 @@ const AdvancedSearch = ({ isOpen, onClose, onApplyFilter, tasks = [], users = []
 
   // Apply current filter
   const handleApplyCurrentFilter = () => {
-    handleApplyFilter(filterData)
+    if (parsedQuery.errors.length > 0) {
+      setErrors({ form: 'Fix the errors in the query before applying it' })
+      return
+    }
+    handleApplyFilter(currentFilter)
   }
 
   if (!isOpen) return null
@@ -195,28 +292,38 @@ const AdvancedSearch = ({ isOpen, onClose, onApplyFilter, tasks = [], users = []
                 {savedFilters.map(filter => (
                   <div key={filter.id} className="filter-item">
                     <div className="filter-info">
-                      <h4>{filter.name}</h4>
+                      <h4>
+                        {filter.name}
+                        {filter.pinned && <span className="filter-badge">View</span>}
+                        {filter.shared && <span className="filter-badge">Shared</span>}
+                      </h4>
+                      {!filter.isMine && <p>By {filter.createdBy.name}</p>}
                       {filter.description && <p>{filter.description}</p>}
+                      {filter.query && <code className="filter-item-query">{filter.query}</code>}
                     </div>
                     <div className="filter-actions">
                       <button
                         className="btn-apply"
-                        onClick={() => handleApplyFilter(filter)}
+                        onClick={() => handleApplyFilter(getSavedCriteria(filter))}
                       >
                         Apply
                       </button>
-                      <button
-                        className="btn-edit-small"
-                        onClick={() => handleEditFilter(filter)}
-                      >
-                        Edit
-                      </button>
-                      <button
-                        className="btn-delete-small"
-                        onClick={() => handleDeleteFilter(filter.id)}
-                      >
-                        Delete
-                      </button>
+                      {filter.canEdit && (
+                        <>
+                          <button
+                            className="btn-edit-small"
+                            onClick={() => handleEditFilter(filter)}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            className="btn-delete-small"
+                            onClick={() => handleDeleteFilter(filter.id)}
+                          >
+                            Delete
+                          </button>
+                        </>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -253,6 +360,23 @@ const AdvancedSearch = ({ isOpen, onClose, onApplyFilter, tasks = [], users = []
                 />
               </div>
 
+              <div className="form-group">
+                <label>Query</label>
+                <FilterQueryInput
+                  value={query}
+                  onChange={(value) => {
+                    setQuery(value)
+                    if (errors.form) setErrors(prev => ({ ...prev, form: '' }))
+                  }}
+                  tokens={parsedQuery.tokens}
+                  errors={parsedQuery.errors}
+                  context={queryContext}
+                />
+                <small className="filter-query-help">
+                  field:value, -field:value to exclude, a,b for either; due:&lt;7d, cf.severity&gt;=3, sort:due
+                </small>
+              </div>
+
               <div className="form-group">
                 <label>Search Query</label>
                 <input
@@ -380,6 +504,81 @@ const AdvancedSearch = ({ isOpen, onClose, onApplyFilter, tasks = [], users = []
                 </div>
               </div>
 
+              {boardId && (
+                <div className="filter-view-options">
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={viewOptions.onBoard}
+                      disabled={Boolean(editingFilter)}
+                      onChange={(e) => setViewOptions(prev => ({
+                        ...prev,
+                        onBoard: e.target.checked,
+                        shared: e.target.checked && prev.shared,
+                        pinned: e.target.checked && prev.pinned
+                      }))}
+                    />
+                    Only on this board
+                  </label>
+                  <label className="checkbox-label" title={canEdit ? '' : 'Only editors can share filters'}>
+                    <input
+                      type="checkbox"
+                      checked={viewOptions.shared}
+                      disabled={!viewOptions.onBoard || !canEdit}
+                      onChange={(e) => setViewOptions(prev => ({ ...prev, shared: e.target.checked }))}
+                    />
+                    Share with everyone on this board
+                  </label>
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={viewOptions.pinned}
+                      disabled={!viewOptions.onBoard}
+                      onChange={(e) => setViewOptions(prev => ({ ...prev, pinned: e.target.checked }))}
+                    />
+                    Pin as a view in the board header
+                  </label>
+
+                  {viewOptions.pinned && (
+                    <div className="form-row">
+                      <div className="form-group">
+                        <label>Group By</label>
+                        <select
+                          value={viewOptions.groupBy}
+                          onChange={(e) => setViewOptions(prev => ({ ...prev, groupBy: e.target.value }))}
+                        >
+                          {getGroupByOptions(customFields).map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </select>
+                      </div>
+
+                      <div className="form-group">
+                        <label>Visible Columns</label>
+                        <div className="filter-view-columns">
+                          {columns.map(column => (
+                            <label key={column.id} className="checkbox-label">
+                              <input
+                                type="checkbox"
+                                checked={!viewOptions.visibleColumns || viewOptions.visibleColumns.includes(column.id)}
+                                onChange={(e) => setViewOptions(prev => {
+                                  const shown = prev.visibleColumns || columns.map(c => c.id)
+                                  const next = e.target.checked
+                                    ? columns.map(c => c.id).filter(id => id === column.id || shown.includes(id))
+                                    : shown.filter(id => id !== column.id)
+                                  return { ...prev, visibleColumns: next.length === columns.length ? null : next }
+                                })}
+                              />
+                              {column.title}
+                            </label>
+                          ))}
+                        </div>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+
               <div className="filter-preview">
                 <strong>Preview: {previewCount} tasks match this filter</strong>
               </div>
@@ -1,4 +1,5 @@
-import React, { useMemo } from 'react'
+import React, { useMemo, useState, useEffect } from 'react'
+import api from '../services/api'
 import { formatTime, calculateTimeProgress, getTimeTrackingStatus } from '../utils/timeTracking'
 import { isOverdue, isDueSoon, isToday } from '../utils/dateUtils'
 import { getCategoryById } from '../utils/categories'
@@ -9,8 +10,30 @@ import { getCategoryById } from '../utils/categories'
  * 
  * @param {Array} tasks - Array of all tasks
  * @param {Array} boards - Array of all boards
+ * @param {string} boardId - Board whose archived tasks can be included on request
  */
-const AnalyticsDashboard = ({ tasks = [], boards = [] }) => {
+const AnalyticsDashboard = ({ tasks: boardTasks = [], boards = [], boardId = null }) => {
+  // Archived tasks are left out unless the user asks for them
+  const [includeArchived, setIncludeArchived] = useState(false)
+  const [archivedTasks, setArchivedTasks] = useState([])
+
+  useEffect(() => {
+    if (!includeArchived || !boardId) {
+      setArchivedTasks([])
+      return
+    }
+
+    let cancelled = false
+    api.tasks.getByBoard(boardId, { archived: 'only' })
+      .then(result => { if (!cancelled) setArchivedTasks(result) })
+      .catch(err => console.error('Failed to load archived tasks:', err))
+    return () => { cancelled = true }
+  }, [includeArchived, boardId])
+
+  const tasks = useMemo(() => (
+    includeArchived ? [...boardTasks, ...archivedTasks] : boardTasks
+  ), [boardTasks, archivedTasks, includeArchived])
+
   // Calculate task statistics
   const taskStats = useMemo(() => {
     const total = tasks.length
@@ -129,6 +152,17 @@ const AnalyticsDashboard = ({ tasks = [], boards = [] }) => {
   return (
     <div className="analytics-dashboard">
       <h2 className="analytics-title">Analytics Dashboard</h2>
+      {boardId && (
+        <label className="analytics-options">
+          <input
+            type="checkbox"
+            checked={includeArchived}
+            onChange={(e) => setIncludeArchived(e.target.checked)}
+          />
+          Include archived tasks
+          {includeArchived && ` (${archivedTasks.length})`}
+        </label>
+      )}
       
       {/* Overview Cards */}
       <div className="analytics-overview">
@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react'
+import api from '../services/api'
+import { formatActivityTime } from '../utils/activityLog'
+
+// Default age for "archive done tasks older than N days"
+const DEFAULT_ARCHIVE_AGE_DAYS = 14
+
+/**
+ * ArchivePanel Component
+ * Searches archived boards and tasks, brings them back, and archives a board's finished tasks in bulk
+ *
+ * @param {boolean} isOpen - Whether the panel is visible
+ * @param {Function} onClose - Callback to close the panel
+ * @param {Object} currentBoard - Board the bulk archive applies to
+ * @param {boolean} canEdit - Whether the user may edit the current board
+ * @param {Function} onBoardUnarchived - Called with the unarchived board
+ * @param {Function} onTaskRestored - Called with the restored task
+ * @param {Function} onTasksArchived - Called with the IDs of tasks archived in bulk
+ */
+const ArchivePanel = ({
+  isOpen,
+  onClose,
+  currentBoard,
+  canEdit,
+  onBoardUnarchived,
+  onTaskRestored,
+  onTasksArchived
+}) => {
+  const [query, setQuery] = useState('')
+  const [currentBoardOnly, setCurrentBoardOnly] = useState(false)
+  const [archive, setArchive] = useState({ boards: [], tasks: [], hasMore: false })
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [message, setMessage] = useState(null)
+  const [olderThanDays, setOlderThanDays] = useState(DEFAULT_ARCHIVE_AGE_DAYS)
+  const [archiveStatus, setArchiveStatus] = useState('')
+
+  const boardId = currentBoardOnly ? currentBoard?.id : null
+
+  // Search as the user types (debounced)
+  useEffect(() => {
+    if (!isOpen) return
+    const timer = setTimeout(() => loadArchive(), 300)
+    return () => clearTimeout(timer)
+  }, [isOpen, query, boardId])
+
+  useEffect(() => {
+    if (!isOpen) setMessage(null)
+  }, [isOpen])
+
+  /**
+   * Loads the first page of results, or appends the next one
+   * @param {boolean} more - Whether to load the next page of tasks
+   */
+  const loadArchive = async (more = false) => {
+    setLoading(true)
+    setError(null)
+    try {
+      const result = await api.archive.search({
+        q: query.trim(),
+        boardId,
+        offset: more ? archive.tasks.length : 0
+      })
+      setArchive(prev => more
+        ? { ...result, boards: prev.boards, tasks: [...prev.tasks, ...result.tasks] }
+        : result)
+    } catch (err) {
+      setError('Failed to load archive: ' + err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleUnarchiveBoard = async (board) => {
+    setError(null)
+    try {
+      const saved = await api.boards.update(board.id, { archived: false })
+      setArchive(prev => ({ ...prev, boards: prev.boards.filter(b => b.id !== board.id) }))
+      if (onBoardUnarchived) onBoardUnarchived(saved)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleRestoreTask = async (task) => {
+    setError(null)
+    try {
+      const restored = await api.archive.restoreTask(task.id)
+      setArchive(prev => ({ ...prev, tasks: prev.tasks.filter(t => t.id !== task.id) }))
+      if (onTaskRestored) onTaskRestored(restored)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleArchiveDone = async (e) => {
+    e.preventDefault()
+    if (!currentBoard) return
+
+    setError(null)
+    setMessage(null)
+    try {
+      const { archived, taskIds } = await api.archive.archiveDoneTasks(currentBoard.id, {
+        olderThanDays: parseInt(olderThanDays, 10) || 0,
+        status: archiveStatus || undefined
+      })
+      setMessage(archived > 0
+        ? `Archived ${archived} task${archived !== 1 ? 's' : ''} from "${currentBoard.name}".`
+        : 'No finished tasks are that old.')
+      if (archived > 0) {
+        if (onTasksArchived) onTasksArchived(taskIds)
+        loadArchive()
+      }
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  /**
+   * "Archived by Alice 2 days ago"
+   */
+  const describeArchival = (item) => {
+    if (!item.archivedAt) return 'Archived'
+    const archivedAt = formatActivityTime(`${item.archivedAt.replace(' ', 'T')}Z`)
+    return item.archivedBy ? `Archived by ${item.archivedBy.name} ${archivedAt}` : `Archived ${archivedAt}`
+  }
+
+  if (!isOpen) return null
+
+  const isEmpty = archive.boards.length === 0 && archive.tasks.length === 0
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content archive-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Archive</h2>
+          <button className="btn-close" onClick={onClose} aria-label="Close modal">
+            ×
+          </button>
+        </div>
+
+        <div className="archive-content">
+          {canEdit && currentBoard && (
+            <form className="archive-bulk" onSubmit={handleArchiveDone}>
+              <span>Archive tasks in</span>
+              <select value={archiveStatus} onChange={(e) => setArchiveStatus(e.target.value)}>
+                <option value="">done columns</option>
+                {(currentBoard.columns || []).map(column => (
+                  <option key={column.id} value={column.id}>{column.title}</option>
+                ))}
+              </select>
+              <span>untouched for</span>
+              <input
+                type="number"
+                min="0"
+                value={olderThanDays}
+                onChange={(e) => setOlderThanDays(e.target.value)}
+                aria-label="Days"
+              />
+              <span>days</span>
+              <button type="submit" className="btn-edit-small">Archive</button>
+            </form>
+          )}
+
+          <div className="archive-search">
+            <input
+              type="text"
+              placeholder="Search archived boards and tasks..."
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              autoFocus
+            />
+            {currentBoard && (
+              <label>
+                <input
+                  type="checkbox"
+                  checked={currentBoardOnly}
+                  onChange={(e) => setCurrentBoardOnly(e.target.checked)}
+                />
+                This board only
+              </label>
+            )}
+          </div>
+
+          {message && <div className="archive-message">{message}</div>}
+          {error && <div className="archive-error">{error}</div>}
+
+          {loading && isEmpty ? (
+            <div className="archive-empty">Loading...</div>
+          ) : isEmpty ? (
+            <div className="archive-empty">
+              <p>{query ? 'Nothing in the archive matches your search' : 'The archive is empty'}</p>
+            </div>
+          ) : (
+            <>
+              {archive.boards.length > 0 && (
+                <div className="archive-section">
+                  <h3>Boards</h3>
+                  {archive.boards.map(board => (
+                    <div key={board.id} className="archive-item">
+                      <div className="archive-item-info">
+                        <div className="archive-item-title">
+                          {board.name}
+                          <span className="archive-item-meta"> · {board.taskCount} task{board.taskCount !== 1 ? 's' : ''}</span>
+                        </div>
+                        <div className="archive-item-meta">{describeArchival(board)}</div>
+                      </div>
+                      {board.isOwner && (
+                        <div className="archive-item-actions">
+                          <button className="btn-edit-small" onClick={() => handleUnarchiveBoard(board)}>
+                            Unarchive
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {archive.tasks.length > 0 && (
+                <div className="archive-section">
+                  <h3>Tasks</h3>
+                  {archive.tasks.map(task => (
+                    <div key={task.id} className="archive-item">
+                      <div className="archive-item-info">
+                        <div className="archive-item-title">
+                          {task.title}
+                          <span className="archive-item-meta"> · {task.boardName}</span>
+                        </div>
+                        <div className="archive-item-meta">{describeArchival(task)}</div>
+                      </div>
+                      <div className="archive-item-actions">
+                        <button className="btn-edit-small" onClick={() => handleRestoreTask(task)}>
+                          Restore
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                  {archive.hasMore && (
+                    <button className="archive-more" onClick={() => loadArchive(true)} disabled={loading}>
+                      {loading ? 'Loading...' : 'Load more'}
+                    </button>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ArchivePanel
@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react'
+import api from '../services/api'
+
+/**
+ * AttachmentThumbnail Component
+ * Small preview of an image attachment
+ * Files need the auth header, so the image is fetched as a blob and shown from an object URL
+ *
+ * @param {string} taskId - Task the attachment belongs to
+ * @param {Object} attachment - Attachment with id and filename
+ * @param {number} size - Thumbnail size in pixels (default: 48)
+ * @param {Function} onClick - Optional click handler
+ */
+const AttachmentThumbnail = ({ taskId, attachment, size = 48, onClick }) => {
+  const [src, setSrc] = useState(null)
+  const [failed, setFailed] = useState(false)
+
+  useEffect(() => {
+    let objectUrl = null
+    let cancelled = false
+
+    api.attachments.getBlob(taskId, attachment.id)
+      .then(blob => {
+        if (cancelled) return
+        objectUrl = URL.createObjectURL(blob)
+        setSrc(objectUrl)
+      })
+      .catch(() => {
+        if (!cancelled) setFailed(true)
+      })
+
+    // Release the object URL when the thumbnail goes away
+    return () => {
+      cancelled = true
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [taskId, attachment.id])
+
+  const style = { width: `${size}px`, height: `${size}px` }
+
+  if (!src) {
+    return (
+      <span className="attachment-thumbnail placeholder" style={style} title={attachment.filename}>
+        {failed ? '🖼️' : ''}
+      </span>
+    )
+  }
+
+  return (
+    <img
+      className="attachment-thumbnail"
+      style={style}
+      src={src}
+      alt={attachment.filename}
+      title={attachment.filename}
+      onClick={onClick}
+    />
+  )
+}
+
+export default AttachmentThumbnail
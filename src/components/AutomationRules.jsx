@@ -38,10 +38,12 @@ const AutomationRules = ({ isOpen, onClose, boardId, users = [] }) => {
   // Trigger options
   const triggers = [
     { value: 'task-created', label: 'Task Created' },
+    { value: 'task-updated', label: 'Task Updated' },
     { value: 'task-moved', label: 'Task Moved' },
     { value: 'task-completed', label: 'Task Completed' },
     { value: 'task-overdue', label: 'Task Overdue' },
-    { value: 'task-assigned', label: 'Task Assigned' }
+    { value: 'task-assigned', label: 'Task Assigned' },
+    { value: 'task-deleted', label: 'Task Deleted' }
   ]
 
   // Condition field options
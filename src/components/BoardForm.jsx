@@ -184,7 +184,7 @@ const BoardForm = ({ isOpen, onClose, onSubmit }) => {
                   <div className="template-columns">
                     {templates.find(t => t.id === selectedTemplate)?.columns.map(col => (
                       <span key={col.id} className="template-column-badge">
-                        {col.title} {col.wipLimit && `(WIP: ${col.wipLimit})`}
+                        {col.title} {col.wipLimit && `(WIP: ${col.wipLimit}${col.wipMode === 'hard' ? ', hard' : ''})`}
                       </span>
                     ))}
                   </div>
@@ -213,6 +213,17 @@ const BoardForm = ({ isOpen, onClose, onSubmit }) => {
                     min="1"
                     className="wip-limit-input"
                   />
+                  {column.wipLimit && (
+                    <select
+                      value={column.wipMode || 'soft'}
+                      onChange={(e) => handleUpdateColumn(index, 'wipMode', e.target.value)}
+                      className="wip-mode-select"
+                      aria-label="WIP limit mode"
+                    >
+                      <option value="soft">Warn</option>
+                      <option value="hard">Block</option>
+                    </select>
+                  )}
                   {customColumns.length > 2 && (
                     <button
                       type="button"
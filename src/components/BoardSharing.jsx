@@ -58,6 +58,21 @@ const BoardSharing = ({ isOpen, onClose, board, currentUser, onShare, users = []
     }
   }
 
+  /**
+   * Turns the board's two-factor requirement on or off
+   * The server refuses to turn it on while someone on the board has no 2FA.
+   */
+  const handleRequireTwoFactor = async (requireTwoFactor) => {
+    try {
+      await api.boards.update(board.id, { requireTwoFactor })
+      const updatedBoard = await api.boards.getById(board.id)
+      if (onShare) onShare(updatedBoard)
+      setError('')
+    } catch (err) {
+      setError(err.message || 'Failed to update two-factor requirement')
+    }
+  }
+
   /**
    * Handles removing shared user
    * Phase 8: Use API
@@ -142,6 +157,18 @@ const BoardSharing = ({ isOpen, onClose, board, currentUser, onShare, users = []
             {error && <div className="share-error">{error}</div>}
           </div>
 
+          {/* Two-factor requirement */}
+          <div className="share-section">
+            <label className="share-two-factor">
+              <input
+                type="checkbox"
+                checked={Boolean(board.require_two_factor)}
+                onChange={(e) => handleRequireTwoFactor(e.target.checked)}
+              />
+              Require two-factor authentication for everyone on this board
+            </label>
+          </div>
+
           {/* Shared users list */}
           <div className="shared-users-section">
             <h3>Shared With</h3>
@@ -168,7 +195,12 @@ const BoardSharing = ({ isOpen, onClose, board, currentUser, onShare, users = []
                     <div key={userId} className="shared-user-item">
                       <UserAvatar user={user} size={32} />
                       <div className="shared-user-info">
-                        <div className="shared-user-name">{user.name}</div>
+                        <div className="shared-user-name">
+                          {user.name}
+                          {Boolean(sharedUser.two_factor_enabled) && (
+                            <span className="two-factor-badge" title="Uses two-factor authentication">2FA</span>
+                          )}
+                        </div>
                         <div className="shared-user-email">{user.email}</div>
                       </div>
                       <select
@@ -10,6 +10,7 @@ import React, { useState } from 'react'
  * @param {Function} onCreateBoard - Callback to create a new board
  * @param {Function} onArchiveBoard - Callback to archive/unarchive a board
  * @param {Function} onDeleteBoard - Callback to delete a board
+ * @param {Function} onOpenArchive - Callback to open the archive panel
  */
 const BoardSwitcher = ({
   boards,
@@ -17,7 +18,8 @@ const BoardSwitcher = ({
   onBoardChange,
   onCreateBoard,
   onArchiveBoard,
-  onDeleteBoard
+  onDeleteBoard,
+  onOpenArchive
 }) => {
   const [isOpen, setIsOpen] = useState(false)
   
@@ -91,7 +93,7 @@ const BoardSwitcher = ({
                           className="board-switcher-action"
                           onClick={(e) => {
                             e.stopPropagation()
-                            if (window.confirm(`Delete board "${board.name}"? This cannot be undone.`)) {
+                            if (window.confirm(`Move board "${board.name}" to the trash?`)) {
                               onDeleteBoard(board.id)
                             }
                           }}
@@ -137,7 +139,7 @@ const BoardSwitcher = ({
                         className="board-switcher-action"
                         onClick={(e) => {
                           e.stopPropagation()
-                          if (window.confirm(`Permanently delete board "${board.name}"? This cannot be undone.`)) {
+                          if (window.confirm(`Move board "${board.name}" to the trash?`)) {
                             onDeleteBoard(board.id)
                           }
                         }}
@@ -151,6 +153,19 @@ const BoardSwitcher = ({
                 ))}
               </div>
             )}
+
+            {/* Archived tasks and board search live in the archive panel */}
+            {onOpenArchive && (
+              <button
+                className="board-switcher-archive"
+                onClick={() => {
+                  onOpenArchive()
+                  setIsOpen(false)
+                }}
+              >
+                📦 Browse Archive
+              </button>
+            )}
           </div>
         </>
       )}
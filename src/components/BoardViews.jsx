@@ -0,0 +1,57 @@
+import React from 'react'
+
+/**
+ * BoardViews Component
+ * Tabs for the views pinned to the board (saved filters with a layout), plus the
+ * filter applied from Advanced Search when no view is selected
+ *
+ * @param {Array} views - Pinned views of the board
+ * @param {string} activeViewId - Selected view, or null for all tasks
+ * @param {Object} activeFilter - Filter currently applied to the board, if any
+ * @param {Function} onSelectView - Called with the chosen view, or null for all tasks
+ * @param {Function} onManageViews - Opens Advanced Search to create or edit views
+ */
+const BoardViews = ({ views = [], activeViewId, activeFilter, onSelectView, onManageViews }) => {
+  const isFiltered = Boolean(activeFilter) && !activeViewId
+
+  return (
+    <div className="board-views" role="tablist" aria-label="Board views">
+      <button
+        className={`board-view-tab ${!activeViewId && !isFiltered ? 'active' : ''}`}
+        role="tab"
+        aria-selected={!activeViewId && !isFiltered}
+        onClick={() => onSelectView(null)}
+      >
+        All tasks
+      </button>
+
+      {views.map(view => (
+        <button
+          key={view.id}
+          className={`board-view-tab ${view.id === activeViewId ? 'active' : ''}`}
+          role="tab"
+          aria-selected={view.id === activeViewId}
+          onClick={() => onSelectView(view)}
+          title={[view.description, view.query, view.shared ? 'Shared with the board' : 'Only you see this view']
+            .filter(Boolean).join('\n')}
+        >
+          {view.name}
+          {!view.shared && <span className="board-view-private" aria-label="Personal view"> 🔒</span>}
+        </button>
+      ))}
+
+      {isFiltered && (
+        <span className="board-view-filter">
+          🔍 {activeFilter.name || 'Filtered'}
+          <button onClick={() => onSelectView(null)} aria-label="Clear filter" title="Clear filter">×</button>
+        </span>
+      )}
+
+      <button className="board-view-add" onClick={onManageViews} title="Create or edit views">
+        + View
+      </button>
+    </div>
+  )
+}
+
+export default BoardViews
@@ -6,6 +6,7 @@ import React from 'react'
  * 
  * @param {Array} selectedTasks - Array of selected task IDs
  * @param {Function} onBulkDelete - Callback to delete selected tasks
+ * @param {Function} onBulkArchive - Callback to archive selected tasks
  * @param {Function} onBulkMove - Callback to move selected tasks to a column
  * @param {Function} onBulkPriority - Callback to change priority of selected tasks
  * @param {Function} onBulkCategory - Callback to change category of selected tasks
@@ -15,6 +16,7 @@ import React from 'react'
 const BulkActions = ({
   selectedTasks,
   onBulkDelete,
+  onBulkArchive,
   onBulkMove,
   onBulkPriority,
   onBulkCategory,
@@ -38,8 +40,13 @@ const BulkActions = ({
     onClearSelection()
   }
 
+  const handleBulkArchive = () => {
+    onBulkArchive(selectedTasks)
+    onClearSelection()
+  }
+
   const handleBulkDelete = () => {
-    if (window.confirm(`Delete ${selectedTasks.length} task(s)?`)) {
+    if (window.confirm(`Move ${selectedTasks.length} task(s) to the trash?`)) {
       onBulkDelete(selectedTasks)
       onClearSelection()
     }
@@ -109,6 +116,17 @@ const BulkActions = ({
           </select>
         </div>
 
+        {/* Archive */}
+        {onBulkArchive && (
+          <button
+            className="btn-bulk-archive"
+            onClick={handleBulkArchive}
+            aria-label="Archive selected tasks"
+          >
+            📦 Archive Selected
+          </button>
+        )}
+
         {/* Delete */}
         <button
           className="btn-bulk-delete"
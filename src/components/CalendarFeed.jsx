@@ -0,0 +1,155 @@
+import React, { useState } from 'react'
+import api from '../services/api'
+
+/**
+ * CalendarFeed Component
+ * Gives the user a private .ics subscription link for calendar apps,
+ * optionally narrowed to a board, their own tasks or a saved filter
+ *
+ * @param {Array} boards - Boards the user can pick from
+ */
+const CalendarFeed = ({ boards = [] }) => {
+  const [feed, setFeed] = useState(null)
+  const [savedFilters, setSavedFilters] = useState([])
+  const [options, setOptions] = useState({ boardId: '', filterId: '', assignedToMe: false, type: 'event' })
+  const [copied, setCopied] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  /**
+   * Runs a feed request, showing failures inline
+   */
+  const runRequest = async (request) => {
+    setLoading(true)
+    setError(null)
+    try {
+      await request()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleGetLink = () => runRequest(async () => {
+    setFeed(await api.calendar.getFeed())
+    setSavedFilters(await api.filters.getAll())
+  })
+
+  const handleReset = () => {
+    if (!window.confirm('Reset the link? Calendars subscribed to the old link will stop updating.')) return
+    runRequest(async () => {
+      setFeed(await api.calendar.resetFeed())
+      setCopied(false)
+    })
+  }
+
+  const handleDisable = () => {
+    if (!window.confirm('Turn off the calendar feed? Subscribed calendars will stop updating.')) return
+    runRequest(async () => {
+      await api.calendar.disableFeed()
+      setFeed(null)
+      setCopied(false)
+    })
+  }
+
+  const handleOptionChange = (name, value) => {
+    setOptions(prev => ({ ...prev, [name]: value }))
+    setCopied(false)
+  }
+
+  // Feed URL with the chosen filters as query parameters
+  const feedUrl = (() => {
+    if (!feed) return ''
+    const params = new URLSearchParams()
+    if (options.boardId) params.set('boardId', options.boardId)
+    if (options.filterId) params.set('filterId', options.filterId)
+    if (options.assignedToMe) params.set('assignee', 'me')
+    if (options.type === 'todo') params.set('type', 'todo')
+    const query = params.toString()
+    return query ? `${feed.url}?${query}` : feed.url
+  })()
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl)
+      setCopied(true)
+    } catch (err) {
+      setError('Could not copy the link; select it and copy it manually')
+    }
+  }
+
+  return (
+    <div className="calendar-feed">
+      {error && <div className="import-error">⚠️ {error}</div>}
+
+      {!feed ? (
+        <button className="btn-export" onClick={handleGetLink} disabled={loading}>
+          🔗 Get Subscription Link
+        </button>
+      ) : (
+        <>
+          <div className="calendar-feed-options">
+            <select
+              value={options.boardId}
+              onChange={(e) => handleOptionChange('boardId', e.target.value)}
+              aria-label="Board"
+            >
+              <option value="">All boards</option>
+              {boards.map(board => (
+                <option key={board.id} value={board.id}>{board.name}</option>
+              ))}
+            </select>
+            <select
+              value={options.filterId}
+              onChange={(e) => handleOptionChange('filterId', e.target.value)}
+              aria-label="Saved filter"
+            >
+              <option value="">No saved filter</option>
+              {savedFilters.map(filter => (
+                <option key={filter.id} value={filter.id}>{filter.name}</option>
+              ))}
+            </select>
+            <select
+              value={options.type}
+              onChange={(e) => handleOptionChange('type', e.target.value)}
+              aria-label="Entry type"
+            >
+              <option value="event">As events</option>
+              <option value="todo">As to-dos</option>
+            </select>
+            <label>
+              <input
+                type="checkbox"
+                checked={options.assignedToMe}
+                onChange={(e) => handleOptionChange('assignedToMe', e.target.checked)}
+              />
+              Only tasks assigned to me
+            </label>
+          </div>
+
+          <div className="calendar-feed-link">
+            <input type="text" value={feedUrl} readOnly onFocus={(e) => e.target.select()} aria-label="Feed URL" />
+            <button className="btn-export" onClick={handleCopy}>
+              {copied ? '✓ Copied' : 'Copy'}
+            </button>
+          </div>
+
+          <p className="calendar-feed-note">
+            Anyone with this link can see these due dates. Reset it if it has been shared by mistake.
+          </p>
+          <div className="calendar-feed-actions">
+            <button className="btn-edit-small" onClick={handleReset} disabled={loading}>
+              Reset Link
+            </button>
+            <button className="btn-delete-small" onClick={handleDisable} disabled={loading}>
+              Turn Off
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default CalendarFeed
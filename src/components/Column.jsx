@@ -3,6 +3,38 @@ import { Droppable, Draggable } from '@hello-pangea/dnd'
 import Task from './Task'
 import { checkWipLimit } from '../utils/boardUtils'
 
+/**
+ * Column title with its task count and WIP limit
+ * Also used on its own above swimlanes, where the counts cover every lane.
+ *
+ * @param {string} title - Display title of the column
+ * @param {number|null} wipLimit - Optional WIP limit for the column
+ * @param {string} wipMode - 'soft' or 'hard'
+ * @param {Object} wipStatus - Result of checkWipLimit for the column's tasks
+ * @param {number} count - Number of tasks in the column
+ */
+export const ColumnHeader = ({ title, wipLimit, wipMode = 'soft', wipStatus, count }) => {
+  const isWipLimited = wipLimit !== null && wipLimit !== undefined
+
+  return (
+    <div className="column-header">
+      <h2 className="column-title">{title}</h2>
+      <div className="column-count-container">
+        {isWipLimited ? (
+          <span
+            className={`column-count ${wipStatus.isAtLimit ? 'wip-limit-exceeded' : ''}`}
+            title={wipMode === 'hard' ? 'Hard WIP limit: moves past it are blocked' : 'WIP limit'}
+          >
+            {wipMode === 'hard' && '🔒 '}{count}/{wipLimit}
+          </span>
+        ) : (
+          <span className="column-count">{count}</span>
+        )}
+      </div>
+    </div>
+  )
+}
+
 /**
  * Column Component
  * Represents a single column in the Kanban board
@@ -12,37 +44,34 @@ import { checkWipLimit } from '../utils/boardUtils'
  * @param {string} columnId - Unique identifier for the column
  * @param {string} title - Display title of the column
  * @param {number|null} wipLimit - Optional WIP limit for the column
+ * @param {string} wipMode - 'soft' (warn only) or 'hard' (server blocks moves past the limit)
  * @param {Array} tasks - Array of tasks belonging to this column
  * @param {Function} onEdit - Callback function to handle task editing
  * @param {Function} onDelete - Callback function to handle task deletion
  * @param {Array} selectedTasks - Array of selected task IDs for bulk operations
  * @param {Function} onToggleTaskSelect - Callback to toggle task selection
  * @param {Array} users - Array of all users (for displaying assigned users)
+ * @param {Array} liveUpdatedTaskIds - IDs of tasks just changed by other users (highlighted)
+ * @param {string} droppableId - Drop zone ID when it differs from the column ID (swimlane cells)
+ * @param {boolean} showHeader - Whether to show the header and WIP warning (off inside swimlanes)
  */
-const Column = ({ columnId, title, wipLimit, tasks, onEdit, onDelete, selectedTasks = [], onToggleTaskSelect, users = [] }) => {
+const Column = ({
+  columnId, title, wipLimit, wipMode = 'soft', tasks, onEdit, onDelete, selectedTasks = [], onToggleTaskSelect, users = [], liveUpdatedTaskIds = [],
+  droppableId = columnId, showHeader = true
+}) => {
   // Check WIP limit status
   const columnObj = { wipLimit }
   const wipStatus = checkWipLimit(columnObj, tasks)
-  const isWipLimited = wipLimit !== null && wipLimit !== undefined
 
   return (
-    <div className={`column ${wipStatus.isAtLimit ? 'wip-limit-reached' : ''}`}>
+    <div className={`column ${showHeader ? '' : 'column-lane-cell'} ${showHeader && wipStatus.isAtLimit ? 'wip-limit-reached' : ''}`}>
       {/* Column header with title, task count, and WIP limit */}
-      <div className="column-header">
-        <h2 className="column-title">{title}</h2>
-        <div className="column-count-container">
-          {isWipLimited ? (
-            <span className={`column-count ${wipStatus.isAtLimit ? 'wip-limit-exceeded' : ''}`}>
-              {tasks.length}/{wipLimit}
-            </span>
-          ) : (
-            <span className="column-count">{tasks.length}</span>
-          )}
-        </div>
-      </div>
+      {showHeader && (
+        <ColumnHeader title={title} wipLimit={wipLimit} wipMode={wipMode} wipStatus={wipStatus} count={tasks.length} />
+      )}
       
       {/* WIP limit warning */}
-      {wipStatus.isAtLimit && (
+      {showHeader && wipStatus.isAtLimit && (
         <div className="wip-limit-warning">
           ⚠️ {wipStatus.message}
         </div>
@@ -50,7 +79,7 @@ const Column = ({ columnId, title, wipLimit, tasks, onEdit, onDelete, selectedTa
       
       {/* Droppable area for drag-and-drop */}
       {/* Droppable is a component from react-beautiful-dnd that creates a drop zone */}
-      <Droppable droppableId={columnId}>
+      <Droppable droppableId={droppableId}>
         {(provided, snapshot) => (
           <div
             // ref is required by react-beautiful-dnd to identify the droppable element
@@ -69,6 +98,7 @@ const Column = ({ columnId, title, wipLimit, tasks, onEdit, onDelete, selectedTa
                     ref={provided.innerRef}
                     {...provided.draggableProps}
                     {...provided.dragHandleProps}
+                    className={liveUpdatedTaskIds.includes(task.id) ? 'task-live-updated' : ''}
                     style={{
                       ...provided.draggableProps.style,
                       opacity: snapshot.isDragging ? 0.8 : 1
@@ -91,7 +121,7 @@ const Column = ({ columnId, title, wipLimit, tasks, onEdit, onDelete, selectedTa
             {provided.placeholder}
             
             {/* Empty state message when column has no tasks */}
-            {tasks.length === 0 && (
+            {tasks.length === 0 && showHeader && (
               <div className="empty-column">
                 <p>No tasks in this column</p>
               </div>
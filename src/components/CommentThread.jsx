@@ -0,0 +1,325 @@
+import React, { useState, useMemo } from 'react'
+import api from '../services/api'
+import UserAvatar from './UserAvatar'
+import { parseMarkdown, highlightMentions } from '../utils/markdown'
+import { formatActivityTime } from '../utils/activityLog'
+import {
+  buildCommentTree, upsertComment, applyCommentDeletion, getMentionQuery, getMentionHandle
+} from '../utils/comments'
+
+/**
+ * CommentInput Component
+ * Textarea with @mention suggestions for board members
+ *
+ * @param {string} value - Current text
+ * @param {Function} onChange - Callback with the new text
+ * @param {Function} onSubmit - Callback when the user submits the text
+ * @param {Function} onCancel - Optional callback to close the input (replies and edits)
+ * @param {Array} users - Users that can be mentioned
+ * @param {string} submitLabel - Label of the submit button
+ * @param {string} placeholder - Textarea placeholder
+ * @param {boolean} disabled - Whether submitting is in progress
+ */
+const CommentInput = ({ value, onChange, onSubmit, onCancel, users = [], submitLabel, placeholder, disabled }) => {
+  const mentionQuery = getMentionQuery(value)
+
+  // Up to five users whose handle or name starts with what's typed after "@"
+  const suggestions = mentionQuery === null ? [] : users
+    .filter(user => {
+      const query = mentionQuery.toLowerCase()
+      return getMentionHandle(user).toLowerCase().startsWith(query) ||
+        (user.name || '').toLowerCase().startsWith(query)
+    })
+    .slice(0, 5)
+
+  const insertMention = (user) => {
+    onChange(value.replace(/@([\w.+-]*)$/, `@${getMentionHandle(user)} `))
+  }
+
+  const handleKeyDown = (e) => {
+    // Ctrl/Cmd+Enter submits
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && value.trim()) {
+      e.preventDefault()
+      onSubmit()
+    }
+  }
+
+  return (
+    <div className="add-comment">
+      <textarea
+        className="comment-input"
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        rows="2"
+        maxLength={5000}
+      />
+      {suggestions.length > 0 && (
+        <ul className="mention-suggestions" role="listbox" aria-label="Mention a user">
+          {suggestions.map(user => (
+            <li key={user.id}>
+              <button type="button" onClick={() => insertMention(user)}>
+                <strong>{user.name}</strong> @{getMentionHandle(user)}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="comment-input-actions">
+        <button
+          type="button"
+          className="btn-add-comment"
+          onClick={onSubmit}
+          disabled={disabled || !value.trim()}
+        >
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" className="btn-comment-action" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * CommentThread Component
+ * Threaded discussion on a task: replies, markdown, @mentions, and edit/delete for authors
+ * Comments are owned by the parent (they arrive with the task and through live updates)
+ *
+ * @param {string} taskId - Task the comments belong to
+ * @param {Array} comments - Flat list of the task's comments
+ * @param {Function} onCommentsChange - Callback (taskId, updater) to apply a change to the list
+ * @param {Object} currentUser - Logged in user (authors can edit and delete their comments)
+ * @param {Array} users - Users that can be mentioned
+ * @param {boolean} canComment - Whether the user may post comments
+ */
+const CommentThread = ({ taskId, comments = [], onCommentsChange, currentUser, users = [], canComment = true }) => {
+  const [newComment, setNewComment] = useState('')
+  const [replyTo, setReplyTo] = useState(null)
+  const [replyText, setReplyText] = useState('')
+  const [editingId, setEditingId] = useState(null)
+  const [editText, setEditText] = useState('')
+  const [history, setHistory] = useState({}) // commentId -> previous versions
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const thread = useMemo(() => buildCommentTree(comments), [comments])
+
+  /**
+   * Runs a comment request, showing failures inline
+   */
+  const runRequest = async (request) => {
+    setSaving(true)
+    setError(null)
+    try {
+      await request()
+      return true
+    } catch (err) {
+      setError(err.message)
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleAdd = async () => {
+    const ok = await runRequest(async () => {
+      const comment = await api.comments.create(taskId, { text: newComment.trim() })
+      onCommentsChange(taskId, list => upsertComment(list, comment))
+    })
+    if (ok) setNewComment('')
+  }
+
+  const handleReply = async () => {
+    const ok = await runRequest(async () => {
+      const comment = await api.comments.create(taskId, { text: replyText.trim(), parentId: replyTo })
+      onCommentsChange(taskId, list => upsertComment(list, comment))
+    })
+    if (ok) {
+      setReplyTo(null)
+      setReplyText('')
+    }
+  }
+
+  const handleEdit = async () => {
+    const ok = await runRequest(async () => {
+      const comment = await api.comments.update(taskId, editingId, editText.trim())
+      onCommentsChange(taskId, list => upsertComment(list, comment))
+      setHistory(prev => ({ ...prev, [editingId]: undefined }))
+    })
+    if (ok) {
+      setEditingId(null)
+      setEditText('')
+    }
+  }
+
+  const handleDelete = async (commentId) => {
+    if (!window.confirm('Delete this comment?')) return
+    await runRequest(async () => {
+      const result = await api.comments.delete(taskId, commentId)
+      onCommentsChange(taskId, list => applyCommentDeletion(list, result))
+    })
+  }
+
+  const toggleHistory = async (commentId) => {
+    if (history[commentId]) {
+      setHistory(prev => ({ ...prev, [commentId]: undefined }))
+      return
+    }
+    await runRequest(async () => {
+      const versions = await api.comments.getHistory(taskId, commentId)
+      setHistory(prev => ({ ...prev, [commentId]: versions }))
+    })
+  }
+
+  /**
+   * Renders a comment with its replies
+   */
+  const renderComment = (comment) => {
+    const isAuthor = currentUser && comment.userId === currentUser.id
+
+    return (
+      <div key={comment.id} className="comment-thread-item">
+        <div className={`comment-item ${comment.deleted ? 'comment-deleted' : ''}`}>
+          {!comment.deleted && <UserAvatar user={comment.author} size={28} />}
+          <div className="comment-body">
+            {comment.deleted ? (
+              <p className="comment-text">Comment deleted</p>
+            ) : (
+              <>
+                <div className="comment-meta">
+                  <strong>{comment.author?.name}</strong>
+                  <span>{formatActivityTime(comment.createdAt)}</span>
+                  {comment.editedAt && (
+                    <button
+                      type="button"
+                      className="comment-edited"
+                      onClick={() => toggleHistory(comment.id)}
+                      title="Show edit history"
+                    >
+                      (edited)
+                    </button>
+                  )}
+                </div>
+
+                {editingId === comment.id ? (
+                  <CommentInput
+                    value={editText}
+                    onChange={setEditText}
+                    onSubmit={handleEdit}
+                    onCancel={() => setEditingId(null)}
+                    users={users}
+                    submitLabel="Save"
+                    placeholder="Edit comment..."
+                    disabled={saving}
+                  />
+                ) : (
+                  <div
+                    className="comment-text markdown-content"
+                    dangerouslySetInnerHTML={{ __html: highlightMentions(parseMarkdown(comment.text)) }}
+                  />
+                )}
+
+                {/* Previous versions of an edited comment */}
+                {history[comment.id] && (
+                  <ul className="comment-history">
+                    {history[comment.id].map((version, index) => (
+                      <li key={index}>
+                        <span className="comment-history-time">{formatActivityTime(version.editedAt)}</span>
+                        {version.text}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {editingId !== comment.id && (
+                  <div className="comment-actions">
+                    {canComment && (
+                      <button
+                        type="button"
+                        className="btn-comment-action"
+                        onClick={() => { setReplyTo(comment.id); setReplyText('') }}
+                      >
+                        Reply
+                      </button>
+                    )}
+                    {isAuthor && (
+                      <>
+                        <button
+                          type="button"
+                          className="btn-comment-action"
+                          onClick={() => { setEditingId(comment.id); setEditText(comment.text) }}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          type="button"
+                          className="btn-comment-action btn-comment-delete"
+                          onClick={() => handleDelete(comment.id)}
+                        >
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Reply box */}
+        {replyTo === comment.id && (
+          <div className="comment-replies">
+            <CommentInput
+              value={replyText}
+              onChange={setReplyText}
+              onSubmit={handleReply}
+              onCancel={() => setReplyTo(null)}
+              users={users}
+              submitLabel="Reply"
+              placeholder={`Reply to ${comment.author?.name || 'comment'}...`}
+              disabled={saving}
+            />
+          </div>
+        )}
+
+        {comment.replies.length > 0 && (
+          <div className="comment-replies">
+            {comment.replies.map(renderComment)}
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="comments-section">
+      {error && <span className="error-message">{error}</span>}
+
+      {thread.length > 0 && (
+        <div className="comments-list">
+          {thread.map(renderComment)}
+        </div>
+      )}
+
+      {canComment && (
+        <CommentInput
+          value={newComment}
+          onChange={setNewComment}
+          onSubmit={handleAdd}
+          users={users}
+          submitLabel="Add Comment"
+          placeholder="Add a comment... (markdown supported, @ to mention)"
+          disabled={saving}
+        />
+      )}
+    </div>
+  )
+}
+
+export default CommentThread
@@ -1,5 +1,8 @@
 import React, { useState, useRef } from 'react'
-import { exportToJSON, importFromJSON, exportTasksToCSV, downloadFile, readFileAsText } from '../utils/exportImport'
+import {
+  exportToJSON, importFromJSON, exportTasksToCSV, exportTasksToICS, downloadFile, readFileAsText
+} from '../utils/exportImport'
+import CalendarFeed from './CalendarFeed'
 
 /**
  * ExportImport Component
@@ -46,6 +49,21 @@ const ExportImport = ({ isOpen, onClose, boards, onImport }) => {
     downloadFile(csv, filename, 'text/csv')
   }
 
+  /**
+   * Exports task due dates from all boards as an iCalendar file
+   */
+  const handleExportICS = () => {
+    const hasDueDates = boards.some(board => (board.tasks || []).some(task => task.dueDate || task.due_date))
+    if (!hasDueDates) {
+      alert('No tasks with due dates to export')
+      return
+    }
+
+    const ics = exportTasksToICS(boards)
+    const filename = `kanban-due-dates-${new Date().toISOString().split('T')[0]}.ics`
+    downloadFile(ics, filename, 'text/calendar')
+  }
+
   /**
    * Handles file import
    */
@@ -132,6 +150,20 @@ const ExportImport = ({ isOpen, onClose, boards, onImport }) => {
                     📊 Export CSV
                   </button>
                 </div>
+
+                <div className="export-option">
+                  <h4>Export Due Dates (iCalendar)</h4>
+                  <p>Download tasks with due dates as an .ics file to import into any calendar app.</p>
+                  <button className="btn-export" onClick={handleExportICS}>
+                    📅 Export .ics
+                  </button>
+                </div>
+
+                <div className="export-option">
+                  <h4>Subscribe in a Calendar App</h4>
+                  <p>A private link that keeps your calendar in sync with task due dates.</p>
+                  <CalendarFeed boards={boards} />
+                </div>
               </div>
             </div>
           ) : (
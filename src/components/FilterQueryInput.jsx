@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react'
+import { getQuerySuggestions } from '../utils/filterQuery'
+
+/**
+ * Renders the query with each token colored and syntax errors underlined
+ * The text lines up with the input drawn on top of it.
+ * @param {string} value - Query text
+ * @param {Array} tokens - Tokens from parseFilterQuery
+ */
+const QueryHighlight = ({ value, tokens }) => {
+  const parts = []
+  let position = 0
+
+  tokens.forEach((token, index) => {
+    if (token.start > position) parts.push(value.slice(position, token.start))
+
+    const className = `query-token query-token-${token.type}${token.negate ? ' negated' : ''}${token.error ? ' error' : ''}`
+    if (token.type === 'field') {
+      parts.push(
+        <span key={index} className={className}>
+          {value.slice(token.start, token.keyStart)}
+          <span className="query-token-key">{value.slice(token.keyStart, token.keyEnd)}</span>
+          <span className="query-token-op">{value.slice(token.keyEnd, token.valueStart)}</span>
+          <span className="query-token-value">{value.slice(token.valueStart, token.end)}</span>
+        </span>
+      )
+    } else {
+      parts.push(<span key={index} className={className}>{value.slice(token.start, token.end)}</span>)
+    }
+    position = token.end
+  })
+
+  if (position < value.length) parts.push(value.slice(position))
+  return parts
+}
+
+/**
+ * FilterQueryInput Component
+ * Text input for the filter query language with syntax highlighting and autocomplete
+ * (Tab or Enter accepts a suggestion, Escape hides them)
+ *
+ * @param {string} value - Query text
+ * @param {Function} onChange - Called with the new query text
+ * @param {Array} tokens - Tokens of the parsed query, for highlighting
+ * @param {Array} errors - Syntax errors of the parsed query
+ * @param {Object} context - Users, columns, custom fields and labels to suggest
+ */
+const FilterQueryInput = ({ value, onChange, tokens = [], errors = [], context }) => {
+  // Caret position, or null while suggestions are hidden
+  const [cursor, setCursor] = useState(null)
+  const [activeIndex, setActiveIndex] = useState(0)
+  const inputRef = useRef(null)
+  const highlightRef = useRef(null)
+
+  const suggestions = useMemo(
+    () => cursor === null ? { items: [] } : getQuerySuggestions(value, cursor, context),
+    [value, cursor, context]
+  )
+
+  useEffect(() => {
+    setActiveIndex(0)
+  }, [suggestions])
+
+  const updateCursor = (e) => setCursor(e.target.selectionStart)
+
+  // Keep the highlight scrolled with the input when the query is wider than the box
+  const syncScroll = () => {
+    if (highlightRef.current && inputRef.current) {
+      highlightRef.current.scrollLeft = inputRef.current.scrollLeft
+    }
+  }
+
+  const applySuggestion = (item) => {
+    const next = value.slice(0, suggestions.start) + item.insert + value.slice(suggestions.end)
+    const caret = suggestions.start + item.insert.length
+    onChange(next)
+    setCursor(caret)
+    requestAnimationFrame(() => {
+      inputRef.current?.focus()
+      inputRef.current?.setSelectionRange(caret, caret)
+      syncScroll()
+    })
+  }
+
+  const handleKeyDown = (e) => {
+    const { items } = suggestions
+    if (items.length === 0) return
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActiveIndex(index => Math.min(index + 1, items.length - 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex(index => Math.max(index - 1, 0))
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault()
+      applySuggestion(items[activeIndex])
+    } else if (e.key === 'Escape') {
+      e.stopPropagation()
+      setCursor(null)
+    }
+  }
+
+  return (
+    <div className="filter-query">
+      <div className={`filter-query-field ${errors.length > 0 ? 'has-errors' : ''}`}>
+        <div className="filter-query-highlight" ref={highlightRef} aria-hidden="true">
+          <QueryHighlight value={value} tokens={tokens} />
+        </div>
+        <input
+          ref={inputRef}
+          type="text"
+          value={value}
+          spellCheck={false}
+          autoComplete="off"
+          placeholder='assignee:me priority:high due:<7d -status:done "login bug"'
+          onChange={(e) => {
+            onChange(e.target.value)
+            updateCursor(e)
+          }}
+          onKeyDown={handleKeyDown}
+          onKeyUp={(e) => {
+            if (!['ArrowDown', 'ArrowUp', 'Escape'].includes(e.key)) updateCursor(e)
+          }}
+          onClick={updateCursor}
+          onFocus={updateCursor}
+          onBlur={() => setCursor(null)}
+          onScroll={syncScroll}
+          aria-label="Filter query"
+          aria-invalid={errors.length > 0}
+        />
+
+        {suggestions.items.length > 0 && (
+          <ul className="filter-query-suggestions" role="listbox">
+            {suggestions.items.map((item, index) => (
+              <li
+                key={item.insert}
+                className={index === activeIndex ? 'active' : ''}
+                role="option"
+                aria-selected={index === activeIndex}
+                onMouseEnter={() => setActiveIndex(index)}
+                // mousedown keeps focus in the input
+                onMouseDown={(e) => {
+                  e.preventDefault()
+                  applySuggestion(item)
+                }}
+              >
+                <span className="filter-query-suggestion-label">{item.label}</span>
+                {item.description && (
+                  <span className="filter-query-suggestion-description">{item.description}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="filter-query-errors">
+          {errors.map((error, index) => (
+            <li key={index}>
+              <code>{value.slice(error.start, error.end)}</code> {error.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default FilterQueryInput
@@ -1,22 +1,43 @@
-import React from 'react'
+import React, { useState, useMemo } from 'react'
 import { DragDropContext } from '@hello-pangea/dnd'
-import Column from './Column'
+import Column, { ColumnHeader } from './Column'
+import UserAvatar from './UserAvatar'
+import { checkWipLimit } from '../utils/boardUtils'
+import { buildSwimlanes, getLaneUpdates } from '../utils/swimlanes'
+
+// Separates the lane index from the column ID in swimlane drop zone IDs
+const LANE_SEPARATOR = '::'
 
 /**
  * KanbanBoard Component
  * Main container for the Kanban board with drag-and-drop functionality
- * Supports custom columns with WIP limits
+ * Supports custom columns with WIP limits, and swimlanes grouping cards by a task field
+ * (dragging a card into another lane changes that field)
  * 
  * @param {Array} tasks - Array of all tasks
- * @param {Array} columns - Array of column objects with id, title, and optional wipLimit
- * @param {Function} onTaskMove - Callback function when a task is moved between columns
+ * @param {Array} columns - Array of column objects with id, title, and optional wipLimit/wipMode
+ * @param {Function} onTaskMove - Callback (taskId, status, fieldUpdates) when a task is moved between columns or lanes
+ * @param {Function} onTaskReorder - Callback (taskId, status, prevTaskId, nextTaskId, fieldUpdates) for manual ordering
+ * @param {boolean} manualOrder - Whether cards are shown in their saved manual order
  * @param {Function} onEdit - Callback function to handle task editing
  * @param {Function} onDelete - Callback function to handle task deletion
  * @param {Array} selectedTasks - Array of selected task IDs for bulk operations
  * @param {Function} onToggleTaskSelect - Callback to toggle task selection
  * @param {Array} users - Array of all users (for displaying assigned users)
+ * @param {Object} currentUser - Logged in user (excluded from the presence list)
+ * @param {Array} viewers - Users currently viewing this board (realtime presence)
+ * @param {Array} liveUpdatedTaskIds - IDs of tasks just changed by other users
+ * @param {string} groupBy - Swimlane grouping: 'none', 'assignee', 'priority', 'category' or 'cf:<fieldId>'
+ * @param {Array} members - Board members, one assignee lane each
+ * @param {Array} customFields - Custom field definitions of the board (for custom field lanes)
  */
-const KanbanBoard = ({ tasks, columns, onTaskMove, onEdit, onDelete, selectedTasks = [], onToggleTaskSelect, users = [] }) => {
+const KanbanBoard = ({
+  tasks, columns, onTaskMove, onTaskReorder, manualOrder = false, onEdit, onDelete, selectedTasks = [], onToggleTaskSelect, users = [],
+  currentUser = null, viewers = [], liveUpdatedTaskIds = [], groupBy = 'none', members = [], customFields = []
+}) => {
+  // Collapsed lanes, keyed by grouping so each grouping remembers its own
+  const [collapsedLanes, setCollapsedLanes] = useState([])
+
   // Default columns if none provided (backward compatibility)
   const boardColumns = columns || [
     { id: 'todo', title: 'To Do', wipLimit: null },
@@ -25,13 +46,36 @@ const KanbanBoard = ({ tasks, columns, onTaskMove, onEdit, onDelete, selectedTas
   ]
 
   // Filter tasks by status for each column
-  const getTasksByStatus = (status) => {
-    return tasks.filter(task => task.status === status)
+  const getTasksByStatus = (status, laneTasks = tasks) => {
+    return laneTasks.filter(task => task.status === status)
+  }
+
+  const isGrouped = Boolean(groupBy) && groupBy !== 'none'
+  const lanes = useMemo(
+    () => isGrouped ? buildSwimlanes(tasks, groupBy, { members, users, customFields }) : null,
+    [isGrouped, tasks, groupBy, members, users, customFields]
+  )
+
+  const toggleLane = (laneId) => {
+    const key = `${groupBy}:${laneId}`
+    setCollapsedLanes(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key])
+  }
+
+  /**
+   * Lane and column of a drop zone ("<laneIndex>::<columnId>" with swimlanes, the column ID without)
+   */
+  const parseDroppableId = (droppableId) => {
+    if (!lanes) return { lane: null, status: droppableId }
+    const separator = droppableId.indexOf(LANE_SEPARATOR)
+    return {
+      lane: lanes[Number(droppableId.slice(0, separator))],
+      status: droppableId.slice(separator + LANE_SEPARATOR.length)
+    }
   }
 
   /**
    * Handles the end of a drag operation
-   * Updates the task status when moved between columns
+   * Updates the task status when moved between columns, or the saved order in manual mode
    * 
    * @param {Object} result - Result object from react-beautiful-dnd containing drag information
    */
@@ -55,16 +99,113 @@ const KanbanBoard = ({ tasks, columns, onTaskMove, onEdit, onDelete, selectedTas
 
     // Get the new status based on the destination column ID
     // Column ID becomes the task status
-    const newStatus = destination.droppableId
+    const from = parseDroppableId(source.droppableId)
+    const { lane, status: newStatus } = parseDroppableId(destination.droppableId)
+
+    // Dropping into another lane changes the grouped field (e.g. reassigns the task)
+    let fieldUpdates = {}
+    if (lane && lane.id !== from.lane.id) {
+      const task = tasks.find(t => t.id === draggableId)
+      fieldUpdates = getLaneUpdates(task, groupBy, lane.id)
+      if (!fieldUpdates) return
+    }
+
+    if (manualOrder && onTaskReorder) {
+      // Find the cards the task now sits between, as displayed in the destination cell
+      const columnTasks = getTasksByStatus(newStatus, lane ? lane.tasks : tasks).filter(task => task.id !== draggableId)
+      const prevTask = columnTasks[destination.index - 1] || null
+      const nextTask = columnTasks[destination.index] || null
+      onTaskReorder(draggableId, newStatus, prevTask ? prevTask.id : null, nextTask ? nextTask.id : null, fieldUpdates)
+      return
+    }
+
+    // Order within a column only persists in manual mode
+    if (source.droppableId === destination.droppableId) {
+      return
+    }
 
     // Call the parent's onTaskMove function to update the task
-    onTaskMove(draggableId, newStatus)
+    onTaskMove(draggableId, newStatus, fieldUpdates)
   }
 
+  // Other people looking at this board right now
+  const otherViewers = viewers.filter(viewer => viewer.id !== currentUser?.id)
+
   return (
     <div className="kanban-board">
+      {/* Presence: who else is viewing this board */}
+      {otherViewers.length > 0 && (
+        <div className="board-presence" aria-label="Users viewing this board">
+          <span className="board-presence-label">Also viewing:</span>
+          {otherViewers.map(viewer => (
+            <UserAvatar key={viewer.id} user={viewer} size={28} />
+          ))}
+        </div>
+      )}
+
       {/* DragDropContext wraps the entire board and handles drag-and-drop logic */}
       <DragDropContext onDragEnd={handleDragEnd}>
+        {lanes ? (
+          <div className="swimlanes" style={{ '--swimlane-columns': boardColumns.length }}>
+            {/* Column headers count the cards of every lane */}
+            <div className="swimlane-grid swimlane-column-headers">
+              {boardColumns.map(column => {
+                const columnTasks = getTasksByStatus(column.id)
+                return (
+                  <div key={column.id} className="swimlane-column-header">
+                    <ColumnHeader
+                      title={column.title}
+                      wipLimit={column.wipLimit}
+                      wipMode={column.wipMode}
+                      wipStatus={checkWipLimit({ wipLimit: column.wipLimit }, columnTasks)}
+                      count={columnTasks.length}
+                    />
+                  </div>
+                )
+              })}
+            </div>
+
+            {lanes.map((lane, laneIndex) => {
+              const isCollapsed = collapsedLanes.includes(`${groupBy}:${lane.id}`)
+              return (
+                <section key={lane.id} className={`swimlane ${isCollapsed ? 'collapsed' : ''}`}>
+                  <button
+                    className="swimlane-header"
+                    onClick={() => toggleLane(lane.id)}
+                    aria-expanded={!isCollapsed}
+                  >
+                    <span className="swimlane-toggle" aria-hidden="true">{isCollapsed ? '▸' : '▾'}</span>
+                    <span className="swimlane-title">{lane.title}</span>
+                    <span className="swimlane-count">{lane.tasks.length}</span>
+                  </button>
+
+                  {!isCollapsed && (
+                    <div className="swimlane-grid">
+                      {boardColumns.map(column => (
+                        <Column
+                          key={column.id}
+                          columnId={column.id}
+                          droppableId={`${laneIndex}${LANE_SEPARATOR}${column.id}`}
+                          showHeader={false}
+                          title={column.title}
+                          wipLimit={column.wipLimit}
+                          wipMode={column.wipMode}
+                          tasks={getTasksByStatus(column.id, lane.tasks)}
+                          onEdit={onEdit}
+                          onDelete={onDelete}
+                          selectedTasks={selectedTasks}
+                          onToggleTaskSelect={onToggleTaskSelect}
+                          users={users}
+                          liveUpdatedTaskIds={liveUpdatedTaskIds}
+                        />
+                      ))}
+                    </div>
+                  )}
+                </section>
+              )
+            })}
+          </div>
+        ) : (
         <div className="columns-container">
           {/* Render each column */}
           {boardColumns.map(column => (
@@ -73,15 +214,18 @@ const KanbanBoard = ({ tasks, columns, onTaskMove, onEdit, onDelete, selectedTas
               columnId={column.id}
               title={column.title}
               wipLimit={column.wipLimit}
+              wipMode={column.wipMode}
               tasks={getTasksByStatus(column.id)}
               onEdit={onEdit}
               onDelete={onDelete}
               selectedTasks={selectedTasks}
               onToggleTaskSelect={onToggleTaskSelect}
               users={users}
+              liveUpdatedTaskIds={liveUpdatedTaskIds}
             />
           ))}
         </div>
+        )}
       </DragDropContext>
     </div>
   )
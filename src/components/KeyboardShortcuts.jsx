@@ -6,7 +6,7 @@ import React, { useEffect, useState } from 'react'
  * 
  * @param {Object} shortcuts - Object mapping key combinations to callbacks
  * @param {Function} shortcuts.onCreateTask - Callback for creating task (Ctrl/Cmd + N)
- * @param {Function} shortcuts.onSearch - Callback to focus search (Ctrl/Cmd + K)
+ * @param {Function} shortcuts.onSearch - Callback to open the search palette (Ctrl/Cmd + K)
  * @param {Function} shortcuts.onUndo - Callback for undo (Ctrl/Cmd + Z)
  * @param {Function} shortcuts.onRedo - Callback for redo (Ctrl/Cmd + Shift + Z)
  * @param {Function} shortcuts.onCloseModal - Callback to close modals (Escape)
@@ -16,29 +16,33 @@ const KeyboardShortcuts = ({ shortcuts = {} }) => {
 
   useEffect(() => {
     const handleKeyDown = (e) => {
+      const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0
+      const ctrlKey = isMac ? e.metaKey : e.ctrlKey
+
       // Don't trigger shortcuts when typing in inputs
       if (
         e.target.tagName === 'INPUT' ||
         e.target.tagName === 'TEXTAREA' ||
         e.target.isContentEditable
       ) {
-        // Allow Escape to close modals even when in inputs
+        // Allow Escape to close modals and Ctrl/Cmd + K to search even when in inputs
         if (e.key === 'Escape' && shortcuts.onCloseModal) {
           shortcuts.onCloseModal()
         }
+        if (ctrlKey && e.key === 'k' && shortcuts.onSearch) {
+          e.preventDefault()
+          shortcuts.onSearch()
+        }
         return
       }
 
-      const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0
-      const ctrlKey = isMac ? e.metaKey : e.ctrlKey
-
       // Ctrl/Cmd + N - Create new task
       if (ctrlKey && e.key === 'n' && shortcuts.onCreateTask) {
         e.preventDefault()
         shortcuts.onCreateTask()
       }
 
-      // Ctrl/Cmd + K - Focus search
+      // Ctrl/Cmd + K - Search all boards
       if (ctrlKey && e.key === 'k' && shortcuts.onSearch) {
         e.preventDefault()
         shortcuts.onSearch()
@@ -94,7 +98,7 @@ const KeyboardShortcuts = ({ shortcuts = {} }) => {
           </div>
           <div className="shortcut-item">
             <kbd>Ctrl/Cmd</kbd> + <kbd>K</kbd>
-            <span>Focus search</span>
+            <span>Search all boards</span>
           </div>
           <div className="shortcut-item">
             <kbd>Ctrl/Cmd</kbd> + <kbd>Z</kbd>
@@ -1,14 +1,25 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import { authAPI, setAuthToken, setCurrentUser } from '../services/api'
 
 /**
  * LoginForm Component
- * Handles user login and signup
+ * Handles user login and signup, forgotten passwords and the links sent by email
+ * (password reset and email verification)
  * 
  * @param {Function} onLogin - Callback when user successfully logs in
+ * @param {Object} accountLink - { type: 'verify' | 'reset', token } the app was opened with, if any
+ * @param {Function} onAccountLinkDone - Callback when the user leaves the verify/reset screen
  */
-const LoginForm = ({ onLogin }) => {
+const LoginForm = ({ onLogin, accountLink, onAccountLinkDone }) => {
   const [isSignup, setIsSignup] = useState(false)
+  // 'forgot', 'reset', 'verify' or 'twoFactor'; null shows sign in / sign up
+  const [screen, setScreen] = useState(accountLink?.type || null)
+  const [notice, setNotice] = useState(null)
+  // Second login step of accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null)
+  const [twoFactorCode, setTwoFactorCode] = useState('')
+  // Token already sent for verification (tokens are single-use, so it is sent only once)
+  const verifiedTokenRef = useRef(null)
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -18,6 +29,40 @@ const LoginForm = ({ onLogin }) => {
   const [errors, setErrors] = useState({})
   const [loading, setLoading] = useState(false)
 
+  /**
+   * Verifies the email address as soon as the verification link is opened
+   */
+  useEffect(() => {
+    if (accountLink?.type !== 'verify' || verifiedTokenRef.current === accountLink.token) return
+    verifiedTokenRef.current = accountLink.token
+    setLoading(true)
+    authAPI.verifyEmail(accountLink.token)
+      .then(() => setNotice('Your email address is verified.'))
+      .catch(error => setErrors({ form: error.message || 'Verification failed' }))
+      .finally(() => setLoading(false))
+  }, [accountLink])
+
+  /**
+   * Switches between screens, clearing the form
+   */
+  const showScreen = (nextScreen, signup = false) => {
+    setScreen(nextScreen)
+    setIsSignup(signup)
+    setFormData({ name: '', email: '', password: '', confirmPassword: '' })
+    setErrors({})
+    setNotice(null)
+    setTwoFactorCode('')
+    setLoading(false)
+  }
+
+  /**
+   * Leaves the verify/reset screen for the sign in form (or the app when signed in)
+   */
+  const finishAccountLink = () => {
+    showScreen(null)
+    onAccountLinkDone?.(accountLink?.type)
+  }
+
   /**
    * Handles form input changes
    */
@@ -91,6 +136,13 @@ const LoginForm = ({ onLogin }) => {
       console.log('Calling authAPI.login...')
       const response = await authAPI.login(formData.email, formData.password)
       console.log('Login response:', response)
+
+      // The password was right; the account also needs a code from the authenticator app
+      if (response?.twoFactorRequired) {
+        showScreen('twoFactor')
+        setChallengeToken(response.challengeToken)
+        return
+      }
       
       if (response && response.user) {
         console.log('Login successful, calling onLogin')
@@ -201,6 +253,209 @@ const LoginForm = ({ onLogin }) => {
     }
   }
 
+  /**
+   * Sends a password reset link
+   */
+  const handleForgotPassword = async (e) => {
+    e.preventDefault()
+
+    if (!/\S+@\S+\.\S+/.test(formData.email)) {
+      setErrors({ email: 'Email is invalid' })
+      return
+    }
+
+    setLoading(true)
+    setErrors({})
+    try {
+      const response = await authAPI.forgotPassword(formData.email.trim())
+      setNotice(response.message)
+    } catch (error) {
+      console.error('Forgot password error:', error)
+      setErrors({ form: error.message || 'Failed to send reset link' })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  /**
+   * Saves the new password chosen through a reset link
+   */
+  const handleResetPassword = async (e) => {
+    e.preventDefault()
+
+    const newErrors = {}
+    if (formData.password.length < 6) {
+      newErrors.password = 'Password must be at least 6 characters'
+    } else if (formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match'
+    }
+    setErrors(newErrors)
+    if (Object.keys(newErrors).length > 0) return
+
+    setLoading(true)
+    try {
+      const response = await authAPI.resetPassword(accountLink.token, formData.password)
+      setNotice(response.message)
+    } catch (error) {
+      console.error('Reset password error:', error)
+      setErrors({ form: error.message || 'Failed to reset password' })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  /**
+   * Finishes signing in with a code from the authenticator app or a recovery code
+   */
+  const handleTwoFactorLogin = async (e) => {
+    e.preventDefault()
+
+    if (!twoFactorCode.trim()) {
+      setErrors({ code: 'Enter the code from your authenticator app' })
+      return
+    }
+
+    setLoading(true)
+    setErrors({})
+    try {
+      const response = await authAPI.loginTwoFactor(challengeToken, twoFactorCode.trim())
+      onLogin(response.user)
+    } catch (error) {
+      console.error('Two-factor login error:', error)
+      setErrors({ form: error.message || 'Invalid authentication code' })
+      setLoading(false)
+    }
+  }
+
+  // Forgotten password, reset, verification and two-factor screens
+  if (screen) {
+    const titles = {
+      forgot: 'Reset your password',
+      reset: 'Choose a new password',
+      verify: 'Verify your email',
+      twoFactor: 'Two-factor authentication'
+    }
+
+    return (
+      <div className="login-container">
+        <div className="login-card">
+          <div className="login-header">
+            <h1>Kanban Project Management</h1>
+            <p>{titles[screen]}</p>
+          </div>
+
+          {errors.form && (
+            <div className="form-error-banner">
+              <span className="error-icon">⚠️</span>
+              <span>{errors.form}</span>
+            </div>
+          )}
+          {notice && <div className="form-success-banner">{notice}</div>}
+
+          {screen === 'forgot' && !notice && (
+            <form onSubmit={handleForgotPassword} className="login-form" noValidate>
+              <p className="login-hint">Enter the email address of your account and we will send you a link to choose a new password.</p>
+              <div className="form-group">
+                <label htmlFor="email">Email</label>
+                <input
+                  type="email"
+                  id="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  className={errors.email ? 'input-error' : ''}
+                  placeholder="Enter your email"
+                />
+                {errors.email && <span className="error-message">{errors.email}</span>}
+              </div>
+              <button type="submit" className="btn-login" disabled={loading}>
+                {loading ? 'Please wait...' : 'Send reset link'}
+              </button>
+            </form>
+          )}
+
+          {screen === 'reset' && !notice && (
+            <form onSubmit={handleResetPassword} className="login-form" noValidate>
+              <div className="form-group">
+                <label htmlFor="password">New Password</label>
+                <input
+                  type="password"
+                  id="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  className={errors.password ? 'input-error' : ''}
+                  placeholder="Enter a new password"
+                />
+                {errors.password && <span className="error-message">{errors.password}</span>}
+              </div>
+              <div className="form-group">
+                <label htmlFor="confirmPassword">Confirm Password</label>
+                <input
+                  type="password"
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  className={errors.confirmPassword ? 'input-error' : ''}
+                  placeholder="Confirm your new password"
+                />
+                {errors.confirmPassword && (
+                  <span className="error-message">{errors.confirmPassword}</span>
+                )}
+              </div>
+              <button type="submit" className="btn-login" disabled={loading}>
+                {loading ? 'Please wait...' : 'Reset Password'}
+              </button>
+            </form>
+          )}
+
+          {screen === 'twoFactor' && (
+            <form onSubmit={handleTwoFactorLogin} className="login-form" noValidate>
+              <p className="login-hint">Enter the 6-digit code from your authenticator app, or one of your recovery codes.</p>
+              <div className="form-group">
+                <label htmlFor="code">Authentication Code</label>
+                <input
+                  type="text"
+                  id="code"
+                  name="code"
+                  value={twoFactorCode}
+                  onChange={(e) => {
+                    setTwoFactorCode(e.target.value)
+                    setErrors({})
+                  }}
+                  className={errors.code ? 'input-error' : ''}
+                  placeholder="123456"
+                  autoComplete="one-time-code"
+                  autoFocus
+                />
+                {errors.code && <span className="error-message">{errors.code}</span>}
+              </div>
+              <button type="submit" className="btn-login" disabled={loading}>
+                {loading ? 'Please wait...' : 'Verify'}
+              </button>
+            </form>
+          )}
+
+          {screen === 'verify' && loading && (
+            <p className="login-hint">Verifying your email address...</p>
+          )}
+
+          <div className="login-footer">
+            <button
+              type="button"
+              className="btn-link"
+              onClick={['forgot', 'twoFactor'].includes(screen) ? () => showScreen(null) : finishAccountLink}
+              disabled={loading}
+            >
+              {screen === 'verify' ? 'Continue' : 'Back to Sign In'}
+            </button>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
   return (
     <div className="login-container">
       <div className="login-card">
@@ -275,6 +530,16 @@ const LoginForm = ({ onLogin }) => {
               placeholder="Enter your password"
             />
             {errors.password && <span className="error-message">{errors.password}</span>}
+            {!isSignup && (
+              <button
+                type="button"
+                className="btn-link login-forgot"
+                onClick={() => showScreen('forgot')}
+                disabled={loading}
+              >
+                Forgot password?
+              </button>
+            )}
           </div>
 
           {/* Confirm password field (signup only) */}
@@ -324,12 +589,7 @@ const LoginForm = ({ onLogin }) => {
             <button
               type="button"
               className="btn-link"
-              onClick={() => {
-                setIsSignup(!isSignup)
-                setFormData({ name: '', email: '', password: '', confirmPassword: '' })
-                setErrors({})
-                setLoading(false)
-              }}
+              onClick={() => showScreen(null, !isSignup)}
               disabled={loading}
             >
               {isSignup ? 'Sign In' : 'Sign Up'}
@@ -75,10 +75,10 @@ const PrintView = ({ board, isOpen, onClose }) => {
                               Due: {formatDate(task.dueDate)}
                             </p>
                           )}
-                          {task.comments && task.comments.length > 0 && (
+                          {task.comments && task.comments.some(comment => !comment.deleted) && (
                             <div className="print-task-comments">
-                              <strong>Comments ({task.comments.length}):</strong>
-                              {task.comments.map(comment => (
+                              <strong>Comments ({task.comments.filter(comment => !comment.deleted).length}):</strong>
+                              {task.comments.filter(comment => !comment.deleted).map(comment => (
                                 <p key={comment.id} className="print-comment">
                                   {comment.text}
                                 </p>
@@ -1,7 +1,11 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo } from 'react'
 import api from '../services/api'
 import {
   formatRecurrence,
+  getUpcomingOccurrences,
+  parseTimestamp,
+  recurrenceToRRule,
+  validateRecurrence,
   RECURRENCE_TYPES
 } from '../utils/recurringTasks'
 import { CATEGORIES } from '../utils/categories'
@@ -37,10 +41,14 @@ const RecurringTasks = ({ isOpen, onClose, boardId, users = [] }) => {
       daysOfWeek: [],
       dayOfMonth: null,
       endDate: null,
-      maxOccurrences: null
+      maxOccurrences: null,
+      rrule: '',
+      startDate: null,
+      exdates: []
     }
   })
   const [errors, setErrors] = useState({})
+  const [newExdate, setNewExdate] = useState('')
 
   // Load templates on mount
   useEffect(() => {
@@ -83,6 +91,10 @@ const RecurringTasks = ({ isOpen, onClose, boardId, users = [] }) => {
       recurrence: {
         ...prev.recurrence,
         type,
+        // Start a custom rule from the pattern picked so far
+        rrule: type === RECURRENCE_TYPES.CUSTOM && !prev.recurrence.rrule
+          ? recurrenceToRRule(prev.recurrence)
+          : prev.recurrence.rrule,
         daysOfWeek: type === RECURRENCE_TYPES.WEEKLY ? prev.recurrence.daysOfWeek : [],
         dayOfMonth: type === RECURRENCE_TYPES.MONTHLY ? prev.recurrence.dayOfMonth : null
       }
@@ -106,6 +118,45 @@ const RecurringTasks = ({ isOpen, onClose, boardId, users = [] }) => {
     })
   }
 
+  // Add a day to skip (EXDATE)
+  const handleAddExdate = () => {
+    if (!newExdate) return
+    setFormData(prev => ({
+      ...prev,
+      recurrence: {
+        ...prev.recurrence,
+        exdates: [...new Set([...(prev.recurrence.exdates || []), newExdate])].sort()
+      }
+    }))
+    setNewExdate('')
+  }
+
+  // Remove a skipped day
+  const handleRemoveExdate = (date) => {
+    setFormData(prev => ({
+      ...prev,
+      recurrence: {
+        ...prev.recurrence,
+        exdates: (prev.recurrence.exdates || []).filter(d => d !== date)
+      }
+    }))
+  }
+
+  // Preview of the next occurrences, calculated the same way as on the server
+  const preview = useMemo(() => {
+    try {
+      const dates = getUpcomingOccurrences(formData.recurrence, {
+        createdAt: editingTemplate ? parseTimestamp(editingTemplate.created_at) : new Date(),
+        lastGenerated: editingTemplate?.lastGenerated ? new Date(editingTemplate.lastGenerated) : null,
+        occurrenceCount: editingTemplate?.occurrenceCount || 0,
+        limit: 5
+      })
+      return { dates, error: null }
+    } catch (error) {
+      return { dates: [], error: error.message }
+    }
+  }, [formData.recurrence, editingTemplate])
+
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault()
@@ -120,6 +171,12 @@ const RecurringTasks = ({ isOpen, onClose, boardId, users = [] }) => {
       return
     }
 
+    const recurrenceError = validateRecurrence(formData.recurrence)
+    if (recurrenceError) {
+      setErrors({ recurrence: recurrenceError })
+      return
+    }
+
     const templateData = {
       ...formData,
       boardId: boardId || null
@@ -159,12 +216,16 @@ const RecurringTasks = ({ isOpen, onClose, boardId, users = [] }) => {
         daysOfWeek: [],
         dayOfMonth: null,
         endDate: null,
-        maxOccurrences: null
+        maxOccurrences: null,
+        rrule: '',
+        startDate: null,
+        exdates: []
       }
     })
     setEditingTemplate(null)
     setIsEditing(false)
     setErrors({})
+    setNewExdate('')
   }
 
   // Edit a template
@@ -173,7 +234,7 @@ const RecurringTasks = ({ isOpen, onClose, boardId, users = [] }) => {
       name: template.name,
       enabled: template.enabled,
       taskTemplate: template.taskTemplate,
-      recurrence: template.recurrence
+      recurrence: { rrule: '', startDate: null, exdates: [], ...template.recurrence }
     })
     setEditingTemplate(template)
     setIsEditing(true)
@@ -271,6 +332,7 @@ const RecurringTasks = ({ isOpen, onClose, boardId, users = [] }) => {
               {errors['taskTemplate.title'] && (
                 <div className="error-message">{errors['taskTemplate.title']}</div>
               )}
+              {errors.recurrence && <div className="error-message">{errors.recurrence}</div>}
 
               <div className="form-group">
                 <label>Template Name *</label>
@@ -375,10 +437,36 @@ const RecurringTasks = ({ isOpen, onClose, boardId, users = [] }) => {
                   <option value={RECURRENCE_TYPES.WEEKLY}>Weekly</option>
                   <option value={RECURRENCE_TYPES.MONTHLY}>Monthly</option>
                   <option value={RECURRENCE_TYPES.YEARLY}>Yearly</option>
+                  <option value={RECURRENCE_TYPES.CUSTOM}>Custom (RRULE)</option>
                 </select>
               </div>
 
-              {formData.recurrence.type !== RECURRENCE_TYPES.DAILY && (
+              {formData.recurrence.type === RECURRENCE_TYPES.CUSTOM && (
+                <div className="form-group">
+                  <label>Recurrence Rule</label>
+                  <input
+                    type="text"
+                    className="rrule-input"
+                    value={formData.recurrence.rrule || ''}
+                    onChange={(e) => setFormData(prev => ({
+                      ...prev,
+                      recurrence: {
+                        ...prev.recurrence,
+                        rrule: e.target.value
+                      }
+                    }))}
+                    placeholder="FREQ=MONTHLY;BYDAY=2TU"
+                    spellCheck={false}
+                  />
+                  <small>
+                    iCalendar RRULE, e.g. FREQ=MONTHLY;BYDAY=2TU (2nd Tuesday), FREQ=MONTHLY;BYMONTHDAY=-1
+                    (last day of the month), FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1 (last weekday).
+                    COUNT and UNTIL end the series.
+                  </small>
+                </div>
+              )}
+
+              {![RECURRENCE_TYPES.DAILY, RECURRENCE_TYPES.CUSTOM].includes(formData.recurrence.type) && (
                 <div className="form-group">
                   <label>Interval</label>
                   <input
@@ -435,6 +523,22 @@ const RecurringTasks = ({ isOpen, onClose, boardId, users = [] }) => {
                 </div>
               )}
 
+              <div className="form-group">
+                <label>Start Date (optional)</label>
+                <input
+                  type="date"
+                  value={formData.recurrence.startDate || ''}
+                  onChange={(e) => setFormData(prev => ({
+                    ...prev,
+                    recurrence: {
+                      ...prev.recurrence,
+                      startDate: e.target.value || null
+                    }
+                  }))}
+                />
+                <small>Defaults to the day after the template is created</small>
+              </div>
+
               <div className="form-group">
                 <label>End Date (optional)</label>
                 <input
@@ -467,6 +571,57 @@ const RecurringTasks = ({ isOpen, onClose, boardId, users = [] }) => {
                 />
               </div>
 
+              <div className="form-group">
+                <label>Skip Dates (optional)</label>
+                <div className="exdate-input">
+                  <input
+                    type="date"
+                    value={newExdate}
+                    onChange={(e) => setNewExdate(e.target.value)}
+                  />
+                  <button type="button" className="btn-edit-small" onClick={handleAddExdate} disabled={!newExdate}>
+                    Skip
+                  </button>
+                </div>
+                {formData.recurrence.exdates?.length > 0 && (
+                  <div className="exdate-list">
+                    {formData.recurrence.exdates.map(date => (
+                      <span key={date} className="exdate-chip">
+                        {date}
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveExdate(date)}
+                          aria-label={`Stop skipping ${date}`}
+                        >
+                          ×
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {/* Preview of the next occurrences */}
+              <div className="recurrence-preview">
+                <strong>{preview.error ? 'Invalid rule' : formatRecurrence(formData.recurrence)}</strong>
+                {preview.error ? (
+                  <div className="error-message">{preview.error}</div>
+                ) : preview.dates.length > 0 ? (
+                  <>
+                    <span>Next occurrences:</span>
+                    <ul>
+                      {preview.dates.map(date => (
+                        <li key={date.getTime()}>
+                          {date.toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' })}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                ) : (
+                  <span>No upcoming occurrences</span>
+                )}
+              </div>
+
               <div className="form-actions">
                 {isEditing && (
                   <button type="button" className="btn-cancel" onClick={handleReset}>
@@ -14,6 +14,9 @@ import { CATEGORIES } from '../utils/categories'
  * @param {string} sortBy - Current sort option
  * @param {Function} onSortChange - Callback when sort option changes
  * @param {Object} searchInputRef - Ref for search input (for keyboard shortcuts)
+ * @param {string} groupBy - Current swimlane grouping
+ * @param {Function} onGroupByChange - Callback when the grouping changes
+ * @param {Array} groupByOptions - Available groupings ({ value, label })
  */
 const SearchFilterBar = ({
   searchQuery,
@@ -24,7 +27,10 @@ const SearchFilterBar = ({
   onPriorityChange,
   sortBy,
   onSortChange,
-  searchInputRef
+  searchInputRef,
+  groupBy = 'none',
+  onGroupByChange,
+  groupByOptions = []
 }) => {
   return (
     <div className="search-filter-bar">
@@ -85,6 +91,7 @@ const SearchFilterBar = ({
           value={sortBy}
           onChange={(e) => onSortChange(e.target.value)}
         >
+          <option value="manual">Manual (drag to order)</option>
           <option value="priority">Priority</option>
           <option value="dueDate">Due Date</option>
           <option value="title">Title</option>
@@ -92,6 +99,25 @@ const SearchFilterBar = ({
         </select>
       </div>
 
+      {/* Swimlane grouping */}
+      {onGroupByChange && (
+        <div className="filter-group">
+          <label htmlFor="group-by-select">Group by:</label>
+          <select
+            id="group-by-select"
+            className="filter-select"
+            value={groupBy}
+            onChange={(e) => onGroupByChange(e.target.value)}
+          >
+            {groupByOptions.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
       {/* Clear filters button */}
       {(searchQuery || selectedCategory !== 'all' || selectedPriority !== 'all') && (
         <button
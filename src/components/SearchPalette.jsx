@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useRef } from 'react'
+import api from '../services/api'
+
+/**
+ * Renders server highlight segments, marking the matched parts
+ * @param {Array} segments - [{ text, match }]
+ */
+const Highlighted = ({ segments }) => (
+  <>
+    {segments.map((segment, index) => (
+      segment.match
+        ? <mark key={index}>{segment.text}</mark>
+        : <React.Fragment key={index}>{segment.text}</React.Fragment>
+    ))}
+  </>
+)
+
+/**
+ * SearchPalette Component
+ * Global search across all boards (Ctrl/Cmd + K), backed by the server's full-text index
+ * Words match as prefixes, "quoted text" as a phrase and -word excludes a word.
+ *
+ * @param {boolean} isOpen - Whether the palette is visible
+ * @param {Function} onClose - Callback to close the palette
+ * @param {string} currentBoardId - Board that "This board only" limits the search to
+ * @param {Function} onSelect - Called with the chosen search result
+ */
+const SearchPalette = ({ isOpen, onClose, currentBoardId, onSelect }) => {
+  const [query, setQuery] = useState('')
+  const [currentBoardOnly, setCurrentBoardOnly] = useState(false)
+  const [results, setResults] = useState([])
+  const [activeIndex, setActiveIndex] = useState(0)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const inputRef = useRef(null)
+  const listRef = useRef(null)
+
+  useEffect(() => {
+    if (isOpen) {
+      inputRef.current?.focus()
+      inputRef.current?.select()
+    }
+  }, [isOpen])
+
+  // Search as the user types (debounced); stale responses are ignored
+  useEffect(() => {
+    if (!isOpen) return
+    if (!query.trim()) {
+      setResults([])
+      setError(null)
+      return
+    }
+
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      setLoading(true)
+      try {
+        const response = await api.search.search(query, {
+          boardId: currentBoardOnly ? currentBoardId : null
+        })
+        if (cancelled) return
+        setResults(response.results)
+        setActiveIndex(0)
+        setError(null)
+      } catch (err) {
+        if (!cancelled) setError(err.message)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }, 200)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [isOpen, query, currentBoardOnly, currentBoardId])
+
+  // Keep the highlighted result in view
+  useEffect(() => {
+    listRef.current?.children[activeIndex]?.scrollIntoView({ block: 'nearest' })
+  }, [activeIndex])
+
+  const handleSelect = (result) => {
+    onSelect(result)
+    onClose()
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActiveIndex(index => Math.min(index + 1, results.length - 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex(index => Math.max(index - 1, 0))
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault()
+      handleSelect(results[activeIndex])
+    }
+  }
+
+  if (!isOpen) return null
+
+  return (
+    <div className="modal-overlay search-palette-overlay" onClick={onClose}>
+      <div className="search-palette" onClick={(e) => e.stopPropagation()} role="dialog" aria-label="Search all boards">
+        <div className="search-palette-input">
+          <span className="search-palette-icon">🔍</span>
+          <input
+            ref={inputRef}
+            type="text"
+            placeholder='Search all boards... ("exact phrase", -exclude)'
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            aria-label="Search query"
+          />
+          {currentBoardId && (
+            <label className="search-palette-scope">
+              <input
+                type="checkbox"
+                checked={currentBoardOnly}
+                onChange={(e) => setCurrentBoardOnly(e.target.checked)}
+              />
+              This board
+            </label>
+          )}
+        </div>
+
+        {error && <div className="search-palette-message error">{error}</div>}
+
+        {!error && query.trim() && !loading && results.length === 0 && (
+          <div className="search-palette-message">No tasks match "{query.trim()}"</div>
+        )}
+
+        {results.length > 0 && (
+          <ul className="search-palette-results" ref={listRef} role="listbox">
+            {results.map((result, index) => (
+              <li
+                key={result.taskId}
+                className={`search-palette-result ${index === activeIndex ? 'active' : ''}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                onMouseEnter={() => setActiveIndex(index)}
+                onClick={() => handleSelect(result)}
+              >
+                <div className="search-palette-result-title">
+                  <Highlighted segments={result.titleSegments} />
+                  {result.archived && <span className="search-palette-badge">Archived</span>}
+                </div>
+                {result.snippet.some(segment => segment.match) &&
+                  result.snippet.map(segment => segment.text).join('') !== result.title && (
+                    <div className="search-palette-result-snippet">
+                      <Highlighted segments={result.snippet} />
+                    </div>
+                  )}
+                <div className="search-palette-result-meta">
+                  {result.boardName} · {result.statusTitle}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="search-palette-footer">
+          <span><kbd>↑</kbd> <kbd>↓</kbd> to navigate</span>
+          <span><kbd>Enter</kbd> to open</span>
+          <span><kbd>Esc</kbd> to close</span>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SearchPalette
@@ -4,13 +4,14 @@ import { getCategoryById } from '../utils/categories'
 import { parseMarkdown } from '../utils/markdown'
 import { formatTime, calculateTimeProgress, getTimeTrackingStatus } from '../utils/timeTracking'
 import UserAvatar from './UserAvatar'
+import AttachmentThumbnail from './AttachmentThumbnail'
 
 /**
  * Task Component
  * Displays a single task card with title, description, priority, due date, category, and action buttons
  * Supports selection for bulk operations
  * 
- * @param {Object} task - Task object containing id, title, description, priority, status, dueDate, category, comments
+ * @param {Object} task - Task object containing id, title, description, priority, status, dueDate, category, comments, attachments
  * @param {Function} onEdit - Callback function to handle task editing
  * @param {Function} onDelete - Callback function to handle task deletion
  * @param {boolean} isSelected - Whether the task is selected for bulk operations
@@ -48,8 +49,12 @@ const Task = ({ task, onEdit, onDelete, isSelected = false, onToggleSelect, user
     return 'due-date'
   }
 
-  // Get comment count
-  const commentCount = task.comments && task.comments.length > 0 ? task.comments.length : 0
+  // Get comment count (deleted comments kept as thread placeholders don't count)
+  const commentCount = (task.comments || []).filter(comment => !comment.deleted).length
+
+  // Attachments, with up to three image previews on the card
+  const attachments = task.attachments || []
+  const imagePreviews = attachments.filter(attachment => attachment.isImage).slice(0, 3)
   
   // Subtasks state - sync with task prop
   const [subtasks, setSubtasks] = useState(task.subtasks || [])
@@ -256,6 +261,18 @@ const Task = ({ task, onEdit, onDelete, isSelected = false, onToggleSelect, user
         </div>
       )}
       
+      {/* Attachments indicator with image thumbnails */}
+      {attachments.length > 0 && (
+        <div className="task-attachments">
+          {imagePreviews.map(attachment => (
+            <AttachmentThumbnail key={attachment.id} taskId={task.id} attachment={attachment} size={40} />
+          ))}
+          <span className="task-attachments-count">
+            📎 {attachments.length} {attachments.length === 1 ? 'file' : 'files'}
+          </span>
+        </div>
+      )}
+      
       {/* Action buttons container */}
       {(onEdit || onDelete) && (
         <div className="task-actions">
@@ -0,0 +1,132 @@
+import React, { useState, useRef } from 'react'
+import api from '../services/api'
+import AttachmentThumbnail from './AttachmentThumbnail'
+
+/**
+ * Formats a byte count for display (e.g. "1.2 MB")
+ */
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+/**
+ * TaskAttachments Component
+ * Lists, uploads, downloads and deletes the files attached to a task
+ * Attachments are owned by the parent (they arrive with the task and through live updates)
+ *
+ * @param {string} taskId - Task the files belong to
+ * @param {Array} attachments - The task's attachments
+ * @param {Function} onAttachmentsChange - Callback (taskId, updater) to apply a change to the list
+ * @param {boolean} canEdit - Whether the user may upload and delete files
+ */
+const TaskAttachments = ({ taskId, attachments = [], onAttachmentsChange, canEdit = true }) => {
+  const [uploading, setUploading] = useState(false)
+  const [error, setError] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const handleUpload = async (e) => {
+    const files = Array.from(e.target.files || [])
+    if (files.length === 0) return
+
+    setUploading(true)
+    setError(null)
+    try {
+      // One request per file; the server accepts a single file per upload
+      for (const file of files) {
+        const attachment = await api.attachments.upload(taskId, file)
+        onAttachmentsChange(taskId, list => [...list.filter(a => a.id !== attachment.id), attachment])
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setUploading(false)
+      if (fileInputRef.current) fileInputRef.current.value = ''
+    }
+  }
+
+  const handleDownload = async (attachment) => {
+    try {
+      const blob = await api.attachments.getBlob(taskId, attachment.id)
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = attachment.filename
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete "${attachment.filename}"?`)) return
+    try {
+      await api.attachments.delete(taskId, attachment.id)
+      onAttachmentsChange(taskId, list => list.filter(a => a.id !== attachment.id))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <div className="attachments-section">
+      {error && <span className="error-message">{error}</span>}
+
+      {attachments.length > 0 && (
+        <ul className="attachments-list">
+          {attachments.map(attachment => (
+            <li key={attachment.id} className="attachment-item">
+              {attachment.isImage ? (
+                <AttachmentThumbnail
+                  taskId={taskId}
+                  attachment={attachment}
+                  size={40}
+                  onClick={() => handleDownload(attachment)}
+                />
+              ) : (
+                <span className="attachment-icon">📄</span>
+              )}
+              <button
+                type="button"
+                className="attachment-name"
+                onClick={() => handleDownload(attachment)}
+                title="Download"
+              >
+                {attachment.filename}
+              </button>
+              <span className="attachment-size">{formatFileSize(attachment.size)}</span>
+              {canEdit && (
+                <button
+                  type="button"
+                  className="btn-delete-comment"
+                  onClick={() => handleDelete(attachment)}
+                  aria-label={`Delete ${attachment.filename}`}
+                >
+                  ×
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canEdit && (
+        <label className={`btn-add-comment attachment-upload ${uploading ? 'disabled' : ''}`}>
+          {uploading ? 'Uploading...' : 'Attach Files'}
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            onChange={handleUpload}
+            disabled={uploading}
+            hidden
+          />
+        </label>
+      )}
+    </div>
+  )
+}
+
+export default TaskAttachments
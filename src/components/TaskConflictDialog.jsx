@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { getConflictingFields, getFieldValue, formatConflictValue, resolveConflict } from '../utils/conflictResolution'
+
+/**
+ * TaskConflictDialog Component
+ * Shown when saving a task fails because someone else changed it first
+ * Lets the user pick, field by field, which version to keep (or merge list fields)
+ *
+ * @param {Object} conflict - { mine, theirs }: data the user tried to save and the current server task
+ * @param {Array} users - Array of all users (for showing assignee names)
+ * @param {Function} onResolve - Called with the merged task data to save
+ * @param {Function} onDiscard - Called when the user keeps the server version
+ */
+const TaskConflictDialog = ({ conflict, users = [], onResolve, onDiscard }) => {
+  const [choices, setChoices] = useState({})
+
+  // Fields that actually differ between the two versions
+  const conflictingFields = useMemo(() => {
+    return conflict ? getConflictingFields(conflict.mine, conflict.theirs) : []
+  }, [conflict])
+
+  // Default every field to the local edit whenever a new conflict arrives
+  useEffect(() => {
+    const defaults = {}
+    conflictingFields.forEach(field => {
+      defaults[field.key] = 'mine'
+    })
+    setChoices(defaults)
+  }, [conflictingFields])
+
+  if (!conflict) return null
+
+  const handleChoice = (fieldKey, choice) => {
+    setChoices(prev => ({ ...prev, [fieldKey]: choice }))
+  }
+
+  const handleSave = () => {
+    onResolve(resolveConflict(conflict.mine, conflict.theirs, choices))
+  }
+
+  return (
+    <div className="modal-overlay conflict-overlay">
+      <div className="modal-content conflict-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Task Changed by Someone Else</h2>
+        </div>
+
+        <p className="conflict-intro">
+          This task was updated while you were editing it. Choose which version of each field to keep.
+        </p>
+
+        {/* Field-by-field comparison */}
+        {conflictingFields.length > 0 ? (
+          <div className="conflict-fields">
+            {conflictingFields.map(field => (
+              <div key={field.key} className="conflict-field">
+                <div className="conflict-field-label">{field.label}</div>
+                <div className="conflict-options">
+                  <label className={`conflict-option ${choices[field.key] === 'mine' ? 'selected' : ''}`}>
+                    <input
+                      type="radio"
+                      name={`conflict-${field.key}`}
+                      checked={choices[field.key] === 'mine'}
+                      onChange={() => handleChoice(field.key, 'mine')}
+                    />
+                    <span className="conflict-option-title">Your version</span>
+                    <span className="conflict-option-value">
+                      {formatConflictValue(field, getFieldValue(conflict.mine, field), users)}
+                    </span>
+                  </label>
+                  <label className={`conflict-option ${choices[field.key] === 'theirs' ? 'selected' : ''}`}>
+                    <input
+                      type="radio"
+                      name={`conflict-${field.key}`}
+                      checked={choices[field.key] === 'theirs'}
+                      onChange={() => handleChoice(field.key, 'theirs')}
+                    />
+                    <span className="conflict-option-title">Current version</span>
+                    <span className="conflict-option-value">
+                      {formatConflictValue(field, getFieldValue(conflict.theirs, field), users)}
+                    </span>
+                  </label>
+                  {field.isList && (
+                    <label className={`conflict-option ${choices[field.key] === 'both' ? 'selected' : ''}`}>
+                      <input
+                        type="radio"
+                        name={`conflict-${field.key}`}
+                        checked={choices[field.key] === 'both'}
+                        onChange={() => handleChoice(field.key, 'both')}
+                      />
+                      <span className="conflict-option-title">Keep both</span>
+                      <span className="conflict-option-value">Combine items from both versions</span>
+                    </label>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="conflict-intro">No fields differ. Save again to apply your changes.</p>
+        )}
+
+        {/* Dialog actions */}
+        <div className="form-actions">
+          <button type="button" className="btn-cancel" onClick={onDiscard}>
+            Discard My Changes
+          </button>
+          <button type="button" className="btn-submit" onClick={handleSave}>
+            Save Merged Task
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TaskConflictDialog
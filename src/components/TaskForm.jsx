@@ -5,6 +5,23 @@ import { getTaskTemplates, createTaskFromTemplate } from '../utils/taskTemplates
 import { parseTimeString, formatTime } from '../utils/timeTracking'
 import { generateId } from '../utils/storage'
 import { loadCustomFields, getCustomFieldDefaultValue, validateCustomFieldValue } from '../utils/customFields'
+import TaskConflictDialog from './TaskConflictDialog'
+import CommentThread from './CommentThread'
+import TaskAttachments from './TaskAttachments'
+import {
+  DEPENDENCY_TYPES, MAX_LAG_DAYS, getDependencyType, getTaskDependencies, getIncomingDependencies,
+  normalizeDependency, validateDependency
+} from '../utils/taskDependencies'
+
+/**
+ * YYYY-MM-DD value of a saved task date for a date input
+ */
+const toUtcDateInput = (value) => (value ? new Date(value).toISOString().split('T')[0] : '')
+
+/**
+ * Short label of a link's lag ("+2d", "-1d"), empty without one
+ */
+const formatLag = (lag) => (lag ? `${lag > 0 ? '+' : ''}${lag}d` : '')
 
 /**
  * TaskForm Component
@@ -20,30 +37,42 @@ import { loadCustomFields, getCustomFieldDefaultValue, validateCustomFieldValue
  * @param {Object} currentUser - Current logged-in user
  * @param {Array} allTasks - Array of all tasks (for dependencies)
  * @param {string} boardId - Current board ID (for custom fields)
+ * @param {Object} conflict - Save conflict ({ mine, theirs }) reported by the server, or null
+ * @param {Function} onResolveConflict - Callback with merged task data (null to keep the server version)
+ * @param {Array} comments - Live comments of the task being edited
+ * @param {Function} onCommentsChange - Callback (taskId, updater) when comments are added, edited or deleted
+ * @param {Array} attachments - Live attachments of the task being edited
+ * @param {Function} onAttachmentsChange - Callback (taskId, updater) when files are uploaded or deleted
+ * @param {boolean} canEdit - Whether the current user may post comments and manage attachments
  */
 
-const TaskForm = ({ task, isOpen, onClose, onSubmit, users = [], currentUser = null, allTasks = [], boardId = null }) => {
+const TaskForm = ({
+  task, isOpen, onClose, onSubmit, users = [], currentUser = null, allTasks = [], boardId = null,
+  conflict = null, onResolveConflict, comments = [], onCommentsChange,
+  attachments = [], onAttachmentsChange, canEdit = true
+}) => {
   const [selectedTemplate, setSelectedTemplate] = useState('')
   // Form state - manages input values
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     priority: 'medium',
+    startDate: '',
     dueDate: '',
     category: 'other',
     assignedTo: null,
-    comments: [],
     subtasks: [],
     timeEstimate: null,
     timeSpent: null,
     dependencies: []
   })
 
-  // New comment input state
-  const [newComment, setNewComment] = useState('')
-  
   // Subtask input state
   const [newSubtaskTitle, setNewSubtaskTitle] = useState('')
+
+  // Link being added in the dependencies section, and why the last change was refused
+  const [newDependency, setNewDependency] = useState({ taskId: '', type: 'FS', lag: 0 })
+  const [dependencyError, setDependencyError] = useState(null)
   
   // Time tracking input states (as strings for user input)
   const [timeEstimateInput, setTimeEstimateInput] = useState('')
@@ -96,20 +125,22 @@ const TaskForm = ({ task, isOpen, onClose, onSubmit, users = [], currentUser = n
 
   // Update form data when task prop changes (for editing)
   useEffect(() => {
+    setDependencyError(null)
     if (task) {
       // If editing, populate form with existing task data
       setFormData({
         title: task.title || '',
         description: task.description || '',
         priority: task.priority || 'medium',
-        dueDate: task.dueDate ? formatDateForInput(task.dueDate) : '',
+        // Dates are saved as midnight UTC, so read the day back in UTC too
+        startDate: toUtcDateInput(task.startDate || task.start_date),
+        dueDate: toUtcDateInput(task.dueDate || task.due_date),
         category: task.category || 'other',
         assignedTo: task.assignedTo || null,
-        comments: task.comments || [],
         subtasks: task.subtasks || [],
         timeEstimate: task.timeEstimate || null,
         timeSpent: task.timeSpent || null,
-        dependencies: task.dependencies || []
+        dependencies: getTaskDependencies(task)
       })
       // Set time tracking inputs
       setTimeEstimateInput(task.timeEstimate ? formatTime(task.timeEstimate) : '')
@@ -124,10 +155,10 @@ const TaskForm = ({ task, isOpen, onClose, onSubmit, users = [], currentUser = n
         title: '',
         description: '',
         priority: 'medium',
+        startDate: '',
         dueDate: '',
         category: 'other',
         assignedTo: null,
-        comments: [],
         subtasks: [],
         timeEstimate: null,
         timeSpent: null,
@@ -136,9 +167,8 @@ const TaskForm = ({ task, isOpen, onClose, onSubmit, users = [], currentUser = n
       setTimeEstimateInput('')
       setTimeSpentInput('')
     }
-    // Clear errors and new comment when form opens
+    // Clear errors when form opens
     setErrors({})
-    setNewComment('')
     setNewSubtaskTitle('')
     setSelectedTemplate('')
   }, [task, isOpen])
@@ -184,41 +214,15 @@ const TaskForm = ({ task, isOpen, onClose, onSubmit, users = [], currentUser = n
       newErrors.description = 'Description must be less than 500 characters'
     }
 
+    // A task cannot end before it starts (the timeline draws it from start to due date)
+    if (formData.startDate && formData.dueDate && formData.startDate > formData.dueDate) {
+      newErrors.startDate = 'Start date must be on or before the due date'
+    }
+
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
 
-  /**
-   * Handles adding a new comment
-   */
-  const handleAddComment = () => {
-    if (newComment.trim()) {
-      const comment = {
-        id: `comment-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-        text: newComment.trim(),
-        createdAt: new Date().toISOString()
-      }
-      
-      setFormData(prev => ({
-        ...prev,
-        comments: [...prev.comments, comment]
-      }))
-      
-      setNewComment('')
-    }
-  }
-
-  /**
-   * Handles deleting a comment
-   * @param {string} commentId - ID of the comment to delete
-   */
-  const handleDeleteComment = (commentId) => {
-    setFormData(prev => ({
-      ...prev,
-      comments: prev.comments.filter(comment => comment.id !== commentId)
-    }))
-  }
-  
   /**
    * Handles adding a new subtask
    */
@@ -264,16 +268,48 @@ const TaskForm = ({ task, isOpen, onClose, onSubmit, users = [], currentUser = n
   }
   
   /**
-   * Handles adding a dependency
-   * @param {string} taskId - ID of the task to depend on
+   * Handles adding the link set up in the dependencies section
+   * Ordering links are refused if they would create a cycle
    */
-  const handleAddDependency = (taskId) => {
-    if (taskId && !formData.dependencies.includes(taskId) && taskId !== task?.id) {
-      setFormData(prev => ({
-        ...prev,
-        dependencies: [...prev.dependencies, taskId]
-      }))
+  const handleAddDependency = () => {
+    const { taskId, type } = newDependency
+    if (!taskId || formData.dependencies.some(link => link.taskId === taskId)) return
+
+    const validation = validateDependency(task?.id, taskId, allTasks, type)
+    if (!validation.valid) {
+      setDependencyError(validation.error)
+      return
     }
+
+    setDependencyError(null)
+    setFormData(prev => ({
+      ...prev,
+      dependencies: [...prev.dependencies, normalizeDependency(newDependency)]
+    }))
+    setNewDependency(prev => ({ ...prev, taskId: '', lag: 0 }))
+  }
+
+  /**
+   * Handles changing the type or lag of a link
+   * @param {string} taskId - ID of the linked task
+   * @param {Object} changes - { type } and/or { lag }
+   */
+  const handleUpdateDependency = (taskId, changes) => {
+    if (changes.type) {
+      const validation = validateDependency(task?.id, taskId, allTasks, changes.type)
+      if (!validation.valid) {
+        setDependencyError(validation.error)
+        return
+      }
+    }
+
+    setDependencyError(null)
+    setFormData(prev => ({
+      ...prev,
+      dependencies: prev.dependencies.map(link => (
+        link.taskId === taskId ? normalizeDependency({ ...link, ...changes }) : link
+      ))
+    }))
   }
   
   /**
@@ -283,13 +319,81 @@ const TaskForm = ({ task, isOpen, onClose, onSubmit, users = [], currentUser = n
   const handleRemoveDependency = (taskId) => {
     setFormData(prev => ({
       ...prev,
-      dependencies: prev.dependencies.filter(id => id !== taskId)
+      dependencies: prev.dependencies.filter(link => link.taskId !== taskId)
     }))
   }
   
   // Get available tasks for dependencies (exclude current task)
   const availableDependencyTasks = allTasks.filter(t => t.id !== task?.id)
 
+  // Links stored on other tasks that point at this one ("blocks" / "duplicated by")
+  const incomingDependencies = task ? getIncomingDependencies(task.id, allTasks) : []
+
+  /**
+   * Renders one of this task's links, with its type and lag editable
+   */
+  const renderDependencyItem = (link) => {
+    const depTask = allTasks.find(t => t.id === link.taskId)
+    if (!depTask) return null
+    const type = getDependencyType(link.type)
+
+    return (
+      <div key={link.taskId} className="dependency-item">
+        <select
+          className="dependency-type-select"
+          value={link.type}
+          onChange={(e) => handleUpdateDependency(link.taskId, { type: e.target.value })}
+          aria-label={`Link type to ${depTask.title}`}
+        >
+          {DEPENDENCY_TYPES.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+        <span className="dependency-task-title">{depTask.title}</span>
+        {type.schedule && (
+          <input
+            type="number"
+            className="dependency-lag-input"
+            value={link.lag}
+            min={-MAX_LAG_DAYS}
+            max={MAX_LAG_DAYS}
+            step="1"
+            onChange={(e) => handleUpdateDependency(link.taskId, { lag: parseInt(e.target.value, 10) || 0 })}
+            aria-label={`Lag in days after ${depTask.title}`}
+            title="Lag in days (negative for a lead)"
+          />
+        )}
+        <button
+          type="button"
+          className="btn-remove-dependency"
+          onClick={() => handleRemoveDependency(link.taskId)}
+          aria-label="Remove dependency"
+        >
+          ×
+        </button>
+      </div>
+    )
+  }
+
+  /**
+   * Renders a link stored on another task (edited from that task)
+   */
+  const renderIncomingItem = (link) => {
+    const type = getDependencyType(link.type)
+    return (
+      <div key={link.task.id} className="dependency-item incoming" title="Edit this link from the other task">
+        <span className="dependency-type-label">{type.inverseLabel}</span>
+        <span className="dependency-task-title">{link.task.title}</span>
+        {formatLag(link.lag) && <span className="dependency-lag">{formatLag(link.lag)}</span>}
+      </div>
+    )
+  }
+
+  const blockedBy = formData.dependencies.filter(link => getDependencyType(link.type).ordering)
+  const related = formData.dependencies.filter(link => !getDependencyType(link.type).ordering)
+  const blocks = incomingDependencies.filter(link => getDependencyType(link.type).ordering)
+  const relatedIncoming = incomingDependencies.filter(link => !getDependencyType(link.type).ordering)
+
   /**
    * Handles form submission
    * Validates data and calls onSubmit callback
@@ -316,10 +420,11 @@ const TaskForm = ({ task, isOpen, onClose, onSubmit, users = [], currentUser = n
       return
     }
 
-    // Convert dueDate to ISO string if provided
+    // Convert startDate and dueDate to ISO strings if provided
     // Parse time tracking inputs to minutes
     const submitData = {
       ...formData,
+      startDate: formData.startDate ? new Date(formData.startDate).toISOString() : null,
       dueDate: formData.dueDate ? new Date(formData.dueDate).toISOString() : null,
       timeEstimate: timeEstimateInput ? parseTimeString(timeEstimateInput) : null,
       timeSpent: timeSpentInput ? parseTimeString(timeSpentInput) : null,
@@ -334,16 +439,15 @@ const TaskForm = ({ task, isOpen, onClose, onSubmit, users = [], currentUser = n
       title: '',
       description: '',
       priority: 'medium',
+      startDate: '',
       dueDate: '',
       category: 'other',
       assignedTo: null,
-        comments: [],
         subtasks: [],
         timeEstimate: null,
         timeSpent: null,
         dependencies: []
     })
-    setNewComment('')
     setNewSubtaskTitle('')
     setTimeEstimateInput('')
     setTimeSpentInput('')
@@ -436,6 +540,21 @@ const TaskForm = ({ task, isOpen, onClose, onSubmit, users = [], currentUser = n
             </select>
           </div>
 
+          {/* Start date input */}
+          <div className="form-group">
+            <label htmlFor="startDate">Start Date</label>
+            <input
+              type="date"
+              id="startDate"
+              name="startDate"
+              value={formData.startDate}
+              onChange={handleChange}
+              max={formData.dueDate || undefined}
+              className={errors.startDate ? 'input-error' : ''}
+            />
+            {errors.startDate && <span className="error-message">{errors.startDate}</span>}
+          </div>
+
           {/* Due date input */}
           <div className="form-group">
             <label htmlFor="dueDate">Due Date</label>
@@ -581,48 +700,82 @@ const TaskForm = ({ task, isOpen, onClose, onSubmit, users = [], currentUser = n
             <div className="form-group">
               <label>Dependencies</label>
               <div className="dependencies-section">
-                {/* Existing dependencies */}
-                {formData.dependencies && formData.dependencies.length > 0 && (
-                  <div className="dependencies-list">
-                    {formData.dependencies.map(depId => {
-                      const depTask = allTasks.find(t => t.id === depId)
-                      return depTask ? (
-                        <div key={depId} className="dependency-item">
-                          <span className="dependency-task-title">{depTask.title}</span>
-                          <button
-                            type="button"
-                            className="btn-remove-dependency"
-                            onClick={() => handleRemoveDependency(depId)}
-                            aria-label="Remove dependency"
-                          >
-                            ×
-                          </button>
-                        </div>
-                      ) : null
-                    })}
+                {/* Tasks this one waits on */}
+                {blockedBy.length > 0 && (
+                  <div className="dependencies-group">
+                    <h4 className="dependencies-group-title">Blocked by</h4>
+                    <div className="dependencies-list">{blockedBy.map(renderDependencyItem)}</div>
+                  </div>
+                )}
+
+                {/* Tasks waiting on this one */}
+                {blocks.length > 0 && (
+                  <div className="dependencies-group">
+                    <h4 className="dependencies-group-title">Blocks</h4>
+                    <div className="dependencies-list">{blocks.map(renderIncomingItem)}</div>
+                  </div>
+                )}
+
+                {(related.length > 0 || relatedIncoming.length > 0) && (
+                  <div className="dependencies-group">
+                    <h4 className="dependencies-group-title">Related</h4>
+                    <div className="dependencies-list">
+                      {related.map(renderDependencyItem)}
+                      {relatedIncoming.map(renderIncomingItem)}
+                    </div>
                   </div>
                 )}
                 
                 {/* Add new dependency */}
-                <select
-                  className="dependency-select"
-                  value=""
-                  onChange={(e) => {
-                    if (e.target.value) {
-                      handleAddDependency(e.target.value)
-                      e.target.value = ''
-                    }
-                  }}
-                >
-                  <option value="">Add dependency...</option>
-                  {availableDependencyTasks
-                    .filter(t => !formData.dependencies.includes(t.id))
-                    .map(depTask => (
-                      <option key={depTask.id} value={depTask.id}>
-                        {depTask.title} ({depTask.status})
-                      </option>
+                <div className="dependency-add">
+                  <select
+                    className="dependency-type-select"
+                    value={newDependency.type}
+                    onChange={(e) => setNewDependency(prev => ({ ...prev, type: e.target.value }))}
+                    aria-label="Link type"
+                  >
+                    {DEPENDENCY_TYPES.map(option => (
+                      <option key={option.id} value={option.id}>{option.label}</option>
                     ))}
-                </select>
+                  </select>
+                  <select
+                    className="dependency-select"
+                    value={newDependency.taskId}
+                    onChange={(e) => setNewDependency(prev => ({ ...prev, taskId: e.target.value }))}
+                    aria-label="Linked task"
+                  >
+                    <option value="">Choose a task...</option>
+                    {availableDependencyTasks
+                      .filter(t => !formData.dependencies.some(link => link.taskId === t.id))
+                      .map(depTask => (
+                        <option key={depTask.id} value={depTask.id}>
+                          {depTask.title} ({depTask.status})
+                        </option>
+                      ))}
+                  </select>
+                  {getDependencyType(newDependency.type).schedule && (
+                    <input
+                      type="number"
+                      className="dependency-lag-input"
+                      value={newDependency.lag}
+                      min={-MAX_LAG_DAYS}
+                      max={MAX_LAG_DAYS}
+                      step="1"
+                      onChange={(e) => setNewDependency(prev => ({ ...prev, lag: parseInt(e.target.value, 10) || 0 }))}
+                      aria-label="Lag in days"
+                      title="Lag in days (negative for a lead)"
+                    />
+                  )}
+                  <button
+                    type="button"
+                    className="btn-add-dependency"
+                    onClick={handleAddDependency}
+                    disabled={!newDependency.taskId}
+                  >
+                    Add
+                  </button>
+                </div>
+                {dependencyError && <span className="error-message">{dependencyError}</span>}
               </div>
             </div>
           )}
@@ -746,49 +899,36 @@ const TaskForm = ({ task, isOpen, onClose, onSubmit, users = [], currentUser = n
             </div>
           )}
           
-          {/* Comments section */}
+          {/* Attachments (uploaded immediately, so only for existing tasks) */}
+          <div className="form-group">
+            <label>Attachments</label>
+            {task?.id ? (
+              <TaskAttachments
+                taskId={task.id}
+                attachments={attachments}
+                onAttachmentsChange={onAttachmentsChange}
+                canEdit={canEdit}
+              />
+            ) : (
+              <p className="form-hint">Save the task to attach files.</p>
+            )}
+          </div>
+
+          {/* Comments thread (saved immediately, so only for existing tasks) */}
           <div className="form-group">
             <label>Comments</label>
-            <div className="comments-section">
-              {/* Existing comments */}
-              {formData.comments && formData.comments.length > 0 && (
-                <div className="comments-list">
-                  {formData.comments.map(comment => (
-                    <div key={comment.id} className="comment-item">
-                      <p className="comment-text">{comment.text}</p>
-                      <button
-                        type="button"
-                        className="btn-delete-comment"
-                        onClick={() => handleDeleteComment(comment.id)}
-                        aria-label="Delete comment"
-                      >
-                        ×
-                      </button>
-                    </div>
-                  ))}
-                </div>
-              )}
-              
-              {/* Add new comment */}
-              <div className="add-comment">
-                <textarea
-                  className="comment-input"
-                  placeholder="Add a comment..."
-                  value={newComment}
-                  onChange={(e) => setNewComment(e.target.value)}
-                  rows="2"
-                  maxLength={200}
-                />
-                <button
-                  type="button"
-                  className="btn-add-comment"
-                  onClick={handleAddComment}
-                  disabled={!newComment.trim()}
-                >
-                  Add Comment
-                </button>
-              </div>
-            </div>
+            {task?.id ? (
+              <CommentThread
+                taskId={task.id}
+                comments={comments}
+                onCommentsChange={onCommentsChange}
+                currentUser={currentUser}
+                users={users}
+                canComment={canEdit}
+              />
+            ) : (
+              <p className="form-hint">Save the task to start a discussion.</p>
+            )}
           </div>
 
           {/* Form actions */}
@@ -802,6 +942,14 @@ const TaskForm = ({ task, isOpen, onClose, onSubmit, users = [], currentUser = n
           </div>
         </form>
       </div>
+
+      {/* Conflict resolution when someone else saved this task first */}
+      <TaskConflictDialog
+        conflict={conflict}
+        users={users}
+        onResolve={(resolvedData) => onResolveConflict(resolvedData)}
+        onDiscard={() => onResolveConflict(null)}
+      />
     </div>
   )
 }
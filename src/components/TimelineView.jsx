@@ -0,0 +1,292 @@
+import React, { useState, useMemo, useEffect } from 'react'
+import { getCriticalPath, getSuccessorShifts, getTaskDependencies } from '../utils/taskDependencies'
+import {
+  toDay, getTaskSpan, getTaskDuration, getTimelineRange, getRescheduledDates, getSpanDeltas, isLinkSatisfied
+} from '../utils/timeline'
+
+// Layout of the chart, in pixels
+const DAY_WIDTH = 32
+const ROW_HEIGHT = 40
+const BAR_HEIGHT = 24
+const ARROW_GAP = 8
+
+/**
+ * Short label of a day number ("Oct 19"), in UTC like the task dates
+ */
+const formatDay = (day, options = { month: 'short', day: 'numeric' }) => (
+  new Date(day * 24 * 60 * 60 * 1000).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' })
+)
+
+/**
+ * SVG path of a dependency arrow between two bar edges ('start' or 'end')
+ * The arrow leaves and enters each bar away from it; when the edges are in the wrong order
+ * for a direct line it is routed through the gap between the rows.
+ */
+const getArrowPath = (fromX, fromY, fromEdge, toX, toY, toEdge) => {
+  const exitX = fromX + (fromEdge === 'end' ? ARROW_GAP : -ARROW_GAP)
+  const entryX = toX + (toEdge === 'start' ? -ARROW_GAP : ARROW_GAP)
+  const isDirect = toEdge === 'start' ? exitX <= entryX : exitX >= entryX
+  if (isDirect) {
+    return `M ${fromX} ${fromY} H ${exitX} V ${toY} H ${toX}`
+  }
+  const gapY = toY + (toY > fromY ? -ROW_HEIGHT / 2 : ROW_HEIGHT / 2)
+  return `M ${fromX} ${fromY} H ${exitX} V ${gapY} H ${entryX} V ${toY} H ${toX}`
+}
+
+/**
+ * TimelineView Component
+ * Gantt chart of the board: tasks as bars from their start to their due date, with an arrow
+ * for each schedule link (FS, SS, FF, SF) and the critical path highlighted. Links whose
+ * dates break the link (e.g. a task starting before its predecessor ends) are dashed.
+ * Dragging a bar moves the task, dragging its edges changes its start or due date; linked
+ * tasks move along (the server applies the same shifts, see POST /api/tasks/:id/reschedule).
+ *
+ * @param {Array} tasks - Array of all tasks
+ * @param {Function} onReschedule - Callback (taskId, { startDate, dueDate }); null makes the chart read-only
+ * @param {Function} onTaskClick - Callback when a bar is clicked
+ */
+const TimelineView = ({ tasks = [], onReschedule, onTaskClick }) => {
+  // Bar being dragged: { taskId, mode: 'move' | 'start' | 'end', originX, delta }
+  const [drag, setDrag] = useState(null)
+
+  const today = toDay(new Date())
+
+  // Scheduled tasks in start order; the rest are listed as a count
+  const scheduledTasks = useMemo(() => (
+    tasks
+      .filter(task => getTaskSpan(task))
+      .sort((a, b) => {
+        const spanA = getTaskSpan(a)
+        const spanB = getTaskSpan(b)
+        return spanA.start - spanB.start || spanA.end - spanB.end
+      })
+  ), [tasks])
+  const unscheduledCount = tasks.length - scheduledTasks.length
+
+  const range = useMemo(() => getTimelineRange(scheduledTasks, today), [scheduledTasks, today])
+
+  const criticalPath = useMemo(() => getCriticalPath(scheduledTasks, getTaskDuration), [scheduledTasks])
+  const criticalLinks = useMemo(() => new Set(
+    criticalPath.slice(1).map((taskId, index) => `${criticalPath[index]}>${taskId}`)
+  ), [criticalPath])
+
+  // Dates shown while dragging: the dragged task and everything depending on it
+  const preview = useMemo(() => {
+    if (!drag || drag.delta === 0) return null
+    const task = tasks.find(t => t.id === drag.taskId)
+    const dates = getRescheduledDates(task, drag.mode, drag.delta)
+    const { startDelta, endDelta } = getSpanDeltas(task, dates)
+    return { dates, shifts: getSuccessorShifts(task.id, startDelta, endDelta, tasks) }
+  }, [drag, tasks])
+
+  const getDisplaySpan = (task) => {
+    if (preview && task.id === drag.taskId) {
+      return getTaskSpan(preview.dates)
+    }
+    const span = getTaskSpan(task)
+    const shift = preview?.shifts.get(task.id)
+    return shift ? { start: span.start + shift, end: span.end + shift } : span
+  }
+
+  // Track the pointer on the whole window while a bar is dragged
+  useEffect(() => {
+    if (!drag) return
+
+    const handlePointerMove = (e) => {
+      const delta = Math.round((e.clientX - drag.originX) / DAY_WIDTH)
+      if (delta !== drag.delta) setDrag(prev => ({ ...prev, delta }))
+    }
+
+    const handlePointerUp = () => {
+      const task = tasks.find(t => t.id === drag.taskId)
+      setDrag(null)
+      if (!task) return
+      if (drag.delta !== 0) {
+        onReschedule(task.id, getRescheduledDates(task, drag.mode, drag.delta))
+      } else if (drag.mode === 'move' && onTaskClick) {
+        onTaskClick(task)
+      }
+    }
+
+    window.addEventListener('pointermove', handlePointerMove)
+    window.addEventListener('pointerup', handlePointerUp)
+    return () => {
+      window.removeEventListener('pointermove', handlePointerMove)
+      window.removeEventListener('pointerup', handlePointerUp)
+    }
+  }, [drag, tasks, onReschedule, onTaskClick])
+
+  const startDrag = (e, task, mode) => {
+    if (!onReschedule || e.button !== 0) return
+    e.preventDefault()
+    e.stopPropagation()
+    setDrag({ taskId: task.id, mode, originX: e.clientX, delta: 0 })
+  }
+
+  if (scheduledTasks.length === 0) {
+    return (
+      <div className="timeline-view">
+        <p className="timeline-empty">
+          No tasks have a start or due date yet. Add dates to tasks to see them on the timeline.
+        </p>
+      </div>
+    )
+  }
+
+  const days = Array.from({ length: range.days }, (_, index) => range.start + index)
+  const rowIndex = new Map(scheduledTasks.map((task, index) => [task.id, index]))
+  const spans = new Map(scheduledTasks.map(task => [task.id, getDisplaySpan(task)]))
+  const chartWidth = range.days * DAY_WIDTH
+  const chartHeight = scheduledTasks.length * ROW_HEIGHT
+  const barX = (day) => (day - range.start) * DAY_WIDTH
+  const rowY = (index) => index * ROW_HEIGHT + ROW_HEIGHT / 2
+
+  // One arrow per schedule link between two scheduled tasks
+  const links = scheduledTasks.flatMap(task => getTaskDependencies(task, type => type.schedule)
+    .filter(link => rowIndex.has(link.taskId))
+    .map(link => ({
+      ...link,
+      from: link.taskId,
+      to: task.id,
+      critical: criticalLinks.has(`${link.taskId}>${task.id}`),
+      satisfied: isLinkSatisfied(spans.get(link.taskId), spans.get(task.id), link)
+    })))
+  const edgeX = (span, edge) => barX(edge === 'start' ? span.start : span.end + 1)
+
+  return (
+    <div className={`timeline-view ${drag ? 'dragging' : ''}`}>
+      <div className="timeline-toolbar">
+        <span className="timeline-legend">
+          <span className="timeline-legend-bar critical" /> Critical path
+          {criticalPath.length === 0 && ' (add schedule links between scheduled tasks to see it)'}
+          <span className="timeline-legend-link violated" /> Link broken by the dates
+        </span>
+        {unscheduledCount > 0 && (
+          <span className="timeline-unscheduled">
+            {unscheduledCount} task{unscheduledCount !== 1 ? 's' : ''} without dates not shown
+          </span>
+        )}
+        {onReschedule && (
+          <span className="timeline-hint">Drag a bar to move it, or its edges to change its dates</span>
+        )}
+      </div>
+
+      <div className="timeline-scroll">
+        <div className="timeline-grid">
+          {/* Header: task column and one cell per day */}
+          <div className="timeline-header">
+            <div className="timeline-label-cell timeline-corner">Task</div>
+            <div className="timeline-days" style={{ width: chartWidth }}>
+              {days.map(day => {
+                const weekday = new Date(day * 24 * 60 * 60 * 1000).getUTCDay()
+                const showMonth = day === range.start || formatDay(day, { day: 'numeric' }) === '1'
+                return (
+                  <div
+                    key={day}
+                    className={`timeline-day ${weekday === 0 || weekday === 6 ? 'weekend' : ''} ${day === today ? 'today' : ''}`}
+                    style={{ width: DAY_WIDTH }}
+                  >
+                    {showMonth && <span className="timeline-month">{formatDay(day, { month: 'short' })}</span>}
+                    {formatDay(day, { day: 'numeric' })}
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+
+          <div className="timeline-body">
+            {/* Task names */}
+            <div className="timeline-labels">
+              {scheduledTasks.map(task => (
+                <div
+                  key={task.id}
+                  className={`timeline-label-cell ${criticalPath.includes(task.id) ? 'critical' : ''}`}
+                  style={{ height: ROW_HEIGHT }}
+                  title={task.title}
+                >
+                  {task.title}
+                </div>
+              ))}
+            </div>
+
+            <div className="timeline-chart" style={{ width: chartWidth, height: chartHeight }}>
+              {/* Weekend shading and today marker */}
+              {days.map(day => {
+                const weekday = new Date(day * 24 * 60 * 60 * 1000).getUTCDay()
+                return (weekday === 0 || weekday === 6) && (
+                  <div key={day} className="timeline-weekend" style={{ left: barX(day), width: DAY_WIDTH }} />
+                )
+              })}
+              <div className="timeline-today" style={{ left: barX(today) + DAY_WIDTH / 2 }} title="Today" />
+
+              {/* Dependency arrows */}
+              <svg className="timeline-links" width={chartWidth} height={chartHeight} aria-hidden="true">
+                <defs>
+                  <marker id="timeline-arrow" viewBox="0 0 8 8" refX="8" refY="4" markerWidth="8" markerHeight="8" orient="auto">
+                    <path d="M 0 0 L 8 4 L 0 8 z" className="timeline-arrow-head" />
+                  </marker>
+                  <marker id="timeline-arrow-critical" viewBox="0 0 8 8" refX="8" refY="4" markerWidth="8" markerHeight="8" orient="auto">
+                    <path d="M 0 0 L 8 4 L 0 8 z" className="timeline-arrow-head critical" />
+                  </marker>
+                </defs>
+                {links.map(link => {
+                  // FS links run from the predecessor's end to the successor's start, SF from start to end, ...
+                  const fromEdge = link.type.startsWith('S') ? 'start' : 'end'
+                  const toEdge = link.type.endsWith('S') ? 'start' : 'end'
+                  return (
+                    <path
+                      key={`${link.from}>${link.to}`}
+                      className={`timeline-link ${link.critical ? 'critical' : ''} ${link.satisfied ? '' : 'violated'}`}
+                      d={getArrowPath(
+                        edgeX(spans.get(link.from), fromEdge), rowY(rowIndex.get(link.from)), fromEdge,
+                        edgeX(spans.get(link.to), toEdge), rowY(rowIndex.get(link.to)), toEdge
+                      )}
+                      markerEnd={`url(#${link.critical ? 'timeline-arrow-critical' : 'timeline-arrow'})`}
+                    >
+                      <title>
+                        {`${link.type}${link.lag ? ` ${link.lag > 0 ? '+' : ''}${link.lag}d` : ''}`}
+                        {link.satisfied ? '' : ' (dates break this link)'}
+                      </title>
+                    </path>
+                  )
+                })}
+              </svg>
+
+              {/* Task bars */}
+              {scheduledTasks.map((task, index) => {
+                const span = spans.get(task.id)
+                const isCritical = criticalPath.includes(task.id)
+                const isMoving = drag && (task.id === drag.taskId || preview?.shifts.has(task.id))
+                return (
+                  <div
+                    key={task.id}
+                    className={`timeline-bar priority-${task.priority || 'medium'} ${isCritical ? 'critical' : ''} ${isMoving ? 'moving' : ''} ${onReschedule ? 'draggable' : ''}`}
+                    style={{
+                      left: barX(span.start),
+                      width: (span.end - span.start + 1) * DAY_WIDTH,
+                      top: index * ROW_HEIGHT + (ROW_HEIGHT - BAR_HEIGHT) / 2,
+                      height: BAR_HEIGHT
+                    }}
+                    title={`${task.title}\n${formatDay(span.start)} – ${formatDay(span.end)}`}
+                    onPointerDown={e => startDrag(e, task, 'move')}
+                    onClick={!onReschedule && onTaskClick ? () => onTaskClick(task) : undefined}
+                  >
+                    {onReschedule && (
+                      <span className="timeline-bar-handle start" onPointerDown={e => startDrag(e, task, 'start')} />
+                    )}
+                    <span className="timeline-bar-title">{task.title}</span>
+                    {onReschedule && (
+                      <span className="timeline-bar-handle end" onPointerDown={e => startDrag(e, task, 'end')} />
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TimelineView
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react'
+import api from '../services/api'
+import { formatActivityTime } from '../utils/activityLog'
+
+/**
+ * Trash Component
+ * Lists deleted boards and tasks with who deleted them, and restores or permanently deletes them
+ *
+ * @param {boolean} isOpen - Whether the trash is visible
+ * @param {Function} onClose - Callback to close the trash
+ * @param {Function} onBoardRestored - Called with the restored board
+ * @param {Function} onTaskRestored - Called with the restored task
+ */
+const Trash = ({ isOpen, onClose, onBoardRestored, onTaskRestored }) => {
+  const [trash, setTrash] = useState({ boards: [], tasks: [], retentionDays: null })
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (isOpen) loadTrash()
+  }, [isOpen])
+
+  const loadTrash = async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      setTrash(await api.trash.get())
+    } catch (err) {
+      setError('Failed to load trash: ' + err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  /**
+   * Runs a trash action, then drops the item from the list
+   * @param {string} kind - 'boards' or 'tasks'
+   * @param {string} id - Item ID
+   * @param {Function} action - API call
+   */
+  const runAction = async (kind, id, action) => {
+    setError(null)
+    try {
+      const result = await action()
+      setTrash(prev => ({ ...prev, [kind]: prev[kind].filter(item => item.id !== id) }))
+      return result
+    } catch (err) {
+      setError(err.message)
+      return null
+    }
+  }
+
+  const handleRestoreBoard = async (board) => {
+    const restored = await runAction('boards', board.id, () => api.trash.restoreBoard(board.id))
+    if (restored && onBoardRestored) onBoardRestored(restored)
+  }
+
+  const handleRestoreTask = async (task) => {
+    const restored = await runAction('tasks', task.id, () => api.trash.restoreTask(task.id))
+    if (restored && onTaskRestored) onTaskRestored(restored)
+  }
+
+  const handleDeleteBoard = (board) => {
+    if (window.confirm(`Permanently delete board "${board.name}" and its ${board.taskCount} task(s)? This cannot be undone.`)) {
+      runAction('boards', board.id, () => api.trash.deleteBoard(board.id))
+    }
+  }
+
+  const handleDeleteTask = (task) => {
+    if (window.confirm(`Permanently delete task "${task.title}"? This cannot be undone.`)) {
+      runAction('tasks', task.id, () => api.trash.deleteTask(task.id))
+    }
+  }
+
+  /**
+   * "Deleted by Alice 2 days ago · purged on Mar 15"
+   */
+  const describeDeletion = (item) => {
+    const deletedAt = item.deletedAt ? `${item.deletedAt.replace(' ', 'T')}Z` : null
+    const parts = [
+      `Deleted by ${item.deletedBy?.name || 'unknown user'}${deletedAt ? ` ${formatActivityTime(deletedAt)}` : ''}`
+    ]
+    if (item.purgeAt) {
+      parts.push(`removed for good on ${new Date(item.purgeAt).toLocaleDateString()}`)
+    }
+    return parts.join(' · ')
+  }
+
+  if (!isOpen) return null
+
+  const isEmpty = trash.boards.length === 0 && trash.tasks.length === 0
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content trash-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Trash</h2>
+          <button className="btn-close" onClick={onClose} aria-label="Close modal">
+            ×
+          </button>
+        </div>
+
+        <div className="trash-content">
+          {trash.retentionDays && (
+            <p className="trash-note">
+              Deleted boards and tasks are kept for {trash.retentionDays} days, then removed for good.
+            </p>
+          )}
+
+          {error && <div className="trash-error">{error}</div>}
+
+          {loading ? (
+            <div className="trash-empty">Loading...</div>
+          ) : isEmpty ? (
+            <div className="trash-empty">
+              <p>Trash is empty</p>
+            </div>
+          ) : (
+            <>
+              {trash.boards.length > 0 && (
+                <div className="trash-section">
+                  <h3>Boards</h3>
+                  {trash.boards.map(board => (
+                    <div key={board.id} className="trash-item">
+                      <div className="trash-item-info">
+                        <div className="trash-item-title">
+                          {board.name}
+                          <span className="trash-item-meta"> · {board.taskCount} task{board.taskCount !== 1 ? 's' : ''}</span>
+                        </div>
+                        <div className="trash-item-meta">{describeDeletion(board)}</div>
+                      </div>
+                      <div className="trash-item-actions">
+                        <button className="btn-edit-small" onClick={() => handleRestoreBoard(board)}>
+                          Restore
+                        </button>
+                        <button className="btn-delete-small" onClick={() => handleDeleteBoard(board)}>
+                          Delete Forever
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {trash.tasks.length > 0 && (
+                <div className="trash-section">
+                  <h3>Tasks</h3>
+                  {trash.tasks.map(task => (
+                    <div key={task.id} className="trash-item">
+                      <div className="trash-item-info">
+                        <div className="trash-item-title">
+                          {task.title}
+                          <span className="trash-item-meta"> · {task.boardName}</span>
+                        </div>
+                        <div className="trash-item-meta">{describeDeletion(task)}</div>
+                      </div>
+                      <div className="trash-item-actions">
+                        <button className="btn-edit-small" onClick={() => handleRestoreTask(task)}>
+                          Restore
+                        </button>
+                        <button className="btn-delete-small" onClick={() => handleDeleteTask(task)}>
+                          Delete Forever
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Trash
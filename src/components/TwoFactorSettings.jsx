@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react'
+import api from '../services/api'
+
+/**
+ * TwoFactorSettings Component
+ * Sets up, shows and turns off two-factor authentication (TOTP) for the current user
+ *
+ * @param {Function} onClose - Callback to return to the profile menu
+ */
+const TwoFactorSettings = ({ onClose }) => {
+  const [status, setStatus] = useState(null)
+  const [setup, setSetup] = useState(null) // { secret, otpauthUrl, qrCode } while setting up
+  const [recoveryCodes, setRecoveryCodes] = useState(null) // shown once after enabling/regenerating
+  const [isDisabling, setIsDisabling] = useState(false)
+  const [code, setCode] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  /**
+   * Loads the two-factor status
+   */
+  const loadStatus = async () => {
+    try {
+      setStatus(await api.users.twoFactor.getStatus())
+    } catch (err) {
+      console.error('Failed to load two-factor status:', err)
+      setError(err.message)
+    }
+  }
+
+  useEffect(() => {
+    loadStatus()
+  }, [])
+
+  /**
+   * Runs an action with the loading and error state handled
+   */
+  const run = async (action) => {
+    setLoading(true)
+    setError(null)
+    try {
+      await action()
+    } catch (err) {
+      console.error('Two-factor action failed:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleStartSetup = () => run(async () => {
+    setSetup(await api.users.twoFactor.setup())
+    setCode('')
+  })
+
+  const handleEnable = (e) => {
+    e.preventDefault()
+    run(async () => {
+      const response = await api.users.twoFactor.enable(code.trim())
+      setRecoveryCodes(response.recoveryCodes)
+      setSetup(null)
+      setCode('')
+      await loadStatus()
+    })
+  }
+
+  const handleRegenerate = (e) => {
+    e.preventDefault()
+    run(async () => {
+      const response = await api.users.twoFactor.regenerateRecoveryCodes(code.trim())
+      setRecoveryCodes(response.recoveryCodes)
+      setCode('')
+      await loadStatus()
+    })
+  }
+
+  const handleDisable = (e) => {
+    e.preventDefault()
+    run(async () => {
+      await api.users.twoFactor.disable(password, code.trim())
+      setIsDisabling(false)
+      setPassword('')
+      setCode('')
+      await loadStatus()
+    })
+  }
+
+  const codeInput = (
+    <input
+      type="text"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      placeholder="6-digit code"
+      autoComplete="one-time-code"
+    />
+  )
+
+  return (
+    <div className="two-factor-settings">
+      <h4>Two-factor authentication</h4>
+      {error && <p className="two-factor-error">{error}</p>}
+
+      {!status && !error && <p className="two-factor-hint">Loading...</p>}
+
+      {recoveryCodes && (
+        <div className="two-factor-recovery">
+          <p className="two-factor-hint">
+            Save these recovery codes somewhere safe. Each one signs you in once if you lose your device.
+            They will not be shown again.
+          </p>
+          <ul className="two-factor-codes">
+            {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+          </ul>
+          <button className="btn-edit-profile" onClick={() => setRecoveryCodes(null)}>
+            I have saved them
+          </button>
+        </div>
+      )}
+
+      {status && !recoveryCodes && !status.enabled && !setup && (
+        <div className="user-profile-actions">
+          <p className="two-factor-hint">
+            Protect your account with a code from an authenticator app when signing in.
+          </p>
+          <button className="btn-edit-profile" onClick={handleStartSetup} disabled={loading}>
+            Set up two-factor authentication
+          </button>
+        </div>
+      )}
+
+      {setup && (
+        <form className="user-profile-edit" onSubmit={handleEnable}>
+          <p className="two-factor-hint">Scan this QR code with your authenticator app, then enter the code it shows.</p>
+          <img className="two-factor-qr" src={setup.qrCode} alt="QR code for your authenticator app" />
+          <p className="two-factor-hint">
+            Or enter this key: <code className="two-factor-secret">{setup.secret}</code>
+          </p>
+          {codeInput}
+          <div className="user-profile-actions">
+            <button type="submit" className="btn-save" disabled={loading || !code.trim()}>Enable</button>
+            <button type="button" className="btn-cancel" onClick={() => setSetup(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {status?.enabled && !recoveryCodes && (
+        <>
+          <p className="two-factor-hint">
+            ✅ Enabled · {status.recoveryCodesRemaining} recovery codes left
+          </p>
+          {status.requiredBy.length > 0 && (
+            <p className="two-factor-hint">
+              Required by {status.requiredBy.map(board => board.name).join(', ')}
+            </p>
+          )}
+
+          {isDisabling ? (
+            <form className="user-profile-edit" onSubmit={handleDisable}>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Password"
+              />
+              {codeInput}
+              <div className="user-profile-actions">
+                <button type="submit" className="btn-logout" disabled={loading || !password || !code.trim()}>
+                  Turn off
+                </button>
+                <button type="button" className="btn-cancel" onClick={() => setIsDisabling(false)}>Cancel</button>
+              </div>
+            </form>
+          ) : (
+            <form className="user-profile-edit" onSubmit={handleRegenerate}>
+              {codeInput}
+              <div className="user-profile-actions">
+                <button type="submit" className="btn-edit-profile" disabled={loading || !code.trim()}>
+                  New recovery codes
+                </button>
+                <button
+                  type="button"
+                  className="btn-logout"
+                  onClick={() => {
+                    setIsDisabling(true)
+                    setCode('')
+                  }}
+                >
+                  Turn off two-factor authentication
+                </button>
+              </div>
+            </form>
+          )}
+        </>
+      )}
+
+      <div className="user-profile-actions two-factor-back">
+        <button className="btn-cancel" onClick={onClose}>
+          Back
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default TwoFactorSettings
@@ -1,5 +1,8 @@
 import React, { useState } from 'react'
 import UserAvatar from './UserAvatar'
+import ActiveSessions from './ActiveSessions'
+import TwoFactorSettings from './TwoFactorSettings'
+import AccessTokens from './AccessTokens'
 import api from '../services/api'
 
 /**
@@ -13,6 +16,10 @@ import api from '../services/api'
 const UserProfile = ({ currentUser, onLogout, onUpdate }) => {
   const [isOpen, setIsOpen] = useState(false)
   const [isEditing, setIsEditing] = useState(false)
+  const [showSessions, setShowSessions] = useState(false)
+  const [showTwoFactor, setShowTwoFactor] = useState(false)
+  const [showAccessTokens, setShowAccessTokens] = useState(false)
+  const [verificationSent, setVerificationSent] = useState(false)
   const [formData, setFormData] = useState({
     name: currentUser?.name || '',
     email: currentUser?.email || ''
@@ -27,6 +34,22 @@ const UserProfile = ({ currentUser, onLogout, onUpdate }) => {
     onLogout()
   }
 
+  // Logins return emailVerified, /users/me returns the email_verified_at column
+  const emailVerified = currentUser.emailVerified ?? Boolean(currentUser.email_verified_at)
+
+  /**
+   * Sends a new verification email
+   */
+  const handleResendVerification = async () => {
+    try {
+      await api.auth.resendVerification()
+      setVerificationSent(true)
+    } catch (error) {
+      console.error('Failed to send verification email:', error)
+      alert('Failed to send verification email: ' + error.message)
+    }
+  }
+
   /**
    * Handles profile update
    * Phase 8: Use API for user updates
@@ -71,7 +94,31 @@ const UserProfile = ({ currentUser, onLogout, onUpdate }) => {
               </div>
             </div>
 
-            {isEditing ? (
+            {!emailVerified && (
+              <div className="user-profile-unverified">
+                {verificationSent ? (
+                  <span>Verification email sent. Check your inbox.</span>
+                ) : (
+                  <>
+                    <span>Your email address is not verified.</span>
+                    <button type="button" className="btn-link" onClick={handleResendVerification}>
+                      Resend email
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+
+            {showTwoFactor ? (
+              <TwoFactorSettings onClose={() => setShowTwoFactor(false)} />
+            ) : showAccessTokens ? (
+              <AccessTokens onClose={() => setShowAccessTokens(false)} />
+            ) : showSessions ? (
+              <ActiveSessions
+                onClose={() => setShowSessions(false)}
+                onLogout={handleLogout}
+              />
+            ) : isEditing ? (
               <form onSubmit={handleUpdate} className="user-profile-edit">
                 <div className="form-group">
                   <label>Name</label>
@@ -113,6 +160,24 @@ const UserProfile = ({ currentUser, onLogout, onUpdate }) => {
                 >
                   Edit Profile
                 </button>
+                <button
+                  className="btn-edit-profile"
+                  onClick={() => setShowSessions(true)}
+                >
+                  Active Sessions
+                </button>
+                <button
+                  className="btn-edit-profile"
+                  onClick={() => setShowTwoFactor(true)}
+                >
+                  Two-Factor Authentication
+                </button>
+                <button
+                  className="btn-edit-profile"
+                  onClick={() => setShowAccessTokens(true)}
+                >
+                  Access Tokens
+                </button>
                 <button
                   className="btn-logout"
                   onClick={handleLogout}
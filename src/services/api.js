@@ -6,6 +6,12 @@
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api'
 
+// Longest Retry-After (seconds) a rate-limited request waits out before trying once more by itself
+const MAX_RATE_LIMIT_WAIT = 5
+
+// Identifies this browser tab so realtime events caused by it can be ignored
+export const CLIENT_ID = `client-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+
 /**
  * Get authentication token from localStorage
  */
@@ -24,6 +30,85 @@ export const setAuthToken = (token) => {
   }
 }
 
+/**
+ * Get refresh token from localStorage
+ */
+const getRefreshToken = () => {
+  return localStorage.getItem('refresh_token')
+}
+
+/**
+ * Set refresh token (exchanged for a new access token when the current one expires)
+ */
+export const setRefreshToken = (token) => {
+  if (token) {
+    localStorage.setItem('refresh_token', token)
+  } else {
+    localStorage.removeItem('refresh_token')
+  }
+}
+
+/**
+ * Forget the signed-in user and their tokens
+ */
+const clearSession = () => {
+  setAuthToken(null)
+  setRefreshToken(null)
+  setCurrentUser(null)
+}
+
+// Refresh in progress in this tab, shared by all requests that hit an expired token
+let refreshPromise = null
+
+/**
+ * Get a new access token with the refresh token
+ * Refresh tokens rotate, so tabs take turns (Web Locks) and a tab skips the refresh when another
+ * one already replaced the token that failed.
+ * @param {string} failedToken - Access token the server rejected
+ * @returns {Promise<boolean>} True if a new access token is stored (rejects when rate limited)
+ */
+const refreshAccessToken = (failedToken) => {
+  const refresh = async () => {
+    const currentToken = getToken()
+    if (currentToken && currentToken !== failedToken) return true
+
+    const refreshToken = getRefreshToken()
+    if (!refreshToken) return false
+
+    let response
+    try {
+      response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Client-Id': CLIENT_ID },
+        body: JSON.stringify({ refreshToken })
+      })
+    } catch {
+      return false
+    }
+
+    // Rate limited: the refresh token is still good, so report the error instead of signing out
+    if (response.status === 429) {
+      const error = new Error('Too many requests. Please try again shortly.')
+      error.error = error.message
+      error.status = 429
+      error.retryAfter = parseInt(response.headers.get('Retry-After'), 10) || null
+      throw error
+    }
+    if (!response.ok) return false
+
+    const data = await response.json()
+    setAuthToken(data.token)
+    setRefreshToken(data.refreshToken)
+    return true
+  }
+
+  if (!refreshPromise) {
+    refreshPromise = (navigator.locks ? navigator.locks.request('auth-refresh', refresh) : refresh())
+      .finally(() => { refreshPromise = null })
+  }
+  return refreshPromise
+}
+
 /**
  * Get current user from localStorage
  */
@@ -46,14 +131,16 @@ export const setCurrentUser = (user) => {
 /**
  * Make API request with authentication
  */
-const apiRequest = async (endpoint, options = {}) => {
+const apiRequest = async (endpoint, options = {}, isRetry = false) => {
   const token = getToken()
   const url = `${API_BASE_URL}${endpoint}`
 
   const config = {
     ...options,
     headers: {
-      'Content-Type': 'application/json',
+      // File uploads (FormData) let the browser set the multipart boundary
+      ...(!(options.body instanceof FormData) && { 'Content-Type': 'application/json' }),
+      'X-Client-Id': CLIENT_ID,
       ...(token && { Authorization: `Bearer ${token}` }),
       ...options.headers
     }
@@ -66,13 +153,24 @@ const apiRequest = async (endpoint, options = {}) => {
 
     // Handle 401 Unauthorized - token expired or invalid
     if (response.status === 401) {
-      setAuthToken(null)
-      setCurrentUser(null)
+      // Access tokens are short-lived: get a new one and try once more
+      if (token && !isRetry && await refreshAccessToken(token)) {
+        return apiRequest(endpoint, options, true)
+      }
+      clearSession()
       // Redirect to login or trigger login modal
       window.dispatchEvent(new CustomEvent('auth:logout'))
       throw new Error('Authentication required')
     }
 
+    // Handle 429 Too Many Requests - the request was not carried out, so after a short wait it is
+    // safe to send again; longer waits are reported to the caller
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || null
+    if (response.status === 429 && !isRetry && retryAfter && retryAfter <= MAX_RATE_LIMIT_WAIT) {
+      await new Promise(resolve => setTimeout(resolve, retryAfter * 1000))
+      return apiRequest(endpoint, options, true)
+    }
+
     if (!response.ok) {
       let errorData
       try {
@@ -87,18 +185,22 @@ const apiRequest = async (endpoint, options = {}) => {
         const errorObj = new Error(errorMsg)
         errorObj.errors = errorData.errors
         errorObj.error = errorMsg
+        errorObj.status = response.status
         throw errorObj
       }
       // Handle single error message
+      // status and data let callers react to specific failures (e.g. 409 carries the current server state)
       const errorMsg = errorData.error || `HTTP error! status: ${response.status}`
       const errorObj = new Error(errorMsg)
       errorObj.error = errorMsg
+      errorObj.status = response.status
+      errorObj.data = errorData
+      // Seconds until a rate-limited request may be sent again
+      if (retryAfter) errorObj.retryAfter = retryAfter
       throw errorObj
     }
 
-    const data = await response.json()
-    console.log('API Response data:', data)
-    return data
+    return await response.json()
   } catch (error) {
     console.error('API request failed:', error)
     console.error('Error type:', typeof error)
@@ -126,6 +228,7 @@ export const authAPI = {
     })
     if (response.token) {
       setAuthToken(response.token)
+      setRefreshToken(response.refreshToken)
       setCurrentUser(response.user)
     }
     return response
@@ -138,15 +241,70 @@ export const authAPI = {
     })
     if (response.token) {
       setAuthToken(response.token)
+      setRefreshToken(response.refreshToken)
       setCurrentUser(response.user)
     }
     return response
   },
 
-  logout: () => {
-    setAuthToken(null)
-    setCurrentUser(null)
-  }
+  // Second login step when login answered { twoFactorRequired, challengeToken }
+  loginTwoFactor: async (challengeToken, code) => {
+    const response = await apiRequest('/auth/login/2fa', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, code })
+    })
+    if (response.token) {
+      setAuthToken(response.token)
+      setRefreshToken(response.refreshToken)
+      setCurrentUser(response.user)
+    }
+    return response
+  },
+
+  logout: async () => {
+    // End the session on the server too; signing out here works even if that fails
+    if (getToken()) {
+      try {
+        await apiRequest('/auth/logout', { method: 'POST' })
+      } catch (error) {
+        console.error('Failed to end session:', error)
+      }
+    }
+    clearSession()
+  },
+
+  // Emails a password reset link (the answer is the same for unknown addresses)
+  forgotPassword: (email) => apiRequest('/auth/forgot-password', {
+    method: 'POST',
+    body: JSON.stringify({ email })
+  }),
+
+  // token comes from the reset link; every session is signed out afterwards
+  resetPassword: (token, password) => apiRequest('/auth/reset-password', {
+    method: 'POST',
+    body: JSON.stringify({ token, password })
+  }),
+
+  verifyEmail: (token) => apiRequest('/auth/verify-email', {
+    method: 'POST',
+    body: JSON.stringify({ token })
+  }),
+
+  resendVerification: () => apiRequest('/auth/resend-verification', {
+    method: 'POST'
+  }),
+
+  // Active sessions of the current user (device, IP, last seen)
+  getSessions: () => apiRequest('/auth/sessions'),
+
+  revokeSession: (id) => apiRequest(`/auth/sessions/${id}`, {
+    method: 'DELETE'
+  }),
+
+  // Signs out every other device
+  revokeOtherSessions: () => apiRequest('/auth/sessions', {
+    method: 'DELETE'
+  })
 }
 
 /**
@@ -162,17 +320,68 @@ export const usersAPI = {
     body: JSON.stringify(userData)
   }),
 
-  changePassword: (currentPassword, newPassword) => apiRequest('/users/me/password', {
-    method: 'PUT',
-    body: JSON.stringify({ currentPassword, newPassword })
-  })
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    getStatus: () => apiRequest('/users/me/2fa'),
+
+    // Returns { secret, otpauthUrl, qrCode } for the authenticator app
+    setup: () => apiRequest('/users/me/2fa/setup', {
+      method: 'POST'
+    }),
+
+    // Returns { recoveryCodes }
+    enable: (code) => apiRequest('/users/me/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    }),
+
+    regenerateRecoveryCodes: (code) => apiRequest('/users/me/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    }),
+
+    disable: (password, code) => apiRequest('/users/me/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, code })
+    })
+  },
+
+  // Personal access tokens for scripts
+  accessTokens: {
+    // Returns { tokens, scopes }
+    getAll: () => apiRequest('/users/me/tokens'),
+
+    // Returns { token, accessToken }; the token is only shown this once
+    create: ({ name, scopes, boardIds = null, expiresInDays = null }) => apiRequest('/users/me/tokens', {
+      method: 'POST',
+      body: JSON.stringify({ name, scopes, boardIds, expiresInDays })
+    }),
+
+    delete: (tokenId) => apiRequest(`/users/me/tokens/${tokenId}`, {
+      method: 'DELETE'
+    })
+  },
+
+  // Changing the password signs out every session; this device gets new tokens
+  changePassword: async (currentPassword, newPassword) => {
+    const response = await apiRequest('/users/me/password', {
+      method: 'PUT',
+      body: JSON.stringify({ currentPassword, newPassword })
+    })
+    if (response.token) {
+      setAuthToken(response.token)
+      setRefreshToken(response.refreshToken)
+    }
+    return response
+  }
 }
 
 /**
  * Boards API
  */
 export const boardsAPI = {
-  getAll: () => apiRequest('/boards'),
+  // Archived boards are only listed with includeArchived
+  getAll: ({ includeArchived = false } = {}) => apiRequest(includeArchived ? '/boards?archived=include' : '/boards'),
 
   getById: (id) => apiRequest(`/boards/${id}`),
 
@@ -197,14 +406,82 @@ export const boardsAPI = {
 
   unshare: (id, userId) => apiRequest(`/boards/${id}/share/${userId}`, {
     method: 'DELETE'
-  })
+  }),
+
+  // Server-side history of the current user's task changes on the board
+  undo: (id) => apiRequest(`/boards/${id}/undo`, {
+    method: 'POST'
+  }),
+
+  redo: (id) => apiRequest(`/boards/${id}/redo`, {
+    method: 'POST'
+  }),
+
+  /**
+   * Subscribe to live changes and presence for a board
+   * @param {string} id - Board ID
+   * @param {Function} onEvent - Called with (type, data) for every event not caused by this tab
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: (id, onEvent) => {
+    let source = null
+    let closed = false
+    let reconnecting = false
+
+    const eventTypes = [
+      'presence', 'task:created', 'task:updated', 'task:deleted', 'task:archived',
+      'board:updated', 'board:deleted', 'sharing:updated',
+      'comment:created', 'comment:updated', 'comment:deleted',
+      'attachment:created', 'attachment:deleted',
+      'filter:updated', 'filter:deleted'
+    ]
+
+    const connect = () => {
+      const token = getToken()
+      const url = `${API_BASE_URL}/boards/${id}/events?access_token=${encodeURIComponent(token || '')}`
+      source = new EventSource(url)
+
+      eventTypes.forEach(type => {
+        source.addEventListener(type, (event) => {
+          const data = JSON.parse(event.data)
+          // Skip echoes of this tab's own changes (presence is always relevant)
+          if (type !== 'presence' && data.origin === CLIENT_ID) return
+          onEvent(type, data)
+        })
+      })
+
+      source.onopen = () => { reconnecting = false }
+      // A rejected token (e.g. expired when the stream reconnects) closes the stream for good:
+      // reconnect once with a new token
+      source.onerror = () => {
+        if (closed || reconnecting || source.readyState !== EventSource.CLOSED) return
+        reconnecting = true
+        refreshAccessToken(token).then(refreshed => {
+          if (refreshed && !closed) connect()
+        }).catch(error => {
+          // Rate limited: try again once the server allows it
+          if (!closed) setTimeout(connect, (error.retryAfter || MAX_RATE_LIMIT_WAIT) * 1000)
+        })
+      }
+    }
+
+    connect()
+
+    return () => {
+      closed = true
+      source.close()
+    }
+  }
 }
 
 /**
  * Tasks API
  */
 export const tasksAPI = {
-  getByBoard: (boardId) => apiRequest(`/tasks?boardId=${boardId}`),
+  // archived: 'include' adds archived tasks, 'only' returns just those
+  getByBoard: (boardId, { archived } = {}) => apiRequest(
+    `/tasks?boardId=${boardId}${archived ? `&archived=${archived}` : ''}`
+  ),
 
   getById: (id) => apiRequest(`/tasks/${id}`),
 
@@ -218,8 +495,84 @@ export const tasksAPI = {
     body: JSON.stringify(taskData)
   }),
 
+  // Places a task between two neighbours of a column (null for the top or bottom); fields are
+  // the swimlane fields changed by the same drop
+  reorder: (id, { status, prevTaskId, nextTaskId, fields, overrideWip }) => apiRequest(`/tasks/${id}/reorder`, {
+    method: 'POST',
+    body: JSON.stringify({ status, prevTaskId, nextTaskId, fields, overrideWip })
+  }),
+
+  // Moves a task on the timeline; tasks depending on it shift by the same number of days
+  reschedule: (id, { startDate, dueDate }) => apiRequest(`/tasks/${id}/reschedule`, {
+    method: 'POST',
+    body: JSON.stringify({ startDate, dueDate })
+  }),
+
   delete: (id) => apiRequest(`/tasks/${id}`, {
     method: 'DELETE'
+  }),
+
+  // Applies bulk operations ({ type, taskIds, ... }) in one request; see server/README.md
+  batch: (operations, { overrideWip } = {}) => apiRequest('/tasks/batch', {
+    method: 'POST',
+    body: JSON.stringify({ operations, overrideWip })
+  })
+}
+
+/**
+ * Comments API
+ * Threaded comments on a task
+ */
+export const commentsAPI = {
+  getByTask: (taskId) => apiRequest(`/tasks/${taskId}/comments`),
+
+  create: (taskId, { text, parentId = null }) => apiRequest(`/tasks/${taskId}/comments`, {
+    method: 'POST',
+    body: JSON.stringify({ text, parentId })
+  }),
+
+  update: (taskId, commentId, text) => apiRequest(`/tasks/${taskId}/comments/${commentId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ text })
+  }),
+
+  getHistory: (taskId, commentId) => apiRequest(`/tasks/${taskId}/comments/${commentId}/history`),
+
+  delete: (taskId, commentId) => apiRequest(`/tasks/${taskId}/comments/${commentId}`, {
+    method: 'DELETE'
+  })
+}
+
+/**
+ * Attachments API
+ * Files attached to a task
+ */
+export const attachmentsAPI = {
+  getByTask: (taskId) => apiRequest(`/tasks/${taskId}/attachments`),
+
+  upload: (taskId, file) => {
+    const formData = new FormData()
+    formData.append('file', file)
+    return apiRequest(`/tasks/${taskId}/attachments`, {
+      method: 'POST',
+      body: formData
+    })
+  },
+
+  // Downloads need the auth header, so files are fetched as blobs (for previews and saving)
+  getBlob: async (taskId, attachmentId) => {
+    const token = getToken()
+    const response = await fetch(`${API_BASE_URL}/tasks/${taskId}/attachments/${attachmentId}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to load attachment (status ${response.status})`)
+    }
+    return response.blob()
+  },
+
+  delete: (taskId, attachmentId) => apiRequest(`/tasks/${taskId}/attachments/${attachmentId}`, {
+    method: 'DELETE'
   })
 }
 
@@ -227,7 +580,9 @@ export const tasksAPI = {
  * Activities API
  */
 export const activitiesAPI = {
-  getByBoard: (boardId) => apiRequest(`/activities?boardId=${boardId}`)
+  getByBoard: (boardId, action) => apiRequest(
+    `/activities?boardId=${boardId}${action ? `&action=${encodeURIComponent(action)}` : ''}`
+  )
 }
 
 /**
@@ -299,7 +654,11 @@ export const recurringAPI = {
  * Saved Filters API
  */
 export const filtersAPI = {
-  getAll: () => apiRequest('/filters'),
+  // With a boardId: personal filters plus that board's filters, shared views included
+  getAll: ({ boardId } = {}) => {
+    const query = boardId ? `?boardId=${encodeURIComponent(boardId)}` : ''
+    return apiRequest(`/filters${query}`)
+  },
 
   create: (filterData) => apiRequest('/filters', {
     method: 'POST',
@@ -340,15 +699,99 @@ export const customFieldsAPI = {
   })
 }
 
+/**
+ * Calendar Feed API
+ * The feed URL carries its own secret token, so calendar apps can subscribe without logging in
+ */
+export const calendarAPI = {
+  getFeed: () => apiRequest('/calendar/token'),
+
+  resetFeed: () => apiRequest('/calendar/token', {
+    method: 'POST'
+  }),
+
+  disableFeed: () => apiRequest('/calendar/token', {
+    method: 'DELETE'
+  })
+}
+
+/**
+ * Trash API
+ * Deleted boards and tasks, kept until the server's retention period is over
+ */
+export const trashAPI = {
+  get: (boardId = null) => apiRequest(boardId ? `/trash?boardId=${boardId}` : '/trash'),
+
+  restoreBoard: (id) => apiRequest(`/trash/boards/${id}/restore`, {
+    method: 'POST'
+  }),
+
+  restoreTask: (id) => apiRequest(`/trash/tasks/${id}/restore`, {
+    method: 'POST'
+  }),
+
+  deleteBoard: (id) => apiRequest(`/trash/boards/${id}`, {
+    method: 'DELETE'
+  }),
+
+  deleteTask: (id) => apiRequest(`/trash/tasks/${id}`, {
+    method: 'DELETE'
+  })
+}
+
+/**
+ * Archive API
+ * Archived boards and tasks stay out of the way but can be searched and brought back
+ */
+export const archiveAPI = {
+  search: ({ q = '', boardId = null, offset = 0 } = {}) => {
+    const params = new URLSearchParams()
+    if (q) params.set('q', q)
+    if (boardId) params.set('boardId', boardId)
+    if (offset) params.set('offset', offset)
+    const query = params.toString()
+    return apiRequest(`/archive${query ? `?${query}` : ''}`)
+  },
+
+  restoreTask: (id) => apiRequest(`/archive/tasks/${id}/restore`, {
+    method: 'POST'
+  }),
+
+  // Archives the board's finished tasks untouched for olderThanDays (status: one column instead of all done columns)
+  archiveDoneTasks: (boardId, { olderThanDays, status } = {}) => apiRequest(`/archive/boards/${boardId}/tasks`, {
+    method: 'POST',
+    body: JSON.stringify({ olderThanDays, status })
+  })
+}
+
+/**
+ * Search API
+ * Full-text search across every board the user can access
+ */
+export const searchAPI = {
+  search: (q, { boardId = null, limit } = {}) => {
+    const params = new URLSearchParams({ q })
+    if (boardId) params.set('boardId', boardId)
+    if (limit) params.set('limit', limit)
+    return apiRequest(`/search?${params.toString()}`)
+  }
+}
+
 export default {
   auth: authAPI,
   users: usersAPI,
   boards: boardsAPI,
   tasks: tasksAPI,
+  comments: commentsAPI,
+  attachments: attachmentsAPI,
   activities: activitiesAPI,
   notifications: notificationsAPI,
   automations: automationsAPI,
   recurring: recurringAPI,
   filters: filtersAPI,
-  customFields: customFieldsAPI
+  customFields: customFieldsAPI,
+  calendar: calendarAPI,
+  trash: trashAPI,
+  archive: archiveAPI,
+  search: searchAPI
 }
@@ -0,0 +1,29 @@
+/**
+ * Account Link Utility Functions
+ * Emails from the server link back to the app with a token in the URL:
+ * ?verify=<token> to confirm an email address, ?reset=<token> to choose a new password
+ */
+
+const LINK_PARAMS = { verify: 'verify', reset: 'reset' }
+
+/**
+ * Account link the app was opened with
+ * @returns {Object|null} { type: 'verify' | 'reset', token }, or null
+ */
+export const getAccountLink = () => {
+  const params = new URLSearchParams(window.location.search)
+  for (const [type, param] of Object.entries(LINK_PARAMS)) {
+    const token = params.get(param)
+    if (token) return { type, token }
+  }
+  return null
+}
+
+/**
+ * Removes the account link token from the address bar (tokens are single-use)
+ */
+export const clearAccountLink = () => {
+  const url = new URL(window.location.href)
+  Object.values(LINK_PARAMS).forEach(param => url.searchParams.delete(param))
+  window.history.replaceState(null, '', `${url.pathname}${url.search}${url.hash}`)
+}
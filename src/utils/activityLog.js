@@ -41,11 +41,19 @@ export const formatActivityMessage = (activity) => {
     updated: 'updated',
     deleted: 'deleted',
     moved: 'moved',
+    reordered: 'reordered',
+    rescheduled: 'rescheduled',
+    'wip-limit-breached': 'went over a WIP limit with',
     assigned: 'assigned',
     unassigned: 'unassigned',
     commented: 'commented on',
+    attached: 'attached a file to',
+    'bulk-updated': 'bulk-edited tasks on',
+    undid: 'undid a change to',
+    redid: 'redid a change to',
     archived: 'archived',
-    unarchived: 'unarchived'
+    unarchived: 'unarchived',
+    'tasks-archived': 'archived finished tasks on'
   }
   
   const verb = actionVerbs[action] || action
@@ -60,6 +68,11 @@ export const formatActivityMessage = (activity) => {
     } else if (details.assignedTo) {
       message += ` to ${details.assignedTo}`
     }
+
+    if (details.shiftedTaskIds?.length > 0) {
+      const count = details.shiftedTaskIds.length
+      message += ` (moving ${count} dependent task${count !== 1 ? 's' : ''})`
+    }
   }
   
   return message
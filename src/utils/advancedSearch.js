@@ -1,72 +1,26 @@
 /**
  * Advanced Search and Saved Filters Utility Functions
  * Handles advanced search queries and saved filter presets
+ * Saved filters and board views are stored on the server (see server/routes/filters.js).
  */
 
-const SAVED_FILTERS_STORAGE_KEY = 'kanban-saved-filters'
-
-/**
- * Loads saved filters from localStorage
- * @returns {Array} Array of saved filter objects
- */
-export const loadSavedFilters = () => {
-  try {
-    const stored = localStorage.getItem(SAVED_FILTERS_STORAGE_KEY)
-    return stored ? JSON.parse(stored) : []
-  } catch (error) {
-    console.error('Error loading saved filters:', error)
-    return []
-  }
-}
-
-/**
- * Saves filters to localStorage
- * @param {Array} filters - Array of saved filter objects
- */
-export const saveSavedFilters = (filters) => {
-  try {
-    localStorage.setItem(SAVED_FILTERS_STORAGE_KEY, JSON.stringify(filters))
-  } catch (error) {
-    console.error('Error saving filters:', error)
-  }
-}
-
-/**
- * Creates a new saved filter
- * @param {Object} filterData - Filter configuration
- * @returns {Object} Saved filter object
- */
-export const createSavedFilter = (filterData) => {
-  return {
-    id: `filter-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-    name: filterData.name || 'Untitled Filter',
-    description: filterData.description || '',
-    searchQuery: filterData.searchQuery || '',
-    category: filterData.category || 'all',
-    priority: filterData.priority || 'all',
-    status: filterData.status || 'all',
-    assignedTo: filterData.assignedTo || 'all',
-    dueDateRange: filterData.dueDateRange || null, // { start: date, end: date }
-    hasSubtasks: filterData.hasSubtasks || null, // true, false, or null
-    hasDependencies: filterData.hasDependencies || null,
-    timeTrackingStatus: filterData.timeTrackingStatus || 'all', // on-track, at-risk, over-budget, all
-    customFields: filterData.customFields || {},
-    sortBy: filterData.sortBy || 'priority',
-    sortOrder: filterData.sortOrder || 'desc',
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString()
-  }
-}
+import { matchesQuery } from './filterQuery'
 
 /**
  * Applies a saved filter to tasks
  * @param {Array} tasks - Array of tasks to filter
  * @param {Object} filter - Filter object (saved filter or filter criteria)
+ * @param {Object} options - { currentUserId } that "assignee:me" in a query refers to
  * @returns {Array} Filtered tasks
  */
-export const applyFilter = (tasks, filter) => {
+export const applyFilter = (tasks, filter, options = {}) => {
   let filtered = [...tasks]
 
+  // Typed query (see utils/filterQuery.js): words, phrases and field conditions
+  if (filter.conditions?.length || filter.searchTerms?.length || filter.excludedTerms?.length) {
+    filtered = filtered.filter(task => matchesQuery(task, filter, options))
+  }
+
   // Text search
   if (filter.searchQuery && filter.searchQuery.trim()) {
     const query = filter.searchQuery.toLowerCase().trim()
@@ -1,36 +1,10 @@
 /**
  * Automation and Workflow Utility Functions
  * Handles automation rules and workflow triggers
+ * Rules are stored and executed by the server (server/services/automationEngine.js);
+ * these helpers are kept for building, previewing and validating rules in the UI
  */
 
-const AUTOMATION_STORAGE_KEY = 'kanban-automations'
-
-/**
- * Loads automation rules from localStorage
- * @returns {Array} Array of automation rule objects
- */
-export const loadAutomations = () => {
-  try {
-    const stored = localStorage.getItem(AUTOMATION_STORAGE_KEY)
-    return stored ? JSON.parse(stored) : []
-  } catch (error) {
-    console.error('Error loading automations:', error)
-    return []
-  }
-}
-
-/**
- * Saves automation rules to localStorage
- * @param {Array} automations - Array of automation rule objects
- */
-export const saveAutomations = (automations) => {
-  try {
-    localStorage.setItem(AUTOMATION_STORAGE_KEY, JSON.stringify(automations))
-  } catch (error) {
-    console.error('Error saving automations:', error)
-  }
-}
-
 /**
  * Creates a new automation rule
  * @param {Object} ruleData - Rule configuration
@@ -157,48 +131,6 @@ export const executeAutomationActions = (rule, context) => {
   return result
 }
 
-/**
- * Processes automations for a given trigger
- * @param {string} trigger - Trigger type (task-created, task-moved, etc.)
- * @param {Object} context - Context object
- * @param {string} boardId - Current board ID
- * @returns {Object} Automation results
- */
-export const processAutomations = (trigger, context, boardId) => {
-  const automations = loadAutomations()
-  const results = {
-    updatedTask: context.task,
-    notifications: [],
-    newTasks: []
-  }
-
-  for (const rule of automations) {
-    // Skip disabled rules
-    if (!rule.enabled) continue
-
-    // Check if rule applies to this board
-    if (rule.boardId && rule.boardId !== boardId) continue
-
-    // Check if trigger matches
-    if (rule.trigger !== trigger) continue
-
-    // Check conditions
-    if (!checkAutomationConditions(rule, context)) continue
-
-    // Execute actions
-    const actionResult = executeAutomationActions(rule, {
-      ...context,
-      task: results.updatedTask
-    })
-
-    results.updatedTask = actionResult.task
-    results.notifications.push(...actionResult.notifications)
-    results.newTasks.push(...actionResult.newTasks)
-  }
-
-  return results
-}
-
 /**
  * Validates an automation rule
  * @param {Object} rule - Automation rule to validate
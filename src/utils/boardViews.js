@@ -0,0 +1,49 @@
+/**
+ * Board View Utility Functions
+ * A view is a saved filter pinned to a board (see server/routes/filters.js). Besides the
+ * filter and its sort, it stores how the board is laid out: grouping and visible columns.
+ */
+
+import { FIELD_TYPES } from './customFields'
+
+// Layout of the board when no view is selected
+export const DEFAULT_VIEW_SETTINGS = { groupBy: 'none', visibleColumns: null }
+
+/**
+ * What cards can be grouped by: built-in fields and select-type custom fields ("cf:<fieldId>")
+ * @param {Array} customFields - Custom field definitions of the board
+ * @returns {Array} [{ value, label }]
+ */
+export const getGroupByOptions = (customFields = []) => [
+  { value: 'none', label: 'No grouping' },
+  { value: 'assignee', label: 'Assignee' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'category', label: 'Category' },
+  ...customFields
+    .filter(field => field.type === FIELD_TYPES.SELECT)
+    .map(field => ({ value: `cf:${field.id}`, label: field.name }))
+]
+
+/**
+ * Columns a view shows, in board order
+ * Columns removed since the view was saved are ignored; if none are left, every column is shown.
+ * @param {Array} columns - Board columns
+ * @param {Array|null} visibleColumns - Column IDs saved with the view (null for all)
+ * @returns {Array} Columns to render
+ */
+export const getVisibleColumns = (columns = [], visibleColumns = null) => {
+  if (!visibleColumns) return columns
+  const shown = columns.filter(column => visibleColumns.includes(column.id))
+  return shown.length > 0 ? shown : columns
+}
+
+/**
+ * Criteria to apply for a saved filter or view as returned by the API
+ * @param {Object} saved - Saved filter ({ name, description, filterData, ... })
+ * @returns {Object} Filter criteria for applyFilter
+ */
+export const getFilterCriteria = (saved) => ({
+  ...saved.filterData,
+  name: saved.name,
+  description: saved.description || ''
+})
@@ -0,0 +1,69 @@
+/**
+ * Comment utility functions
+ * Helpers for threaded task comments returned by the comments API
+ */
+
+/**
+ * Groups a flat comment list into a thread tree
+ * @param {Array} comments - Comments (oldest first) with optional parentId
+ * @returns {Array} Top-level comments, each with a replies array
+ */
+export const buildCommentTree = (comments = []) => {
+  const nodes = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]))
+  const roots = []
+
+  nodes.forEach(node => {
+    const parent = node.parentId ? nodes.get(node.parentId) : null
+    if (parent) {
+      parent.replies.push(node)
+    } else {
+      roots.push(node)
+    }
+  })
+
+  return roots
+}
+
+/**
+ * Adds a comment to a list, or replaces it if it's already there
+ * @param {Array} comments - Current comments
+ * @param {Object} comment - New or updated comment
+ * @returns {Array} Updated comments
+ */
+export const upsertComment = (comments = [], comment) => {
+  if (comments.some(existing => existing.id === comment.id)) {
+    return comments.map(existing => existing.id === comment.id ? comment : existing)
+  }
+  return [...comments, comment]
+}
+
+/**
+ * Applies a delete result from the API to a list
+ * @param {Array} comments - Current comments
+ * @param {Object} result - { removedIds, comment }: removed IDs, or the blanked-out comment that stays as a placeholder
+ * @returns {Array} Updated comments
+ */
+export const applyCommentDeletion = (comments = [], { removedIds = [], comment = null }) => {
+  const remaining = comments.filter(existing => !removedIds.includes(existing.id))
+  return comment ? upsertComment(remaining, comment) : remaining
+}
+
+/**
+ * Finds the @mention being typed at the end of some text
+ * @param {string} text - Text up to the cursor
+ * @returns {string|null} Partial handle (without "@"), or null if no mention is being typed
+ */
+export const getMentionQuery = (text) => {
+  const match = /(^|\s)@([\w.+-]*)$/.exec(text || '')
+  return match ? match[2] : null
+}
+
+/**
+ * Gets the handle used to mention a user (the part of their email before "@")
+ * @param {Object} user - User with email and name
+ * @returns {string} Handle without "@"
+ */
+export const getMentionHandle = (user) => {
+  if (user.email) return user.email.split('@')[0]
+  return (user.name || '').replace(/\s+/g, '').toLowerCase()
+}
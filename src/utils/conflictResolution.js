@@ -0,0 +1,132 @@
+/**
+ * Conflict Resolution Utility Functions
+ * Compares a locally edited task with the server's current version
+ * and merges them field by field
+ */
+
+/**
+ * Task fields that can conflict, with the server (snake_case) column they map to
+ * List fields can also be merged by combining items from both sides
+ */
+export const CONFLICT_FIELDS = [
+  { key: 'title', label: 'Title', serverKey: 'title' },
+  { key: 'description', label: 'Description', serverKey: 'description' },
+  { key: 'status', label: 'Status', serverKey: 'status' },
+  { key: 'priority', label: 'Priority', serverKey: 'priority' },
+  { key: 'category', label: 'Category', serverKey: 'category' },
+  { key: 'dueDate', label: 'Due Date', serverKey: 'due_date' },
+  { key: 'assignedTo', label: 'Assigned To', serverKey: 'assigned_to' },
+  { key: 'timeEstimate', label: 'Time Estimate', serverKey: 'time_estimate' },
+  { key: 'timeSpent', label: 'Time Spent', serverKey: 'time_spent' },
+  { key: 'subtasks', label: 'Subtasks', serverKey: 'subtasks', isList: true },
+  { key: 'dependencies', label: 'Dependencies', serverKey: 'dependencies', isList: true },
+  { key: 'customFields', label: 'Custom Fields', serverKey: 'customFields' }
+]
+
+/**
+ * Reads a field from a task in either camelCase (form) or snake_case (API) shape
+ * @param {Object} task - Task object
+ * @param {Object} field - Entry from CONFLICT_FIELDS
+ * @returns {*} Field value (null when unset)
+ */
+export const getFieldValue = (task, field) => {
+  const value = task[field.key] !== undefined ? task[field.key] : task[field.serverKey]
+  return value === undefined || value === '' ? null : value
+}
+
+/**
+ * Normalizes a value so semantically equal values compare equal
+ */
+const normalize = (field, value) => {
+  if (value === null || value === undefined) return field.isList ? [] : null
+  // Compare dates by calendar day, since the form only edits the date part
+  if (field.key === 'dueDate') return new Date(value).toISOString().split('T')[0]
+  return value
+}
+
+/**
+ * Lists the fields where the local edit and the server version differ
+ * @param {Object} mine - Task data the user tried to save
+ * @param {Object} theirs - Current task from the server
+ * @returns {Array} CONFLICT_FIELDS entries that differ
+ */
+export const getConflictingFields = (mine, theirs) => {
+  return CONFLICT_FIELDS.filter(field => {
+    if (mine[field.key] === undefined) return false
+    const a = normalize(field, getFieldValue(mine, field))
+    const b = normalize(field, getFieldValue(theirs, field))
+    return JSON.stringify(a) !== JSON.stringify(b)
+  })
+}
+
+/**
+ * Combines two lists, keeping every item once (by id, taskId for dependency links, or by value for plain IDs)
+ * Items edited on both sides keep the local copy
+ * @param {Array} mineList - Local list
+ * @param {Array} theirList - Server list
+ * @returns {Array} Merged list
+ */
+export const mergeLists = (mineList = [], theirList = []) => {
+  const keyOf = (item) => (item && typeof item === 'object' ? item.id ?? item.taskId : item)
+  const merged = [...(theirList || [])]
+
+  for (const item of mineList || []) {
+    const index = merged.findIndex(existing => keyOf(existing) === keyOf(item))
+    if (index === -1) {
+      merged.push(item)
+    } else {
+      merged[index] = item
+    }
+  }
+
+  return merged
+}
+
+/**
+ * Builds the task data to save from per-field choices
+ * @param {Object} mine - Task data the user tried to save
+ * @param {Object} theirs - Current task from the server
+ * @param {Object} choices - Map of field key -> 'mine' | 'theirs' | 'both'
+ * @returns {Object} Task data based on the server's current version
+ */
+export const resolveConflict = (mine, theirs, choices) => {
+  const resolved = { ...mine, version: theirs.version }
+
+  for (const field of getConflictingFields(mine, theirs)) {
+    const choice = choices[field.key] || 'mine'
+    if (choice === 'theirs') {
+      resolved[field.key] = getFieldValue(theirs, field)
+    } else if (choice === 'both' && field.isList) {
+      resolved[field.key] = mergeLists(getFieldValue(mine, field), getFieldValue(theirs, field))
+    }
+  }
+
+  return resolved
+}
+
+/**
+ * Formats a field value for display in the conflict dialog
+ * @param {Object} field - Entry from CONFLICT_FIELDS
+ * @param {*} value - Field value
+ * @param {Array} users - All users (to show assignee names)
+ * @returns {string} Human-readable value
+ */
+export const formatConflictValue = (field, value, users = []) => {
+  if (value === null || value === undefined) return '—'
+
+  if (field.isList) {
+    if (value.length === 0) return 'None'
+    return value
+      .map(item => (typeof item === 'object' ? item.title || item.text || item.id : item))
+      .join(', ')
+  }
+
+  if (field.key === 'dueDate') return new Date(value).toLocaleDateString()
+  if (field.key === 'assignedTo') {
+    const user = users.find(u => u.id === value)
+    return user ? user.name : value
+  }
+  if (typeof value === 'object') return JSON.stringify(value)
+
+  return String(value)
+}
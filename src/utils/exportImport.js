@@ -3,6 +3,8 @@
  * Handles exporting and importing boards/tasks in various formats
  */
 
+import { buildCalendar } from '../../server/utils/icalendar.js'
+
 /**
  * Exports boards to JSON format
  * @param {Array} boards - Array of board objects
@@ -76,7 +78,7 @@ export const exportTasksToCSV = (tasks) => {
       formatDate(task.dueDate),
       formatDate(task.createdAt),
       formatDate(task.updatedAt),
-      (task.comments && task.comments.length) || 0
+      (task.comments || []).filter(comment => !comment.deleted).length
     ].join(',')
   })
 
@@ -84,6 +86,29 @@ export const exportTasksToCSV = (tasks) => {
   return [headers.join(','), ...rows].join('\n')
 }
 
+/**
+ * Exports task due dates as an iCalendar (.ics) file
+ * @param {Array} boards - Boards with their tasks
+ * @param {string} type - 'event' (calendar events) or 'todo' (to-dos)
+ * @returns {string} iCalendar text
+ */
+export const exportTasksToICS = (boards, type = 'event') => {
+  const entries = boards.flatMap(board => (board.tasks || []).map(task => ({
+    id: task.id,
+    title: task.title,
+    description: task.description,
+    dueDate: task.dueDate || task.due_date,
+    status: task.status,
+    priority: task.priority,
+    category: task.category,
+    boardName: board.name,
+    updatedAt: task.updatedAt || task.updated_at,
+    version: task.version
+  })))
+
+  return buildCalendar({ name: 'Kanban Tasks', entries, type })
+}
+
 /**
  * Downloads data as a file
  * @param {string} content - File content
@@ -0,0 +1,595 @@
+/**
+ * Filter Query Language
+ * Parses typed search queries such as
+ *   assignee:me priority:high due:<7d -status:done "login bug" cf.severity>=3
+ * into the filter object used by applyFilter (see utils/advancedSearch.js), and suggests
+ * field names and values while typing.
+ *
+ * Syntax:
+ * - field:value, field:a,b (either value), -field:value or field!=value (negated)
+ * - due and cf.<custom field> also take <, <=, >, >= (due:<7d, cf.severity>=3)
+ * - words and "quoted phrases" must appear in the title, description or comments; -word excludes
+ *
+ * Names are resolved to IDs while parsing, while "me" and relative dates are resolved when the
+ * filter is applied, so saved queries stay correct over time and for other users.
+ * server/utils/savedFilters.js evaluates the same conditions for calendar feeds.
+ */
+
+import { CATEGORIES } from './categories.js'
+
+// Operators in the order they are matched (longest first)
+const OPERATORS = ['!=', '>=', '<=', ':', '=', '>', '<']
+
+// Operators only dates and custom fields can use
+const COMPARISONS = ['>', '>=', '<', '<=']
+
+export const HAS_VALUES = ['subtasks', 'dependencies', 'due', 'assignee', 'labels', 'attachments', 'comments', 'description']
+export const DUE_KEYWORDS = ['overdue', 'today', 'none', 'any']
+export const TIME_VALUES = ['on-track', 'at-risk', 'over-budget']
+export const SORT_FIELDS = { priority: 'priority', due: 'dueDate', title: 'title', created: 'createdAt', updated: 'updatedAt' }
+
+// Known fields, with a description shown in autocomplete
+export const QUERY_FIELDS = {
+  assignee: 'Assigned user: me, none, a name or an email',
+  priority: 'high, medium or low',
+  status: 'Column',
+  category: 'Task category',
+  label: 'Task label',
+  has: 'Tasks that have subtasks, dependencies, a due date...',
+  due: 'overdue, today, none, a date, or 7d / <7d / >2w',
+  time: 'Time tracking: on-track, at-risk or over-budget',
+  sort: 'Sort by priority, due, title, created or updated',
+  order: 'Sort order: asc or desc',
+  'cf.': 'Custom field, e.g. cf.severity>=3'
+}
+
+// Alternative spellings of field names
+const FIELD_ALIASES = { assigned: 'assignee', tag: 'label', labels: 'label', column: 'status' }
+
+// 7d, 2w, -1m: days, weeks or months from today
+const RELATIVE_DATE = /^([+-]?\d+)([dwm])$/
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/
+const DAYS_PER_UNIT = { d: 1, w: 7, m: 30 }
+
+const normalize = (text) => String(text ?? '').trim().toLowerCase()
+
+// Field names are compared without case, spaces or punctuation ("Story Points" = cf.story-points)
+const normalizeName = (text) => normalize(text).replace(/[^\p{L}\p{N}]/gu, '')
+
+/**
+ * Splits a query into tokens, remembering where each one is for highlighting
+ * @param {string} text - Query as typed
+ * @returns {Array} Tokens: { type: 'term'|'phrase'|'field', negate, start, end, ... }
+ */
+export const tokenizeQuery = (text = '') => {
+  const tokens = []
+  let index = 0
+
+  // Reads a "quoted" or bare value starting at index
+  const readValue = (from) => {
+    if (text[from] === '"') {
+      const close = text.indexOf('"', from + 1)
+      const end = close === -1 ? text.length : close + 1
+      return { value: text.slice(from + 1, close === -1 ? end : close), quoted: true, closed: close !== -1, end }
+    }
+    let end = from
+    while (end < text.length && !/\s/.test(text[end])) end++
+    return { value: text.slice(from, end), quoted: false, closed: true, end }
+  }
+
+  // Reads comma separated field values, each bare or "quoted": assignee:"Jane Doe",me
+  const readValueList = (from) => {
+    const values = []
+    let end = from
+    let closed = true
+    while (end < text.length && !/\s/.test(text[end])) {
+      if (text[end] === '"') {
+        const part = readValue(end)
+        values.push(part.value)
+        closed = part.closed
+        end = part.end
+      } else {
+        let partEnd = end
+        while (partEnd < text.length && !/[\s,"]/.test(text[partEnd])) partEnd++
+        values.push(text.slice(end, partEnd))
+        end = partEnd
+      }
+      if (text[end] !== ',') break
+      end++
+    }
+    return { values: values.filter(Boolean), closed, end }
+  }
+
+  while (index < text.length) {
+    if (/\s/.test(text[index])) {
+      index++
+      continue
+    }
+
+    const start = index
+    const negate = text[index] === '-' && index + 1 < text.length && !/\s/.test(text[index + 1])
+    if (negate) index++
+
+    if (text[index] === '"') {
+      const { value, closed, end } = readValue(index)
+      tokens.push({ type: 'phrase', negate, start, end, value, closed })
+      index = end
+      continue
+    }
+
+    const field = /^([A-Za-z][\w-]*(?:\.(?:"[^"]*"?|[\w-]+)?)?)(!=|>=|<=|:|=|>|<)/.exec(text.slice(index))
+    if (field) {
+      const key = field[1]
+      let op = field[2]
+      let valueStart = index + field[0].length
+
+      // due:<7d is the same as due<7d
+      if (op === ':') {
+        const inner = OPERATORS.find(candidate => candidate !== ':' && text.startsWith(candidate, valueStart))
+        if (inner) {
+          op = inner
+          valueStart += inner.length
+        }
+      }
+
+      const { values, closed, end } = readValueList(valueStart)
+      tokens.push({
+        type: 'field',
+        negate,
+        start,
+        end,
+        key,
+        keyStart: index,
+        keyEnd: index + key.length,
+        op,
+        values,
+        valueStart,
+        closed
+      })
+      index = end
+      continue
+    }
+
+    const { value, end } = readValue(index)
+    tokens.push({ type: 'term', negate, start, end, value })
+    index = end
+  }
+
+  return tokens
+}
+
+/**
+ * Resolves a field token's values against the board, or explains why they do not match
+ * @returns {Object} { values } or { error }
+ */
+const resolveValues = (field, values, context) => {
+  const { users = [], columns = [], labels = [] } = context
+
+  switch (field) {
+    case 'assignee':
+      return {
+        values: values.map(value => {
+          const wanted = normalize(value)
+          if (wanted === 'me' || wanted === 'none') return wanted
+          const user = users.find(u => u.id === value || normalize(u.email) === wanted || normalize(u.name) === wanted)
+          return user ? user.id : { error: `No user "${value}"` }
+        })
+      }
+    case 'priority':
+      return { values: values.map(value => ['high', 'medium', 'low'].includes(normalize(value)) ? normalize(value) : { error: 'priority is high, medium or low' }) }
+    case 'status':
+      return {
+        values: values.map(value => {
+          if (columns.length === 0) return normalize(value)
+          const column = columns.find(c => normalize(c.id) === normalize(value) || normalize(c.title) === normalize(value))
+          return column ? normalize(column.id) : { error: `No column "${value}"` }
+        })
+      }
+    case 'category':
+      return {
+        values: values.map(value => {
+          const category = CATEGORIES.find(c => c.id === normalize(value) || normalize(c.name) === normalize(value))
+          return category ? category.id : { error: `No category "${value}"` }
+        })
+      }
+    case 'label':
+      return {
+        values: values.map(value => {
+          const label = labels.find(l => normalize(l) === normalize(value))
+          return label || value
+        })
+      }
+    case 'has':
+      return { values: values.map(value => HAS_VALUES.includes(normalize(value)) ? normalize(value) : { error: `has is one of ${HAS_VALUES.join(', ')}` }) }
+    case 'time':
+      return { values: values.map(value => TIME_VALUES.includes(normalize(value)) ? normalize(value) : { error: `time is ${TIME_VALUES.join(', ')}` }) }
+    case 'due':
+      return {
+        values: values.map(value => {
+          const wanted = normalize(value)
+          return DUE_KEYWORDS.includes(wanted) || RELATIVE_DATE.test(wanted) || (ISO_DATE.test(wanted) && !isNaN(new Date(wanted)))
+            ? wanted
+            : { error: 'due is overdue, today, none, any, a date (2024-12-31) or a number of days (7d, 2w)' }
+        })
+      }
+    default:
+      return { values }
+  }
+}
+
+/**
+ * Parses a query into filter criteria
+ * @param {string} text - Query as typed
+ * @param {Object} context - What names resolve against: { users, columns, customFields, labels }
+ * @returns {Object} { filter, errors: [{ start, end, message }], tokens }
+ */
+export const parseFilterQuery = (text = '', context = {}) => {
+  const tokens = tokenizeQuery(text)
+  const errors = []
+  const filter = { query: text.trim(), searchTerms: [], excludedTerms: [], conditions: [] }
+
+  const fail = (token, message, start = token.start, end = token.end) => {
+    errors.push({ start, end, message })
+    token.error = message
+  }
+
+  for (const token of tokens) {
+    if (token.type !== 'field') {
+      if (token.type === 'phrase' && !token.closed) {
+        fail(token, 'Missing closing quote')
+        continue
+      }
+      const term = token.value.toLowerCase()
+      if (term) (token.negate ? filter.excludedTerms : filter.searchTerms).push(term)
+      continue
+    }
+
+    const rawKey = token.key.toLowerCase()
+    const key = FIELD_ALIASES[rawKey] || rawKey
+    const valueEnd = token.end
+
+    if (!token.closed) {
+      fail(token, 'Missing closing quote', token.valueStart, valueEnd)
+      continue
+    }
+    if (token.values.length === 0) {
+      fail(token, `Missing value for ${token.key}`)
+      continue
+    }
+
+    // Sorting is not a condition
+    if (key === 'sort' || key === 'order') {
+      if (token.op !== ':' && token.op !== '=') {
+        fail(token, `${key} only takes ":"`)
+      } else if (key === 'sort' && !SORT_FIELDS[normalize(token.values[0])]) {
+        fail(token, `sort by ${Object.keys(SORT_FIELDS).join(', ')}`, token.valueStart, valueEnd)
+      } else if (key === 'order' && !['asc', 'desc'].includes(normalize(token.values[0]))) {
+        fail(token, 'order is asc or desc', token.valueStart, valueEnd)
+      } else if (key === 'sort') {
+        filter.sortBy = SORT_FIELDS[normalize(token.values[0])]
+      } else {
+        filter.sortOrder = normalize(token.values[0])
+      }
+      continue
+    }
+
+    const negate = token.negate !== (token.op === '!=')
+    const op = [':', '=', '!='].includes(token.op) ? 'is' : token.op
+    const { values } = token
+
+    // cf.<name>: custom field, matched by name
+    if (key.startsWith('cf.')) {
+      const name = token.key.slice(3).replace(/^"|"$/g, '')
+      if (!name) {
+        fail(token, 'Custom field name missing after cf.', token.keyStart, token.keyEnd)
+        continue
+      }
+      const definitions = context.customFields || []
+      const definition = definitions.find(f => normalizeName(f.name) === normalizeName(name) || f.id === name)
+      if (definitions.length > 0 && !definition) {
+        fail(token, `No custom field "${name}"`, token.keyStart, token.keyEnd)
+        continue
+      }
+      if (op !== 'is' && values.length > 1) {
+        fail(token, `${token.op} takes a single value`, token.valueStart, valueEnd)
+        continue
+      }
+      filter.conditions.push({ field: 'cf', fieldId: definition ? definition.id : name, name, op, values, negate })
+      continue
+    }
+
+    if (!QUERY_FIELDS[key]) {
+      fail(token, `Unknown field "${token.key}"`, token.keyStart, token.keyEnd)
+      continue
+    }
+    if (COMPARISONS.includes(op) && key !== 'due') {
+      fail(token, `${key} cannot be compared with ${op}`)
+      continue
+    }
+    if (COMPARISONS.includes(op) && (values.length > 1 || DUE_KEYWORDS.includes(normalize(values[0])))) {
+      fail(token, `${op} needs a date or a number of days`, token.valueStart, valueEnd)
+      continue
+    }
+
+    const resolved = resolveValues(key, values, context).values
+    const invalid = resolved.find(value => value && value.error)
+    if (invalid) {
+      fail(token, invalid.error, token.valueStart, valueEnd)
+      continue
+    }
+
+    filter.conditions.push({ field: key, op, values: resolved, negate })
+  }
+
+  return { filter, errors, tokens }
+}
+
+/**
+ * Days from today to a date (negative in the past), ignoring the time of day
+ * Plain YYYY-MM-DD dates are read as local dates.
+ */
+const daysFromToday = (value, now = new Date()) => {
+  const text = String(value)
+  const date = ISO_DATE.test(text)
+    ? new Date(Number(text.slice(0, 4)), Number(text.slice(5, 7)) - 1, Number(text.slice(8, 10)))
+    : new Date(text)
+  if (isNaN(date)) return null
+  const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime()
+  return Math.round((startOfDay(date) - startOfDay(now)) / (24 * 60 * 60 * 1000))
+}
+
+/**
+ * Compares two values with an operator, as numbers when both are numeric
+ */
+const compare = (a, op, b) => {
+  const numeric = a !== '' && b !== '' && !isNaN(Number(a)) && !isNaN(Number(b))
+  const left = numeric ? Number(a) : normalize(a)
+  const right = numeric ? Number(b) : normalize(b)
+  switch (op) {
+    case '>': return left > right
+    case '>=': return left >= right
+    case '<': return left < right
+    case '<=': return left <= right
+    default: return left === right
+  }
+}
+
+/**
+ * Checks a due date against one due: value
+ */
+const matchesDue = (dueDate, op, value, now) => {
+  if (value === 'none') return !dueDate
+  if (value === 'any') return Boolean(dueDate)
+  if (!dueDate) return false
+
+  const days = daysFromToday(dueDate, now)
+  if (days === null) return false
+  if (value === 'overdue') return days < 0
+  if (value === 'today') return days === 0
+
+  const relative = RELATIVE_DATE.exec(value)
+  const target = relative ? Number(relative[1]) * DAYS_PER_UNIT[relative[2]] : daysFromToday(value, now)
+
+  // due:7d means "within the next 7 days", due:2024-12-31 that exact day
+  if (op === 'is' && relative) {
+    return target >= 0 ? days >= 0 && days <= target : days >= target && days <= 0
+  }
+  return compare(days, op === 'is' ? '=' : op, target)
+}
+
+/**
+ * Checks whether a task passes one parsed condition
+ * Reads both API (snake_case) and client (camelCase) task fields.
+ * @param {Object} task - Task to test
+ * @param {Object} condition - Condition from parseFilterQuery
+ * @param {Object} options - { currentUserId, now }
+ * @returns {boolean} True if the task matches
+ */
+export const matchesCondition = (task, condition, { currentUserId = null, now = new Date() } = {}) => {
+  const { field, op, values } = condition
+  const assignedTo = task.assignedTo ?? task.assigned_to ?? null
+  const dueDate = task.dueDate || task.due_date || null
+
+  const test = (value) => {
+    switch (field) {
+      case 'assignee':
+        if (value === 'none') return !assignedTo
+        return Boolean(assignedTo) && assignedTo === (value === 'me' ? currentUserId : value)
+      case 'priority':
+        return task.priority === value
+      case 'status':
+        return normalize(task.status || 'todo') === value
+      case 'category':
+        return task.category === value
+      case 'label':
+        return (task.labels || []).some(label => normalize(label) === normalize(value))
+      case 'has':
+        switch (value) {
+          case 'due': return Boolean(dueDate)
+          case 'assignee': return Boolean(assignedTo)
+          case 'description': return Boolean(task.description && task.description.trim())
+          default: return (task[value] || []).length > 0
+        }
+      case 'due':
+        return matchesDue(dueDate, op, value, now)
+      case 'time': {
+        const estimate = task.timeEstimate ?? task.time_estimate
+        if (!estimate) return false
+        const progress = ((task.timeSpent ?? task.time_spent ?? 0) / estimate) * 100
+        if (value === 'on-track') return progress < 80
+        if (value === 'at-risk') return progress >= 80 && progress < 100
+        return progress >= 100
+      }
+      case 'cf': {
+        const customFields = task.customFields || {}
+        const fieldValue = customFields[condition.fieldId] ?? customFields[condition.name]
+        const empty = fieldValue === undefined || fieldValue === null || fieldValue === ''
+        if (normalize(value) === 'none' && op === 'is') return empty
+        if (empty) return false
+        if (Array.isArray(fieldValue)) return fieldValue.some(item => compare(item, op === 'is' ? '=' : op, value))
+        return compare(fieldValue, op === 'is' ? '=' : op, value)
+      }
+      default:
+        return true
+    }
+  }
+
+  const matches = values.some(test)
+  return condition.negate ? !matches : matches
+}
+
+/**
+ * Checks a task against a parsed query's words and conditions
+ * @param {Object} task - Task to test
+ * @param {Object} filter - Filter with searchTerms, excludedTerms and conditions
+ * @param {Object} options - { currentUserId, now }
+ * @returns {boolean} True if the task matches
+ */
+export const matchesQuery = (task, filter, options = {}) => {
+  const { searchTerms = [], excludedTerms = [], conditions = [] } = filter
+  if (searchTerms.length > 0 || excludedTerms.length > 0) {
+    const text = [
+      task.title,
+      task.description,
+      ...(task.comments || []).map(comment => comment.text)
+    ].filter(Boolean).join('\n').toLowerCase()
+
+    if (!searchTerms.every(term => text.includes(term))) return false
+    if (excludedTerms.some(term => text.includes(term))) return false
+  }
+
+  return conditions.every(condition => matchesCondition(task, condition, options))
+}
+
+/**
+ * Quotes a suggested value when it contains spaces or commas
+ */
+const quoteValue = (value) => /[\s,"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value
+
+/**
+ * Suggests field names or values for the token under the cursor
+ * @param {string} text - Query as typed
+ * @param {number} cursor - Caret position
+ * @param {Object} context - { users, columns, customFields, labels }
+ * @returns {Object} { start, end, items: [{ label, insert, description }] } - the range items replace
+ */
+export const getQuerySuggestions = (text = '', cursor = text.length, context = {}) => {
+  const { users = [], columns = [], customFields = [], labels = [] } = context
+
+  // The word being typed runs from the last whitespace before the cursor
+  let start = cursor
+  while (start > 0 && !/\s/.test(text[start - 1])) start--
+  let end = cursor
+  while (end < text.length && !/\s/.test(text[end])) end++
+
+  const word = text.slice(start, cursor)
+  const prefix = word.startsWith('-') ? '-' : ''
+  const body = word.slice(prefix.length)
+  const none = { start, end, items: [] }
+
+  if (body.startsWith('"')) return none
+
+  const field = /^([A-Za-z][\w-]*(?:\.[\w-]*)?)(!=|>=|<=|:|=|>|<)(.*)$/.exec(body)
+
+  // Still typing a field name
+  if (!field) {
+    const typed = body.toLowerCase()
+    if (!typed) return none
+
+    if (typed.startsWith('cf.')) {
+      return {
+        start,
+        end,
+        items: customFields
+          .filter(f => normalizeName(f.name).startsWith(normalizeName(typed.slice(3))))
+          .map(f => ({
+            label: `cf.${f.name}`,
+            insert: `${prefix}cf.${/\s/.test(f.name) ? `"${f.name}"` : f.name}:`,
+            description: `Custom field (${f.type})`
+          }))
+      }
+    }
+
+    return {
+      start,
+      end,
+      items: Object.entries(QUERY_FIELDS)
+        .filter(([name]) => name.startsWith(typed) && name !== typed)
+        .map(([name, description]) => ({
+          label: name,
+          insert: `${prefix}${name}${name.endsWith('.') ? '' : ':'}`,
+          description
+        }))
+    }
+  }
+
+  // Typing a value: suggest the ones that fit after the last comma
+  const [, rawKey, op, rawValue] = field
+  const key = FIELD_ALIASES[rawKey.toLowerCase()] || rawKey.toLowerCase()
+  const commaIndex = rawValue.lastIndexOf(',')
+  const typedValue = normalize(rawValue.slice(commaIndex + 1).replace(/^"/, ''))
+  const before = `${prefix}${rawKey}${op}${rawValue.slice(0, commaIndex + 1)}`
+
+  let candidates = []
+  switch (key) {
+    case 'assignee':
+      candidates = [
+        { value: 'me', description: 'You' },
+        { value: 'none', description: 'Unassigned' },
+        ...users.map(user => ({ value: user.name, description: user.email }))
+      ]
+      break
+    case 'priority':
+      candidates = ['high', 'medium', 'low'].map(value => ({ value }))
+      break
+    case 'status':
+      candidates = columns.map(column => ({ value: column.title, description: column.id }))
+      break
+    case 'category':
+      candidates = CATEGORIES.map(category => ({ value: category.id, description: category.name }))
+      break
+    case 'label':
+      candidates = labels.map(value => ({ value }))
+      break
+    case 'has':
+      candidates = HAS_VALUES.map(value => ({ value }))
+      break
+    case 'due':
+      candidates = [
+        { value: 'overdue' },
+        { value: 'today' },
+        { value: '7d', description: 'Within the next 7 days' },
+        { value: '<14d', description: 'Before two weeks from now' },
+        { value: 'none', description: 'No due date' },
+        { value: 'any', description: 'Has a due date' }
+      ]
+      break
+    case 'time':
+      candidates = TIME_VALUES.map(value => ({ value }))
+      break
+    case 'sort':
+      candidates = Object.keys(SORT_FIELDS).map(value => ({ value }))
+      break
+    case 'order':
+      candidates = [{ value: 'asc' }, { value: 'desc' }]
+      break
+    default:
+      if (key.startsWith('cf.')) {
+        const definition = customFields.find(f => normalizeName(f.name) === normalizeName(rawKey.slice(3)))
+        candidates = (definition?.options || []).map(option => ({ value: String(option.value ?? option) }))
+      }
+  }
+
+  return {
+    start,
+    end,
+    items: candidates
+      .filter(candidate => normalize(candidate.value).startsWith(typedValue) && normalize(candidate.value) !== typedValue)
+      .slice(0, 10)
+      .map(candidate => ({
+        label: candidate.value,
+        insert: `${before}${quoteValue(candidate.value)} `,
+        description: candidate.description
+      }))
+  }
+}
@@ -44,6 +44,16 @@ export const parseMarkdown = (text) => {
   return html
 }
 
+/**
+ * Highlights @mentions in HTML produced by parseMarkdown
+ * Uses the same handle rules as the server (name, email, or the part of the email before "@")
+ * @param {string} html - HTML from parseMarkdown
+ * @returns {string} HTML with mentions wrapped in <span class="mention">
+ */
+export const highlightMentions = (html) => {
+  return html.replace(/(^|\s|>)@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g, '$1<span class="mention">@$2</span>')
+}
+
 /**
  * Escapes HTML special characters to prevent XSS
  * @param {string} text - Text to escape
@@ -3,6 +3,10 @@
  * Handles recurring task patterns and generation
  */
 
+import {
+  WEEKDAY_CODES, parseRRule, getOccurrences, describeRRule, parseDateKey, startOfDay
+} from '../../server/utils/rrule.js'
+
 const RECURRING_STORAGE_KEY = 'kanban-recurring-tasks'
 
 /**
@@ -13,7 +17,7 @@ export const RECURRENCE_TYPES = {
   WEEKLY: 'weekly',
   MONTHLY: 'monthly',
   YEARLY: 'yearly',
-  CUSTOM: 'custom'
+  CUSTOM: 'custom' // iCalendar RRULE in recurrence.rrule
 }
 
 /**
@@ -60,7 +64,10 @@ export const createRecurringTaskTemplate = (templateData) => {
       daysOfWeek: templateData.recurrence?.daysOfWeek || [], // For weekly: [0,2,4] = Mon, Wed, Fri
       dayOfMonth: templateData.recurrence?.dayOfMonth || null, // For monthly: 1-31
       endDate: templateData.recurrence?.endDate || null, // When to stop recurring
-      maxOccurrences: templateData.recurrence?.maxOccurrences || null // Max number of tasks to create
+      maxOccurrences: templateData.recurrence?.maxOccurrences || null, // Max number of tasks to create
+      rrule: templateData.recurrence?.rrule || null, // For custom: RRULE text, e.g. FREQ=MONTHLY;BYDAY=2TU
+      startDate: templateData.recurrence?.startDate || null, // First day of the series (YYYY-MM-DD)
+      exdates: templateData.recurrence?.exdates || [] // Days to skip (YYYY-MM-DD)
     },
     lastGenerated: null,
     occurrenceCount: 0,
@@ -70,75 +77,144 @@ export const createRecurringTaskTemplate = (templateData) => {
 }
 
 /**
- * Calculates the next occurrence date based on recurrence pattern
+ * Parses a timestamp from the API
+ * SQLite's CURRENT_TIMESTAMP ("YYYY-MM-DD HH:MM:SS") is UTC without a zone marker.
+ * @param {string} value - SQLite timestamp or ISO string
+ * @returns {Date} Parsed date
+ */
+export const parseTimestamp = (value) => (
+  /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)
+    ? new Date(`${value.replace(' ', 'T')}Z`)
+    : new Date(value)
+)
+
+/**
+ * Converts a recurrence to an RRULE
+ * Custom recurrences carry their own rule; the simple types are translated.
  * @param {Object} recurrence - Recurrence configuration
- * @param {Date} lastDate - Last occurrence date (or start date)
- * @returns {Date|null} Next occurrence date, or null if pattern ended
+ * @returns {string} RRULE text (empty for unknown types)
  */
-export const calculateNextOccurrence = (recurrence, lastDate = new Date()) => {
-  const nextDate = new Date(lastDate)
-  
-  // Check if we've reached max occurrences
-  if (recurrence.maxOccurrences && recurrence.occurrenceCount >= recurrence.maxOccurrences) {
-    return null
-  }
-  
-  // Check if we've passed the end date
-  if (recurrence.endDate && new Date(recurrence.endDate) < nextDate) {
-    return null
-  }
+export const recurrenceToRRule = (recurrence) => {
+  const interval = Math.max(1, parseInt(recurrence.interval, 10) || 1)
+  const intervalPart = interval > 1 ? `;INTERVAL=${interval}` : ''
 
   switch (recurrence.type) {
     case RECURRENCE_TYPES.DAILY:
-      nextDate.setDate(nextDate.getDate() + recurrence.interval)
-      break
-    
-    case RECURRENCE_TYPES.WEEKLY:
-      if (recurrence.daysOfWeek && recurrence.daysOfWeek.length > 0) {
-        // Find next day of week
-        let daysToAdd = 1
-        let attempts = 0
-        while (attempts < 14) { // Max 2 weeks
-          const testDate = new Date(nextDate)
-          testDate.setDate(testDate.getDate() + daysToAdd)
-          const dayOfWeek = testDate.getDay()
-          
-          if (recurrence.daysOfWeek.includes(dayOfWeek)) {
-            nextDate.setDate(nextDate.getDate() + daysToAdd)
-            break
-          }
-          daysToAdd++
-          attempts++
-        }
-        if (attempts >= 14) return null
-      } else {
-        nextDate.setDate(nextDate.getDate() + (7 * recurrence.interval))
-      }
-      break
-    
-    case RECURRENCE_TYPES.MONTHLY:
-      nextDate.setMonth(nextDate.getMonth() + recurrence.interval)
-      if (recurrence.dayOfMonth) {
-        // Set to specific day of month
-        const daysInMonth = new Date(nextDate.getFullYear(), nextDate.getMonth() + 1, 0).getDate()
-        nextDate.setDate(Math.min(recurrence.dayOfMonth, daysInMonth))
-      }
-      break
-    
+      return `FREQ=DAILY${intervalPart}`
+
+    case RECURRENCE_TYPES.WEEKLY: {
+      const days = (recurrence.daysOfWeek || []).map(day => WEEKDAY_CODES[Number(day)]).filter(Boolean)
+      return `FREQ=WEEKLY${intervalPart}${days.length > 0 ? `;BYDAY=${days.join(',')}` : ''}`
+    }
+
+    case RECURRENCE_TYPES.MONTHLY: {
+      const dayOfMonth = Math.min(parseInt(recurrence.dayOfMonth, 10) || 0, 31)
+      if (!dayOfMonth) return `FREQ=MONTHLY${intervalPart}`
+      if (dayOfMonth <= 28) return `FREQ=MONTHLY${intervalPart};BYMONTHDAY=${dayOfMonth}`
+
+      // Days past the 28th fall back to the last day of shorter months
+      const days = []
+      for (let day = 28; day <= dayOfMonth; day++) days.push(day)
+      return `FREQ=MONTHLY${intervalPart};BYMONTHDAY=${days.join(',')};BYSETPOS=-1`
+    }
+
     case RECURRENCE_TYPES.YEARLY:
-      nextDate.setFullYear(nextDate.getFullYear() + recurrence.interval)
-      break
-    
+      return `FREQ=YEARLY${intervalPart}`
+
+    case RECURRENCE_TYPES.CUSTOM:
+      return recurrence.rrule || ''
+
     default:
-      return null
+      return ''
   }
+}
 
-  // Check if next date is after end date
-  if (recurrence.endDate && nextDate > new Date(recurrence.endDate)) {
-    return null
+/**
+ * First day of a series: the recurrence's start date, or the day the template was created
+ * @param {Object} recurrence - Recurrence configuration
+ * @param {Date} createdAt - When the template was created
+ * @returns {Date} Local midnight of the first day
+ */
+export const getRecurrenceStart = (recurrence, createdAt) => (
+  parseDateKey(recurrence.startDate) || startOfDay(createdAt)
+)
+
+/**
+ * Lists the next occurrences of a recurring template
+ * Without a start date the series begins the day after the template was created.
+ *
+ * @param {Object} recurrence - Recurrence configuration
+ * @param {Object} options
+ * @param {Date} options.createdAt - When the template was created
+ * @param {Date} options.lastGenerated - Last occurrence already generated, if any
+ * @param {number} options.occurrenceCount - Occurrences generated so far (for maxOccurrences)
+ * @param {Date} options.until - Only occurrences up to this day
+ * @param {number} options.limit - Maximum number of occurrences (default: 5)
+ * @returns {Array<Date>} Occurrence days in order
+ * @throws {Error} If a custom rule is invalid
+ */
+export const getUpcomingOccurrences = (recurrence, {
+  createdAt = new Date(), lastGenerated = null, occurrenceCount = 0, until = null, limit = 5
+} = {}) => {
+  const rrule = recurrenceToRRule(recurrence)
+  if (!rrule) return []
+
+  const start = getRecurrenceStart(recurrence, createdAt)
+  const dayBeforeStart = new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1)
+  // End dates are stored as ISO strings of the picked day
+  const endDate = recurrence.endDate ? parseDateKey(String(recurrence.endDate).slice(0, 10)) : null
+  const remaining = recurrence.maxOccurrences ? recurrence.maxOccurrences - occurrenceCount : limit
+
+  return getOccurrences(rrule, start, {
+    after: lastGenerated || (recurrence.startDate ? dayBeforeStart : start),
+    until: [endDate, until].filter(Boolean).sort((a, b) => a - b)[0] || null,
+    limit: Math.min(limit, remaining),
+    exdates: recurrence.exdates || []
+  })
+}
+
+/**
+ * Checks a recurrence before it is saved
+ * @param {Object} recurrence - Recurrence configuration
+ * @returns {string|null} Error message, or null if the recurrence is valid
+ */
+export const validateRecurrence = (recurrence) => {
+  if (!recurrence || !Object.values(RECURRENCE_TYPES).includes(recurrence.type)) {
+    return 'Unknown recurrence type'
+  }
+  if (recurrence.type === RECURRENCE_TYPES.CUSTOM) {
+    try {
+      parseRRule(recurrence.rrule)
+    } catch (error) {
+      return error.message
+    }
+  }
+  if (recurrence.startDate && !parseDateKey(recurrence.startDate)) {
+    return 'Start date must be a date like 2024-03-15'
   }
+  if (recurrence.exdates && (!Array.isArray(recurrence.exdates) || !recurrence.exdates.every(parseDateKey))) {
+    return 'Skipped dates must be dates like 2024-03-15'
+  }
+  return null
+}
 
-  return nextDate
+/**
+ * Calculates the next occurrence date based on recurrence pattern
+ * @param {Object} recurrence - Recurrence configuration
+ * @param {Date} lastDate - Last occurrence date (or start date)
+ * @returns {Date|null} Next occurrence date, or null if pattern ended
+ */
+export const calculateNextOccurrence = (recurrence, lastDate = new Date()) => {
+  try {
+    return getUpcomingOccurrences(recurrence, {
+      createdAt: lastDate,
+      lastGenerated: startOfDay(lastDate),
+      occurrenceCount: recurrence.occurrenceCount || 0,
+      limit: 1
+    })[0] || null
+  } catch (error) {
+    return null
+  }
 }
 
 /**
@@ -247,6 +323,13 @@ export const formatRecurrence = (recurrence) => {
     
     case RECURRENCE_TYPES.YEARLY:
       return interval === 1 ? 'Yearly' : `Every ${interval} years`
+
+    case RECURRENCE_TYPES.CUSTOM:
+      try {
+        return describeRRule(recurrence.rrule)
+      } catch (error) {
+        return 'Custom (invalid rule)'
+      }
     
     default:
       return 'Custom'
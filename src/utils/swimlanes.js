@@ -0,0 +1,116 @@
+/**
+ * Swimlane Utility Functions
+ * Groups a board's cards into horizontal lanes (see KanbanBoard.jsx) and works out which
+ * task field changes when a card is dragged into another lane
+ */
+
+import { CATEGORIES } from './categories'
+
+// Lane for cards without a value (unassigned, or a custom field left empty)
+export const EMPTY_LANE_ID = '__none__'
+
+const PRIORITY_LANES = [
+  { id: 'high', title: 'High priority' },
+  { id: 'medium', title: 'Medium priority' },
+  { id: 'low', title: 'Low priority' }
+]
+
+/**
+ * Custom field ID of a "cf:<fieldId>" grouping, or null
+ */
+const getGroupFieldId = (groupBy) => groupBy && groupBy.startsWith('cf:') ? groupBy.slice(3) : null
+
+/**
+ * Value of the grouped field on a task (API rows are snake_case, older client data camelCase)
+ * @param {Object} task - Task
+ * @param {string} groupBy - 'assignee', 'priority', 'category' or 'cf:<fieldId>'
+ * @returns {string|null} Lane ID the task belongs to, or null for the empty lane
+ */
+export const getLaneValue = (task, groupBy) => {
+  switch (groupBy) {
+    case 'assignee':
+      return task.assignedTo ?? task.assigned_to ?? null
+    case 'priority':
+      return task.priority || null
+    case 'category':
+      return task.category || null
+    default: {
+      const fieldId = getGroupFieldId(groupBy)
+      const value = fieldId ? task.customFields?.[fieldId] : null
+      return value === undefined || value === null || value === '' ? null : String(value)
+    }
+  }
+}
+
+/**
+ * Splits tasks into lanes
+ * Every possible value gets a lane, so cards can be dragged into empty ones. Values no longer
+ * offered (a removed option, a former member) still get a lane while cards use them.
+ * @param {Array} tasks - Tasks to group
+ * @param {string} groupBy - 'assignee', 'priority', 'category' or 'cf:<fieldId>'
+ * @param {Object} context - { members, users, customFields } of the board
+ * @returns {Array} [{ id, title, tasks }] in display order, the empty lane last
+ */
+export const buildSwimlanes = (tasks, groupBy, { members = [], users = [], customFields = [] } = {}) => {
+  const fieldId = getGroupFieldId(groupBy)
+  const field = fieldId ? customFields.find(f => f.id === fieldId) : null
+
+  let lanes = []
+  let emptyTitle = 'None'
+  switch (groupBy) {
+    case 'assignee':
+      lanes = members.map(member => ({ id: member.id, title: member.name }))
+      emptyTitle = 'Unassigned'
+      break
+    case 'priority':
+      lanes = PRIORITY_LANES
+      emptyTitle = 'No priority'
+      break
+    case 'category':
+      lanes = CATEGORIES.map(category => ({ id: category.id, title: category.name }))
+      emptyTitle = 'No category'
+      break
+    default:
+      lanes = (field?.options || []).map(option => ({ id: String(option), title: String(option) }))
+      emptyTitle = field ? `No ${field.name}` : 'No value'
+  }
+
+  for (const task of tasks) {
+    const value = getLaneValue(task, groupBy)
+    if (value !== null && !lanes.some(lane => lane.id === value)) {
+      const user = groupBy === 'assignee' ? users.find(u => u.id === value) : null
+      lanes = [...lanes, { id: value, title: user ? user.name : value }]
+    }
+  }
+
+  return [...lanes, { id: EMPTY_LANE_ID, title: emptyTitle }].map(lane => ({
+    ...lane,
+    tasks: tasks.filter(task => (getLaneValue(task, groupBy) ?? EMPTY_LANE_ID) === lane.id)
+  }))
+}
+
+/**
+ * Task fields to save when a card is dropped into a lane
+ * @param {Object} task - Dragged task
+ * @param {string} groupBy - Current grouping
+ * @param {string} laneId - Lane the card was dropped in
+ * @returns {Object|null} Fields for the task update API, or null if the drop cannot change the task
+ */
+export const getLaneUpdates = (task, groupBy, laneId) => {
+  const value = laneId === EMPTY_LANE_ID ? null : laneId
+
+  switch (groupBy) {
+    case 'assignee':
+      return { assignedTo: value }
+    case 'priority':
+    case 'category':
+      // Every task has a priority and a category; neither can be cleared by dragging
+      return value === null ? null : { [groupBy]: value }
+    default: {
+      const fieldId = getGroupFieldId(groupBy)
+      if (!fieldId) return null
+      const { [fieldId]: previous, ...otherFields } = task.customFields || {}
+      return { customFields: value === null ? otherFields : { ...otherFields, [fieldId]: value } }
+    }
+  }
+}
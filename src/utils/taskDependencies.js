@@ -1,16 +1,79 @@
 /**
  * Task Dependencies Utility Functions
  * Handles task dependency relationships and validation
+ *
+ * A task's dependencies are typed links { taskId, type, lag } to the tasks it waits on
+ * (validated again by the server, see server/utils/taskDependencies.js). Older tasks store
+ * plain task IDs, which are read as finish-to-start links without lag.
  */
 
+/**
+ * Link types, described from the task that stores the link
+ * - ordering: orders the two tasks (checked for cycles, listed under "Blocked by" / "Blocks")
+ * - schedule: ties their dates together with a lag in days (drawn and shifted on the timeline)
+ * - gatesCompletion: the other task must be completed before this one can be
+ */
+export const DEPENDENCY_TYPES = [
+  { id: 'blocks', label: 'Blocked by', inverseLabel: 'Blocks', ordering: true, schedule: false, gatesCompletion: true },
+  { id: 'FS', label: 'Starts after finish of', inverseLabel: 'Finish → start of', ordering: true, schedule: true, gatesCompletion: true },
+  { id: 'SS', label: 'Starts after start of', inverseLabel: 'Start → start of', ordering: true, schedule: true, gatesCompletion: false },
+  { id: 'FF', label: 'Finishes after finish of', inverseLabel: 'Finish → finish of', ordering: true, schedule: true, gatesCompletion: true },
+  { id: 'SF', label: 'Finishes after start of', inverseLabel: 'Start → finish of', ordering: true, schedule: true, gatesCompletion: false },
+  { id: 'relates-to', label: 'Relates to', inverseLabel: 'Relates to', ordering: false, schedule: false, gatesCompletion: false },
+  { id: 'duplicates', label: 'Duplicates', inverseLabel: 'Duplicated by', ordering: false, schedule: false, gatesCompletion: false }
+]
+
+// Largest lag or lead accepted, in days (kept in sync with the server)
+export const MAX_LAG_DAYS = 365
+
+/**
+ * Gets a link type definition
+ * @param {string} typeId - Link type ID
+ * @returns {Object} Type from DEPENDENCY_TYPES (finish-to-start if unknown)
+ */
+export const getDependencyType = (typeId) => (
+  DEPENDENCY_TYPES.find(type => type.id === typeId) || DEPENDENCY_TYPES.find(type => type.id === 'FS')
+)
+
+/**
+ * Converts a stored link (plain task ID or object) to { taskId, type, lag }
+ * @param {string|Object} dependency - Stored link
+ * @returns {Object} Normalized link
+ */
+export const normalizeDependency = (dependency) => {
+  if (typeof dependency === 'string') return { taskId: dependency, type: 'FS', lag: 0 }
+  const type = dependency.type || 'FS'
+  return { taskId: dependency.taskId, type, lag: getDependencyType(type).schedule ? dependency.lag || 0 : 0 }
+}
+
+/**
+ * Gets a task's links
+ * @param {Object} task - Task object
+ * @param {Function} filter - Optional filter on the link type definition (e.g. type => type.ordering)
+ * @returns {Array} Normalized links
+ */
+export const getTaskDependencies = (task, filter = null) => (
+  (task?.dependencies || [])
+    .map(normalizeDependency)
+    .filter(link => !filter || filter(getDependencyType(link.type)))
+)
+
+/**
+ * IDs of the tasks ordered before a task (its blockers and schedule predecessors)
+ * @param {Object} task - Task object
+ * @returns {Array} Task IDs
+ */
+export const getPredecessorIds = (task) => getTaskDependencies(task, type => type.ordering).map(link => link.taskId)
+
 /**
  * Validates if a dependency can be added (prevents circular dependencies)
  * @param {string} taskId - ID of the task to add dependency to
  * @param {string} dependsOnId - ID of the task this task depends on
  * @param {Array} allTasks - Array of all tasks
+ * @param {string} typeId - Link type (only ordering links can form a cycle)
  * @returns {Object} { valid: boolean, error: string }
  */
-export const validateDependency = (taskId, dependsOnId, allTasks) => {
+export const validateDependency = (taskId, dependsOnId, allTasks, typeId = 'FS') => {
   // Can't depend on itself
   if (taskId === dependsOnId) {
     return { valid: false, error: 'A task cannot depend on itself' }
@@ -23,7 +86,7 @@ export const validateDependency = (taskId, dependsOnId, allTasks) => {
   }
   
   // Check for circular dependencies
-  const hasCircularDependency = checkCircularDependency(
+  const hasCircularDependency = getDependencyType(typeId).ordering && checkCircularDependency(
     dependsOnId,
     taskId,
     allTasks,
@@ -42,11 +105,12 @@ export const validateDependency = (taskId, dependsOnId, allTasks) => {
  * @param {string} currentTaskId - Current task being checked
  * @param {string} targetTaskId - Task we're trying to avoid circular dependency with
  * @param {Array} allTasks - Array of all tasks
- * @param {Set} visited - Set of visited task IDs to prevent infinite loops
+ * @param {Set} visited - Task IDs already checked, shared by the whole walk so each task is
+ *   checked once (a task that didn't lead back to the target won't on another path either)
  * @returns {boolean} True if circular dependency exists
  */
 const checkCircularDependency = (currentTaskId, targetTaskId, allTasks, visited) => {
-  // If we've already visited this task, we're in a loop
+  // Already checked on another path (or we're in a loop)
   if (visited.has(currentTaskId)) {
     return false // Not the circular dependency we're looking for
   }
@@ -61,13 +125,14 @@ const checkCircularDependency = (currentTaskId, targetTaskId, allTasks, visited)
   
   // Get current task
   const currentTask = allTasks.find(t => t.id === currentTaskId)
-  if (!currentTask || !currentTask.dependencies || currentTask.dependencies.length === 0) {
+  const predecessorIds = getPredecessorIds(currentTask)
+  if (predecessorIds.length === 0) {
     return false
   }
   
   // Check all dependencies of current task
-  for (const depId of currentTask.dependencies) {
-    if (checkCircularDependency(depId, targetTaskId, allTasks, new Set(visited))) {
+  for (const depId of predecessorIds) {
+    if (checkCircularDependency(depId, targetTaskId, allTasks, visited)) {
       return true
     }
   }
@@ -83,10 +148,22 @@ const checkCircularDependency = (currentTaskId, targetTaskId, allTasks, visited)
  */
 export const getDependentTasks = (taskId, allTasks) => {
   return allTasks
-    .filter(task => task.dependencies && task.dependencies.includes(taskId))
+    .filter(task => getPredecessorIds(task).includes(taskId))
     .map(task => task.id)
 }
 
+/**
+ * Gets the links other tasks have to a task, seen from that task
+ * @param {string} taskId - ID of the task
+ * @param {Array} allTasks - Array of all tasks
+ * @returns {Array} [{ task, taskId, type, lag }] - the linking task and its link
+ */
+export const getIncomingDependencies = (taskId, allTasks) => {
+  return allTasks.flatMap(task => getTaskDependencies(task)
+    .filter(link => link.taskId === taskId && task.id !== taskId)
+    .map(link => ({ ...link, task })))
+}
+
 /**
  * Checks if a task can be moved to a new status (all dependencies must be completed)
  * @param {Object} task - Task object
@@ -101,13 +178,15 @@ export const canMoveTask = (task, newStatus, allTasks) => {
     return { canMove: true, blockingTasks: [] }
   }
   
-  if (!task.dependencies || task.dependencies.length === 0) {
+  // Only blockers and links ending in a finish must be completed first
+  const blockerIds = getTaskDependencies(task, type => type.gatesCompletion).map(link => link.taskId)
+  if (blockerIds.length === 0) {
     return { canMove: true, blockingTasks: [] }
   }
   
   // Check if all dependencies are completed
   const blockingTasks = []
-  for (const depId of task.dependencies) {
+  for (const depId of blockerIds) {
     const depTask = allTasks.find(t => t.id === depId)
     if (depTask) {
       const depStatus = depTask.status?.toLowerCase() || ''
@@ -132,15 +211,100 @@ export const canMoveTask = (task, newStatus, allTasks) => {
  */
 export const getDependencyDepth = (taskId, allTasks, depth = 0) => {
   const task = allTasks.find(t => t.id === taskId)
-  if (!task || !task.dependencies || task.dependencies.length === 0) {
+  const predecessorIds = getPredecessorIds(task)
+  if (predecessorIds.length === 0) {
     return depth
   }
   
   let maxDepth = depth
-  for (const depId of task.dependencies) {
+  for (const depId of predecessorIds) {
     const depDepth = getDependencyDepth(depId, allTasks, depth + 1)
     maxDepth = Math.max(maxDepth, depDepth)
   }
   
   return maxDepth
 }
+
+/**
+ * Works out how far each successor moves when a task is rescheduled (mirrors the server)
+ * A successor moves with the end of its predecessor for FS and FF links and with its start for
+ * SS and SF links; the shift carries on to its own successors. Each task moves once.
+ * @param {string} taskId - Rescheduled task ID
+ * @param {number} startDelta - Days its start moved
+ * @param {number} endDelta - Days its end moved
+ * @param {Array} allTasks - Array of all tasks
+ * @returns {Map} Successor task ID -> days to move
+ */
+export const getSuccessorShifts = (taskId, startDelta, endDelta, allTasks) => {
+  const shifts = new Map()
+  const queue = [{ id: taskId, startDelta, endDelta }]
+
+  while (queue.length > 0) {
+    const current = queue.shift()
+    for (const task of allTasks) {
+      if (task.id === taskId || shifts.has(task.id)) continue
+      const link = getTaskDependencies(task, type => type.schedule).find(l => l.taskId === current.id)
+      if (!link) continue
+
+      const delta = ['SS', 'SF'].includes(link.type) ? current.startDelta : current.endDelta
+      if (delta !== 0) {
+        shifts.set(task.id, delta)
+        queue.push({ id: task.id, startDelta: delta, endDelta: delta })
+      }
+    }
+  }
+
+  return shifts
+}
+
+/**
+ * Finds the critical path: the chain of schedule-linked tasks with the longest total duration
+ * (durations plus lags). Any delay on it delays the end of the whole chain.
+ * @param {Array} allTasks - Array of all tasks
+ * @param {Function} getDuration - Returns a task's duration (e.g. in days), or null if it is not scheduled
+ * @returns {Array} Task IDs on the critical path, first predecessor first (empty without dependencies)
+ */
+export const getCriticalPath = (allTasks, getDuration) => {
+  const tasksById = new Map(allTasks.map(task => [task.id, task]))
+  const longest = new Map() // task ID -> { length, previous } of the longest chain ending at the task
+
+  const visit = (taskId, path) => {
+    if (longest.has(taskId)) return longest.get(taskId)
+
+    const task = tasksById.get(taskId)
+    const duration = task ? getDuration(task) : null
+    let best = { length: 0, previous: null }
+
+    // Guard against cycles in data saved before validation existed
+    if (duration !== null && !path.has(taskId)) {
+      path.add(taskId)
+      let longestBefore = null
+      for (const { taskId: depId, lag } of getTaskDependencies(task, type => type.schedule)) {
+        const chain = visit(depId, path)
+        const isScheduled = tasksById.has(depId) && getDuration(tasksById.get(depId)) !== null
+        if (isScheduled && (!longestBefore || chain.length + lag > longestBefore.length)) {
+          longestBefore = { length: chain.length + lag, previous: depId }
+        }
+      }
+      path.delete(taskId)
+      best = { length: (longestBefore?.length || 0) + duration, previous: longestBefore?.previous || null }
+    }
+
+    longest.set(taskId, best)
+    return best
+  }
+
+  let endId = null
+  for (const task of allTasks) {
+    const chain = visit(task.id, new Set())
+    if (chain.previous && (!endId || chain.length > longest.get(endId).length)) {
+      endId = task.id
+    }
+  }
+
+  const path = []
+  for (let taskId = endId; taskId; taskId = longest.get(taskId).previous) {
+    path.unshift(taskId)
+  }
+  return path
+}
@@ -0,0 +1,124 @@
+/**
+ * Timeline Utility Functions
+ * Places tasks on the timeline view by their start and due dates
+ * Task dates are midnight UTC (the date picked in the task form), so days are counted in UTC
+ * like the server does when it reschedules (see server/utils/taskSchedule.js).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Days shown around the scheduled tasks
+const RANGE_PADDING_DAYS = 3
+
+// Shortest range shown, so a few tasks don't stretch across the screen
+const MIN_RANGE_DAYS = 28
+
+/**
+ * Day number (days since 1970-01-01 UTC) of a date
+ * @param {string|Date} value - ISO date string or Date
+ * @returns {number|null} Day number, or null without a valid date
+ */
+export const toDay = (value) => {
+  if (!value) return null
+  const time = new Date(value).getTime()
+  return Number.isNaN(time) ? null : Math.floor(time / DAY_MS)
+}
+
+/**
+ * ISO date string (midnight UTC) of a day number
+ * @param {number} day - Day number
+ * @returns {string} ISO date string
+ */
+export const fromDay = (day) => new Date(day * DAY_MS).toISOString()
+
+/**
+ * Days a task covers on the timeline
+ * A task with only one of the two dates takes up that single day.
+ * @param {Object} task - Task (API rows use start_date/due_date)
+ * @returns {Object|null} { start, end } day numbers (inclusive), or null if the task has no dates
+ */
+export const getTaskSpan = (task) => {
+  const start = toDay(task.startDate ?? task.start_date)
+  const end = toDay(task.dueDate ?? task.due_date)
+  if (start === null && end === null) return null
+  return { start: start ?? end, end: end ?? start }
+}
+
+/**
+ * Length of a task in days, for the critical path
+ * @param {Object} task - Task
+ * @returns {number|null} Days (at least 1), or null if the task has no dates
+ */
+export const getTaskDuration = (task) => {
+  const span = getTaskSpan(task)
+  return span ? span.end - span.start + 1 : null
+}
+
+/**
+ * Days the timeline shows: every scheduled task and today, with some padding
+ * @param {Array} tasks - Scheduled tasks
+ * @param {number} today - Today's day number
+ * @returns {Object} { start, days } - first day number and number of days
+ */
+export const getTimelineRange = (tasks, today) => {
+  const spans = tasks.map(getTaskSpan).filter(Boolean)
+  const first = Math.min(today, ...spans.map(span => span.start)) - RANGE_PADDING_DAYS
+  const last = Math.max(today, ...spans.map(span => span.end)) + RANGE_PADDING_DAYS
+  return { start: first, days: Math.max(last - first + 1, MIN_RANGE_DAYS) }
+}
+
+/**
+ * New dates of a task after dragging its bar
+ * Only dates the task already has move; resizing sets the date on that edge.
+ * @param {Object} task - Dragged task
+ * @param {string} mode - 'move', 'start' (left edge) or 'end' (right edge)
+ * @param {number} delta - Days dragged (negative for earlier)
+ * @returns {Object} { startDate, dueDate } ISO date strings or null
+ */
+export const getRescheduledDates = (task, mode, delta) => {
+  const startDate = task.startDate ?? task.start_date ?? null
+  const dueDate = task.dueDate ?? task.due_date ?? null
+  const span = getTaskSpan(task)
+
+  if (mode === 'start') {
+    return { startDate: fromDay(Math.min(span.start + delta, span.end)), dueDate }
+  }
+  if (mode === 'end') {
+    return { startDate, dueDate: fromDay(Math.max(span.end + delta, span.start)) }
+  }
+  return {
+    startDate: startDate && fromDay(toDay(startDate) + delta),
+    dueDate: dueDate && fromDay(toDay(dueDate) + delta)
+  }
+}
+
+/**
+ * Days the start and end of a task move when it gets new dates (as the server computes them)
+ * @param {Object} task - Task before the change
+ * @param {Object} dates - New { startDate, dueDate }
+ * @returns {Object} { startDelta, endDelta }
+ */
+export const getSpanDeltas = (task, dates) => {
+  const before = getTaskSpan(task)
+  const after = getTaskSpan(dates)
+  if (!before || !after) return { startDelta: 0, endDelta: 0 }
+  return { startDelta: after.start - before.start, endDelta: after.end - before.end }
+}
+
+/**
+ * Checks whether two scheduled tasks respect a schedule link between them
+ * e.g. finish-to-start with a 2 day lag: the successor starts at least 2 days after the
+ * predecessor's last day.
+ * @param {Object} from - Predecessor span { start, end }
+ * @param {Object} to - Successor span { start, end }
+ * @param {Object} link - { type: 'FS' | 'SS' | 'FF' | 'SF', lag }
+ * @returns {boolean} True if the dates satisfy the link
+ */
+export const isLinkSatisfied = (from, to, { type, lag = 0 }) => {
+  switch (type) {
+    case 'SS': return to.start >= from.start + lag
+    case 'FF': return to.end >= from.end + lag
+    case 'SF': return to.end >= from.start + lag
+    default: return to.start > from.end + lag
+  }
+}